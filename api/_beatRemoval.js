@@ -0,0 +1,37 @@
+import { kvPipeline } from "./_kv.js";
+import { BEAT_STAT_FIELDS, getBeatStatKey } from "./_beatStats.js";
+import { BEAT_KEY_PREFIX, BEAT_SUMMARY_KEY_PREFIX, readIndex, writeIndex } from "./_beatStore.js";
+import { SONG_INDEX_KEY, SONG_KEY_PREFIX, SONG_SUMMARY_KEY_PREFIX } from "./_songStore.js";
+import { getBeatReportKey, getBeatReportNetworksKey, getReportedIndexKey } from "./_beatReports.js";
+
+export async function clearBeatReports(id, kind = "beat") {
+  await kvPipeline([["DEL", getBeatReportKey(id, kind)], ["DEL", getBeatReportNetworksKey(id, kind)]]);
+  const reportedIndexKey = getReportedIndexKey(kind);
+  const reportedIndex = await readIndex(reportedIndexKey);
+  if (reportedIndex.includes(id)) {
+    await writeIndex(reportedIndex.filter((x) => x !== id), reportedIndexKey);
+  }
+}
+
+// Removes a beat with its stats and reports, and drops it from the library index.
+export async function removeBeat(id) {
+  await kvPipeline([
+    ["DEL", `${BEAT_KEY_PREFIX}${id}`],
+    ["DEL", `${BEAT_SUMMARY_KEY_PREFIX}${id}`],
+    ...BEAT_STAT_FIELDS.map((field) => ["DEL", getBeatStatKey(field, id)]),
+  ]);
+  const index = await readIndex();
+  if (index.includes(id)) await writeIndex(index.filter((x) => x !== id));
+  await clearBeatReports(id);
+}
+
+// Removes a song with its reports, and drops it from the song library index.
+export async function removeSong(id) {
+  await kvPipeline([
+    ["DEL", `${SONG_KEY_PREFIX}${id}`],
+    ["DEL", `${SONG_SUMMARY_KEY_PREFIX}${id}`],
+  ]);
+  const index = await readIndex(SONG_INDEX_KEY);
+  if (index.includes(id)) await writeIndex(index.filter((x) => x !== id), SONG_INDEX_KEY);
+  await clearBeatReports(id, "song");
+}
@@ -0,0 +1,41 @@
+import { kvMGet } from "./_kv.js";
+import { parseStoredJson } from "./_beatStore.js";
+
+export const MAX_REPORT_REASONS = 20;
+
+// Songs are reported and moderated like beats; each kind keeps its reports under its own keys.
+const REPORT_KEYS = {
+  beat: { reportedIndex: "beats:reported", prefix: "beatreport:" },
+  song: { reportedIndex: "songs:reported", prefix: "songreport:" },
+};
+export const REPORT_KINDS = Object.keys(REPORT_KEYS);
+
+export function getReportedIndexKey(kind = "beat") {
+  return REPORT_KEYS[kind].reportedIndex;
+}
+
+export function getBeatReportKey(id, kind = "beat") {
+  return `${REPORT_KEYS[kind].prefix}${id}`;
+}
+
+// Set of hashed IPs that reported a beat; auto-hiding needs reports from several networks.
+export function getBeatReportNetworksKey(id, kind = "beat") {
+  return `${REPORT_KEYS[kind].prefix}networks:${id}`;
+}
+
+// Marks that one client has already reported a beat, so it is only counted once.
+export function getBeatReportSeenKey(id, fingerprint, kind = "beat") {
+  return `${REPORT_KEYS[kind].prefix}seen:${id}:${fingerprint}`;
+}
+
+// { [id]: { count, reasons, firstReportedAt, lastReportedAt } } for ids that have reports.
+export async function readBeatReports(ids, kind = "beat") {
+  const list = Array.from(new Set((Array.isArray(ids) ? ids : []).map((id) => String(id)).filter(Boolean)));
+  const values = await kvMGet(list.map((id) => getBeatReportKey(id, kind)));
+  const out = {};
+  list.forEach((id, idx) => {
+    const report = parseStoredJson(values[idx], null);
+    if (report && typeof report === "object") out[id] = report;
+  });
+  return out;
+}
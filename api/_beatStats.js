@@ -0,0 +1,32 @@
+import { kvMGet } from "./_kv.js";
+
+export const BEAT_STATS_TTL_SECONDS = 60 * 60 * 24 * 365 * 5; // same lifetime as beats
+export const BEAT_STAT_FIELDS = ["likes", "plays", "loads"];
+
+export function getBeatStatKey(field, id) {
+  return `beatstats:${field}:${id}`;
+}
+
+function toCount(raw) {
+  const n = Math.round(Number(raw));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// { [id]: { likes, plays, loads } } for every id, zeros when nothing was recorded.
+export async function readBeatStats(ids) {
+  const list = Array.from(new Set((Array.isArray(ids) ? ids : []).map((id) => String(id)).filter(Boolean)));
+  const keys = list.flatMap((id) => BEAT_STAT_FIELDS.map((field) => getBeatStatKey(field, id)));
+  const values = await kvMGet(keys);
+  const out = {};
+  list.forEach((id, idx) => {
+    out[id] = {};
+    BEAT_STAT_FIELDS.forEach((field, fieldIdx) => {
+      out[id][field] = toCount(values[idx * BEAT_STAT_FIELDS.length + fieldIdx]);
+    });
+  });
+  return out;
+}
+
+export function getPlayScore(stats) {
+  return (stats?.plays || 0) + (stats?.loads || 0);
+}
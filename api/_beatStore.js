@@ -0,0 +1,115 @@
+import crypto from "node:crypto";
+import { kvGet, kvMGet, kvPipeline, kvSetJsonWithExpiry } from "./_kv.js";
+import { migrateBeatPayload } from "../src/utils/payloadSchema.js";
+
+export const INDEX_KEY = "beats:index";
+export const BEAT_KEY_PREFIX = "beat:";
+export const BEAT_SUMMARY_KEY_PREFIX = "beatsummary:";
+export const MAX_BEATS = 2000;
+export const BEAT_TTL_SECONDS = 60 * 60 * 24 * 365 * 5; // 5 years
+
+export function parseStoredJson(raw, fallback) {
+  if (raw == null) return fallback;
+  if (typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function normalizeCategory(value) {
+  const v = String(value || "").trim();
+  return v || "Groove";
+}
+
+export function normalizeStyle(value) {
+  const v = String(value || "").trim();
+  return v || "";
+}
+
+export function hashEditToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("base64url");
+}
+
+// Edit tokens are only ever stored hashed; the plain token lives in the author's browser.
+export function isEditTokenValid(beat, token) {
+  if (!beat?.editTokenHash || !token) return false;
+  const expected = Buffer.from(String(beat.editTokenHash));
+  const actual = Buffer.from(hashEditToken(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Strips server-only fields and upgrades older stored payloads before a beat is sent to clients.
+export function toPublicBeat(beat) {
+  const { editTokenHash, ...rest } = beat;
+  const payload = migrateBeatPayload(rest.payload);
+  return payload ? { ...rest, payload } : rest;
+}
+
+// The fields the library filters and sorts on, stored next to each beat so a listing does not
+// have to read every full payload.
+export function toBeatSummary(beat) {
+  return {
+    id: beat.id,
+    name: beat.name || "",
+    composer: beat.composer || "",
+    bpm: beat.bpm ?? beat.payload?.bpm ?? null,
+    createdAt: beat.createdAt || null,
+    category: beat.category || "",
+    style: beat.style || "",
+    timeSigCategory: beat.timeSigCategory || "",
+    hidden: Boolean(beat.hidden),
+  };
+}
+
+export async function readBeat(id) {
+  const beat = parseStoredJson(await kvGet(`${BEAT_KEY_PREFIX}${id}`), null);
+  return beat && typeof beat === "object" ? beat : null;
+}
+
+export async function writeBeat(beat) {
+  await kvPipeline([
+    ["SET", `${BEAT_KEY_PREFIX}${beat.id}`, JSON.stringify(beat), "EX", BEAT_TTL_SECONDS],
+    ["SET", `${BEAT_SUMMARY_KEY_PREFIX}${beat.id}`, JSON.stringify(toBeatSummary(beat)), "EX", BEAT_TTL_SECONDS],
+  ]);
+}
+
+// Summaries for `ids` in order (null where the record is gone). Records stored before summaries
+// existed are read in full once and get their summary written back.
+export async function readSummaries(ids, { summaryPrefix, recordPrefix, toSummary, ttlSeconds }) {
+  const isRecord = (value) => value && typeof value === "object";
+  const summaries = (await kvMGet(ids.map((id) => `${summaryPrefix}${id}`))).map((raw) => parseStoredJson(raw, null));
+  const missing = ids.filter((_, idx) => !isRecord(summaries[idx]));
+  if (!missing.length) return summaries;
+
+  const backfilled = {};
+  const commands = [];
+  (await kvMGet(missing.map((id) => `${recordPrefix}${id}`))).forEach((raw, idx) => {
+    const record = parseStoredJson(raw, null);
+    if (!isRecord(record)) return;
+    const summary = toSummary(record);
+    backfilled[missing[idx]] = summary;
+    commands.push(["SET", `${summaryPrefix}${missing[idx]}`, JSON.stringify(summary), "EX", ttlSeconds]);
+  });
+  if (commands.length) await kvPipeline(commands);
+  return ids.map((id, idx) => (isRecord(summaries[idx]) ? summaries[idx] : backfilled[id] || null));
+}
+
+export function readBeatSummaries(ids) {
+  return readSummaries(ids, {
+    summaryPrefix: BEAT_SUMMARY_KEY_PREFIX,
+    recordPrefix: BEAT_KEY_PREFIX,
+    toSummary: toBeatSummary,
+    ttlSeconds: BEAT_TTL_SECONDS,
+  });
+}
+
+export async function readIndex(key = INDEX_KEY) {
+  const index = parseStoredJson(await kvGet(key), []);
+  return Array.isArray(index) ? index : [];
+}
+
+export async function writeIndex(ids, key = INDEX_KEY) {
+  await kvSetJsonWithExpiry(key, ids.slice(0, MAX_BEATS), BEAT_TTL_SECONDS);
+}
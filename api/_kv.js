@@ -72,6 +72,56 @@ export async function kvGet(key) {
   return data?.result ?? null;
 }
 
+const MGET_CHUNK_SIZE = 100;
+
+// Values for `keys` in order (null for missing keys), read in batched MGETs.
+export async function kvMGet(keys) {
+  const list = Array.isArray(keys) ? keys.map((key) => String(key)) : [];
+  if (!list.length) return [];
+  const chunks = [];
+  for (let i = 0; i < list.length; i += MGET_CHUNK_SIZE) chunks.push(list.slice(i, i + MGET_CHUNK_SIZE));
+  if (!KV_URL || !KV_TOKEN) {
+    if (!REDIS_URL) return list.map(() => null);
+    const client = createClient({ url: REDIS_URL });
+    await client.connect();
+    try {
+      const out = [];
+      for (const chunk of chunks) out.push(...(await client.mGet(chunk)));
+      return out;
+    } finally {
+      await client.quit();
+    }
+  }
+  const data = await kvFetch("/pipeline", {
+    method: "POST",
+    body: JSON.stringify(chunks.map((chunk) => ["MGET", ...chunk])),
+  });
+  return chunks.flatMap((chunk, idx) => {
+    const result = Array.isArray(data) ? data[idx]?.result : null;
+    return chunk.map((_, keyIdx) => (Array.isArray(result) ? result[keyIdx] ?? null : null));
+  });
+}
+
+// Raw commands (e.g. ["INCR", key]) run in order; results come back in the same order.
+export async function kvPipeline(commands) {
+  const list = (Array.isArray(commands) ? commands : []).map((command) => command.map((arg) => String(arg)));
+  if (!list.length) return [];
+  if (!KV_URL || !KV_TOKEN) {
+    if (!REDIS_URL) throw new Error("Redis not configured");
+    const client = createClient({ url: REDIS_URL });
+    await client.connect();
+    try {
+      const out = [];
+      for (const command of list) out.push(await client.sendCommand(command));
+      return out;
+    } finally {
+      await client.quit();
+    }
+  }
+  const data = await kvFetch("/pipeline", { method: "POST", body: JSON.stringify(list) });
+  return list.map((_, idx) => (Array.isArray(data) ? data[idx]?.result ?? null : null));
+}
+
 export async function kvSetJsonWithExpiry(key, value, ttlSeconds) {
   const payload = JSON.stringify(value);
   if (!KV_URL || !KV_TOKEN) {
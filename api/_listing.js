@@ -0,0 +1,52 @@
+// Shared search, sort and cursor helpers for the public beat and song listings.
+
+export function parseSearchTerms(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+export function matchesSearch(text, terms) {
+  if (!terms.length) return true;
+  const haystack = String(text || "").toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+// Total order over { k, id }; entries without a sort key (e.g. no BPM) always come last.
+export function compareSortEntries(a, b, sort) {
+  if (a.k !== b.k) {
+    if (a.k == null) return 1;
+    if (b.k == null) return -1;
+    return sort === "oldest" || sort === "bpm-asc" ? a.k - b.k : b.k - a.k;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Cursors hold the sort key and id of the last entry of the previous page, so pages stay
+// stable when new entries are submitted in between.
+export function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ k: entry.k, id: entry.id })).toString("base64url");
+}
+
+export function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed.id !== "string") return null;
+    return { k: Number.isFinite(parsed.k) ? parsed.k : null, id: parsed.id };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Sorts `entries` ({ id, k }) in place and returns the page after `cursor`.
+export function paginateEntries(entries, { sort, cursor, limit }) {
+  entries.sort((a, b) => compareSortEntries(a, b, sort));
+  const startIdx = cursor ? entries.findIndex((entry) => compareSortEntries(entry, cursor, sort) > 0) : 0;
+  const page = startIdx < 0 ? [] : entries.slice(startIdx, startIdx + limit);
+  const hasMore = startIdx >= 0 && startIdx + limit < entries.length;
+  return { page, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null };
+}
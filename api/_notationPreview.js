@@ -0,0 +1,207 @@
+import * as Vex from "vexflow";
+import { withSvgDocument } from "./_svgDom.js";
+import { NOTATION_MAP } from "../src/utils/notationMap.js";
+import { isArrangementPayload, summarizeArrangementPayload } from "../src/utils/payloadSchema.js";
+
+const { Articulation, Beam, Formatter, Modifier, Stave, StaveNote, SVGContext, Tuplet, Voice } = Vex.Flow;
+
+// Open Graph card size; Discord, WhatsApp and X all crop to roughly 1.91:1.
+export const PREVIEW_WIDTH = 1200;
+export const PREVIEW_HEIGHT = 630;
+const PREVIEW_MAX_BARS = 2;
+const PREVIEW_PADDING = 60;
+const BAR_WIDTH = 420;
+const FIRST_BAR_EXTRA_WIDTH = 70;
+const STAVE_TOP = 50;
+const NOTATION_HEIGHT = 180;
+const ACCENT_CODE = 3;
+
+function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+function getBarTimeSig(payload, barIdx) {
+  const raw = payload.timeSigByBar?.[barIdx] || payload.timeSig || {};
+  return {
+    n: Math.max(1, Math.round(Number(raw.n) || 4)),
+    d: Math.max(1, Math.round(Number(raw.d) || 4)),
+  };
+}
+
+// Same step layout as the editor: `n` beats per bar, each split into the resolution's base
+// subdivision unless the beat carries a tuplet override.
+function getBarSubdivisions(payload, barIdx) {
+  const timeSig = getBarTimeSig(payload, barIdx);
+  const baseSubdiv = Math.max(1, Math.round(Number(payload.resolution || 8) / timeSig.d));
+  return Array.from({ length: timeSig.n }, (_, beatIdx) => {
+    const tuplet = Number(payload.tupletsByBar?.[barIdx]?.[beatIdx]);
+    return Number.isFinite(tuplet) && tuplet > 0 ? Math.max(2, Math.min(12, Math.round(tuplet))) : baseSubdiv;
+  });
+}
+
+function buildHitsByStep(payload) {
+  const hits = new Map();
+  const kitIds = new Set(Array.isArray(payload.kitInstrumentIds) ? payload.kitInstrumentIds : []);
+  Object.entries(payload.grid || {}).forEach(([instId, events]) => {
+    const key = NOTATION_MAP[instId]?.key;
+    if (!key || (kitIds.size && !kitIds.has(instId)) || !Array.isArray(events)) return;
+    events.forEach(([step, code]) => {
+      if (!hits.has(step)) hits.set(step, []);
+      hits.get(step).push({ key, code: Number(code) });
+    });
+  });
+  return hits;
+}
+
+function isEmptyRange(hits, firstStep, count) {
+  for (let step = firstStep; step < firstStep + count; step++) {
+    if (hits.has(step)) return false;
+  }
+  return true;
+}
+
+function toDuration(quarterLength) {
+  return String(Math.max(1, Math.min(64, Math.round(4 / quarterLength))));
+}
+
+function makeNote(stepHits, duration) {
+  if (!stepHits?.length) return new StaveNote({ keys: ["b/4"], duration: `${duration}r` });
+  const keys = [...new Set(stepHits.map((hit) => hit.key))];
+  const note = new StaveNote({ keys, duration, stem_direction: 1 });
+  if (stepHits.some((hit) => hit.code === ACCENT_CODE)) {
+    note.addModifier(new Articulation("a>").setPosition(Modifier.Position.ABOVE), 0);
+  }
+  return note;
+}
+
+/**
+ * Notes for one beat. Plain subdivisions merge a step with the empty steps after it when the
+ * result is an aligned power-of-two span (so an 8th-note hat doesn't turn into 16th + rest);
+ * tuplets keep one note per step.
+ */
+function buildBeatNotes(hits, firstStep, subdiv, beatQuarterLength) {
+  const notes = [];
+  if (!isPowerOfTwo(subdiv)) {
+    let occupied = 1;
+    while (occupied * 2 < subdiv) occupied *= 2;
+    const duration = toDuration(beatQuarterLength / occupied);
+    for (let i = 0; i < subdiv; i++) notes.push(makeNote(hits.get(firstStep + i), duration));
+    return { notes, tuplet: { num_notes: subdiv, notes_occupied: occupied } };
+  }
+  const stepLength = beatQuarterLength / subdiv;
+  let i = 0;
+  while (i < subdiv) {
+    let span = 1;
+    while (i % (span * 2) === 0 && i + span * 2 <= subdiv && isEmptyRange(hits, firstStep + i + span, span)) {
+      span *= 2;
+    }
+    notes.push(makeNote(hits.get(firstStep + i), toDuration(stepLength * span)));
+    i += span;
+  }
+  return { notes, tuplet: null };
+}
+
+// The first bars of the beat as a standalone SVG element tree, `width` x NOTATION_HEIGHT.
+function renderBeatNotation(payload, container) {
+  const bars = Math.max(1, Math.min(PREVIEW_MAX_BARS, Number(payload.bars) || 1));
+  const width = bars * BAR_WIDTH + FIRST_BAR_EXTRA_WIDTH + 20;
+  const context = new SVGContext(container);
+  context.resize(width, NOTATION_HEIGHT);
+  const hits = buildHitsByStep(payload);
+
+  let x = 10;
+  let step = 0;
+  let previousTimeSig = null;
+  for (let barIdx = 0; barIdx < bars; barIdx++) {
+    const timeSig = getBarTimeSig(payload, barIdx);
+    const stave = new Stave(x, STAVE_TOP, BAR_WIDTH + (barIdx === 0 ? FIRST_BAR_EXTRA_WIDTH : 0));
+    if (barIdx === 0) stave.addClef("percussion");
+    if (!previousTimeSig || previousTimeSig.n !== timeSig.n || previousTimeSig.d !== timeSig.d) {
+      stave.addTimeSignature(`${timeSig.n}/${timeSig.d}`);
+    }
+    stave.setContext(context).draw();
+
+    const beatQuarterLength = 4 / timeSig.d;
+    const beams = [];
+    const tuplets = [];
+    const tickables = [];
+    getBarSubdivisions(payload, barIdx).forEach((subdiv) => {
+      const { notes, tuplet } = buildBeatNotes(hits, step, subdiv, beatQuarterLength);
+      step += subdiv;
+      tickables.push(...notes);
+      if (tuplet) tuplets.push(new Tuplet(notes, tuplet));
+      beams.push(...Beam.generateBeams(notes, { stem_direction: 1, beam_rests: true }));
+    });
+    const voice = new Voice({ num_beats: timeSig.n, beat_value: timeSig.d })
+      .setMode(Voice.Mode.SOFT)
+      .addTickables(tickables);
+    new Formatter().joinVoices([voice]).formatToStave([voice], stave);
+    voice.draw(context, stave);
+    beams.forEach((beam) => beam.setContext(context).draw());
+    tuplets.forEach((tuplet) => tuplet.setContext(context).draw());
+
+    x += stave.getWidth();
+    previousTimeSig = timeSig;
+  }
+  return { svg: context.svg, width, height: NOTATION_HEIGHT };
+}
+
+// The beat shown for a share: the beat itself, or the first row's beat of an arrangement.
+function getPreviewBeat(payload) {
+  if (!isArrangementPayload(payload)) return payload;
+  const firstBeatId = payload.items?.[0]?.beatId;
+  const beat = payload.beats?.find((b) => b?.id === firstBeatId) || payload.beats?.[0];
+  return beat?.payload || null;
+}
+
+/** Open Graph card for a share payload: the notation centered on a white background. */
+export function renderSharePreviewSvg(payload) {
+  const beat = getPreviewBeat(payload);
+  const background = `<rect width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" fill="#ffffff"/>`;
+  if (!beat) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}">${background}</svg>`;
+  }
+  return withSvgDocument((container) => {
+    const { svg, width, height } = renderBeatNotation(beat, container);
+    const scale = Math.min((PREVIEW_WIDTH - PREVIEW_PADDING * 2) / width, (PREVIEW_HEIGHT - PREVIEW_PADDING * 2) / height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("width", Math.round(width * scale));
+    svg.setAttribute("height", Math.round(height * scale));
+    svg.setAttribute("x", Math.round((PREVIEW_WIDTH - width * scale) / 2));
+    svg.setAttribute("y", Math.round((PREVIEW_HEIGHT - height * scale) / 2));
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" viewBox="0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT}">${background}${svg}</svg>`;
+  });
+}
+
+function formatBars(count) {
+  return `${count} ${count === 1 ? "bar" : "bars"}`;
+}
+
+/** Title and one-line summary (BPM, time signature, bars) for link unfurls. */
+export function describeSharePayload(payload) {
+  if (isArrangementPayload(payload)) {
+    const { sectionCount, totalBars, bpm } = summarizeArrangementPayload(payload);
+    const beat = getPreviewBeat(payload);
+    const timeSig = beat ? getBarTimeSig(beat, 0) : null;
+    const parts = [
+      bpm ? `${bpm} BPM` : "",
+      timeSig ? `${timeSig.n}/${timeSig.d}` : "",
+      formatBars(totalBars),
+      `${sectionCount} ${sectionCount === 1 ? "section" : "sections"}`,
+    ].filter(Boolean);
+    const name = String(payload.name || payload.titleLine1 || "").trim();
+    return {
+      title: name ? `${name} – Drum arrangement` : "Drum arrangement",
+      description: parts.join(" · "),
+    };
+  }
+  const bars = Math.max(1, Number(payload?.bars) || 1);
+  const bpm = Math.round(Number(payload?.bpm));
+  const timeSig = getBarTimeSig(payload || {}, 0);
+  const parts = [
+    Number.isFinite(bpm) && bpm > 0 ? `${bpm} BPM` : "",
+    `${timeSig.n}/${timeSig.d}`,
+    formatBars(bars),
+  ].filter(Boolean);
+  return { title: "Drum groove", description: parts.join(" · ") };
+}
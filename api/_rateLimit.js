@@ -0,0 +1,33 @@
+import crypto from "node:crypto";
+import { kvPipeline } from "./_kv.js";
+
+function getClientIp(req) {
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.socket?.remoteAddress || "";
+}
+
+function hashClientValue(value) {
+  return crypto.createHash("sha256").update(value).digest("base64url").slice(0, 32);
+}
+
+// Anonymous per-client key built only from what the server sees (IP and user agent), so a
+// caller cannot get a fresh identity by changing anything in the request body.
+export function getClientFingerprint(req) {
+  const userAgent = String(req.headers?.["user-agent"] || "");
+  return hashClientValue(`${getClientIp(req)}|${userAgent}`);
+}
+
+// Per-IP key for counts that must come from different networks, not just different browsers.
+export function getClientNetworkId(req) {
+  return hashClientValue(`ip|${getClientIp(req)}`);
+}
+
+// Fixed-window counter per scope and client; the window starts with the first request.
+export async function isRateLimited(scope, fingerprint, { maxRequests, windowSeconds }) {
+  const key = `ratelimit:${scope}:${fingerprint}`;
+  const [, count] = await kvPipeline([
+    ["SET", key, 0, "EX", windowSeconds, "NX"],
+    ["INCR", key],
+  ]);
+  return Number(count) > maxRequests;
+}
@@ -0,0 +1,23 @@
+import { kvGet } from "./_kv.js";
+import { migrateSharePayload } from "../src/utils/payloadSchema.js";
+
+export const SHARE_ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
+
+export function getShareKey(id) {
+  return `share:${id}`;
+}
+
+/**
+ * Loads a share by id as `{ payload }` or `{ status, error }`. Links live for a year, so
+ * payloads stored by older app versions are upgraded on read.
+ */
+export async function readSharePayload(id) {
+  const raw = await kvGet(getShareKey(id));
+  if (raw == null) return { status: 404, error: "Share not found" };
+  const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const stored = parsed?.payload && typeof parsed.payload === "object" ? parsed.payload : null;
+  if (!stored) return { status: 404, error: "Share payload missing" };
+  const payload = migrateSharePayload(stored);
+  if (!payload) return { status: 422, error: "Share was created by a newer version of the app" };
+  return { payload };
+}
@@ -0,0 +1,34 @@
+import { kvGet, kvPipeline } from "./_kv.js";
+import { parseStoredJson, readSummaries } from "./_beatStore.js";
+
+export const SONG_INDEX_KEY = "songs:index";
+export const SONG_KEY_PREFIX = "song:";
+export const SONG_SUMMARY_KEY_PREFIX = "songsummary:";
+export const SONG_TTL_SECONDS = 60 * 60 * 24 * 365 * 5; // 5 years
+
+// Everything but the arrangement payload; this is what song listings send to clients.
+export function toSongSummary(song) {
+  const { payload, ...rest } = song;
+  return rest;
+}
+
+export async function readSong(id) {
+  const song = parseStoredJson(await kvGet(`${SONG_KEY_PREFIX}${id}`), null);
+  return song && typeof song === "object" ? song : null;
+}
+
+export async function writeSong(song) {
+  await kvPipeline([
+    ["SET", `${SONG_KEY_PREFIX}${song.id}`, JSON.stringify(song), "EX", SONG_TTL_SECONDS],
+    ["SET", `${SONG_SUMMARY_KEY_PREFIX}${song.id}`, JSON.stringify(toSongSummary(song)), "EX", SONG_TTL_SECONDS],
+  ]);
+}
+
+export function readSongSummaries(ids) {
+  return readSummaries(ids, {
+    summaryPrefix: SONG_SUMMARY_KEY_PREFIX,
+    recordPrefix: SONG_KEY_PREFIX,
+    toSummary: toSongSummary,
+    ttlSeconds: SONG_TTL_SECONDS,
+  });
+}
@@ -0,0 +1,90 @@
+// Just enough of the DOM for VexFlow's SVGContext to build a tree that serializes to markup.
+// Staves, noteheads, rests and beams only need element creation and attributes; text
+// measurement (getBBox) is deliberately unsupported, so previews must not render text.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+class ShimElement {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.style = {};
+    this.textContent = "";
+  }
+
+  get nodeName() {
+    return this.tagName;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  setAttributeNS(_ns, name, value) {
+    this.setAttribute(name, value);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  appendChild(child) {
+    this.childNodes.push(child);
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index >= 0) this.childNodes.splice(index, 1);
+    return child;
+  }
+
+  getBBox() {
+    throw new Error("Text measurement is not available in the SVG shim");
+  }
+
+  toString() {
+    const attrs = [...this.attributes].map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join("");
+    const xmlns = this.tagName === "svg" && !this.attributes.has("xmlns") ? ` xmlns="${SVG_NS}"` : "";
+    const inner = this.childNodes.map(String).join("") + escapeXml(this.textContent);
+    return `<${this.tagName}${xmlns}${attrs}>${inner}</${this.tagName}>`;
+  }
+}
+
+const shimDocument = {
+  createElementNS(_ns, tagName) {
+    return new ShimElement(tagName);
+  },
+  createElement(tagName) {
+    return new ShimElement(tagName);
+  },
+  getElementById() {
+    return null;
+  },
+};
+
+// VexFlow reads the global `document`, so it is swapped in only for the synchronous render.
+export function withSvgDocument(render) {
+  const hadDocument = Object.prototype.hasOwnProperty.call(globalThis, "document");
+  const previous = globalThis.document;
+  globalThis.document = shimDocument;
+  try {
+    return render(shimDocument.createElement("div"));
+  } finally {
+    if (hadDocument) globalThis.document = previous;
+    else delete globalThis.document;
+  }
+}
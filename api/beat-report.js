@@ -0,0 +1,114 @@
+import { isKvReady, kvConfigStatus, kvPipeline, kvSetJsonWithExpiry } from "./_kv.js";
+import { BEAT_TTL_SECONDS, readBeat, readIndex, writeBeat, writeIndex } from "./_beatStore.js";
+import { readSong, writeSong } from "./_songStore.js";
+import {
+  MAX_REPORT_REASONS,
+  REPORT_KINDS,
+  getBeatReportKey,
+  getBeatReportNetworksKey,
+  getBeatReportSeenKey,
+  getReportedIndexKey,
+  readBeatReports,
+} from "./_beatReports.js";
+import { getClientFingerprint, getClientNetworkId, isRateLimited } from "./_rateLimit.js";
+
+const ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
+const MAX_REASON_LENGTH = 300;
+const RATE_LIMIT_WINDOW_SECONDS = 10 * 60;
+const RATE_LIMIT_MAX_REQUESTS = 10;
+// Beats and songs reported by this many different clients, from at least this many different
+// IPs, are hidden until a moderator reviews them.
+const AUTO_HIDE_REPORT_COUNT = 5;
+const AUTO_HIDE_MIN_NETWORKS = 3;
+const REPORT_TARGETS = {
+  beat: { label: "Beat", read: readBeat, write: writeBeat },
+  song: { label: "Song", read: readSong, write: writeSong },
+};
+
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch (_) {
+      return null;
+    }
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  if (!chunks.length) return null;
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function normalizeReason(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").slice(0, MAX_REASON_LENGTH);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!isKvReady()) {
+    return res.status(503).json({ error: "Beat library storage not configured", kv: kvConfigStatus() });
+  }
+
+  try {
+    const body = await readJsonBody(req);
+    const kind = body?.kind === undefined ? "beat" : String(body.kind);
+    if (!REPORT_KINDS.includes(kind)) return res.status(400).json({ error: "Unknown report kind" });
+    const target = REPORT_TARGETS[kind];
+    const id = String(body?.id || "");
+    if (!ID_RE.test(id)) return res.status(400).json({ error: `Invalid ${target.label.toLowerCase()} id` });
+    const reason = normalizeReason(body?.reason);
+    if (!reason) return res.status(400).json({ error: "A reason is required" });
+    const fingerprint = getClientFingerprint(req);
+    const limited = await isRateLimited("beat-report", fingerprint, {
+      maxRequests: RATE_LIMIT_MAX_REQUESTS,
+      windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+    });
+    if (limited) return res.status(429).json({ error: "Too many reports, try again later" });
+    const item = await target.read(id);
+    if (!item || item.hidden) return res.status(404).json({ error: `${target.label} not found` });
+
+    // Each client counts once per beat or song; repeat reports are accepted but not counted again.
+    const [firstReport] = await kvPipeline([
+      ["SET", getBeatReportSeenKey(id, fingerprint, kind), 1, "EX", BEAT_TTL_SECONDS, "NX"],
+    ]);
+    if (firstReport !== "OK") return res.status(200).json({ id, reported: true });
+    const networksKey = getBeatReportNetworksKey(id, kind);
+    const [, networkCount] = await kvPipeline([
+      ["SADD", networksKey, getClientNetworkId(req)],
+      ["SCARD", networksKey],
+      ["EXPIRE", networksKey, BEAT_TTL_SECONDS],
+    ]);
+
+    const now = new Date().toISOString();
+    const existing = (await readBeatReports([id], kind))[id];
+    const report = {
+      id,
+      count: (Number(existing?.count) || 0) + 1,
+      reasons: [{ reason, at: now }, ...(Array.isArray(existing?.reasons) ? existing.reasons : [])].slice(
+        0,
+        MAX_REPORT_REASONS
+      ),
+      firstReportedAt: existing?.firstReportedAt || now,
+      lastReportedAt: now,
+    };
+    await kvSetJsonWithExpiry(getBeatReportKey(id, kind), report, BEAT_TTL_SECONDS);
+    const reportedIndexKey = getReportedIndexKey(kind);
+    const reportedIndex = await readIndex(reportedIndexKey);
+    if (!reportedIndex.includes(id)) await writeIndex([id, ...reportedIndex], reportedIndexKey);
+
+    if (report.count >= AUTO_HIDE_REPORT_COUNT && Number(networkCount) >= AUTO_HIDE_MIN_NETWORKS) {
+      await target.write({ ...item, hidden: true, hiddenReason: "reports", hiddenAt: now });
+    }
+    return res.status(200).json({ id, reported: true });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to send report", detail: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,105 @@
+import { isKvReady, kvConfigStatus, kvGet, kvPipeline } from "./_kv.js";
+import { BEAT_STATS_TTL_SECONDS, getBeatStatKey, readBeatStats } from "./_beatStats.js";
+import { BEAT_KEY_PREFIX, parseStoredJson } from "./_beatStore.js";
+import { getClientFingerprint, isRateLimited } from "./_rateLimit.js";
+
+const ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
+const ACTIONS = ["like", "unlike", "play", "load"];
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+const RATE_LIMIT_MAX_REQUESTS = 30;
+// A client (IP and user agent, never anything from the request body) counts as one more
+// play/load of a beat at most once per window, and as at most one like.
+const PLAY_DEDUPE_SECONDS = 60 * 60;
+const MAX_LOOKUP_IDS = 100;
+
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch (_) {
+      return null;
+    }
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  if (!chunks.length) return null;
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+async function recordAction(id, action, fingerprint) {
+  if (action === "like" || action === "unlike") {
+    const likedKey = `beatstats:liked:${id}:${fingerprint}`;
+    const likesKey = getBeatStatKey("likes", id);
+    if (action === "like") {
+      const [setResult] = await kvPipeline([["SET", likedKey, 1, "EX", BEAT_STATS_TTL_SECONDS, "NX"]]);
+      if (setResult === "OK") {
+        await kvPipeline([["INCR", likesKey], ["EXPIRE", likesKey, BEAT_STATS_TTL_SECONDS]]);
+      }
+      return true;
+    }
+    const [deleted] = await kvPipeline([["DEL", likedKey]]);
+    if (Number(deleted) > 0) await kvPipeline([["DECR", likesKey]]);
+    return false;
+  }
+  const field = action === "play" ? "plays" : "loads";
+  const seenKey = `beatstats:seen:${field}:${id}:${fingerprint}`;
+  const [setResult] = await kvPipeline([["SET", seenKey, 1, "EX", PLAY_DEDUPE_SECONDS, "NX"]]);
+  if (setResult === "OK") {
+    const countKey = getBeatStatKey(field, id);
+    await kvPipeline([["INCR", countKey], ["EXPIRE", countKey, BEAT_STATS_TTL_SECONDS]]);
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (!isKvReady()) {
+    return res.status(503).json({ error: "Beat stats storage not configured", kv: kvConfigStatus() });
+  }
+
+  if (req.method === "GET") {
+    try {
+      const ids = String(req.query?.ids || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter((id) => ID_RE.test(id))
+        .slice(0, MAX_LOOKUP_IDS);
+      return res.status(200).json({ stats: await readBeatStats(ids) });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to load beat stats", detail: String(err?.message || err) });
+    }
+  }
+
+  if (req.method === "POST") {
+    try {
+      const body = await readJsonBody(req);
+      const id = String(body?.id || "");
+      const action = String(body?.action || "");
+      if (!ID_RE.test(id)) return res.status(400).json({ error: "Invalid beat id" });
+      if (!ACTIONS.includes(action)) return res.status(400).json({ error: "Unknown action" });
+      const fingerprint = getClientFingerprint(req);
+      const limited = await isRateLimited("beat-stats", fingerprint, {
+        maxRequests: RATE_LIMIT_MAX_REQUESTS,
+        windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+      });
+      if (limited) {
+        return res.status(429).json({ error: "Too many requests, try again in a minute" });
+      }
+      const beat = parseStoredJson(await kvGet(`${BEAT_KEY_PREFIX}${id}`), null);
+      if (!beat || beat.hidden) return res.status(404).json({ error: "Beat not found" });
+
+      const liked = await recordAction(id, action, fingerprint);
+      const stats = (await readBeatStats([id]))[id];
+      return res.status(200).json({ id, stats, ...(liked == null ? {} : { liked }) });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to record beat stats", detail: String(err?.message || err) });
+    }
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
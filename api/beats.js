@@ -1,34 +1,35 @@
 import crypto from "node:crypto";
-import { isKvReady, kvConfigStatus, kvGet, kvSetJsonWithExpiry } from "./_kv.js";
-
-const INDEX_KEY = "beats:index";
-const BEAT_KEY_PREFIX = "beat:";
-const MAX_BEATS = 2000;
-const TTL_SECONDS = 60 * 60 * 24 * 365 * 5; // 5 years
-
-function parseStoredJson(raw, fallback) {
-  if (raw == null) return fallback;
-  if (typeof raw === "object") return raw;
-  try {
-    return JSON.parse(raw);
-  } catch (_) {
-    return fallback;
-  }
-}
+import { isKvReady, kvConfigStatus, kvMGet } from "./_kv.js";
+import { getPlayScore, readBeatStats } from "./_beatStats.js";
+import {
+  BEAT_KEY_PREFIX,
+  MAX_BEATS,
+  hashEditToken,
+  isEditTokenValid,
+  normalizeCategory,
+  normalizeStyle,
+  parseStoredJson,
+  readBeat,
+  readBeatSummaries,
+  readIndex,
+  toPublicBeat,
+  writeBeat,
+  writeIndex,
+} from "./_beatStore.js";
+import { removeBeat } from "./_beatRemoval.js";
+import { migrateBeatPayload, validateBeatPayload } from "../src/utils/payloadSchema.js";
+import { decodeCursor, matchesSearch, paginateEntries, parseSearchTerms } from "./_listing.js";
+
+const PAGE_SIZE_DEFAULT = 30;
+const PAGE_SIZE_MAX = 100;
+const SORT_MODES = ["latest", "oldest", "bpm-asc", "bpm-desc", "most-liked", "most-played"];
+const STATS_SORT_MODES = ["most-liked", "most-played"];
+const ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
 
 function normalizeName(value) {
   return String(value || "").trim().slice(0, 120);
 }
 
-function normalizeCategory(value) {
-  const v = String(value || "").trim();
-  return v || "Groove";
-}
-
-function normalizeStyle(value) {
-  const v = String(value || "").trim();
-  return v || "";
-}
 function normalizeComposer(value) {
   const v = String(value || "").trim();
   return v.slice(0, 120);
@@ -43,6 +44,24 @@ function normalizeBpm(value) {
   return Math.max(20, Math.min(400, Math.round(n)));
 }
 
+function parseBpmQuery(value) {
+  if (value == null || String(value).trim() === "") return null;
+  return normalizeBpm(value);
+}
+
+function getBeatBpm(beat) {
+  const raw = beat?.bpm ?? beat?.payload?.bpm;
+  return raw == null ? null : normalizeBpm(raw);
+}
+
+function getSortKey(beat, sort, stats) {
+  if (sort === "bpm-asc" || sort === "bpm-desc") return getBeatBpm(beat);
+  if (sort === "most-liked") return stats?.likes || 0;
+  if (sort === "most-played") return getPlayScore(stats);
+  const time = new Date(beat?.createdAt || 0).getTime();
+  return Number.isFinite(time) ? time : 0;
+}
+
 async function readBody(req) {
   if (req.body && typeof req.body === "object") return req.body;
   if (typeof req.body === "string") {
@@ -72,12 +91,13 @@ export default async function handler(req, res) {
       const body = await readBody(req);
       const name = normalizeName(body?.name);
       if (!name) return res.status(400).json({ error: "Beat name is required" });
-      const payload = body?.payload;
-      if (!payload || typeof payload !== "object") {
-        return res.status(400).json({ error: "Missing beat payload" });
-      }
+      // Stored payloads are always upgraded to the current schema version.
+      const payload = migrateBeatPayload(body?.payload);
+      const invalid = validateBeatPayload(payload);
+      if (invalid) return res.status(invalid.status).json({ error: invalid.error });
 
       const id = crypto.randomBytes(7).toString("base64url");
+      const editToken = crypto.randomBytes(24).toString("base64url");
       const beat = {
         id,
         name,
@@ -90,55 +110,140 @@ export default async function handler(req, res) {
         createdAt: new Date().toISOString(),
         source: "public",
         payload,
+        editTokenHash: hashEditToken(editToken),
       };
 
-      await kvSetJsonWithExpiry(`${BEAT_KEY_PREFIX}${id}`, beat, TTL_SECONDS);
+      await writeBeat(beat);
 
-      const existingIndex = parseStoredJson(await kvGet(INDEX_KEY), []);
-      const nextIndex = [id, ...existingIndex.filter((x) => x !== id)].slice(0, MAX_BEATS);
-      await kvSetJsonWithExpiry(INDEX_KEY, nextIndex, TTL_SECONDS);
+      const existingIndex = await readIndex();
+      await writeIndex([id, ...existingIndex.filter((x) => x !== id)]);
 
-      return res.status(200).json({ beat });
+      // The plain edit token is only ever returned here; the author's browser keeps it.
+      return res.status(200).json({ beat: toPublicBeat(beat), editToken });
     } catch (err) {
       return res.status(500).json({ error: "Failed to submit beat", detail: String(err?.message || err) });
     }
   }
 
+  if (req.method === "PUT" || req.method === "DELETE") {
+    try {
+      const body = await readBody(req);
+      const id = String(body?.id || "");
+      if (!ID_RE.test(id)) return res.status(400).json({ error: "Invalid beat id" });
+      const beat = await readBeat(id);
+      if (!beat) return res.status(404).json({ error: "Beat not found" });
+      if (!isEditTokenValid(beat, body?.editToken)) {
+        return res.status(403).json({ error: "Not allowed to change this beat" });
+      }
+
+      if (req.method === "DELETE") {
+        await removeBeat(id);
+        return res.status(200).json({ id, deleted: true });
+      }
+
+      const updates = {};
+      if (body.name !== undefined) {
+        const name = normalizeName(body.name);
+        if (!name) return res.status(400).json({ error: "Beat name is required" });
+        updates.name = name;
+        updates.title = name;
+      }
+      if (body.category !== undefined) updates.category = normalizeCategory(body.category);
+      if (body.style !== undefined) updates.style = normalizeStyle(body.style);
+      if (body.payload !== undefined) {
+        const payload = migrateBeatPayload(body.payload);
+        const invalid = validateBeatPayload(payload);
+        if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+        updates.payload = payload;
+        updates.timeSigCategory = normalizeTimeSigCategory(body.timeSigCategory);
+        updates.bpm = normalizeBpm(body.bpm);
+      }
+      // Hidden and moderation fields are left alone; owners cannot un-hide a moderated beat.
+      const nextBeat = { ...beat, ...updates, updatedAt: new Date().toISOString() };
+      await writeBeat(nextBeat);
+      return res.status(200).json({ beat: toPublicBeat(nextBeat) });
+    } catch (err) {
+      const action = req.method === "DELETE" ? "delete" : "update";
+      return res.status(500).json({ error: `Failed to ${action} beat`, detail: String(err?.message || err) });
+    }
+  }
+
   if (req.method === "GET") {
     try {
-      const sort = String(req.query?.sort || "latest");
+      // Direct lookup for beats referenced elsewhere (e.g. arrangement rows) that are not on a loaded page.
+      if (req.query?.ids) {
+        const ids = String(req.query.ids)
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean)
+          .slice(0, PAGE_SIZE_MAX);
+        const rawBeats = await kvMGet(ids.map((id) => `${BEAT_KEY_PREFIX}${id}`));
+        const beats = rawBeats
+          .map((raw) => parseStoredJson(raw, null))
+          .filter((beat) => beat && typeof beat === "object" && !beat.hidden);
+        const statsById = await readBeatStats(beats.map((beat) => beat.id));
+        return res.status(200).json({
+          beats: beats.map((beat) => ({ ...toPublicBeat(beat), stats: statsById[beat.id] })),
+        });
+      }
+
+      const sortRaw = String(req.query?.sort || "latest");
+      const sort = SORT_MODES.includes(sortRaw) ? sortRaw : "latest";
       const categoryFilter = String(req.query?.category || "").trim().toLowerCase();
       const styleFilter = String(req.query?.style || "").trim().toLowerCase();
       const timeSigFilter = String(req.query?.timeSig || "").trim();
+      const searchTerms = parseSearchTerms(req.query?.q);
+      const bpmMin = parseBpmQuery(req.query?.bpmMin);
+      const bpmMax = parseBpmQuery(req.query?.bpmMax);
+      const limit = Math.max(1, Math.min(PAGE_SIZE_MAX, Math.round(Number(req.query?.limit)) || PAGE_SIZE_DEFAULT));
+      const cursor = decodeCursor(req.query?.cursor);
+
+      const ids = (await readIndex()).slice(0, MAX_BEATS);
+      const summaries = await readBeatSummaries(ids);
+
+      const entries = [];
+      summaries.forEach((summary) => {
+        if (!summary || summary.hidden) return;
+        if (categoryFilter && String(summary.category || "").toLowerCase() !== categoryFilter) return;
+        if (styleFilter && String(summary.style || "").toLowerCase() !== styleFilter) return;
+        if (timeSigFilter && String(summary.timeSigCategory || "") !== timeSigFilter) return;
+        if (!matchesSearch(`${summary.name || ""} ${summary.composer || ""}`, searchTerms)) return;
+        if (bpmMin != null || bpmMax != null) {
+          const bpm = getBeatBpm(summary);
+          if (bpm == null) return;
+          if (bpmMin != null && bpm < bpmMin) return;
+          if (bpmMax != null && bpm > bpmMax) return;
+        }
+        entries.push({ id: String(summary.id || ""), summary });
+      });
+      // Stats are only needed up front when they drive the order; otherwise just for the page.
+      const statsById = STATS_SORT_MODES.includes(sort)
+        ? await readBeatStats(entries.map((entry) => entry.id))
+        : {};
+      entries.forEach((entry) => {
+        entry.k = getSortKey(entry.summary, sort, statsById[entry.id]);
+      });
 
-      const index = parseStoredJson(await kvGet(INDEX_KEY), []);
-      const ids = Array.isArray(index) ? index.slice(0, 300) : [];
-      const beats = [];
-      for (const id of ids) {
-        const beat = parseStoredJson(await kvGet(`${BEAT_KEY_PREFIX}${id}`), null);
-        if (!beat || typeof beat !== "object") continue;
-        beats.push(beat);
-      }
+      const { page, nextCursor } = paginateEntries(entries, { sort, cursor, limit });
 
-      const filtered = beats.filter((beat) => {
-        if (categoryFilter && String(beat.category || "").toLowerCase() !== categoryFilter) return false;
-        if (styleFilter && String(beat.style || "").toLowerCase() !== styleFilter) return false;
-        if (timeSigFilter && String(beat.timeSigCategory || "") !== timeSigFilter) return false;
-        return true;
-      });
+      // Full records (with payloads) are only read for the beats on this page.
+      const pageBeats = (await kvMGet(page.map((entry) => `${BEAT_KEY_PREFIX}${entry.id}`)))
+        .map((raw) => parseStoredJson(raw, null))
+        .filter((beat) => beat && typeof beat === "object" && !beat.hidden);
+      const pageStatsById = STATS_SORT_MODES.includes(sort)
+        ? statsById
+        : await readBeatStats(pageBeats.map((beat) => beat.id));
 
-      filtered.sort((a, b) => {
-        const ta = new Date(a?.createdAt || 0).getTime();
-        const tb = new Date(b?.createdAt || 0).getTime();
-        return sort === "oldest" ? ta - tb : tb - ta;
+      return res.status(200).json({
+        beats: pageBeats.map((beat) => ({ ...toPublicBeat(beat), stats: pageStatsById[beat.id] })),
+        nextCursor,
+        total: entries.length,
       });
-
-      return res.status(200).json({ beats: filtered });
     } catch (err) {
       return res.status(500).json({ error: "Failed to load beats", detail: String(err?.message || err) });
     }
   }
 
-  res.setHeader("Allow", "GET, POST");
+  res.setHeader("Allow", "GET, POST, PUT, DELETE");
   return res.status(405).json({ error: "Method not allowed" });
 }
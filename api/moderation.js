@@ -0,0 +1,190 @@
+import crypto from "node:crypto";
+import { isKvReady, kvConfigStatus, kvMGet } from "./_kv.js";
+import {
+  BEAT_KEY_PREFIX,
+  INDEX_KEY,
+  MAX_BEATS,
+  normalizeCategory,
+  normalizeStyle,
+  parseStoredJson,
+  readBeat,
+  readBeatSummaries,
+  readIndex,
+  toPublicBeat,
+  writeBeat,
+} from "./_beatStore.js";
+import {
+  SONG_INDEX_KEY,
+  SONG_KEY_PREFIX,
+  readSong,
+  readSongSummaries,
+  toSongSummary,
+  writeSong,
+} from "./_songStore.js";
+import { REPORT_KINDS, getReportedIndexKey, readBeatReports } from "./_beatReports.js";
+import { clearBeatReports, removeBeat, removeSong } from "./_beatRemoval.js";
+
+const ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
+const ACTIONS = ["hide", "unhide", "delete", "update", "dismiss"];
+const ADMIN_TOKEN = process.env.MODERATION_ADMIN_TOKEN || "";
+
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch (_) {
+      return null;
+    }
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  if (!chunks.length) return null;
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Compares digests so the check takes the same time whatever the submitted token is.
+function isAuthorized(req) {
+  const header = String(req.headers?.authorization || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+// Listing entries leave the payload out; moderators only need what is shown in the library.
+function summarizeBeat(beat) {
+  const { payload, ...rest } = toPublicBeat(beat);
+  return rest;
+}
+
+// Beats and songs share the queue and the actions; `kind` picks the library they apply to.
+const TARGETS = {
+  beat: {
+    label: "Beat",
+    indexKey: INDEX_KEY,
+    recordPrefix: BEAT_KEY_PREFIX,
+    read: readBeat,
+    write: writeBeat,
+    remove: removeBeat,
+    readSummaries: readBeatSummaries,
+    summarize: summarizeBeat,
+  },
+  song: {
+    label: "Song",
+    indexKey: SONG_INDEX_KEY,
+    recordPrefix: SONG_KEY_PREFIX,
+    read: readSong,
+    write: writeSong,
+    remove: removeSong,
+    readSummaries: readSongSummaries,
+    summarize: toSongSummary,
+  },
+};
+
+async function listReported(kind) {
+  const target = TARGETS[kind];
+  const ids = await readIndex(getReportedIndexKey(kind));
+  const reportsById = await readBeatReports(ids, kind);
+  const rawItems = await kvMGet(ids.map((id) => `${target.recordPrefix}${id}`));
+  return ids
+    .map((id, idx) => {
+      const item = parseStoredJson(rawItems[idx], null);
+      if (!item || typeof item !== "object" || !reportsById[id]) return null;
+      return { [kind]: target.summarize(item), report: reportsById[id] };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.report.count - a.report.count || (a.report.lastReportedAt < b.report.lastReportedAt ? 1 : -1));
+}
+
+async function listHidden(kind) {
+  const target = TARGETS[kind];
+  const ids = (await readIndex(target.indexKey)).slice(0, MAX_BEATS);
+  const hiddenIds = (await target.readSummaries(ids)).filter((summary) => summary?.hidden).map((summary) => summary.id);
+  const rawItems = await kvMGet(hiddenIds.map((id) => `${target.recordPrefix}${id}`));
+  const items = rawItems
+    .map((raw) => parseStoredJson(raw, null))
+    .filter((item) => item && typeof item === "object" && item.hidden);
+  const reportsById = await readBeatReports(items.map((item) => item.id), kind);
+  return items.map((item) => ({ [kind]: target.summarize(item), report: reportsById[item.id] || null }));
+}
+
+function parseKind(value) {
+  const kind = value === undefined ? "beat" : String(value);
+  return REPORT_KINDS.includes(kind) ? kind : null;
+}
+
+export default async function handler(req, res) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "Moderation not configured" });
+  if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+  if (!isKvReady()) {
+    return res.status(503).json({ error: "Beat library storage not configured", kv: kvConfigStatus() });
+  }
+
+  if (req.method === "GET") {
+    try {
+      const kind = parseKind(req.query?.kind);
+      if (!kind) return res.status(400).json({ error: "Unknown kind" });
+      const view = String(req.query?.view || "reported");
+      const items = view === "hidden" ? await listHidden(kind) : await listReported(kind);
+      return res.status(200).json({ items });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to load moderation queue", detail: String(err?.message || err) });
+    }
+  }
+
+  if (req.method === "POST") {
+    try {
+      const body = await readJsonBody(req);
+      const kind = parseKind(body?.kind);
+      if (!kind) return res.status(400).json({ error: "Unknown kind" });
+      const target = TARGETS[kind];
+      const id = String(body?.id || "");
+      const action = String(body?.action || "");
+      if (!ID_RE.test(id)) return res.status(400).json({ error: `Invalid ${target.label.toLowerCase()} id` });
+      if (!ACTIONS.includes(action)) return res.status(400).json({ error: "Unknown action" });
+      const item = await target.read(id);
+      if (!item) return res.status(404).json({ error: `${target.label} not found` });
+      const now = new Date().toISOString();
+
+      if (action === "delete") {
+        await target.remove(id);
+        return res.status(200).json({ id, deleted: true });
+      }
+
+      if (action === "dismiss") {
+        await clearBeatReports(id, kind);
+        return res.status(200).json({ [kind]: target.summarize(item) });
+      }
+
+      let nextItem = item;
+      if (action === "hide") {
+        nextItem = { ...item, hidden: true, hiddenReason: "moderator", hiddenAt: now };
+      } else if (action === "unhide") {
+        // Restoring a beat or song also clears its reports so they cannot hide it again.
+        const { hiddenReason, hiddenAt, ...rest } = item;
+        nextItem = { ...rest, hidden: false };
+        await clearBeatReports(id, kind);
+      } else {
+        // Songs have a style but no category.
+        nextItem = {
+          ...item,
+          ...(kind === "beat" && body?.category !== undefined ? { category: normalizeCategory(body.category) } : {}),
+          ...(body?.style !== undefined ? { style: normalizeStyle(body.style) } : {}),
+        };
+      }
+      nextItem.moderatedAt = now;
+      await target.write(nextItem);
+      return res.status(200).json({ [kind]: target.summarize(nextItem) });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to apply moderation action", detail: String(err?.message || err) });
+    }
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
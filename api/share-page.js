@@ -0,0 +1,98 @@
+import { isKvReady } from "./_kv.js";
+import { SHARE_ID_RE, readSharePayload } from "./_shareStore.js";
+import { PREVIEW_HEIGHT, PREVIEW_WIDTH, describeSharePayload } from "./_notationPreview.js";
+
+const SITE_NAME = "Online Drum Notation";
+const FALLBACK_DESCRIPTION = "Shared drum notation – open it to hear playback and edit the groove.";
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function getRequestOrigin(req) {
+  const proto = String(req.headers?.["x-forwarded-proto"] || "https").split(",")[0].trim();
+  const host = String(req.headers?.["x-forwarded-host"] || req.headers?.host || "onlinedrumnotation.com")
+    .split(",")[0]
+    .trim();
+  return `${proto}://${host}`;
+}
+
+function renderPage({ url, title, description, imageUrl }) {
+  const meta = [
+    ["property", "og:type", "website"],
+    ["property", "og:site_name", SITE_NAME],
+    ["property", "og:url", url],
+    ["property", "og:title", title],
+    ["property", "og:description", description],
+    ...(imageUrl
+      ? [
+          ["property", "og:image", imageUrl],
+          ["property", "og:image:width", String(PREVIEW_WIDTH)],
+          ["property", "og:image:height", String(PREVIEW_HEIGHT)],
+          ["name", "twitter:card", "summary_large_image"],
+          ["name", "twitter:image", imageUrl],
+        ]
+      : [["name", "twitter:card", "summary"]]),
+    ["name", "twitter:title", title],
+    ["name", "twitter:description", description],
+    ["name", "description", description],
+  ]
+    .map(([attr, key, value]) => `    <meta ${attr}="${key}" content="${escapeHtml(value)}" />`)
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)} | ${SITE_NAME}</title>
+${meta}
+    <link rel="canonical" href="${escapeHtml(url)}" />
+  </head>
+  <body>
+    <p><a href="${escapeHtml(url)}">${escapeHtml(title)}</a> – ${escapeHtml(description)}</p>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Link-unfurl page for `/g/:id`. `vercel.json` only routes known crawler user agents here;
+ * everyone else still gets the app shell.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const id = String(req.query?.id || "");
+  const origin = getRequestOrigin(req);
+  const url = `${origin}/g/${encodeURIComponent(id)}`;
+  let title = "Shared drum notation";
+  let description = FALLBACK_DESCRIPTION;
+  let imageUrl = "";
+  let status = 200;
+
+  if (!SHARE_ID_RE.test(id)) {
+    status = 404;
+  } else if (isKvReady()) {
+    try {
+      const { payload, status: readStatus } = await readSharePayload(id);
+      if (payload) {
+        ({ title, description } = describeSharePayload(payload));
+        imageUrl = `${origin}/api/share-preview?id=${encodeURIComponent(id)}`;
+      } else {
+        status = readStatus;
+      }
+    } catch (_) {
+      // unfurl with the generic card rather than an error page
+    }
+  }
+
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", status === 200 ? "public, max-age=3600, s-maxage=86400" : "no-store");
+  return res.status(status).send(renderPage({ url, title, description, imageUrl }));
+}
@@ -0,0 +1,40 @@
+import { Resvg } from "@resvg/resvg-js";
+import { isKvReady, kvConfigStatus } from "./_kv.js";
+import { SHARE_ID_RE, readSharePayload } from "./_shareStore.js";
+import { PREVIEW_WIDTH, renderSharePreviewSvg } from "./_notationPreview.js";
+
+const FORMATS = ["png", "svg"];
+// Share records never change, so crawlers and the CDN can keep previews for a long time.
+const CACHE_CONTROL = "public, max-age=86400, s-maxage=604800";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!isKvReady()) {
+    return res.status(503).json({ error: "Share storage not configured", kv: kvConfigStatus() });
+  }
+
+  try {
+    const id = String(req.query?.id || "");
+    if (!SHARE_ID_RE.test(id)) return res.status(400).json({ error: "Invalid share id" });
+    const format = String(req.query?.format || "png").toLowerCase();
+    if (!FORMATS.includes(format)) return res.status(400).json({ error: "Unsupported format" });
+
+    const { payload, status, error } = await readSharePayload(id);
+    if (!payload) return res.status(status).json({ error });
+
+    const svg = renderSharePreviewSvg(payload);
+    res.setHeader("Cache-Control", CACHE_CONTROL);
+    if (format === "svg") {
+      res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+      return res.status(200).send(svg);
+    }
+    const png = new Resvg(svg, { fitTo: { mode: "width", value: PREVIEW_WIDTH } }).render().asPng();
+    res.setHeader("Content-Type", "image/png");
+    return res.status(200).send(png);
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to render preview", detail: String(err?.message || err) });
+  }
+}
@@ -1,8 +1,9 @@
 import crypto from "node:crypto";
 import { isKvReady, kvConfigStatus, kvGet, kvSetJsonWithExpiry } from "./_kv.js";
+import { getShareKey } from "./_shareStore.js";
+import { SHARE_RECORD_VERSION, migrateSharePayload, validateSharePayload } from "../src/utils/payloadSchema.js";
 
 const SHARE_TTL_SECONDS = 60 * 60 * 24 * 365; // 1 year
-const MAX_PAYLOAD_BYTES = 120000;
 
 function makeId() {
   return crypto.randomBytes(6).toString("base64url");
@@ -38,19 +39,14 @@ export default async function handler(req, res) {
 
   try {
     const body = await readJsonBody(req);
-    const payload = body?.payload;
-    if (!payload || typeof payload !== "object") {
-      return res.status(400).json({ error: "Missing payload" });
-    }
-    const serialized = JSON.stringify(payload);
-    if (serialized.length > MAX_PAYLOAD_BYTES) {
-      return res.status(413).json({ error: "Payload too large" });
-    }
+    const payload = migrateSharePayload(body?.payload);
+    const invalid = validateSharePayload(payload);
+    if (invalid) return res.status(invalid.status).json({ error: invalid.error });
 
     let id = "";
     for (let i = 0; i < 6; i++) {
       const candidate = makeId();
-      const key = `share:${candidate}`;
+      const key = getShareKey(candidate);
       const exists = await kvGet(key);
       if (exists == null) {
         id = candidate;
@@ -60,8 +56,8 @@ export default async function handler(req, res) {
     if (!id) return res.status(500).json({ error: "Failed to allocate share id" });
 
     await kvSetJsonWithExpiry(
-      `share:${id}`,
-      { v: 1, payload, createdAt: new Date().toISOString() },
+      getShareKey(id),
+      { v: SHARE_RECORD_VERSION, payload, createdAt: new Date().toISOString() },
       SHARE_TTL_SECONDS
     );
     return res.status(200).json({ id });
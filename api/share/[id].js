@@ -1,6 +1,5 @@
-import { isKvReady, kvConfigStatus, kvGet } from "../_kv.js";
-
-const ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
+import { isKvReady, kvConfigStatus } from "../_kv.js";
+import { SHARE_ID_RE, readSharePayload } from "../_shareStore.js";
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
@@ -13,14 +12,10 @@ export default async function handler(req, res) {
 
   try {
     const id = String(req.query?.id || "");
-    if (!ID_RE.test(id)) return res.status(400).json({ error: "Invalid share id" });
-
-    const raw = await kvGet(`share:${id}`);
-    if (raw == null) return res.status(404).json({ error: "Share not found" });
+    if (!SHARE_ID_RE.test(id)) return res.status(400).json({ error: "Invalid share id" });
 
-    const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
-    const payload = parsed?.payload && typeof parsed.payload === "object" ? parsed.payload : null;
-    if (!payload) return res.status(404).json({ error: "Share payload missing" });
+    const { payload, status, error } = await readSharePayload(id);
+    if (!payload) return res.status(status).json({ error });
 
     return res.status(200).json({ id, payload });
   } catch (err) {
@@ -0,0 +1,132 @@
+import crypto from "node:crypto";
+import { isKvReady, kvConfigStatus } from "./_kv.js";
+import { MAX_BEATS, normalizeStyle, readIndex, writeIndex } from "./_beatStore.js";
+import { SONG_INDEX_KEY, readSong, readSongSummaries, toSongSummary, writeSong } from "./_songStore.js";
+import {
+  migrateArrangementPayload,
+  summarizeArrangementPayload,
+  validateArrangementPayload,
+} from "../src/utils/payloadSchema.js";
+import { decodeCursor, matchesSearch, paginateEntries, parseSearchTerms } from "./_listing.js";
+import { getClientFingerprint, isRateLimited } from "./_rateLimit.js";
+
+const PAGE_SIZE_DEFAULT = 30;
+const PAGE_SIZE_MAX = 100;
+const SORT_MODES = ["latest", "oldest"];
+const ID_RE = /^[A-Za-z0-9_-]{4,64}$/;
+const PUBLISH_RATE_LIMIT_WINDOW_SECONDS = 60 * 60;
+const PUBLISH_RATE_LIMIT_MAX_REQUESTS = 10;
+
+function normalizeText(value, maxLength = 120) {
+  return String(value || "").trim().slice(0, maxLength);
+}
+
+async function readBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch (_) {
+      return null;
+    }
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  if (!chunks.length) return null;
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+export default async function handler(req, res) {
+  if (!isKvReady()) {
+    return res.status(503).json({ error: "Song library storage not configured", kv: kvConfigStatus() });
+  }
+
+  if (req.method === "POST") {
+    try {
+      const body = await readBody(req);
+      const payload = migrateArrangementPayload(body?.payload);
+      const name = normalizeText(body?.name || payload?.titleLine1 || payload?.name);
+      if (!name) return res.status(400).json({ error: "Song name is required" });
+      const invalid = validateArrangementPayload(payload);
+      if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+      const limited = await isRateLimited("song-publish", getClientFingerprint(req), {
+        maxRequests: PUBLISH_RATE_LIMIT_MAX_REQUESTS,
+        windowSeconds: PUBLISH_RATE_LIMIT_WINDOW_SECONDS,
+      });
+      if (limited) return res.status(429).json({ error: "Too many songs published, try again later" });
+
+      const id = crypto.randomBytes(7).toString("base64url");
+      const song = {
+        id,
+        name,
+        titleLine1: normalizeText(payload.titleLine1),
+        titleLine2: normalizeText(payload.titleLine2),
+        composer: normalizeText(body?.composer || payload.composer),
+        style: normalizeStyle(body?.style),
+        ...summarizeArrangementPayload(payload),
+        createdAt: new Date().toISOString(),
+        source: "public",
+        payload,
+      };
+      await writeSong(song);
+      const existingIndex = await readIndex(SONG_INDEX_KEY);
+      await writeIndex([id, ...existingIndex.filter((x) => x !== id)], SONG_INDEX_KEY);
+
+      return res.status(200).json({ song: toSongSummary(song) });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to publish song", detail: String(err?.message || err) });
+    }
+  }
+
+  if (req.method === "GET") {
+    try {
+      // Full song (with the arrangement payload) for loading into the Arrangement window.
+      if (req.query?.id) {
+        const id = String(req.query.id);
+        if (!ID_RE.test(id)) return res.status(400).json({ error: "Invalid song id" });
+        const song = await readSong(id);
+        if (!song || song.hidden) {
+          return res.status(404).json({ error: "Song not found" });
+        }
+        return res.status(200).json({
+          song: { ...song, payload: migrateArrangementPayload(song.payload) ?? song.payload },
+        });
+      }
+
+      const sortRaw = String(req.query?.sort || "latest");
+      const sort = SORT_MODES.includes(sortRaw) ? sortRaw : "latest";
+      const styleFilter = String(req.query?.style || "").trim().toLowerCase();
+      const searchTerms = parseSearchTerms(req.query?.q);
+      const limit = Math.max(1, Math.min(PAGE_SIZE_MAX, Math.round(Number(req.query?.limit)) || PAGE_SIZE_DEFAULT));
+      const cursor = decodeCursor(req.query?.cursor);
+
+      const ids = (await readIndex(SONG_INDEX_KEY)).slice(0, MAX_BEATS);
+      const summaries = await readSongSummaries(ids);
+      const entries = [];
+      summaries.forEach((song) => {
+        if (!song || song.hidden) return;
+        if (styleFilter && String(song.style || "").toLowerCase() !== styleFilter) return;
+        const text = `${song.name || ""} ${song.titleLine1 || ""} ${song.titleLine2 || ""} ${song.composer || ""}`;
+        if (!matchesSearch(text, searchTerms)) return;
+        const time = new Date(song.createdAt || 0).getTime();
+        entries.push({ id: String(song.id || ""), k: Number.isFinite(time) ? time : 0, song });
+      });
+      const { page, nextCursor } = paginateEntries(entries, { sort, cursor, limit });
+
+      return res.status(200).json({
+        songs: page.map((entry) => entry.song),
+        nextCursor,
+        total: entries.length,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to load songs", detail: String(err?.message || err) });
+    }
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
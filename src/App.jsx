@@ -3,9 +3,92 @@ import { createPortal } from "react-dom";
 import { exportNotationPdf } from "./utils/exportNotationPdf";
 import { exportArrangementPdf } from "./utils/exportArrangementPdf";
 import { exportArrangementMidi, exportDrumMidi } from "./utils/exportMidi";
+import { exportArrangementMusicXml, exportDrumMusicXml } from "./utils/exportMusicXml";
+import { exportWav } from "./utils/exportWav";
 import { importDrumMidi } from "./utils/importMidi";
+import { importDrumMusicXml, readMusicXmlText } from "./utils/importMusicXml";
+import {
+  ARRANGEMENT_PAYLOAD_VERSION,
+  BEAT_PAYLOAD_VERSION,
+  migrateArrangementPayload,
+  migrateBeatPayload,
+} from "./utils/payloadSchema";
+import { decodeShareState, encodeShareState } from "./utils/shareEncoding";
+import { NOTATION_MAP } from "./utils/notationMap";
+import {
+  BACKUP_CONFLICT_MODES,
+  LOCAL_BEAT_LIBRARY_LIMIT,
+  buildLibraryBackup,
+  countBackupConflicts,
+  mergeFavoritePublicBeatIds,
+  mergeLibraryBackup,
+  mergePublicBeatEditTokens,
+  parseLibraryBackup,
+} from "./utils/libraryBackup";
+import {
+  SELECTION_TRANSFORMS,
+  invertRow,
+  retimeRow,
+  reverseRow,
+  rotateRow,
+  thinRow,
+} from "./utils/patternTransforms";
+import {
+  GROOVE_DENSITY_LEVELS,
+  GROOVE_GENERATOR_DEFAULTS,
+  GROOVE_STYLES,
+  generateGroove,
+  getGrooveInstrumentIds,
+  getGrooveTupletsByBar,
+  normalizeGrooveGeneratorSettings,
+} from "./utils/grooveGenerator";
+import {
+  FILL_CRASH_IDS,
+  FILL_GENERATOR_DEFAULTS,
+  FILL_LENGTHS,
+  FILL_SUBDIVISIONS,
+  getFillVoiceIds,
+  normalizeFillGeneratorSettings,
+  orchestrateFill,
+  planFillRhythm,
+} from "./utils/fillGenerator";
+import {
+  PAS_RUDIMENTS,
+  RUDIMENT_FAMILIES,
+  STICKING_DRILL_DEFAULTS,
+  buildRudimentBeat,
+  formatRudimentSticking,
+  normalizeStickingDrillSettings,
+  parseStickingPattern,
+} from "./utils/rudimentLibrary";
+import {
+  MAX_PERMUTATION_VARIATIONS,
+  PERMUTATION_EXERCISE_DEFAULTS,
+  PERMUTATION_MODES,
+  PERMUTATION_OUTPUTS,
+  buildPermutationVariations,
+  normalizePermutationSettings,
+  renderVariationBar,
+} from "./utils/permutationExercise";
 import QRCode from "qrcode";
 import { usePlayback } from "./audio/usePlayback";
+import { METRONOME_DEFAULTS, buildClickPattern } from "./audio/metronome";
+import {
+  SWING_MAX_PERCENT,
+  SWING_MIN_PERCENT,
+  applySwingToStepDurations,
+  getSwingMarkingText,
+  normalizeSwing,
+} from "./audio/swing";
+import { HUMANIZE_DEFAULTS, normalizeHumanizeSettings } from "./audio/humanize";
+import { normalizeMixerChannel, normalizeMixerSettings } from "./audio/mixer";
+import {
+  buildTempoCurve,
+  getTempoAtBarPosition,
+  getTempoRampMarkingText,
+  hasTempoRamp,
+  normalizeTempoBpm,
+} from "./audio/tempo";
 import * as Vex from "vexflow";
 import customSmuflFont from "./fonts/customSmuflFont.json";
 import { DndContext, PointerSensor, closestCenter, useSensor, useSensors } from "@dnd-kit/core";
@@ -109,14 +192,27 @@ const PRESET_LABELS = {
   ksh: "Minimal",
 };
 const USER_PRESETS_STORAGE_KEY = "drum-grid-user-presets-v1";
+const MIXER_SETTINGS_STORAGE_KEY = "drum-grid-mixer-settings-v1";
 const LOCAL_BEAT_LIBRARY_STORAGE_KEY = "drum-grid-local-beat-library-v1";
 const PUBLIC_SUBMIT_COMPOSER_STORAGE_KEY = "drum-grid-public-submit-composer-v1";
+// { [publicBeatId]: editToken } for beats submitted from this browser.
+const PUBLIC_BEAT_EDIT_TOKENS_STORAGE_KEY = "drum-grid-public-beat-edit-tokens-v1";
+const FAVORITE_PUBLIC_BEATS_STORAGE_KEY = "drum-grid-favorite-public-beats-v1";
 const SONG_ARRANGEMENT_STORAGE_KEY = "drum-grid-song-arrangement-v1";
 const SONG_ARRANGEMENT_LIBRARY_STORAGE_KEY = "drum-grid-song-arrangement-library-v1";
 const LAST_USED_ARRANGEMENT_ID_STORAGE_KEY = "drum-grid-last-used-arrangement-id-v1";
 const ARRANGEMENT_BOUNDARY_COMP_SCALE_STORAGE_KEY = "drum-grid-arrangement-boundary-comp-scale-v1";
 const ARRANGEMENT_ADAPTIVE_COMP_ENABLED_STORAGE_KEY = "drum-grid-arrangement-adaptive-comp-enabled-v1";
 const PLAYBACK_RATE_STORAGE_KEY = "drum-grid-playback-rate-v1";
+const METRONOME_ENABLED_STORAGE_KEY = "drum-grid-metronome-enabled-v1";
+const METRONOME_VOLUME_STORAGE_KEY = "drum-grid-metronome-volume-v1";
+const METRONOME_SUBDIVISIONS_STORAGE_KEY = "drum-grid-metronome-subdivisions-v1";
+const METRONOME_COUNT_IN_BARS_STORAGE_KEY = "drum-grid-metronome-count-in-bars-v1";
+const HUMANIZE_SETTINGS_STORAGE_KEY = "drum-grid-humanize-settings-v1";
+const GROOVE_GENERATOR_STORAGE_KEY = "drum-grid-groove-generator-v1";
+const FILL_GENERATOR_STORAGE_KEY = "drum-grid-fill-generator-v1";
+const STICKING_DRILL_STORAGE_KEY = "drum-grid-sticking-drill-v1";
+const PERMUTATION_EXERCISE_STORAGE_KEY = "drum-grid-permutation-exercise-v1";
 const MIDI_IMPORT_SNARE_GHOST_MAX_STORAGE_KEY = "drum-grid-midi-import-snare-ghost-max-v1";
 const MIDI_IMPORT_TOM_GHOST_MAX_STORAGE_KEY = "drum-grid-midi-import-tom-ghost-max-v1";
 const MIDI_IMPORT_HIHAT_GHOST_MAX_STORAGE_KEY = "drum-grid-midi-import-hihat-ghost-max-v1";
@@ -145,6 +241,41 @@ const ARRANGEMENT_TITLE_LINE1_STORAGE_KEY = "drum-grid-arrangement-title-line1-v
 const ARRANGEMENT_TITLE_LINE2_STORAGE_KEY = "drum-grid-arrangement-title-line2-v1";
 const ARRANGEMENT_COMPOSER_STORAGE_KEY = "drum-grid-arrangement-composer-v1";
 const PREFERENCES_CATEGORY_STORAGE_KEY = "drum-grid-preferences-category-v1";
+// Settings carried by library backups; restored values apply on the next load. Edit tokens and
+// favorite public beats are the exception: they are merged into the current ones right away.
+const BACKUP_PREFERENCE_STORAGE_KEYS = [
+  MIXER_SETTINGS_STORAGE_KEY,
+  PUBLIC_SUBMIT_COMPOSER_STORAGE_KEY,
+  PUBLIC_BEAT_EDIT_TOKENS_STORAGE_KEY,
+  FAVORITE_PUBLIC_BEATS_STORAGE_KEY,
+  ARRANGEMENT_BOUNDARY_COMP_SCALE_STORAGE_KEY,
+  ARRANGEMENT_ADAPTIVE_COMP_ENABLED_STORAGE_KEY,
+  PLAYBACK_RATE_STORAGE_KEY,
+  METRONOME_ENABLED_STORAGE_KEY,
+  METRONOME_VOLUME_STORAGE_KEY,
+  METRONOME_SUBDIVISIONS_STORAGE_KEY,
+  METRONOME_COUNT_IN_BARS_STORAGE_KEY,
+  HUMANIZE_SETTINGS_STORAGE_KEY,
+  GROOVE_GENERATOR_STORAGE_KEY,
+  FILL_GENERATOR_STORAGE_KEY,
+  STICKING_DRILL_STORAGE_KEY,
+  PERMUTATION_EXERCISE_STORAGE_KEY,
+  MIDI_IMPORT_SNARE_GHOST_MAX_STORAGE_KEY,
+  MIDI_IMPORT_TOM_GHOST_MAX_STORAGE_KEY,
+  MIDI_IMPORT_HIHAT_GHOST_MAX_STORAGE_KEY,
+  ARRANGEMENT_NOTATION_PAGE_MODE_STORAGE_KEY,
+  STICKING_GUIDE_ENABLED_STORAGE_KEY,
+  STICKING_HANDEDNESS_STORAGE_KEY,
+  STICKING_LEAD_HAND_STORAGE_KEY,
+  STICKING_KEEP_QUARTER_LEAD_HAND_STORAGE_KEY,
+  SHOW_EDITED_STICKING_STORAGE_KEY,
+  SHOW_NOTATION_STICKING_STORAGE_KEY,
+  NOTATION_STICKING_VIEW_STORAGE_KEY,
+  ARRANGEMENT_NOTATION_BARS_PER_ROW_STORAGE_KEY,
+  ARRANGEMENT_NOTATION_DYNAMIC_SPACING_STORAGE_KEY,
+  ARRANGEMENT_NOTATION_SCROLL_ROWS_STORAGE_KEY,
+  ARRANGEMENT_NOTATION_THEME_STORAGE_KEY,
+];
 const BEAT_CATEGORY_OPTIONS = [
   "Groove",
   "Fill",
@@ -163,7 +294,30 @@ const CELL = {
   ON: "on",
   GHOST: "ghost",
   ACCENT: "accent",
+  FLAM: "flam",
+  DRAG: "drag",
+  BUZZ: "buzz",
+};
+
+// Codes used in the [idx, code] tuples of beat payload grids.
+const CELL_CODE = {
+  [CELL.ON]: 1,
+  [CELL.GHOST]: 2,
+  [CELL.ACCENT]: 3,
+  [CELL.FLAM]: 4,
+  [CELL.DRAG]: 5,
+  [CELL.BUZZ]: 6,
 };
+const CELL_BY_CODE = Object.fromEntries(Object.entries(CELL_CODE).map(([cell, code]) => [code, cell]));
+const RUDIMENT_CELLS = new Set([CELL.FLAM, CELL.DRAG, CELL.BUZZ]);
+
+// Merge priority when two hits land on the same cell; rudiments count as regular hits.
+function getCellRank(v) {
+  if (v === CELL.ACCENT) return 3;
+  if (v === CELL.ON || RUDIMENT_CELLS.has(v)) return 2;
+  if (v === CELL.GHOST) return 1;
+  return 0;
+}
 
 const GHOST_NOTATION_ENABLED = new Set(["snare", "tom1", "tom2", "floorTom", "hihat"]);
 
@@ -178,7 +332,15 @@ const LIBRARY_SORT_MODES = [
   { id: "oldest", label: "Upload date: oldest" },
   { id: "bpm-asc", label: "BPM: low to high" },
   { id: "bpm-desc", label: "BPM: high to low" },
+  { id: "most-liked", label: "Most liked" },
+  { id: "most-played", label: "Most played" },
 ];
+const PUBLIC_LIBRARY_PAGE_SIZE = 30;
+const PUBLIC_LIBRARY_FETCH_DEBOUNCE_MS = 250;
+// The server answers at most this many ids per `?ids=` lookup.
+const PUBLIC_LIBRARY_LOOKUP_MAX_IDS = 100;
+// Longer `?s=` links get swapped for an `/api/share` short link; many chat apps truncate past this.
+const SHARE_URL_MAX_LENGTH = 2000;
 const LIBRARY_BPM_FILTER_MODES = [
   { id: "any", label: "Any BPM" },
   { id: "exact", label: "Exact BPM" },
@@ -342,55 +504,18 @@ const TUPLET_COLOR_CLASS = {
   9: "bg-fuchsia-700/25",
 };
 
-function encodeBase64UrlUtf8(input) {
-  try {
-    const bytes = new TextEncoder().encode(input);
-    let binary = "";
-    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
-    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
-  } catch (_) {
-    return "";
-  }
-}
-
-function decodeBase64UrlUtf8(input) {
-  try {
-    const padded = `${input}`.replace(/-/g, "+").replace(/_/g, "/");
-    const base64 = padded + "===".slice((padded.length + 3) % 4);
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-    return new TextDecoder().decode(bytes);
-  } catch (_) {
-    return null;
-  }
-}
-
-function encodeShareState(state) {
-  try {
-    return encodeBase64UrlUtf8(JSON.stringify(state));
-  } catch (_) {
-    return "";
-  }
-}
-
-function decodeShareState(raw) {
-  if (!raw) return null;
-  const json = decodeBase64UrlUtf8(raw);
-  if (!json) return null;
-  try {
-    return JSON.parse(json);
-  } catch (_) {
-    return null;
-  }
-}
-
 function clampPlaybackRate(value) {
   const n = Number(value);
   if (!Number.isFinite(n)) return 1;
   return Math.max(0.5, Math.min(2, Math.round(n * 100) / 100));
 }
 
+function formatArrangementRowTempo(rowBpm, tempoCurve) {
+  if (!Number.isFinite(rowBpm)) return "";
+  if (!hasTempoRamp(tempoCurve)) return `${rowBpm} BPM`;
+  return `${rowBpm}→${Math.round(tempoCurve.endBpm)} BPM`;
+}
+
 function normalizeArrangementItems(items) {
   if (!Array.isArray(items)) return [];
   const normalizeSpacingPreset = (raw) => {
@@ -409,6 +534,11 @@ function normalizeArrangementItems(items) {
     if (rounded >= 4) return 4;
     return 2;
   };
+  const normalizeTempoRampBars = (raw) => {
+    if (raw == null || raw === "") return null;
+    const value = Math.round(Number(raw));
+    return Number.isFinite(value) && value > 0 ? Math.min(256, value) : null;
+  };
   return items
     .map((item) => ({
       id: String(item?.id || ""),
@@ -431,6 +561,9 @@ function normalizeArrangementItems(items) {
       notationBarsPerRowCustom: Boolean(item?.notationBarsPerRowCustom),
       notationBarsPerRowOverride: normalizeBarsPerRowOverride(item?.notationBarsPerRowOverride),
       notationSpacingPreset: normalizeSpacingPreset(item?.notationSpacingPreset),
+      tempoOverride: normalizeTempoBpm(item?.tempoOverride),
+      tempoRampToBpm: normalizeTempoBpm(item?.tempoRampToBpm),
+      tempoRampBars: normalizeTempoRampBars(item?.tempoRampBars),
     }))
     .filter((item) => item.id && item.beatId);
 }
@@ -721,8 +854,31 @@ function buildTupletOverridesByBar(barCount, quarterCount) {
   return Array.from({ length: Math.max(1, barCount) }, () => buildTupletOverrides(quarterCount));
 }
 
-function buildNotationStateFromPayload(payload) {
-  if (!payload || typeof payload !== "object") return null;
+function normalizeTimeSig(raw, fallback = { n: 4, d: 4 }) {
+  const n = Math.round(Number(raw?.n));
+  const d = Math.round(Number(raw?.d));
+  if (!Number.isFinite(n) || n < 1 || !Number.isFinite(d) || d < 1) return fallback;
+  return { n, d };
+}
+
+function isSameTimeSig(a, b) {
+  return Number(a?.n) === Number(b?.n) && Number(a?.d) === Number(b?.d);
+}
+
+// One meter per bar; bars without an explicit entry inherit the beat-level timeSig.
+function resolveTimeSigByBar(rawByBar, bars, timeSig) {
+  return Array.from({ length: Math.max(1, bars) }, (_, barIdx) =>
+    normalizeTimeSig(Array.isArray(rawByBar) ? rawByBar[barIdx] : null, timeSig)
+  );
+}
+
+function hasTimeSigChanges(timeSigByBar) {
+  return Array.isArray(timeSigByBar) && timeSigByBar.some((ts) => !isSameTimeSig(ts, timeSigByBar[0]));
+}
+
+function buildNotationStateFromPayload(rawPayload) {
+  const payload = migrateBeatPayload(rawPayload);
+  if (!payload) return null;
   const bars = Math.max(1, Math.min(64, Number(payload.bars) || 1));
   const rawRes = Number(payload.resolution);
   const resolution = [4, 8, 16, 32].includes(rawRes) ? rawRes : 8;
@@ -731,16 +887,15 @@ function buildNotationStateFromPayload(payload) {
     n: Math.max(1, Number(rawTs.n) || 4),
     d: Math.max(1, Number(rawTs.d) || 4),
   };
-  const quarterCount = getQuarterBeatsPerBar(timeSig);
-  const baseSubdiv = getBaseSubdivPerQuarter(resolution, timeSig);
+  const timeSigByBar = resolveTimeSigByBar(payload.timeSigByBar, bars, timeSig);
   const tupletsByBar = Array.from({ length: bars }, (_, barIdx) =>
-    Array.from({ length: quarterCount }, (_, qIdx) => {
+    Array.from({ length: getQuarterBeatsPerBar(timeSigByBar[barIdx]) }, (_, qIdx) => {
       const raw = payload.tupletsByBar?.[barIdx]?.[qIdx];
       return clampTupletValue(raw) ?? null;
     })
   );
-  const quarterSubdivisionsByBar = tupletsByBar.map((row) =>
-    resolveQuarterSubdivisions(row, baseSubdiv)
+  const quarterSubdivisionsByBar = tupletsByBar.map((row, barIdx) =>
+    resolveQuarterSubdivisions(row, getBaseSubdivPerQuarter(resolution, timeSigByBar[barIdx]))
   );
   const barStepOffsets = [0];
   for (let b = 0; b < bars; b++) {
@@ -766,7 +921,7 @@ function buildNotationStateFromPayload(payload) {
         if (!Number.isFinite(idx)) return;
         if (idx < 0 || idx >= columns) return;
         const valRaw = Number(Array.isArray(event) ? event[1] : 1);
-        row[idx] = valRaw === 3 ? CELL.ACCENT : valRaw === 2 ? CELL.GHOST : CELL.ON;
+        row[idx] = CELL_BY_CODE[valRaw] || CELL.ON;
       });
     }
     grid[inst.id] = row;
@@ -778,13 +933,15 @@ function buildNotationStateFromPayload(payload) {
     bars,
     barsPerLine: Math.max(1, Math.min(4, bars)),
     timeSig,
+    timeSigByBar,
     quarterSubdivisionsByBar,
     barStepOffsets,
   };
 }
 
-function getBarIndexForStepFromPayload(payload, stepIndex) {
-  if (!payload || typeof payload !== "object") return 0;
+function getBarIndexForStepFromPayload(rawPayload, stepIndex) {
+  const payload = migrateBeatPayload(rawPayload);
+  if (!payload) return 0;
   const bars = Math.max(1, Math.min(64, Number(payload.bars) || 1));
   const rawRes = Number(payload.resolution);
   const resolution = [4, 8, 16, 32].includes(rawRes) ? rawRes : 8;
@@ -793,16 +950,15 @@ function getBarIndexForStepFromPayload(payload, stepIndex) {
     n: Math.max(1, Number(rawTs.n) || 4),
     d: Math.max(1, Number(rawTs.d) || 4),
   };
-  const quarterCount = getQuarterBeatsPerBar(timeSig);
-  const baseSubdiv = getBaseSubdivPerQuarter(resolution, timeSig);
+  const timeSigByBar = resolveTimeSigByBar(payload.timeSigByBar, bars, timeSig);
   const tupletsByBar = Array.from({ length: bars }, (_, barIdx) =>
-    Array.from({ length: quarterCount }, (_, qIdx) => {
+    Array.from({ length: getQuarterBeatsPerBar(timeSigByBar[barIdx]) }, (_, qIdx) => {
       const raw = payload.tupletsByBar?.[barIdx]?.[qIdx];
       return clampTupletValue(raw) ?? null;
     })
   );
-  const quarterSubdivisionsByBar = tupletsByBar.map((row) =>
-    resolveQuarterSubdivisions(row, baseSubdiv)
+  const quarterSubdivisionsByBar = tupletsByBar.map((row, barIdx) =>
+    resolveQuarterSubdivisions(row, getBaseSubdivPerQuarter(resolution, timeSigByBar[barIdx]))
   );
   const barStepOffsets = [0];
   for (let b = 0; b < bars; b++) {
@@ -821,15 +977,18 @@ function getBarIndexForStepFromPayload(payload, stepIndex) {
   return Math.max(0, bars - 1);
 }
 
+// Step lengths in quarter notes, using each bar's own beat unit.
 function buildStepQuarterDurationsFromNotationState(state) {
   if (!state || typeof state !== "object") return [];
   const byBar = Array.isArray(state.quarterSubdivisionsByBar) ? state.quarterSubdivisionsByBar : [];
   const out = [];
-  byBar.forEach((row) => {
+  byBar.forEach((row, barIdx) => {
+    const barTimeSig = state.timeSigByBar?.[barIdx] || state.timeSig;
+    const beatUnitQuarterLength = 4 / Math.max(1, Number(barTimeSig?.d) || 4);
     const quarterRow = Array.isArray(row) ? row : [];
     quarterRow.forEach((subdivRaw) => {
       const subdiv = Math.max(1, Number(subdivRaw) || 1);
-      for (let i = 0; i < subdiv; i++) out.push(1 / subdiv);
+      for (let i = 0; i < subdiv; i++) out.push(beatUnitQuarterLength / subdiv);
     });
   });
   return out;
@@ -841,10 +1000,13 @@ function expandNotationStateForRepeats(state, repeats) {
   const baseBars = Math.max(1, Number(state.bars) || 1);
   const baseColumns = Math.max(0, Number(state.barStepOffsets?.[baseBars] ?? 0));
   const quarterSubdivisionsByBar = [];
+  const timeSigByBar = [];
+  const baseTimeSigByBar = resolveTimeSigByBar(state.timeSigByBar, baseBars, state.timeSig);
   for (let i = 0; i < count; i++) {
     (state.quarterSubdivisionsByBar || []).forEach((row) => {
       quarterSubdivisionsByBar.push(Array.isArray(row) ? [...row] : []);
     });
+    timeSigByBar.push(...baseTimeSigByBar);
   }
   const barStepOffsets = [0];
   for (let b = 0; b < quarterSubdivisionsByBar.length; b++) {
@@ -871,6 +1033,7 @@ function expandNotationStateForRepeats(state, repeats) {
     grid,
     bars: baseBars * count,
     barsPerLine: Math.max(1, Math.min(4, baseBars * count)),
+    timeSigByBar,
     quarterSubdivisionsByBar,
     barStepOffsets,
   };
@@ -896,10 +1059,12 @@ function mergeNotationStates(states) {
 
   const bars = valid.reduce((sum, s) => sum + Math.max(1, Number(s.bars) || 1), 0);
   const quarterSubdivisionsByBar = [];
+  const timeSigByBar = [];
   valid.forEach((s) => {
     (s.quarterSubdivisionsByBar || []).forEach((row) => {
       quarterSubdivisionsByBar.push(Array.isArray(row) ? [...row] : []);
     });
+    timeSigByBar.push(...resolveTimeSigByBar(s.timeSigByBar, Math.max(1, Number(s.bars) || 1), s.timeSig));
   });
   const barStepOffsets = [0];
   for (let b = 0; b < quarterSubdivisionsByBar.length; b++) {
@@ -941,6 +1106,7 @@ function mergeNotationStates(states) {
     bars,
     barsPerLine: 4,
     timeSig: valid[0].timeSig,
+    timeSigByBar,
     quarterSubdivisionsByBar,
     barStepOffsets,
   };
@@ -958,6 +1124,7 @@ function sliceNotationStateByBars(state, startBar, barCount) {
   const quarterSubdivisionsByBar = Array.isArray(state.quarterSubdivisionsByBar)
     ? state.quarterSubdivisionsByBar.slice(safeStartBar, safeEndBar).map((row) => (Array.isArray(row) ? [...row] : []))
     : [];
+  const timeSigByBar = resolveTimeSigByBar(state.timeSigByBar, bars, state.timeSig).slice(safeStartBar, safeEndBar);
   const barStepOffsets = [0];
   for (let b = 0; b < quarterSubdivisionsByBar.length; b++) {
     const stepsInBar = quarterSubdivisionsByBar[b].reduce(
@@ -980,6 +1147,8 @@ function sliceNotationStateByBars(state, startBar, barCount) {
     grid,
     bars: nextBars,
     barsPerLine: Math.max(1, Math.min(4, nextBars)),
+    timeSig: timeSigByBar[0] || state.timeSig,
+    timeSigByBar,
     quarterSubdivisionsByBar,
     barStepOffsets,
   };
@@ -1314,10 +1483,22 @@ const CELL_COLOR = {
   [CELL.ON]: "bg-[#00b3ba]",
   [CELL.GHOST]: "bg-[#00b3ba]/35",
   [CELL.ACCENT]: "bg-[#00b3ba]",
+  [CELL.FLAM]: "bg-[#00b3ba]",
+  [CELL.DRAG]: "bg-[#00b3ba]",
+  [CELL.BUZZ]: "bg-[#00b3ba]/70",
+};
+
+// Small glyph drawn in rudiment cells so they read differently from plain hits.
+const CELL_GLYPH = {
+  [CELL.FLAM]: "fl",
+  [CELL.DRAG]: "dr",
+  [CELL.BUZZ]: "z",
 };
 
 // Ghost note support (MVP)
 const GHOST_ENABLED = new Set(["snare", "tom1", "tom2", "floorTom", "hihat"]);
+// Flam / drag / buzz roll support
+const RUDIMENT_ENABLED = new Set(["snare", "tom1", "tom2", "floorTom"]);
 const FOOT_INSTRUMENTS = new Set(["kick", "hihatFoot"]);
 const INSTRUMENT_HAND_POSITION = {
   splash: 0.8,
@@ -1341,29 +1522,14 @@ function getHandPositionForInstrument(instId, handedness) {
   return handedness === "left" ? 4 - base : base;
 }
 
-// NOTE: mapping is a starting point; we'll refine staff positions later.
-const NOTATION_MAP = {
-  kick: { key: "f/4" },
-  snare: { key: "c/5" },
-  sideStick: { key: "c/5/x2", x: true },
-
-  // Cymbals / hats use X noteheads
-  hihat: { key: "g/5/x2", x: true },
-  hihatOpen: { key: "g/5/x3", x: true, open: true },
-  hihatFoot: { key: "d/4/x2", x: true },
-  ride: { key: "f/5/x2", x: true },
-  rideBell: { key: "f/5/d2", diamond: true },
-  crash1: { key: "a/5/x2", x: true },
-  crash2: { key: "b/5/x2", x: true },
-  china: { key: "a/5/x3", x: true },
-  splash: { key: "c/6/x2", x: true },
-  cowbell: { key: "e/5/t2", triangle: true },
-
-  // Toms
-  tom2: { key: "d/5" },
-  tom1: { key: "e/5" },
-  floorTom: { key: "a/4" },
-};
+const MUSICXML_FILE_PATTERN = /\.(musicxml|xml|mxl)$/i;
+
+// Pending import prompts keep the file's format so every re-run goes through the same importer.
+function importDrumFile({ format, ...options }) {
+  return format === "musicxml"
+    ? importDrumMusicXml({ ...options, notationMap: NOTATION_MAP })
+    : importDrumMidi(options);
+}
 
 export default function App() {
   const [routeOptions] = useState(() => {
@@ -1375,17 +1541,25 @@ export default function App() {
     const pathname = window.location.pathname || "/";
     const shareMatch = pathname.match(/^\/g\/([A-Za-z0-9_-]{4,64})\/?$/);
     const shareId = shareMatch ? shareMatch[1] : "";
-    return { embed, exampleId, shared, shareId };
+    const embedView = (params.get("view") || "").toLowerCase() === "grid" ? "grid" : "notation";
+    return { embed, exampleId, shared, shareId, embedView };
   });
   const isEmbedMode = routeOptions.embed;
+  const [embedView, setEmbedView] = useState(routeOptions.embedView);
   const requestedExample = React.useMemo(() => {
     if (!routeOptions.exampleId) return null;
     return EMBED_EXAMPLES[routeOptions.exampleId] || null;
   }, [routeOptions.exampleId]);
-  const requestedSharedState = React.useMemo(
-    () => decodeShareState(routeOptions.shared),
-    [routeOptions.shared]
-  );
+  const [requestedSharedState, setRequestedSharedState] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    decodeShareState(routeOptions.shared).then((state) => {
+      if (!cancelled) setRequestedSharedState(state);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [routeOptions.shared]);
   const [resolvedSharedState, setResolvedSharedState] = useState(() => {
     const preloadedId = window.__DG_PRELOADED_SHARE_ID;
     const preloadedPayload = window.__DG_PRELOADED_SHARE_PAYLOAD;
@@ -1410,7 +1584,12 @@ export default function App() {
   const [isPrintDialogOpen, setIsPrintDialogOpen] = useState(false);
   const [isArrangementPrintDialogOpen, setIsArrangementPrintDialogOpen] = useState(false);
   const [isMidiDialogOpen, setIsMidiDialogOpen] = useState(false);
+  const [midiExportBakeHumanize, setMidiExportBakeHumanize] = useState(false);
   const [midiExportMode, setMidiExportMode] = useState("beat");
+  const [midiExportFormat, setMidiExportFormat] = useState("midi");
+  const [audioExportLoops, setAudioExportLoops] = useState(4);
+  const [audioExportIncludeClick, setAudioExportIncludeClick] = useState(false);
+  const [isAudioExporting, setIsAudioExporting] = useState(false);
   const [pendingMidiImportMapping, setPendingMidiImportMapping] = useState(null);
   const [pendingMidiTempoPrompt, setPendingMidiTempoPrompt] = useState(null);
   const [pendingMidiSplitPrompt, setPendingMidiSplitPrompt] = useState(null);
@@ -1426,6 +1605,11 @@ export default function App() {
     }
   });
   const [showPrefsPlaybackInfo, setShowPrefsPlaybackInfo] = useState(false);
+  // Parsed backup waiting for the merge/replace choice: { backup, fileName, mode, conflict, includePreferences }.
+  const [pendingLibraryRestore, setPendingLibraryRestore] = useState(null);
+  const [libraryBackupStatus, setLibraryBackupStatus] = useState("");
+  const [libraryBackupNeedsReload, setLibraryBackupNeedsReload] = useState(false);
+  const libraryBackupInputRef = useRef(null);
   const [legalTab, setLegalTab] = useState("impressum"); // impressum | privacy
   const [showLegalEmail, setShowLegalEmail] = useState(false);
   const [arrangementBoundaryCompScale, setArrangementBoundaryCompScale] = useState(() => {
@@ -1630,7 +1814,7 @@ export default function App() {
   const [arrangementNotationPos, setArrangementNotationPos] = useState({ x: 56, y: 128 });
   const [isPublicSubmitDialogOpen, setIsPublicSubmitDialogOpen] = useState(false);
   const [beatLibraryPos, setBeatLibraryPos] = useState({ x: 56, y: 80 });
-  const [beatLibraryTab, setBeatLibraryTab] = useState("local"); // local | public
+  const [beatLibraryTab, setBeatLibraryTab] = useState("local"); // local | public | mine | rudiments
   const [loadedLocalBeatId, setLoadedLocalBeatId] = useState(null);
   const [arrangementSourceTab, setArrangementSourceTab] = useState("local"); // local | public
   const [arrangementSourcesCollapsed, setArrangementSourcesCollapsed] = useState(false);
@@ -1696,6 +1880,16 @@ export default function App() {
     }
   });
   const [arrangementSaveAsOpen, setArrangementSaveAsOpen] = useState(false);
+  const [isSongLibraryOpen, setIsSongLibraryOpen] = useState(false);
+  const [publicSongs, setPublicSongs] = useState([]);
+  const [publicSongsNextCursor, setPublicSongsNextCursor] = useState(null);
+  const [publicSongsLoading, setPublicSongsLoading] = useState(false);
+  const [songLibraryError, setSongLibraryError] = useState("");
+  const [songLibraryStyleFilter, setSongLibraryStyleFilter] = useState("all");
+  const [songLibrarySearchQuery, setSongLibrarySearchQuery] = useState("");
+  const [songPublishStyle, setSongPublishStyle] = useState("all");
+  const [loadingPublicSongId, setLoadingPublicSongId] = useState(null);
+  const publicSongsRequestRef = useRef(0);
   const [arrangementTitleMenuOpen, setArrangementTitleMenuOpen] = useState(false);
   const [arrangementTitleMenuPosition, setArrangementTitleMenuPosition] = useState({ top: 0, left: 0 });
   const [arrangementGlobalSettingsMenuOpen, setArrangementGlobalSettingsMenuOpen] = useState(false);
@@ -1718,6 +1912,17 @@ export default function App() {
       return "";
     }
   });
+  const [publicBeatEditTokens, setPublicBeatEditTokens] = useState(() => {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(PUBLIC_BEAT_EDIT_TOKENS_STORAGE_KEY) || "{}");
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+      return Object.fromEntries(
+        Object.entries(parsed).filter(([id, token]) => id && typeof token === "string" && token)
+      );
+    } catch (_) {
+      return {};
+    }
+  });
   const [beatCategoryDraft, setBeatCategoryDraft] = useState("all");
   const [beatStyleDraft, setBeatStyleDraft] = useState("all");
   const [librarySort, setLibrarySort] = useState("oldest"); // latest | oldest
@@ -1737,6 +1942,27 @@ export default function App() {
   const [localBeatPast, setLocalBeatPast] = useState([]);
   const [localBeatFuture, setLocalBeatFuture] = useState([]);
   const [publicBeats, setPublicBeats] = useState([]);
+  // Every public beat seen so far (pages and direct lookups), so arrangement rows keep resolving.
+  const [publicBeatsById, setPublicBeatsById] = useState({});
+  const [publicLibraryNextCursor, setPublicLibraryNextCursor] = useState(null);
+  const [librarySearchQuery, setLibrarySearchQuery] = useState("");
+  const [favoritePublicBeatIds, setFavoritePublicBeatIds] = useState(() => {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(FAVORITE_PUBLIC_BEATS_STORAGE_KEY) || "[]");
+      return Array.isArray(parsed) ? parsed.map((id) => String(id || "")).filter(Boolean) : [];
+    } catch (_) {
+      return [];
+    }
+  });
+  const [libraryFavoritesOnly, setLibraryFavoritesOnly] = useState(false);
+  const [reportedPublicBeatIds, setReportedPublicBeatIds] = useState([]);
+  const [reportedPublicSongIds, setReportedPublicSongIds] = useState([]);
+  const [mySubmissionsLoading, setMySubmissionsLoading] = useState(false);
+  // Own submissions the server no longer returns (hidden by moderation or removed).
+  const [mySubmissionsMissingIds, setMySubmissionsMissingIds] = useState([]);
+  const pendingPublicPlayBeatIdRef = useRef(null);
+  const publicLibraryRequestRef = useRef(0);
+  const publicBeatLookupAttemptedRef = useRef(new Set());
   const [publicLibraryLoading, setPublicLibraryLoading] = useState(false);
   const [publicLibraryError, setPublicLibraryError] = useState("");
   const [libraryFiltersOpen, setLibraryFiltersOpen] = useState(false);
@@ -1757,6 +1983,22 @@ export default function App() {
       return [];
     }
   });
+  const [mixerSettingsByPreset, setMixerSettingsByPreset] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(MIXER_SETTINGS_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+      const out = {};
+      Object.entries(parsed).forEach(([presetKey, settings]) => {
+        const normalized = normalizeMixerSettings(settings);
+        if (Object.keys(normalized).length) out[presetKey] = normalized;
+      });
+      return out;
+    } catch (_) {
+      return {};
+    }
+  });
+  const [isMixerDialogOpen, setIsMixerDialogOpen] = useState(false);
   const [modifiedPresetBase, setModifiedPresetBase] = useState(null); // built-in/user preset name for "preset*" variants
   const [isSaveAsDialogOpen, setIsSaveAsDialogOpen] = useState(false);
   const [saveAsName, setSaveAsName] = useState("");
@@ -1771,8 +2013,11 @@ export default function App() {
   const [barsPerLine, setBarsPerLine] = useState(4);
   const [gridBarsPerLine, setGridBarsPerLine] = useState(4);
   const [layout, setLayout] = useState("grid-top");
-  const [activeTab, setActiveTab] = useState("none"); // none | timing | notation | selection
+  const [activeTab, setActiveTab] = useState("none"); // none | timing | notation | selection | generate
   const [timeSig, setTimeSig] = useState({ n: 4, d: 4 });
+  // Per-bar meter overrides; null entries follow `timeSig`.
+  const [timeSigOverridesByBar, setTimeSigOverridesByBar] = useState([]);
+  const [timeSigEditBar, setTimeSigEditBar] = useState("all"); // "all" | bar index
   const [keepTiming, setKeepTiming] = useState(true);
   const [playabilityWarningsEnabled, setPlayabilityWarningsEnabled] = useState(true);
   const [tupletOverridesByBar, setTupletOverridesByBar] = useState(() =>
@@ -1780,6 +2025,8 @@ export default function App() {
   );
 
   const [bpm, setBpm] = useState(120);
+  const [swingPercent, setSwingPercent] = useState(SWING_MIN_PERCENT);
+  const [swingUnit, setSwingUnit] = useState(8);
   const [midiImportSnareGhostMax, setMidiImportSnareGhostMax] = useState(() => {
     try {
       const raw = Number(window.localStorage.getItem(MIDI_IMPORT_SNARE_GHOST_MAX_STORAGE_KEY));
@@ -1835,6 +2082,87 @@ export default function App() {
       return 1;
     }
   });
+  const [metronomeEnabled, setMetronomeEnabled] = useState(() => {
+    try {
+      return window.localStorage.getItem(METRONOME_ENABLED_STORAGE_KEY) === "1";
+    } catch (_) {
+      return METRONOME_DEFAULTS.enabled;
+    }
+  });
+  const [metronomeVolume, setMetronomeVolume] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(METRONOME_VOLUME_STORAGE_KEY);
+      if (raw == null) return METRONOME_DEFAULTS.volume;
+      const n = Number(raw);
+      return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : METRONOME_DEFAULTS.volume;
+    } catch (_) {
+      return METRONOME_DEFAULTS.volume;
+    }
+  });
+  const [metronomeSubdivisions, setMetronomeSubdivisions] = useState(() => {
+    try {
+      return window.localStorage.getItem(METRONOME_SUBDIVISIONS_STORAGE_KEY) === "1";
+    } catch (_) {
+      return METRONOME_DEFAULTS.subdivisions;
+    }
+  });
+  const [metronomeCountInBars, setMetronomeCountInBars] = useState(() => {
+    try {
+      const n = Number(window.localStorage.getItem(METRONOME_COUNT_IN_BARS_STORAGE_KEY));
+      return [0, 1, 2].includes(n) ? n : METRONOME_DEFAULTS.countInBars;
+    } catch (_) {
+      return METRONOME_DEFAULTS.countInBars;
+    }
+  });
+  const [humanizeSettings, setHumanizeSettings] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(HUMANIZE_SETTINGS_STORAGE_KEY);
+      if (!raw) return { ...HUMANIZE_DEFAULTS };
+      return normalizeHumanizeSettings(JSON.parse(raw));
+    } catch (_) {
+      return { ...HUMANIZE_DEFAULTS };
+    }
+  });
+  const [grooveGeneratorSettings, setGrooveGeneratorSettings] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(GROOVE_GENERATOR_STORAGE_KEY);
+      if (!raw) return normalizeGrooveGeneratorSettings(GROOVE_GENERATOR_DEFAULTS);
+      return normalizeGrooveGeneratorSettings(JSON.parse(raw));
+    } catch (_) {
+      return normalizeGrooveGeneratorSettings(GROOVE_GENERATOR_DEFAULTS);
+    }
+  });
+  // Reroll count per instrument row since the last full generate; part of each row's seed.
+  const [grooveRowVariants, setGrooveRowVariants] = useState({});
+  const [fillGeneratorSettings, setFillGeneratorSettings] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(FILL_GENERATOR_STORAGE_KEY);
+      if (!raw) return normalizeFillGeneratorSettings(FILL_GENERATOR_DEFAULTS);
+      return normalizeFillGeneratorSettings(JSON.parse(raw));
+    } catch (_) {
+      return normalizeFillGeneratorSettings(FILL_GENERATOR_DEFAULTS);
+    }
+  });
+  const [fillGeneratorStatus, setFillGeneratorStatus] = useState("");
+  const [stickingDrillSettings, setStickingDrillSettings] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(STICKING_DRILL_STORAGE_KEY);
+      if (!raw) return normalizeStickingDrillSettings(STICKING_DRILL_DEFAULTS);
+      return normalizeStickingDrillSettings(JSON.parse(raw));
+    } catch (_) {
+      return normalizeStickingDrillSettings(STICKING_DRILL_DEFAULTS);
+    }
+  });
+  const [permutationSettings, setPermutationSettings] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(PERMUTATION_EXERCISE_STORAGE_KEY);
+      if (!raw) return normalizePermutationSettings(PERMUTATION_EXERCISE_DEFAULTS);
+      return normalizePermutationSettings(JSON.parse(raw));
+    } catch (_) {
+      return normalizePermutationSettings(PERMUTATION_EXERCISE_DEFAULTS);
+    }
+  });
+  const [permutationStatus, setPermutationStatus] = useState("");
   const [isBraveBrowser, setIsBraveBrowser] = useState(false);
   const [showBraveAudioNotice, setShowBraveAudioNotice] = useState(true);
   const [shareCopied, setShareCopied] = useState(false);
@@ -1984,6 +2312,16 @@ export default function App() {
       }
     } catch (_) {}
   }, [lockedPublicComposer]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(PUBLIC_BEAT_EDIT_TOKENS_STORAGE_KEY, JSON.stringify(publicBeatEditTokens));
+    } catch (_) {}
+  }, [publicBeatEditTokens]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(FAVORITE_PUBLIC_BEATS_STORAGE_KEY, JSON.stringify(favoritePublicBeatIds));
+    } catch (_) {}
+  }, [favoritePublicBeatIds]);
   useEffect(() => {
     try {
       window.localStorage.setItem(SONG_ARRANGEMENT_STORAGE_KEY, JSON.stringify(arrangementItems));
@@ -2316,6 +2654,66 @@ export default function App() {
       window.localStorage.setItem(PLAYBACK_RATE_STORAGE_KEY, String(playbackRate));
     } catch (_) {}
   }, [playbackRate]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(METRONOME_ENABLED_STORAGE_KEY, metronomeEnabled ? "1" : "0");
+    } catch (_) {}
+  }, [metronomeEnabled]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(METRONOME_VOLUME_STORAGE_KEY, String(metronomeVolume));
+    } catch (_) {}
+  }, [metronomeVolume]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(METRONOME_SUBDIVISIONS_STORAGE_KEY, metronomeSubdivisions ? "1" : "0");
+    } catch (_) {}
+  }, [metronomeSubdivisions]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(METRONOME_COUNT_IN_BARS_STORAGE_KEY, String(metronomeCountInBars));
+    } catch (_) {}
+  }, [metronomeCountInBars]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(HUMANIZE_SETTINGS_STORAGE_KEY, JSON.stringify(humanizeSettings));
+    } catch (_) {}
+  }, [humanizeSettings]);
+  const updateHumanizeSettings = React.useCallback((patch) => {
+    setHumanizeSettings((prev) => normalizeHumanizeSettings({ ...prev, ...patch }));
+  }, []);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(GROOVE_GENERATOR_STORAGE_KEY, JSON.stringify(grooveGeneratorSettings));
+    } catch (_) {}
+  }, [grooveGeneratorSettings]);
+  const updateGrooveGeneratorSettings = React.useCallback((patch) => {
+    setGrooveGeneratorSettings((prev) => normalizeGrooveGeneratorSettings({ ...prev, ...patch }));
+  }, []);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(FILL_GENERATOR_STORAGE_KEY, JSON.stringify(fillGeneratorSettings));
+    } catch (_) {}
+  }, [fillGeneratorSettings]);
+  const updateFillGeneratorSettings = React.useCallback((patch) => {
+    setFillGeneratorSettings((prev) => normalizeFillGeneratorSettings({ ...prev, ...patch }));
+  }, []);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STICKING_DRILL_STORAGE_KEY, JSON.stringify(stickingDrillSettings));
+    } catch (_) {}
+  }, [stickingDrillSettings]);
+  const updateStickingDrillSettings = React.useCallback((patch) => {
+    setStickingDrillSettings((prev) => normalizeStickingDrillSettings({ ...prev, ...patch }));
+  }, []);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(PERMUTATION_EXERCISE_STORAGE_KEY, JSON.stringify(permutationSettings));
+    } catch (_) {}
+  }, [permutationSettings]);
+  const updatePermutationSettings = React.useCallback((patch) => {
+    setPermutationSettings((prev) => normalizePermutationSettings({ ...prev, ...patch }));
+  }, []);
   useEffect(() => {
     try {
       window.localStorage.setItem(
@@ -2903,6 +3301,8 @@ useEffect(() => {
   const [loopOverlapMode, setLoopOverlapMode] = useState("all-to-all");
   const [loopRespectPlayability, setLoopRespectPlayability] = useState(true);
   const [moveOverrideBehavior, setMoveOverrideBehavior] = useState("temporary");
+  const [selectionRotateSteps, setSelectionRotateSteps] = useState(1);
+  const [selectionThinEvery, setSelectionThinEvery] = useState(2);
   const lastNonAllLoopRepeats = React.useRef("1");
   const lastNonOffGlobalTupletRef = React.useRef(3);
   React.useEffect(() => {
@@ -3018,22 +3418,29 @@ useEffect(() => {
     return () => window.removeEventListener("keydown", onKeyDown);
   }, [isPrintDialogOpen]);
 
-  const quarterBeatsPerBar = getQuarterBeatsPerBar(timeSig);
-  const baseSubdivPerQuarter = getBaseSubdivPerQuarter(resolution, timeSig);
+  const timeSigByBar = React.useMemo(
+    () => resolveTimeSigByBar(timeSigOverridesByBar, bars, timeSig),
+    [timeSigOverridesByBar, bars, timeSig]
+  );
+  const quarterBeatsByBar = React.useMemo(() => timeSigByBar.map(getQuarterBeatsPerBar), [timeSigByBar]);
+  const baseSubdivByBar = React.useMemo(
+    () => timeSigByBar.map((ts) => getBaseSubdivPerQuarter(resolution, ts)),
+    [timeSigByBar, resolution]
+  );
   const normalizedTupletOverridesByBar = React.useMemo(() => {
     return Array.from({ length: bars }, (_, barIdx) =>
-      Array.from({ length: quarterBeatsPerBar }, (_, qIdx) => {
+      Array.from({ length: quarterBeatsByBar[barIdx] }, (_, qIdx) => {
         const raw = tupletOverridesByBar[barIdx]?.[qIdx];
         return clampTupletValue(raw) ?? null;
       })
     );
-  }, [tupletOverridesByBar, bars, quarterBeatsPerBar]);
+  }, [tupletOverridesByBar, bars, quarterBeatsByBar]);
   const quarterSubdivisionsByBar = React.useMemo(
     () =>
-      normalizedTupletOverridesByBar.map((row) =>
-        resolveQuarterSubdivisions(row, baseSubdivPerQuarter)
+      normalizedTupletOverridesByBar.map((row, barIdx) =>
+        resolveQuarterSubdivisions(row, baseSubdivByBar[barIdx])
       ),
-    [normalizedTupletOverridesByBar, baseSubdivPerQuarter]
+    [normalizedTupletOverridesByBar, baseSubdivByBar]
   );
   const stepsPerBarByBar = React.useMemo(
     () =>
@@ -3053,13 +3460,13 @@ useEffect(() => {
   useEffect(() => {
     setTupletOverridesByBar((prev) =>
       Array.from({ length: bars }, (_, barIdx) =>
-        Array.from({ length: quarterBeatsPerBar }, (_, qIdx) => {
+        Array.from({ length: quarterBeatsByBar[barIdx] }, (_, qIdx) => {
           const raw = prev[barIdx]?.[qIdx];
           return clampTupletValue(raw) ?? null;
         })
       )
     );
-  }, [bars, quarterBeatsPerBar]);
+  }, [bars, quarterBeatsByBar]);
 
   useEffect(() => {
     if (skipSelectionResetRef.current > 0) {
@@ -3219,7 +3626,7 @@ useEffect(() => {
       const hasAnyTuplet = normalizedTupletOverridesByBar.some((row) => row.some((v) => v != null));
       if (hasAnyTuplet) {
         setTupletOverridesByBar(
-          Array.from({ length: bars }, () => Array.from({ length: quarterBeatsPerBar }, () => null))
+          Array.from({ length: bars }, (_, barIdx) => Array.from({ length: quarterBeatsByBar[barIdx] }, () => null))
         );
       }
       tupletBaselineGridRef.current = null;
@@ -3233,7 +3640,7 @@ useEffect(() => {
     });
     setSelection(null);
     setLoopRule(null);
-  }, [normalizedTupletOverridesByBar, bars, quarterBeatsPerBar, columns]);
+  }, [normalizedTupletOverridesByBar, bars, quarterBeatsByBar, columns]);
 
   const clearSelection = React.useCallback(() => {
     if (!selection || selectionCellCount < 2) return;
@@ -3252,7 +3659,7 @@ useEffect(() => {
     setSelection(null);
   }, [selection, selectionCellCount, instruments]);
 
-  const rankCell = React.useCallback((v) => (v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0), []);
+  const rankCell = React.useCallback((v) => getCellRank(v), []);
   const cloneGridState = React.useCallback((g) => {
     const out = {};
     ALL_INSTRUMENTS.forEach((inst) => {
@@ -3338,6 +3745,145 @@ useEffect(() => {
     if (!anchor) return false;
     return applyClipboardAt(clipboard, anchor.row, anchor.col);
   }, [applyClipboardAt, buildSelectionClipboard, getSelectionDuplicateAnchor, selection]);
+
+  // Start time of every column in quarter notes, plus the end of the last one, so transforms
+  // like double/half time can re-map hits across tuplets and mixed meters.
+  const stepMetaByBar = React.useMemo(
+    () => quarterSubdivisionsByBar.map((subs) => buildStepMeta(subs)),
+    [quarterSubdivisionsByBar]
+  );
+  const columnQuarterStarts = React.useMemo(() => {
+    const out = [];
+    let barStart = 0;
+    stepMetaByBar.forEach((meta, barIdx) => {
+      const barQuarterLength =
+        Math.max(1, quarterSubdivisionsByBar[barIdx]?.length || 1) * (4 / Math.max(1, Number(timeSigByBar[barIdx]?.d) || 4));
+      meta.forEach((entry) => out.push(barStart + entry.startNorm * barQuarterLength));
+      barStart += barQuarterLength;
+    });
+    out.push(barStart);
+    return out;
+  }, [stepMetaByBar, quarterSubdivisionsByBar, timeSigByBar]);
+  const resetSelectionMoveState = React.useCallback(() => {
+    wrappedMoveCellsRef.current = null;
+    movePayloadRef.current = null;
+    moveInitialPayloadRef.current = null;
+    moveBaseGridRef.current = null;
+    setWrappedSelectionCells(null);
+  }, []);
+  // kind: "reverse" | "rotate" | "invert" | "thin" | "double" | "half"; `amount` is the rotate
+  // step count (negative = earlier) or the thin interval.
+  const transformSelection = React.useCallback((kind, amount = 1) => {
+    if (!selection) return false;
+    const start = selection.start;
+    const width = Math.max(0, selection.endExclusive - selection.start);
+    if (width < 1) return false;
+    const cellOptions = { cellOff: CELL.OFF, cellOn: CELL.ON, rankFn: getCellRank };
+    const positions = columnQuarterStarts.slice(start, start + width);
+    const spanEnd = columnQuarterStarts[start + width] ?? columnQuarterStarts[columnQuarterStarts.length - 1];
+    const transformRow = (values) => {
+      if (kind === "reverse") return reverseRow(values);
+      if (kind === "rotate") return rotateRow(values, amount);
+      if (kind === "invert") return invertRow(values, cellOptions);
+      if (kind === "thin") return thinRow(values, amount, cellOptions);
+      if (kind === "double") return retimeRow(values, positions, spanEnd, 2, cellOptions);
+      if (kind === "half") return retimeRow(values, positions, spanEnd, 0.5, cellOptions);
+      return null;
+    };
+    if (!transformRow([])) return false;
+    setLoopRule(null);
+    resetSelectionMoveState();
+    setBaseGridWithUndo((prev) => {
+      const next = cloneGridState(prev);
+      for (let row = selection.rowStart; row <= selection.rowEnd; row++) {
+        const instId = instruments[row]?.id;
+        if (!instId) continue;
+        const values = Array.from({ length: width }, (_, i) => prev[instId]?.[start + i] ?? CELL.OFF);
+        transformRow(values).forEach((value, i) => {
+          next[instId][start + i] = value;
+        });
+      }
+      return next;
+    });
+    return true;
+  }, [selection, columnQuarterStarts, instruments, cloneGridState, resetSelectionMoveState]);
+  // Moves the hits of a single-row selection onto another instrument's row; the selection follows.
+  const moveSelectionRowToInstrument = React.useCallback((targetInstId) => {
+    if (!selection || selection.rowStart !== selection.rowEnd) return false;
+    const sourceInstId = instruments[selection.rowStart]?.id;
+    const targetRow = instruments.findIndex((inst) => inst.id === targetInstId);
+    if (!sourceInstId || targetRow < 0 || targetInstId === sourceInstId) return false;
+    setLoopRule(null);
+    resetSelectionMoveState();
+    setBaseGridWithUndo((prev) => {
+      const next = cloneGridState(prev);
+      for (let col = selection.start; col < selection.endExclusive; col++) {
+        const value = prev[sourceInstId]?.[col] ?? CELL.OFF;
+        if (value === CELL.OFF) continue;
+        next[sourceInstId][col] = CELL.OFF;
+        next[targetInstId][col] = value;
+      }
+      return next;
+    });
+    setSelection({ ...selection, rowStart: targetRow, rowEnd: targetRow });
+    return true;
+  }, [selection, instruments, cloneGridState, resetSelectionMoveState]);
+  // Hand instruments the sticking drill can put each hand on; the saved choice falls back to
+  // the snare (or the first hand instrument) when it isn't in the kit.
+  const stickingDrillInstruments = React.useMemo(
+    () => instruments.filter((inst) => !FOOT_INSTRUMENTS.has(inst.id)),
+    [instruments]
+  );
+  const stickingDrillTargets = React.useMemo(() => {
+    const fallback = stickingDrillInstruments.find((inst) => inst.id === "snare")?.id || stickingDrillInstruments[0]?.id || null;
+    const resolve = (id) => (stickingDrillInstruments.some((inst) => inst.id === id) ? id : fallback);
+    return { R: resolve(stickingDrillSettings.rightInstId), L: resolve(stickingDrillSettings.leftInstId) };
+  }, [stickingDrillInstruments, stickingDrillSettings.rightInstId, stickingDrillSettings.leftInstId]);
+  const stickingDrillStrokes = React.useMemo(
+    () => parseStickingPattern(stickingDrillSettings.pattern),
+    [stickingDrillSettings.pattern]
+  );
+  // Repeats the drill pattern across the selected columns, one stroke per column: the R and L
+  // instruments' cells in the selection are replaced and each stroke's hand is pinned.
+  const applyStickingDrill = React.useCallback(() => {
+    const strokes = stickingDrillStrokes;
+    const { R: rightId, L: leftId } = stickingDrillTargets;
+    if (!selection || !strokes || !rightId || !leftId) return;
+    const placed = {};
+    const hits = [];
+    for (let col = selection.start; col < selection.endExclusive; col++) {
+      const stroke = strokes[(col - selection.start) % strokes.length];
+      if (!stroke) continue;
+      const instId = stroke.hand === "R" ? rightId : leftId;
+      hits.push({ instId, col, value: stroke.accent ? CELL.ACCENT : CELL.ON });
+      placed[`${instId}:${col}`] = stroke.hand;
+    }
+    setLoopRule(null);
+    resetSelectionMoveState();
+    setBaseGridWithUndo((prev) => {
+      const next = cloneGridState(prev);
+      for (let col = selection.start; col < selection.endExclusive; col++) {
+        next[rightId][col] = CELL.OFF;
+        next[leftId][col] = CELL.OFF;
+      }
+      hits.forEach(({ instId, col, value }) => {
+        next[instId][col] = value;
+      });
+      return next;
+    });
+    setStickingOverrides((prev) => {
+      const next = {};
+      Object.entries(prev || {}).forEach(([key, hand]) => {
+        const [instId, idxRaw] = key.split(":");
+        const idx = Number(idxRaw);
+        const inRange = idx >= selection.start && idx < selection.endExclusive;
+        if (inRange && (instId === rightId || instId === leftId)) return;
+        next[key] = hand;
+      });
+      return { ...next, ...placed };
+    });
+    setShowNotationSticking(true);
+  }, [selection, stickingDrillStrokes, stickingDrillTargets, cloneGridState, resetSelectionMoveState]);
   useEffect(() => {
     const onKey = (e) => {
       const hasModifier = e.metaKey || e.ctrlKey;
@@ -3433,12 +3979,11 @@ useEffect(() => {
     tupletBaselineGridRef.current = null;
     tupletBaselineSubsByBarRef.current = null;
     const oldSubsByBar = quarterSubdivisionsByBar;
-    const nextBase = getBaseSubdivPerQuarter(newRes, timeSig);
     // Keep explicit tuplet values stable across resolution changes.
     // Example: triplet (3) should remain triplet when switching 8th <-> 16th.
     const nextOverridesByBar = normalizedTupletOverridesByBar.map((row) => row.map((v) => v));
-    const nextSubsByBar = nextOverridesByBar.map((row) =>
-      resolveQuarterSubdivisions(row, nextBase)
+    const nextSubsByBar = nextOverridesByBar.map((row, barIdx) =>
+      resolveQuarterSubdivisions(row, getBaseSubdivPerQuarter(newRes, timeSigByBar[barIdx]))
     );
 
     if (keepTiming) {
@@ -3448,44 +3993,64 @@ useEffect(() => {
     setResolution(newRes);
   };
 
-  const handleTimeSigChange = (newTS) => {
+  // Re-lays the grid and tuplet rows out for a new per-bar meter list.
+  const applyTimeSigLayout = (nextTimeSig, nextOverrides) => {
     tupletBaselineGridRef.current = null;
     tupletBaselineSubsByBarRef.current = null;
     const oldSubsByBar = quarterSubdivisionsByBar;
-    const nextQuarterCount = getQuarterBeatsPerBar(newTS);
+    const nextTimeSigByBar = resolveTimeSigByBar(nextOverrides, bars, nextTimeSig);
     const nextOverridesByBar = Array.from({ length: bars }, (_, barIdx) =>
-      Array.from({ length: nextQuarterCount }, (_, idx) =>
+      Array.from({ length: getQuarterBeatsPerBar(nextTimeSigByBar[barIdx]) }, (_, idx) =>
         clampTupletValue(normalizedTupletOverridesByBar[barIdx]?.[idx]) ?? null
       )
     );
-    const nextBase = getBaseSubdivPerQuarter(resolution, newTS);
-    const nextSubsByBar = nextOverridesByBar.map((row) =>
-      resolveQuarterSubdivisions(row, nextBase)
+    const nextSubsByBar = nextOverridesByBar.map((row, barIdx) =>
+      resolveQuarterSubdivisions(row, getBaseSubdivPerQuarter(resolution, nextTimeSigByBar[barIdx]))
     );
     if (keepTiming) {
       setBaseGridWithUndo((prev) => remapGridBySubdivisions(prev, oldSubsByBar, nextSubsByBar));
     }
     setTupletOverridesByBar(nextOverridesByBar);
-    setTimeSig(newTS);
+    setTimeSigOverridesByBar(nextOverrides);
+    setTimeSig(nextTimeSig);
+  };
+  const handleTimeSigChange = (newTS) => {
+    applyTimeSigLayout(newTS, timeSigOverridesByBar);
+  };
+  // barTS of null (or equal to the beat meter) drops the bar back to the beat-level timeSig.
+  const handleBarTimeSigChange = (barIdx, barTS) => {
+    if (barIdx < 0 || barIdx >= bars) return;
+    const nextOverrides = Array.from({ length: bars }, (_, idx) => timeSigOverridesByBar[idx] ?? null);
+    nextOverrides[barIdx] = barTS && !isSameTimeSig(barTS, timeSig) ? normalizeTimeSig(barTS, timeSig) : null;
+    applyTimeSigLayout(timeSig, nextOverrides);
+  };
+  const editedTimeSig =
+    timeSigEditBar === "all" ? timeSig : timeSigByBar[timeSigEditBar] || timeSig;
+  const applyEditedTimeSig = (nextTS) => {
+    if (timeSigEditBar === "all") handleTimeSigChange(nextTS);
+    else handleBarTimeSigChange(timeSigEditBar, nextTS);
   };
   const stepTimeSigNumerator = (delta) => {
-    const nextN = Math.max(2, Math.min(15, Number(timeSig.n || 4) + delta));
-    if (nextN === timeSig.n) return;
-    handleTimeSigChange({ n: nextN, d: timeSig.d === 8 ? 8 : 4 });
+    const nextN = Math.max(2, Math.min(15, Number(editedTimeSig.n || 4) + delta));
+    if (nextN === editedTimeSig.n) return;
+    applyEditedTimeSig({ n: nextN, d: editedTimeSig.d === 8 ? 8 : 4 });
   };
   const stepTimeSigDenominator = (delta) => {
     const order = [4, 8];
-    const idx = order.indexOf(timeSig.d);
+    const idx = order.indexOf(editedTimeSig.d);
     const safeIdx = idx < 0 ? 0 : idx;
     const nextD = order[(safeIdx + delta + order.length) % order.length];
-    if (nextD === timeSig.d) return;
-    handleTimeSigChange({ n: Math.max(2, Math.min(15, Number(timeSig.n) || 4)), d: nextD });
+    if (nextD === editedTimeSig.d) return;
+    applyEditedTimeSig({ n: Math.max(2, Math.min(15, Number(editedTimeSig.n) || 4)), d: nextD });
   };
+  useEffect(() => {
+    if (timeSigEditBar !== "all" && timeSigEditBar >= bars) setTimeSigEditBar("all");
+  }, [bars, timeSigEditBar]);
 
   const cycleTupletAt = React.useCallback(
     (barIdx, beatIdx, dir = 1) => {
       if (barIdx < 0 || barIdx >= bars) return;
-      if (beatIdx < 0 || beatIdx >= quarterBeatsPerBar) return;
+      if (beatIdx < 0 || beatIdx >= (quarterBeatsByBar[barIdx] ?? 0)) return;
       const oldSubsByBar = quarterSubdivisionsByBar;
       const current = normalizedTupletOverridesByBar[barIdx]?.[beatIdx] ?? null;
       const idx = TUPLET_OPTIONS.findIndex((v) => v === current);
@@ -3493,8 +4058,8 @@ useEffect(() => {
       const nextVal = TUPLET_OPTIONS[nextIdx];
       const nextOverridesByBar = normalizedTupletOverridesByBar.map((row) => [...row]);
       nextOverridesByBar[barIdx][beatIdx] = nextVal;
-      const nextSubsByBar = nextOverridesByBar.map((row) =>
-        resolveQuarterSubdivisions(row, baseSubdivPerQuarter)
+      const nextSubsByBar = nextOverridesByBar.map((row, rowIdx) =>
+        resolveQuarterSubdivisions(row, baseSubdivByBar[rowIdx])
       );
       if (keepTiming) {
         applyingTupletRemapRef.current = true;
@@ -3517,10 +4082,10 @@ useEffect(() => {
     },
     [
       bars,
-      quarterBeatsPerBar,
+      quarterBeatsByBar,
       quarterSubdivisionsByBar,
       normalizedTupletOverridesByBar,
-      baseSubdivPerQuarter,
+      baseSubdivByBar,
       keepTiming,
       cloneGridState,
       remapGridBySubdivisions,
@@ -3541,11 +4106,11 @@ useEffect(() => {
     (nextVal) => {
       const normalized = clampTupletValue(nextVal) ?? null;
       const oldSubsByBar = quarterSubdivisionsByBar;
-      const nextOverridesByBar = Array.from({ length: bars }, () =>
-        Array.from({ length: quarterBeatsPerBar }, () => normalized)
+      const nextOverridesByBar = Array.from({ length: bars }, (_, barIdx) =>
+        Array.from({ length: quarterBeatsByBar[barIdx] }, () => normalized)
       );
-      const nextSubsByBar = nextOverridesByBar.map((row) =>
-        resolveQuarterSubdivisions(row, baseSubdivPerQuarter)
+      const nextSubsByBar = nextOverridesByBar.map((row, barIdx) =>
+        resolveQuarterSubdivisions(row, baseSubdivByBar[barIdx])
       );
       if (keepTiming) {
         applyingTupletRemapRef.current = true;
@@ -3559,8 +4124,8 @@ useEffect(() => {
     [
       quarterSubdivisionsByBar,
       bars,
-      quarterBeatsPerBar,
-      baseSubdivPerQuarter,
+      quarterBeatsByBar,
+      baseSubdivByBar,
       keepTiming,
       remapGridBySubdivisions,
     ]
@@ -3962,6 +4527,122 @@ useEffect(() => {
     applyLibraryState(next);
     syncLocalBeatHistoryState();
   }, [snapshotLibraryState, applyLibraryState, syncLocalBeatHistoryState]);
+  const downloadLibraryBackup = React.useCallback(() => {
+    const preferences = {};
+    BACKUP_PREFERENCE_STORAGE_KEYS.forEach((key) => {
+      try {
+        const value = window.localStorage.getItem(key);
+        if (value != null) preferences[key] = value;
+      } catch (_) {}
+    });
+    const backup = buildLibraryBackup({
+      library: snapshotLibraryState(),
+      presets: savedPresets,
+      preferences,
+    });
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `drum-notation-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    setLibraryBackupStatus(
+      `Backed up ${backup.library.localBeats.length} beats, ${backup.library.savedArrangements.length} arrangements and ${backup.presets.length} kit presets.`
+    );
+  }, [snapshotLibraryState, savedPresets]);
+  const handleLibraryBackupFile = React.useCallback(async (file) => {
+    setLibraryBackupStatus("");
+    setLibraryBackupNeedsReload(false);
+    try {
+      const backup = parseLibraryBackup(await file.text());
+      setPendingLibraryRestore({
+        backup,
+        fileName: file.name,
+        mode: "merge",
+        conflict: "keep-mine",
+        includePreferences: Object.keys(backup.preferences).length > 0,
+      });
+    } catch (err) {
+      setPendingLibraryRestore(null);
+      setLibraryBackupStatus(err?.message || "Failed to read backup file.");
+    }
+  }, []);
+  const pendingLibraryRestoreConflicts = React.useMemo(() => {
+    if (!pendingLibraryRestore) return 0;
+    return countBackupConflicts(
+      { localBeats, savedArrangements, presets: savedPresets },
+      pendingLibraryRestore.backup
+    );
+  }, [pendingLibraryRestore, localBeats, savedArrangements, savedPresets]);
+  // Goes through the library undo history, so a bad restore can be undone like any other edit.
+  const restoreLibraryBackup = React.useCallback(() => {
+    if (!pendingLibraryRestore) return;
+    const { backup, mode, conflict, includePreferences } = pendingLibraryRestore;
+    const current = snapshotLibraryState();
+    let result = null;
+    try {
+      result = mergeLibraryBackup(
+        { localBeats: current.localBeats, savedArrangements: current.savedArrangements, presets: savedPresets },
+        backup,
+        { mode, conflict }
+      );
+    } catch (err) {
+      // Nothing is applied; the restore stays open so another mode or conflict option can be tried.
+      setLibraryBackupStatus(err?.message || "Failed to restore backup.");
+      return;
+    }
+    const nextLibrary =
+      mode === "replace"
+        ? {
+            ...current,
+            ...backup.library,
+            localBeats: result.localBeats,
+            savedArrangements: result.savedArrangements,
+          }
+        : { ...current, localBeats: result.localBeats, savedArrangements: result.savedArrangements };
+    if (!nextLibrary.localBeats.some((beat) => String(beat?.id) === String(nextLibrary.loadedLocalBeatId))) {
+      nextLibrary.loadedLocalBeatId = null;
+    }
+    if (!nextLibrary.savedArrangements.some((entry) => String(entry?.id) === String(nextLibrary.loadedArrangementId))) {
+      nextLibrary.loadedArrangementId = null;
+    }
+    pushLocalBeatHistory();
+    applyLibraryState(nextLibrary);
+    setSavedPresets(result.presets.filter((preset) => !DRUMKIT_PRESETS[preset.id]));
+
+    let restoredPreferences = 0;
+    if (includePreferences) {
+      // Edit tokens and favorites are merged into the live state, never overwritten: a token lost
+      // here would lock the user out of editing that public beat for good.
+      const backupEditTokens = backup.preferences[PUBLIC_BEAT_EDIT_TOKENS_STORAGE_KEY];
+      const backupFavorites = backup.preferences[FAVORITE_PUBLIC_BEATS_STORAGE_KEY];
+      if (backupEditTokens !== undefined) {
+        setPublicBeatEditTokens((prev) => mergePublicBeatEditTokens(prev, backupEditTokens, conflict));
+      }
+      if (backupFavorites !== undefined) {
+        setFavoritePublicBeatIds((prev) => mergeFavoritePublicBeatIds(prev, backupFavorites));
+      }
+      Object.entries(backup.preferences).forEach(([key, value]) => {
+        if (!BACKUP_PREFERENCE_STORAGE_KEYS.includes(key)) return;
+        if (key === PUBLIC_BEAT_EDIT_TOKENS_STORAGE_KEY || key === FAVORITE_PUBLIC_BEATS_STORAGE_KEY) return;
+        try {
+          window.localStorage.setItem(key, value);
+          restoredPreferences += 1;
+        } catch (_) {}
+      });
+    }
+    const { added, replaced, skipped } = result.stats;
+    setLibraryBackupStatus(
+      mode === "replace"
+        ? `Library replaced with ${result.localBeats.length} beats and ${result.savedArrangements.length} arrangements.`
+        : `Restored: ${added} added, ${replaced} replaced, ${skipped} unchanged or kept.`
+    );
+    setLibraryBackupNeedsReload(restoredPreferences > 0);
+    setPendingLibraryRestore(null);
+  }, [pendingLibraryRestore, snapshotLibraryState, savedPresets, pushLocalBeatHistory, applyLibraryState]);
   const setArrangementItemsWithUndo = React.useCallback(
     (updater) => {
       pushLocalBeatHistory();
@@ -3989,6 +4670,7 @@ useEffect(() => {
       if (bars !== shared.bars) return;
       if (resolution !== shared.resolution) return;
       if (timeSig.n !== shared.timeSig.n || timeSig.d !== shared.timeSig.d) return;
+      if (!shared.timeSigByBar.every((ts, barIdx) => isSameTimeSig(ts, timeSigByBar[barIdx]))) return;
       if (!tupletsMatchFor(shared.tupletsByBar)) return;
 
       const nextGrid = {};
@@ -4003,7 +4685,7 @@ useEffect(() => {
           const idx = Number(event[0]);
           const code = Number(event[1]);
           if (!Number.isFinite(idx) || idx < 0 || idx >= columns) return;
-          const nextVal = code === 3 ? CELL.ACCENT : code === 2 ? CELL.GHOST : code === 1 ? CELL.ON : CELL.OFF;
+          const nextVal = CELL_BY_CODE[code] || CELL.OFF;
           if (nextVal !== CELL.OFF) nextGrid[instId][Math.floor(idx)] = nextVal;
         });
       });
@@ -4011,6 +4693,7 @@ useEffect(() => {
       gridPastRef.current = [];
       gridFutureRef.current = [];
       setBaseGrid(nextGrid);
+      if (shared.sticking) setStickingOverrides(shared.sticking);
       syncHistoryState();
       pendingSharedLoadRef.current = null;
       return;
@@ -4023,7 +4706,7 @@ useEffect(() => {
     if (timeSig.n !== example.timeSig.n || timeSig.d !== example.timeSig.d) return;
     if (!tupletsMatchFor(example.tupletsByBar)) return;
 
-    const rank = (v) => (v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0);
+    const rank = getCellRank;
     const nextGrid = {};
     ALL_INSTRUMENTS.forEach((inst) => {
       nextGrid[inst.id] = Array(columns).fill(CELL.OFF);
@@ -4067,6 +4750,7 @@ useEffect(() => {
     bars,
     resolution,
     timeSig,
+    timeSigByBar,
     columns,
     barStepOffsets,
     stepsPerBarByBar,
@@ -4080,6 +4764,11 @@ useEffect(() => {
       window.localStorage.setItem(USER_PRESETS_STORAGE_KEY, JSON.stringify(savedPresets));
     } catch (_) {}
   }, [savedPresets]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(MIXER_SETTINGS_STORAGE_KEY, JSON.stringify(mixerSettingsByPreset));
+    } catch (_) {}
+  }, [mixerSettingsByPreset]);
   useEffect(() => {
     try {
       window.localStorage.setItem(LOCAL_BEAT_LIBRARY_STORAGE_KEY, JSON.stringify(localBeats));
@@ -4144,6 +4833,8 @@ useEffect(() => {
     setBars(nextBars);
     setResolution(Math.max(4, Number(requestedExample.resolution) || 8));
     setTimeSig(nextTimeSig);
+    setTimeSigOverridesByBar([]);
+    setTimeSigEditBar("all");
     setTupletOverridesByBar(tupletsByBar);
   }, [requestedExample, getPresetIds, routeOptions.shared, routeOptions.shareId]);
 
@@ -4404,6 +5095,44 @@ useEffect(() => {
         : "Modified";
   const selectedSavedPreset =
     selectedPreset ? savedPresets.find((p) => p.id === selectedPreset) || null : null;
+  // Mixer settings follow the kit preset; modified kits share their base preset's mix.
+  const mixerPresetKey = selectedPreset || modifiedPresetBase || "custom";
+  const currentMixer = React.useMemo(
+    () => mixerSettingsByPreset[mixerPresetKey] || {},
+    [mixerSettingsByPreset, mixerPresetKey]
+  );
+  const updateMixerChannel = React.useCallback(
+    (instId, patch) => {
+      setMixerSettingsByPreset((prev) => {
+        const presetMix = prev[mixerPresetKey] || {};
+        const nextMix = normalizeMixerSettings({
+          ...presetMix,
+          [instId]: { ...normalizeMixerChannel(presetMix[instId]), ...patch },
+        });
+        const next = { ...prev };
+        if (Object.keys(nextMix).length) next[mixerPresetKey] = nextMix;
+        else delete next[mixerPresetKey];
+        return next;
+      });
+    },
+    [mixerPresetKey]
+  );
+  const toggleMixerMute = React.useCallback(
+    (instId) => updateMixerChannel(instId, { mute: !currentMixer[instId]?.mute }),
+    [updateMixerChannel, currentMixer]
+  );
+  const toggleMixerSolo = React.useCallback(
+    (instId) => updateMixerChannel(instId, { solo: !currentMixer[instId]?.solo }),
+    [updateMixerChannel, currentMixer]
+  );
+  const resetCurrentMixer = React.useCallback(() => {
+    setMixerSettingsByPreset((prev) => {
+      if (!prev[mixerPresetKey]) return prev;
+      const next = { ...prev };
+      delete next[mixerPresetKey];
+      return next;
+    });
+  }, [mixerPresetKey]);
   const getBeatBpm = React.useCallback((beat) => {
     const direct = Number(beat?.bpm);
     if (Number.isFinite(direct) && direct >= 20 && direct <= 400) return Math.round(direct);
@@ -4497,15 +5226,20 @@ useEffect(() => {
   useEffect(() => () => stopLibraryBpmRepeat(), [stopLibraryBpmRepeat]);
   const allTimeSigCategories = React.useMemo(() => {
     const fromLocal = localBeats.map((b) => String(b?.timeSigCategory || "")).filter(Boolean);
-    const fromPublic = publicBeats.map((b) => String(b?.timeSigCategory || "")).filter(Boolean);
+    const fromPublic = Object.values(publicBeatsById).map((b) => String(b?.timeSigCategory || "")).filter(Boolean);
     return Array.from(new Set([...fromLocal, ...fromPublic])).sort();
-  }, [localBeats, publicBeats]);
+  }, [localBeats, publicBeatsById]);
   const filteredLocalBeats = React.useMemo(() => {
+    const searchTerms = librarySearchQuery.trim().toLowerCase().split(/\s+/).filter(Boolean);
     const list = localBeats.filter((beat) => {
       if (libraryTimeSigFilter !== "all" && beat?.timeSigCategory !== libraryTimeSigFilter) return false;
       if (beatStyleDraft !== "all" && String(beat?.style || "") !== beatStyleDraft) return false;
       if (beatCategoryDraft !== "all" && String(beat?.category || "") !== beatCategoryDraft) return false;
       if (!bpmPassesLibraryFilter(getBeatBpm(beat))) return false;
+      if (searchTerms.length) {
+        const haystack = `${beat?.name || ""} ${beat?.composer || ""}`.toLowerCase();
+        if (!searchTerms.every((term) => haystack.includes(term))) return false;
+      }
       return true;
     });
     const byTime = (a, b) =>
@@ -4523,41 +5257,37 @@ useEffect(() => {
     beatStyleDraft,
     beatCategoryDraft,
     librarySort,
+    librarySearchQuery,
     getBeatBpm,
     bpmPassesLibraryFilter,
   ]);
-  const filteredPublicBeats = React.useMemo(() => {
-    const list = publicBeats.filter((beat) => {
-      if (libraryTimeSigFilter !== "all" && beat?.timeSigCategory !== libraryTimeSigFilter) return false;
-      if (beatStyleDraft !== "all" && String(beat?.style || "") !== beatStyleDraft) return false;
-      if (beatCategoryDraft !== "all" && String(beat?.category || "") !== beatCategoryDraft) return false;
-      if (!bpmPassesLibraryFilter(getBeatBpm(beat))) return false;
-      return true;
-    });
-    const byTime = (a, b) =>
-      new Date(a?.createdAt || 0).getTime() - new Date(b?.createdAt || 0).getTime();
-    const byBpm = (a, b) => (getBeatBpm(a) ?? -1) - (getBeatBpm(b) ?? -1);
-    return [...list].sort((a, b) => {
-      if (librarySort === "oldest") return byTime(a, b);
-      if (librarySort === "bpm-asc") return byBpm(a, b);
-      if (librarySort === "bpm-desc") return byBpm(b, a);
-      return byTime(b, a);
-    });
-  }, [
-    publicBeats,
-    libraryTimeSigFilter,
-    beatStyleDraft,
-    beatCategoryDraft,
-    librarySort,
-    getBeatBpm,
-    bpmPassesLibraryFilter,
-  ]);
+  // The server already filters, searches and sorts public pages; favorites come from the local list.
+  const filteredPublicBeats = React.useMemo(
+    () =>
+      libraryFavoritesOnly
+        ? favoritePublicBeatIds.map((id) => publicBeatsById[id]).filter(Boolean)
+        : publicBeats,
+    [libraryFavoritesOnly, favoritePublicBeatIds, publicBeatsById, publicBeats]
+  );
+  const filteredMyBeats = React.useMemo(() => {
+    const searchTerms = librarySearchQuery.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    return Object.keys(publicBeatEditTokens)
+      .map((id) => publicBeatsById[id])
+      .filter((beat) => {
+        if (!beat) return false;
+        if (!searchTerms.length) return true;
+        const haystack = `${beat?.name || ""} ${beat?.composer || ""}`.toLowerCase();
+        return searchTerms.every((term) => haystack.includes(term));
+      })
+      .sort((a, b) => new Date(b?.createdAt || 0).getTime() - new Date(a?.createdAt || 0).getTime());
+  }, [publicBeatEditTokens, publicBeatsById, librarySearchQuery]);
   const getBeatBySourceRef = React.useCallback(
     (source, beatId) => {
-      const list = source === "public" ? publicBeats : source === "shared" ? sharedArrangementBeats : localBeats;
+      if (source === "public") return publicBeatsById[String(beatId || "")] || null;
+      const list = source === "shared" ? sharedArrangementBeats : localBeats;
       return list.find((b) => String(b?.id || "") === String(beatId || "")) || null;
     },
-    [publicBeats, sharedArrangementBeats, localBeats]
+    [publicBeatsById, sharedArrangementBeats, localBeats]
   );
   const arrangementRows = React.useMemo(() => {
     const rows = arrangementItems.map((item) => {
@@ -4568,15 +5298,32 @@ useEffect(() => {
       const [nRaw, dRaw] = String(beatTimeSig).split("/");
       const n = Math.max(1, Number(nRaw) || 4);
       const d = Math.max(1, Number(dRaw) || 4);
-      const barSeconds = beatBpm ? (60 / beatBpm) * ((n * 4) / d) : 0;
+      const sectionBars = beatBars * item.repeats;
+      const rowBpm = normalizeTempoBpm(item?.tempoOverride) ?? beatBpm;
+      const tempoCurve = Number.isFinite(rowBpm)
+        ? buildTempoCurve({
+            startBpm: rowBpm,
+            endBpm: normalizeTempoBpm(item?.tempoRampToBpm),
+            totalBars: sectionBars,
+            rampBars: item?.tempoRampBars,
+          })
+        : null;
+      let sectionSeconds = 0;
+      if (tempoCurve) {
+        for (let bar = 0; bar < sectionBars; bar++) {
+          sectionSeconds += (60 / getTempoAtBarPosition(tempoCurve, bar + 0.5)) * ((n * 4) / d);
+        }
+      }
       return {
         ...item,
         beat,
         beatBars,
         beatTimeSig,
         beatBpm,
-        sectionBars: beatBars * item.repeats,
-        sectionSeconds: barSeconds * beatBars * item.repeats,
+        rowBpm,
+        tempoCurve,
+        sectionBars,
+        sectionSeconds,
         showNotationBeatName: Boolean(item?.showNotationBeatName),
         notationCustomText: String(item?.notationCustomText || ""),
         notationDynamicSpacingCustom: item?.notationDynamicSpacingCustom === true,
@@ -4634,6 +5381,7 @@ useEffect(() => {
     const out = [];
     let globalBarOffset = 0;
     let prevBpm = null;
+    let prevSwingText = "";
     arrangementRows.forEach((row, idx) => {
       const baseNotationState = buildNotationStateFromPayload(row?.beat?.payload);
       const notationState = expandNotationStateForRepeats(baseNotationState, row?.repeats);
@@ -4643,8 +5391,18 @@ useEffect(() => {
         stickingLeadHand,
         stickingKeepQuarterLeadHand,
       });
-      const bpmNum = Number.isFinite(row?.beatBpm) ? Math.round(Number(row.beatBpm)) : null;
+      const bpmNum = Number.isFinite(row?.rowBpm) ? Math.round(Number(row.rowBpm)) : null;
       const showTempoAtStart = bpmNum != null && (globalBarOffset === 0 || prevBpm !== bpmNum);
+      const rampText = getTempoRampMarkingText(row?.tempoCurve);
+      const tempoMarkers = showTempoAtStart ? [{ bar: 0, text: `♩ = ${bpmNum}` }] : [];
+      if (rampText) {
+        const rampBar = row.tempoCurve.rampStartBar;
+        if (rampBar === 0 && tempoMarkers.length) tempoMarkers[0].text += ` ${rampText}`;
+        else tempoMarkers.push({ bar: rampBar, text: rampText });
+      }
+      const swingText =
+        getSwingMarkingText(row?.beat?.payload?.swing) || (prevSwingText ? "Straight" : "");
+      const showSwingAtStart = Boolean(swingText) && swingText !== prevSwingText;
       const notationLabel = getArrangementNotationLabel(row);
       const effectiveBarsPerRow = row?.notationBarsPerRowCustom &&
         Number.isFinite(Number(row?.notationBarsPerRowOverride))
@@ -4664,6 +5422,8 @@ useEffect(() => {
         sectionBars: Math.max(1, Number(row?.sectionBars) || 1),
         beatTimeSig: row?.beatTimeSig || "4/4",
         beatBpm: row?.beatBpm,
+        rowBpm: row?.rowBpm,
+        tempoCurve: row?.tempoCurve || null,
         notation: notationState,
         stickingAssignments,
         startBarOffset: globalBarOffset,
@@ -4678,10 +5438,13 @@ useEffect(() => {
         notationBarsPerRowOverride: row?.notationBarsPerRowOverride ?? null,
         notationBarsPerRowEffective: effectiveBarsPerRow,
         sectionMarkers: notationLabel ? [{ bar: 0, text: notationLabel }] : [],
-        tempoMarkers: showTempoAtStart ? [{ bar: 0, text: `♩ = ${bpmNum}` }] : [],
+        tempoMarkers,
+        swingMarkers: showSwingAtStart ? [{ bar: 0, text: swingText }] : [],
       });
       globalBarOffset += Math.max(1, Number(row?.sectionBars) || 1);
-      prevBpm = bpmNum;
+      // Restate the tempo after a ramp so the arrival tempo is always printed.
+      prevBpm = rampText ? null : bpmNum;
+      prevSwingText = swingText === "Straight" ? "" : swingText;
     });
     return out;
   }, [
@@ -4701,6 +5464,7 @@ useEffect(() => {
       if (!merged) return null;
       const sectionMarkers = [];
       const tempoMarkers = [];
+      const swingMarkers = [];
       const dynamicSpacingByBar = [];
       const spacingPresetByBar = [];
       const exactBarsPerRow = [];
@@ -4714,6 +5478,9 @@ useEffect(() => {
         (s.tempoMarkers || []).forEach((m) => {
           tempoMarkers.push({ bar: localBar + (Number(m?.bar) || 0), text: String(m?.text || "") });
         });
+        (s.swingMarkers || []).forEach((m) => {
+          swingMarkers.push({ bar: localBar + (Number(m?.bar) || 0), text: String(m?.text || "") });
+        });
         for (let i = 0; i < Math.max(1, Number(s?.sectionBars) || 1); i++) {
           dynamicSpacingByBar[localBar + i] = s?.notationDynamicSpacing === true;
           spacingPresetByBar[localBar + i] = s?.notationSpacingPreset || "normal";
@@ -4751,6 +5518,7 @@ useEffect(() => {
         barsPerLine: Math.max(...barsPerRow),
         sectionMarkers,
         tempoMarkers,
+        swingMarkers,
         dynamicSpacingByBar,
         spacingPresetByBar,
         blockSections: current,
@@ -4910,6 +5678,9 @@ useEffect(() => {
           notationJoinWithNext: false,
           notationBarsPerRowCustom: false,
           notationBarsPerRowOverride: null,
+          tempoOverride: null,
+          tempoRampToBpm: null,
+          tempoRampBars: null,
         },
       ];
     });
@@ -4930,6 +5701,9 @@ useEffect(() => {
         notationJoinWithNext: false,
         notationBarsPerRowCustom: false,
         notationBarsPerRowOverride: null,
+        tempoOverride: null,
+        tempoRampToBpm: null,
+        tempoRampBars: null,
       });
       return out;
     });
@@ -5046,6 +5820,28 @@ useEffect(() => {
       )
     );
   }, [setArrangementItemsWithUndo]);
+  const arrangementUpdateRowTempo = React.useCallback((rowId, updates) => {
+    setArrangementItemsWithUndo((prev) =>
+      prev.map((row) => {
+        if (row.id !== rowId) return row;
+        const next = { ...row };
+        if (Object.prototype.hasOwnProperty.call(updates || {}, "tempoOverride")) {
+          next.tempoOverride = normalizeTempoBpm(updates.tempoOverride);
+        }
+        if (Object.prototype.hasOwnProperty.call(updates || {}, "tempoRampToBpm")) {
+          next.tempoRampToBpm = normalizeTempoBpm(updates.tempoRampToBpm);
+        }
+        if (Object.prototype.hasOwnProperty.call(updates || {}, "tempoRampBars")) {
+          const value = Math.round(Number(updates.tempoRampBars));
+          next.tempoRampBars =
+            updates.tempoRampBars != null && updates.tempoRampBars !== "" && Number.isFinite(value) && value > 0
+              ? Math.min(256, value)
+              : null;
+        }
+        return next;
+      })
+    );
+  }, [setArrangementItemsWithUndo]);
   const saveArrangementSnapshot = React.useCallback((options = {}) => {
     const normalizedItems = normalizeArrangementItems(arrangementItems);
     if (!normalizedItems.length) return;
@@ -5122,22 +5918,83 @@ useEffect(() => {
     setLoadedArrangementId((prev) => (prev === entryId ? null : prev));
     setArrangementSaveAsOpen(false);
   }, [pushLocalBeatHistory]);
+  const applyPublicBeatStats = React.useCallback((beatId, stats) => {
+    if (!beatId || !stats || typeof stats !== "object") return;
+    const apply = (beat) => (String(beat?.id || "") === beatId ? { ...beat, stats } : beat);
+    setPublicBeats((prev) => prev.map(apply));
+    setPublicBeatsById((prev) => (prev[beatId] ? { ...prev, [beatId]: apply(prev[beatId]) } : prev));
+  }, []);
+  const recordPublicBeatStat = React.useCallback(async (beatId, action) => {
+    const id = String(beatId || "");
+    if (!id) return null;
+    try {
+      const res = await fetch("/api/beat-stats", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id, action }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) return null;
+      applyPublicBeatStats(id, data?.stats);
+      return data;
+    } catch (_) {
+      return null;
+    }
+  }, [applyPublicBeatStats]);
+  const togglePublicBeatFavorite = React.useCallback((beatId) => {
+    const id = String(beatId || "");
+    if (!id) return;
+    const isFavorite = favoritePublicBeatIds.includes(id);
+    setFavoritePublicBeatIds((prev) => (isFavorite ? prev.filter((x) => x !== id) : [id, ...prev.filter((x) => x !== id)]));
+    recordPublicBeatStat(id, isFavorite ? "unlike" : "like");
+  }, [favoritePublicBeatIds, recordPublicBeatStat]);
+  const reportPublicBeat = React.useCallback(async (beatId) => {
+    const id = String(beatId || "");
+    if (!id || reportedPublicBeatIds.includes(id)) return;
+    const reason = String(window.prompt("Why are you reporting this beat? (spam, offensive title, broken…)") || "").trim();
+    if (!reason) return;
+    setPublicLibraryError("");
+    try {
+      const res = await fetch("/api/beat-report", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id, reason }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setPublicLibraryError(data?.error || "Failed to report beat");
+        return;
+      }
+      setReportedPublicBeatIds((prev) => [id, ...prev.filter((x) => x !== id)]);
+    } catch (_) {
+      setPublicLibraryError("Failed to report beat");
+    }
+  }, [reportedPublicBeatIds]);
   const loadBeatIntoEditor = React.useCallback((source, beat) => {
     if (!beat?.payload) return;
     const normalizedSource = source === "public" ? "public" : source === "shared" ? "shared" : "local";
+    if (normalizedSource === "public") {
+      recordPublicBeatStat(beat.id, "load");
+      pendingPublicPlayBeatIdRef.current = String(beat.id || "");
+    } else {
+      pendingPublicPlayBeatIdRef.current = null;
+    }
     applyImportedBeatPayloadRef.current?.(
       beat.payload,
       `${normalizedSource}:${beat.id}:${beat.createdAt || ""}`
     );
     if (normalizedSource === "local") {
       setLoadedLocalBeatId(beat.id);
+    } else {
+      setLoadedLocalBeatId(null);
+    }
+    // Own public submissions get their details into the drafts so they can be edited and updated.
+    if (normalizedSource === "local" || (normalizedSource === "public" && publicBeatEditTokens[beat.id])) {
       setBeatNameDraft(String(beat.name || ""));
       setBeatCategoryDraft(String(beat.category || "Groove"));
       setBeatStyleDraft(String(beat.style || "all"));
-    } else {
-      setLoadedLocalBeatId(null);
     }
-  }, []);
+  }, [recordPublicBeatStat, publicBeatEditTokens]);
   const buildCurrentArrangementSharePayload = React.useCallback(() => {
     const normalizedItems = normalizeArrangementItems(arrangementItems);
     const sharedBeats = [];
@@ -5168,7 +6025,7 @@ useEffect(() => {
       });
     });
     return {
-      v: 1,
+      v: ARRANGEMENT_PAYLOAD_VERSION,
       kind: "arrangement",
       name: arrangementNameDraft.trim() || "Arrangement",
       titleLine1: arrangementTitleLine1Draft.trim(),
@@ -5277,7 +6134,7 @@ useEffect(() => {
         payload: section.payload,
         source: "local",
       }));
-      setLocalBeats((prev) => [...sectionBeats, ...prev].slice(0, 500));
+      setLocalBeats((prev) => [...sectionBeats, ...prev].slice(0, LOCAL_BEAT_LIBRARY_LIMIT));
       setArrangementItems(
         sectionBeats.map((beat) => ({
           id: `arr-${Math.random().toString(36).slice(2, 10)}`,
@@ -5337,8 +6194,12 @@ useEffect(() => {
   const handleMidiImportFile = React.useCallback(
     async (file) => {
       if (!file) return;
-      const buffer = await file.arrayBuffer();
-      const imported = importDrumMidi({
+      const format = MUSICXML_FILE_PATTERN.test(file.name || "") ? "musicxml" : "midi";
+      const buffer = format === "musicxml"
+        ? new TextEncoder().encode(await readMusicXmlText(await file.arrayBuffer())).buffer
+        : await file.arrayBuffer();
+      const imported = importDrumFile({
+        format,
         arrayBuffer: buffer,
         instruments: ALL_INSTRUMENTS,
         arrangementSplitBars: midiImportSplitBars,
@@ -5351,6 +6212,7 @@ useEffect(() => {
         });
         setPendingMidiImportMapping({
           arrayBuffer: buffer,
+          format,
           fileName: file.name,
           lastModified: file.lastModified || "",
           title: imported.title || "",
@@ -5366,6 +6228,7 @@ useEffect(() => {
       setPendingMidiTempoPrompt({
         imported,
         arrayBuffer: buffer,
+        format,
         noteAssignments: {},
         fileMeta: {
           fileName: file.name,
@@ -5379,7 +6242,8 @@ useEffect(() => {
   );
   const confirmPendingMidiImportMapping = React.useCallback(() => {
     if (!pendingMidiImportMapping?.arrayBuffer) return;
-    const imported = importDrumMidi({
+    const imported = importDrumFile({
+      format: pendingMidiImportMapping.format,
       arrayBuffer: pendingMidiImportMapping.arrayBuffer,
       instruments: ALL_INSTRUMENTS,
       arrangementSplitBars: midiImportSplitBars,
@@ -5398,6 +6262,7 @@ useEffect(() => {
     setPendingMidiTempoPrompt({
       imported,
       arrayBuffer: pendingMidiImportMapping.arrayBuffer,
+      format: pendingMidiImportMapping.format,
       noteAssignments: pendingMidiImportMapping.noteAssignments || {},
       fileMeta: {
         fileName: pendingMidiImportMapping.fileName,
@@ -5412,6 +6277,7 @@ useEffect(() => {
     if (pendingMidiTempoPrompt.imported.kind === "arrangement") {
       setPendingMidiSplitPrompt({
         arrayBuffer: pendingMidiTempoPrompt.arrayBuffer,
+        format: pendingMidiTempoPrompt.format,
         fileMeta: pendingMidiTempoPrompt.fileMeta || {},
         noteAssignments: pendingMidiTempoPrompt.noteAssignments || {},
         bpm: nextBpm,
@@ -5428,7 +6294,8 @@ useEffect(() => {
   }, [applyImportedMidiResult, bpm, clampBpm, midiImportSplitBars, pendingMidiTempoPrompt]);
   const confirmPendingMidiSplitPrompt = React.useCallback(() => {
     if (!pendingMidiSplitPrompt?.arrayBuffer) return;
-    const imported = importDrumMidi({
+    const imported = importDrumFile({
+      format: pendingMidiSplitPrompt.format,
       arrayBuffer: pendingMidiSplitPrompt.arrayBuffer,
       instruments: ALL_INSTRUMENTS,
       arrangementSplitBars: pendingMidiSplitPrompt.splitBars,
@@ -5448,7 +6315,8 @@ useEffect(() => {
     if (!arrayBuffer) return null;
     const noteAssignments = pendingMidiImportMapping?.noteAssignments || pendingMidiTempoPrompt?.noteAssignments || {};
     try {
-      const imported = importDrumMidi({
+      const imported = importDrumFile({
+        format: pendingMidiImportMapping?.format || pendingMidiTempoPrompt?.format,
         arrayBuffer,
         instruments: ALL_INSTRUMENTS,
         arrangementSplitBars: midiImportSplitBars,
@@ -5718,6 +6586,12 @@ useEffect(() => {
     if (!selectedSavedPreset) return;
     const deletingId = selectedSavedPreset.id;
     setSavedPresets((prev) => prev.filter((p) => p.id !== deletingId));
+    setMixerSettingsByPreset((prev) => {
+      if (!prev[deletingId]) return prev;
+      const next = { ...prev };
+      delete next[deletingId];
+      return next;
+    });
     if (modifiedPresetBase === deletingId) setModifiedPresetBase(null);
   }, [selectedSavedPreset, modifiedPresetBase]);
 
@@ -5754,7 +6628,7 @@ useEffect(() => {
       const next = { ...prev };
       const src = [...(prev[srcId] || Array(columns).fill(CELL.OFF))];
       const dst = [...(prev[dstId] || Array(columns).fill(CELL.OFF))];
-      const rank = (v) => (v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0);
+      const rank = getCellRank;
       for (let c = 0; c < columns; c++) {
         const from = src[c] ?? CELL.OFF;
         if (from === CELL.OFF) continue;
@@ -6017,8 +6891,8 @@ useEffect(() => {
   const stepStartQuarterTimes = React.useMemo(() => {
     const out = Array(columns).fill(0);
     const byBar = Array.isArray(quarterSubdivisionsByBar) ? quarterSubdivisionsByBar : [];
-    const beatUnitQuarterLength = 4 / Math.max(1, Number(timeSig?.d) || 4);
     for (let b = 0; b < byBar.length; b++) {
+      const beatUnitQuarterLength = 4 / Math.max(1, Number(timeSigByBar[b]?.d) || 4);
       const barOffset = barStepOffsets?.[b] ?? 0;
       const row = Array.isArray(byBar[b]) ? byBar[b] : [];
       let localStep = 0;
@@ -6035,7 +6909,7 @@ useEffect(() => {
       }
     }
     return out;
-  }, [quarterSubdivisionsByBar, barStepOffsets, columns, timeSig]);
+  }, [quarterSubdivisionsByBar, barStepOffsets, columns, timeSigByBar]);
   const autoStickingAssignmentsByStep = React.useMemo(() => {
     const handIds = instruments.map((inst) => inst.id).filter((id) => !FOOT_INSTRUMENTS.has(id));
     const lead = stickingLeadHand === "left" ? "L" : "R";
@@ -6296,20 +7170,37 @@ useEffect(() => {
 
   const stepQuarterDurations = React.useMemo(() => {
     const out = [];
-    const beatUnitQuarterLength = 4 / Math.max(1, Number(timeSig?.d) || 4);
-    quarterSubdivisionsByBar.forEach((row) => {
+    quarterSubdivisionsByBar.forEach((row, barIdx) => {
+      const beatUnitQuarterLength = 4 / Math.max(1, Number(timeSigByBar[barIdx]?.d) || 4);
       row.forEach((subdiv) => {
         const s = Math.max(1, Number(subdiv) || 1);
         for (let i = 0; i < s; i++) out.push(beatUnitQuarterLength / s);
       });
     });
     return out;
-  }, [quarterSubdivisionsByBar, timeSig]);
+  }, [quarterSubdivisionsByBar, timeSigByBar]);
   const effectivePlaybackBpm = React.useMemo(
     () => clampBpm(Math.round(bpm * playbackRate * 100) / 100),
     [bpm, playbackRate]
   );
   const playbackRateLabel = React.useMemo(() => `x${playbackRate.toFixed(2)}`, [playbackRate]);
+  const swing = React.useMemo(
+    () => normalizeSwing({ percent: swingPercent, unit: swingUnit }),
+    [swingPercent, swingUnit]
+  );
+  const editorSwingMarkers = React.useMemo(() => {
+    const text = getSwingMarkingText(swing);
+    return text ? [{ bar: 0, text }] : [];
+  }, [swing]);
+  const metronome = React.useMemo(
+    () => ({
+      enabled: metronomeEnabled,
+      volume: metronomeVolume,
+      subdivisions: metronomeSubdivisions,
+      countInBars: metronomeCountInBars,
+    }),
+    [metronomeEnabled, metronomeVolume, metronomeSubdivisions, metronomeCountInBars]
+  );
 
 
   const playback = usePlayback({
@@ -6319,6 +7210,11 @@ useEffect(() => {
     bpm: effectivePlaybackBpm,
     resolution,
     stepQuarterDurations,
+    quarterSubdivisionsByBar,
+    metronome,
+    swing,
+    humanize: humanizeSettings,
+    mixer: currentMixer,
   });
   useEffect(() => {
     playheadRef.current = playback.playhead;
@@ -6348,6 +7244,14 @@ useEffect(() => {
       playback.play({ startStep: 0 });
     }
   }, [playback.isPlaying, playback.play, playback.stop, playback.setPlayhead]);
+  useEffect(() => {
+    // First editor playback after loading a public beat counts as one play of it.
+    if (!playback.isPlaying || arrangementPlaybackEnabled) return;
+    const beatId = pendingPublicPlayBeatIdRef.current;
+    if (!beatId) return;
+    pendingPublicPlayBeatIdRef.current = null;
+    recordPublicBeatStat(beatId, "play");
+  }, [playback.isPlaying, arrangementPlaybackEnabled, recordPublicBeatStat]);
   const activeArrangementPlaybackEntry = React.useMemo(() => {
     if (!arrangementPlaybackEnabled) return null;
     return arrangementPlayableEntries[arrangementPlaybackIndex] || null;
@@ -6434,6 +7338,7 @@ useEffect(() => {
             barsPerLine: segment.barCount,
             sectionMarkers: sliceMarkerListByBars(block.sectionMarkers, segment.startBar, segment.barCount),
             tempoMarkers: sliceMarkerListByBars(block.tempoMarkers, segment.startBar, segment.barCount),
+            swingMarkers: sliceMarkerListByBars(block.swingMarkers, segment.startBar, segment.barCount),
             dynamicSpacingByBar: sliceBooleanListByBars(
               block.dynamicSpacingByBar,
               segment.startBar,
@@ -6808,32 +7713,62 @@ useEffect(() => {
       const payload = entry?.row?.beat?.payload;
       const notationState = buildNotationStateFromPayload(payload);
       if (!notationState) return;
-      const stepQuarterDurations = buildStepQuarterDurationsFromNotationState(notationState);
+      const beatUnitQuarterLength = 4 / Math.max(1, Number(notationState.timeSig?.d) || 4);
+      const stepQuarterDurations = applySwingToStepDurations(
+        buildStepQuarterDurationsFromNotationState(notationState),
+        payload?.swing,
+        notationState.barStepOffsets
+      ).map((q) => q / beatUnitQuarterLength);
+      const clickPattern = buildClickPattern(notationState.quarterSubdivisionsByBar);
       const beatBars = Math.max(1, Number(entry?.row?.beatBars) || 1);
       const repeatOffsetBars = Math.max(0, Number(entry?.repeatIndex) || 0) * beatBars;
       const globalBarBase =
         Math.max(1, Number(entry?.row?.startBarNumber) || 1) - 1 + repeatOffsetBars;
       const entryStartSec = timeSec;
-      const entryBpm = clampBpm(
-        Math.round(
-          (Math.max(20, Math.min(400, Number(entry?.row?.beatBpm || payload?.bpm || bpm) || bpm)) * playbackRate) * 100
-        ) / 100
-      );
+      const tempoCurve =
+        entry?.row?.tempoCurve ||
+        buildTempoCurve({
+          startBpm: Math.max(20, Math.min(400, Number(payload?.bpm || bpm) || bpm)),
+          totalBars: beatBars,
+        });
+      const getBpmAtBarPosition = (barPosition) =>
+        clampBpm(Math.round(getTempoAtBarPosition(tempoCurve, barPosition) * playbackRate * 100) / 100);
+      const entryBpm = getBpmAtBarPosition(repeatOffsetBars);
+      // Ramps are sampled at each step's midpoint, measured in bars from the row start.
+      const stepBarPositions = [];
+      const barStepOffsets = notationState.barStepOffsets || [0, stepQuarterDurations.length];
+      for (let bar = 0; bar < barStepOffsets.length - 1; bar++) {
+        let barLength = 0;
+        for (let step = barStepOffsets[bar]; step < barStepOffsets[bar + 1]; step++) {
+          barLength += stepQuarterDurations[step];
+        }
+        let cursor = 0;
+        for (let step = barStepOffsets[bar]; step < barStepOffsets[bar + 1]; step++) {
+          stepBarPositions[step] =
+            repeatOffsetBars + bar + (cursor + stepQuarterDurations[step] / 2) / Math.max(1e-6, barLength);
+          cursor += stepQuarterDurations[step];
+        }
+      }
       for (let step = 0; step < stepQuarterDurations.length; step++) {
+        const stepBpm = hasTempoRamp(tempoCurve)
+          ? getBpmAtBarPosition(stepBarPositions[step] ?? repeatOffsetBars)
+          : entryBpm;
         const hits = [];
         (notationState.instruments || []).forEach((inst) => {
           const state = notationState.grid?.[inst.id]?.[step] ?? CELL.OFF;
           if (state === CELL.OFF) return;
           hits.push({
             instId: inst.id,
-            state: state === CELL.ACCENT ? "accent" : state === CELL.GHOST ? "ghost" : "on",
+            state: RUDIMENT_CELLS.has(state) ? state : state === CELL.ACCENT ? "accent" : state === CELL.GHOST ? "ghost" : "on",
           });
         });
         const globalBarIndex = globalBarBase + getBarIndexForStepFromPayload(payload, step);
         events.push({
           timeSec,
+          durationSec: (60 / stepBpm) * stepQuarterDurations[step],
           stepIndex: step,
           hits,
+          click: clickPattern[step] || null,
           meta: {
             mode: "arrangement-compiled",
             queueIndex: Number(entry?.__queueIndex ?? -1),
@@ -6846,7 +7781,7 @@ useEffect(() => {
         if (!barStartTimes.has(globalBarIndex)) {
           barStartTimes.set(globalBarIndex, timeSec);
         }
-        timeSec += (60 / entryBpm) * stepQuarterDurations[step];
+        timeSec += (60 / stepBpm) * stepQuarterDurations[step];
       }
       boundaries.push({
         queueIndex: Number(entry?.__queueIndex ?? -1),
@@ -6854,6 +7789,8 @@ useEffect(() => {
         repeatIndex: Number(entry?.repeatIndex ?? 0),
         startSec: entryStartSec,
         endSec: timeSec,
+        bpm: entryBpm,
+        beatsPerBar: Math.max(1, notationState.quarterSubdivisionsByBar?.[0]?.length || 4),
       });
     });
     let playbackEvents = events;
@@ -6977,6 +7914,10 @@ useEffect(() => {
       0,
       Number(firstEventAtStart?.meta?.queueIndex ?? startBoundary?.queueIndex) || 0
     );
+    const countInBoundary =
+      plan.boundaries.find(
+        (entry) => startAtSec >= Number(entry?.startSec) - 1e-6 && startAtSec < Number(entry?.endSec)
+      ) || startBoundary;
     setArrangementPlaybackIndex(startIndex);
     setArrangementPlaybackEnabled(true);
     window.requestAnimationFrame(() => {
@@ -6985,6 +7926,10 @@ useEffect(() => {
         startAtSec,
         totalDurationSec: Math.max(0, Number(plan.totalDurationSec) || 0),
         loop: plan.loop === true,
+        countIn: {
+          beatsPerBar: countInBoundary?.beatsPerBar,
+          beatSec: 60 / Math.max(1, Number(countInBoundary?.bpm) || effectivePlaybackBpm),
+        },
       }).then(() => {
         arrangementStartedRef.current = true;
       }).catch(() => {
@@ -7001,6 +7946,7 @@ useEffect(() => {
     playback.setStopAtTime,
     normalizedArrangementBarSelection,
     normalizedArrangementSelection,
+    effectivePlaybackBpm,
   ]);
   const stopArrangementPlayback = React.useCallback(() => {
     playback.hardStop();
@@ -7096,22 +8042,22 @@ useEffect(() => {
       const row = baseGrid[inst.id] || [];
       const events = [];
       for (let idx = 0; idx < Math.min(columns, row.length); idx++) {
-        const cell = row[idx];
-        if (cell === CELL.ACCENT) events.push([idx, 3]);
-        else if (cell === CELL.ON) events.push([idx, 1]);
-        else if (cell === CELL.GHOST) events.push([idx, 2]);
+        const code = CELL_CODE[row[idx]];
+        if (code) events.push([idx, code]);
       }
       if (events.length) grid[inst.id] = events;
     });
     return {
-      v: 1,
+      v: BEAT_PAYLOAD_VERSION,
       kitInstrumentIds,
       bars,
       resolution,
       timeSig,
+      ...(hasTimeSigChanges(timeSigByBar) ? { timeSigByBar } : {}),
       bpm,
       layout,
       tupletsByBar: normalizedTupletOverridesByBar,
+      ...(swing ? { swing } : {}),
       grid,
     };
   }, [
@@ -7121,9 +8067,11 @@ useEffect(() => {
     bars,
     resolution,
     timeSig,
+    timeSigByBar,
     bpm,
     layout,
     normalizedTupletOverridesByBar,
+    swing,
   ]);
   const loadedLocalBeat = React.useMemo(
     () => localBeats.find((b) => String(b?.id || "") === String(loadedLocalBeatId || "")) || null,
@@ -7175,10 +8123,12 @@ useEffect(() => {
     isLoadedLocalBeatDirty &&
     !isLoadedLocalBeatNameChanged;
 
+  // `sticking` (optional) replaces the sticking overrides once the loaded grid is in place.
   const applyImportedBeatPayload = React.useCallback(
-    (payload, sourceKey) => {
+    (rawPayload, sourceKey, { sticking = null } = {}) => {
       const shareSourceKey = sourceKey || `import:${Date.now()}`;
-      if (!payload || typeof payload !== "object") return;
+      const payload = migrateBeatPayload(rawPayload);
+      if (!payload) return;
       if (appliedSharedKeyRef.current === shareSourceKey) return;
       const nextBars = Math.max(1, Math.min(8, Number(payload.bars) || 1));
       const resOrder = [4, 8, 16, 32];
@@ -7189,9 +8139,10 @@ useEffect(() => {
         n: Math.max(1, Number(rawTs.n) || 4),
         d: Math.max(1, Number(rawTs.d) || 4),
       };
-      const quarterCount = getQuarterBeatsPerBar(nextTimeSig);
+      const nextTimeSigByBar = resolveTimeSigByBar(payload.timeSigByBar, nextBars, nextTimeSig);
+      const nextTimeSigOverrides = nextTimeSigByBar.map((ts) => (isSameTimeSig(ts, nextTimeSig) ? null : ts));
       const tupletsByBar = Array.from({ length: nextBars }, (_, barIdx) =>
-        Array.from({ length: quarterCount }, (_, qIdx) => {
+        Array.from({ length: getQuarterBeatsPerBar(nextTimeSigByBar[barIdx]) }, (_, qIdx) => {
           const raw = payload.tupletsByBar?.[barIdx]?.[qIdx];
           return clampTupletValue(raw) ?? null;
         })
@@ -7205,8 +8156,10 @@ useEffect(() => {
         bars: nextBars,
         resolution: nextResolution,
         timeSig: nextTimeSig,
+        timeSigByBar: nextTimeSigByBar,
         tupletsByBar,
         grid: payload.grid && typeof payload.grid === "object" ? payload.grid : {},
+        sticking,
       };
       appliedSharedKeyRef.current = shareSourceKey;
 
@@ -7219,6 +8172,9 @@ useEffect(() => {
         setBpm(clampedBpm);
         setBpmDraft(String(clampedBpm));
       }
+      const nextSwing = normalizeSwing(payload.swing);
+      setSwingPercent(nextSwing?.percent ?? SWING_MIN_PERCENT);
+      if (nextSwing) setSwingUnit(nextSwing.unit);
 
       setModifiedPresetBase(null);
       setPendingPresetChange(null);
@@ -7232,6 +8188,8 @@ useEffect(() => {
       setBars(nextBars);
       setResolution(nextResolution);
       setTimeSig(nextTimeSig);
+      setTimeSigOverridesByBar(nextTimeSigOverrides);
+      setTimeSigEditBar("all");
       setTupletOverridesByBar(tupletsByBar);
     },
     []
@@ -7239,18 +8197,458 @@ useEffect(() => {
   useEffect(() => {
     applyImportedBeatPayloadRef.current = applyImportedBeatPayload;
   }, [applyImportedBeatPayload]);
+
+  const writeGeneratedRows = React.useCallback(
+    (rows) => {
+      setLoopRule(null);
+      setBaseGridWithUndo((prev) => {
+        const next = cloneGridState(prev);
+        Object.entries(rows).forEach(([instId, events]) => {
+          if (!next[instId]) return;
+          next[instId] = Array(columns).fill(CELL.OFF);
+          events.forEach(([idx, code]) => {
+            if (idx < columns) next[instId][idx] = CELL_BY_CODE[code] || CELL.OFF;
+          });
+        });
+        return next;
+      });
+    },
+    [cloneGridState, columns, setBaseGridWithUndo]
+  );
+  // A full generate replaces the beat with the generator's meter, resolution and bar count.
+  // When those already match the editor it stays an undoable grid edit; otherwise it loads
+  // like an imported beat.
+  const generateGrooveBeat = React.useCallback(() => {
+    const settings = grooveGeneratorSettings;
+    const tupletsByBar = getGrooveTupletsByBar(settings);
+    const baseSubdiv = getBaseSubdivPerQuarter(settings.resolution, settings.timeSig);
+    const grid = generateGroove({
+      settings,
+      kitInstrumentIds,
+      timeSigByBar: Array.from({ length: settings.bars }, () => settings.timeSig),
+      subdivisionsByBar: tupletsByBar.map((row) => row.map((tuplet) => tuplet ?? baseSubdiv)),
+      footInstrumentIds: FOOT_INSTRUMENTS,
+    });
+    setGrooveRowVariants({});
+    setSelection(null);
+    if (GROOVE_STYLES.includes(settings.style)) setBeatStyleDraft(settings.style);
+    const sameLayout =
+      bars === settings.bars &&
+      resolution === settings.resolution &&
+      !hasTimeSigChanges(timeSigByBar) &&
+      isSameTimeSig(timeSig, settings.timeSig) &&
+      tupletsByBar.every((row, barIdx) =>
+        row.every((tuplet, qIdx) => (normalizedTupletOverridesByBar[barIdx]?.[qIdx] ?? null) === tuplet)
+      );
+    if (sameLayout) {
+      writeGeneratedRows(Object.fromEntries(ALL_INSTRUMENTS.map((inst) => [inst.id, grid[inst.id] || []])));
+      return;
+    }
+    const { timeSigByBar: _timeSigByBar, ...currentPayload } = buildCurrentBeatPayload();
+    applyImportedBeatPayload(
+      {
+        ...currentPayload,
+        bars: settings.bars,
+        resolution: settings.resolution,
+        timeSig: settings.timeSig,
+        tupletsByBar,
+        grid,
+      },
+      `generator:${settings.style}:${settings.seed}:${Date.now()}`
+    );
+    setActiveTab("generate");
+  }, [
+    grooveGeneratorSettings,
+    kitInstrumentIds,
+    bars,
+    resolution,
+    timeSig,
+    timeSigByBar,
+    normalizedTupletOverridesByBar,
+    writeGeneratedRows,
+    buildCurrentBeatPayload,
+    applyImportedBeatPayload,
+  ]);
+  // Loads a PAS rudiment as a one-bar snare beat with its sticking pinned, keeping the kit
+  // (plus the snare) and layout; swing is dropped since rudiments are played straight.
+  const loadRudimentIntoEditor = React.useCallback(
+    (rudiment) => {
+      const { sticking, ...fields } = buildRudimentBeat(rudiment);
+      const { timeSigByBar: _timeSigByBar, swing: _swing, ...currentPayload } = buildCurrentBeatPayload();
+      applyImportedBeatPayload(
+        {
+          ...currentPayload,
+          ...fields,
+          kitInstrumentIds: kitInstrumentIds.includes("snare") ? kitInstrumentIds : [...kitInstrumentIds, "snare"],
+        },
+        `rudiment:${rudiment.id}:${Date.now()}`,
+        { sticking }
+      );
+      setShowNotationSticking(true);
+      setBeatNameDraft(rudiment.name);
+      setBeatCategoryDraft("Other");
+      setBeatStyleDraft("all");
+    },
+    [kitInstrumentIds, buildCurrentBeatPayload, applyImportedBeatPayload]
+  );
+  // The selection as the seed figure of a permutation exercise, with its variations. The figure
+  // has to sit inside one bar; that bar (all of its other rows) is the template for every variation.
+  const permutationSource = React.useMemo(() => {
+    if (!selection) return null;
+    let barIdx = 0;
+    while (barIdx + 1 < bars && (barStepOffsets[barIdx + 1] ?? Infinity) <= selection.start) barIdx++;
+    const barStart = barStepOffsets[barIdx] || 0;
+    const barSteps = stepsPerBarByBar[barIdx] || 0;
+    if (selection.endExclusive > barStart + barSteps) return { error: "Select steps within one bar" };
+    const rowIds = instruments.slice(selection.rowStart, selection.rowEnd + 1).map((inst) => inst.id);
+    const figure = [];
+    for (let col = selection.start; col < selection.endExclusive; col++) {
+      const slice = {};
+      rowIds.forEach((instId) => {
+        const value = baseGrid[instId]?.[col] ?? CELL.OFF;
+        if (value !== CELL.OFF) slice[instId] = value;
+      });
+      figure.push(Object.keys(slice).length ? slice : null);
+    }
+    const { variations, truncated } = buildPermutationVariations(figure, permutationSettings.mode);
+    if (!variations.length) return { error: "The selection has no notes" };
+    return { barIdx, barStart, barSteps, rowIds, figureStart: selection.start - barStart, variations, truncated };
+  }, [selection, bars, barStepOffsets, stepsPerBarByBar, instruments, baseGrid, permutationSettings.mode]);
+  // Writes one bar per variation, either as a multi-bar beat in the editor (up to the editor's
+  // 8 bars) or as new local beats lined up in the arrangement, one row each, ready to print.
+  const buildPermutationExercise = React.useCallback(() => {
+    const source = permutationSource;
+    if (!source?.variations) return;
+    const { barIdx, barStart, barSteps, rowIds, figureStart, variations } = source;
+    const barRows = Object.fromEntries(
+      ALL_INSTRUMENTS.map((inst) => [
+        inst.id,
+        Array.from({ length: barSteps }, (_, i) => baseGrid[inst.id]?.[barStart + i] ?? CELL.OFF),
+      ])
+    );
+    const exerciseBars = variations.map((variation) =>
+      renderVariationBar(barRows, variation, {
+        rowIds,
+        figureStart,
+        fillBar: permutationSettings.fillBar,
+        cellOff: CELL.OFF,
+      })
+    );
+    const barTimeSig = timeSigByBar[barIdx] || timeSig;
+    const barTuplets = normalizedTupletOverridesByBar[barIdx] || [];
+    const { timeSigByBar: _timeSigByBar, ...currentPayload } = buildCurrentBeatPayload();
+    const buildPayload = (barList) => {
+      const grid = {};
+      barList.forEach((rows, i) => {
+        Object.entries(rows).forEach(([instId, values]) => {
+          values.forEach((value, step) => {
+            const code = CELL_CODE[value];
+            if (!code) return;
+            if (!grid[instId]) grid[instId] = [];
+            grid[instId].push([i * barSteps + step, code]);
+          });
+        });
+      });
+      return {
+        ...currentPayload,
+        bars: barList.length,
+        timeSig: barTimeSig,
+        tupletsByBar: barList.map(() => [...barTuplets]),
+        grid,
+      };
+    };
+    const countLabel = `${exerciseBars.length} variation${exerciseBars.length === 1 ? "" : "s"}`;
+
+    if (permutationSettings.output === "beat") {
+      if (exerciseBars.length > 8) {
+        setPermutationStatus(`${countLabel} is more than the 8 bars a beat can hold; build an arrangement instead.`);
+        return;
+      }
+      applyImportedBeatPayload(buildPayload(exerciseBars), `permutations:${Date.now()}`);
+      setPermutationStatus(`Loaded ${countLabel} as a ${exerciseBars.length}-bar beat.`);
+      return;
+    }
+
+    // Refuse rather than push the user's oldest beats out of a full library.
+    if (localBeats.length + exerciseBars.length > LOCAL_BEAT_LIBRARY_LIMIT) {
+      setPermutationStatus(
+        `${countLabel} would not fit: the local library holds ${localBeats.length} of ${LOCAL_BEAT_LIBRARY_LIMIT} beats. Delete some beats first.`
+      );
+      return;
+    }
+    const name = beatNameDraft.trim() || "Permutation exercise";
+    const now = new Date().toISOString();
+    const exerciseBeats = exerciseBars.map((rows, i) => ({
+      id: `local-${Math.random().toString(36).slice(2, 10)}`,
+      name: `${name} ${i + 1}`,
+      category: "Other",
+      style: undefined,
+      timeSigCategory: `${barTimeSig.n}/${barTimeSig.d}`,
+      bpm,
+      createdAt: now,
+      payload: buildPayload([rows]),
+      source: "local",
+    }));
+    const nextItems = normalizeArrangementItems(
+      exerciseBeats.map((beat) => ({
+        id: `arr-${Math.random().toString(36).slice(2, 10)}`,
+        source: "local",
+        beatId: beat.id,
+        repeats: 1,
+        showNotationBeatName: true,
+      }))
+    );
+    pushLocalBeatHistory();
+    setLocalBeats((prev) => [...exerciseBeats, ...prev]);
+    arrangementItemsRef.current = nextItems;
+    setArrangementItems(nextItems);
+    setArrangementNameDraft(name);
+    setLoadedArrangementId(null);
+    setArrangementSaveAsOpen(true);
+    setArrangementSourcesCollapsed(false);
+    setArrangementSourceTab("local");
+    setIsArrangementOpen(true);
+    setPermutationStatus(`Added ${countLabel} to the library and the arrangement.`);
+  }, [
+    permutationSource,
+    permutationSettings.fillBar,
+    permutationSettings.output,
+    baseGrid,
+    timeSigByBar,
+    timeSig,
+    normalizedTupletOverridesByBar,
+    buildCurrentBeatPayload,
+    applyImportedBeatPayload,
+    beatNameDraft,
+    bpm,
+    localBeats.length,
+    pushLocalBeatHistory,
+  ]);
+  // A new selection means a new figure; loading a beat output clears the selection, so the
+  // status from that build stays visible.
+  useEffect(() => {
+    if (selection) setPermutationStatus("");
+  }, [selection]);
+  const filteredRudiments = React.useMemo(() => {
+    const searchTerms = librarySearchQuery.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (!searchTerms.length) return PAS_RUDIMENTS;
+    return PAS_RUDIMENTS.filter((rudiment) => {
+      const haystack = `${rudiment.number} ${rudiment.name} ${rudiment.family}`.toLowerCase();
+      return searchTerms.every((term) => haystack.includes(term));
+    });
+  }, [librarySearchQuery]);
+  const grooveInstrumentIds = React.useMemo(
+    () => getGrooveInstrumentIds(grooveGeneratorSettings.style, kitInstrumentIds),
+    [grooveGeneratorSettings.style, kitInstrumentIds]
+  );
+  // Rerolls one instrument row of the current beat in place, keeping the other rows.
+  const regenerateGrooveRow = React.useCallback(
+    (instId) => {
+      const nextVariants = { ...grooveRowVariants, [instId]: (grooveRowVariants[instId] || 0) + 1 };
+      const rows = generateGroove({
+        settings: grooveGeneratorSettings,
+        kitInstrumentIds,
+        timeSigByBar,
+        subdivisionsByBar: quarterSubdivisionsByBar,
+        footInstrumentIds: FOOT_INSTRUMENTS,
+        onlyInstrumentIds: [instId],
+        contextGrid: buildCurrentBeatPayload().grid,
+        rowVariants: nextVariants,
+      });
+      setGrooveRowVariants(nextVariants);
+      writeGeneratedRows(rows);
+    },
+    [
+      grooveRowVariants,
+      grooveGeneratorSettings,
+      kitInstrumentIds,
+      timeSigByBar,
+      quarterSubdivisionsByBar,
+      buildCurrentBeatPayload,
+      writeGeneratedRows,
+    ]
+  );
+
+  // Fills go into the bar holding the selection start, or the last bar.
+  const fillTargetBar = React.useMemo(() => {
+    if (!selection) return Math.max(0, bars - 1);
+    const bar = barStepOffsets.findIndex((offset, idx) => idx < bars && selection.start < barStepOffsets[idx + 1]);
+    return bar < 0 ? Math.max(0, bars - 1) : bar;
+  }, [selection, bars, barStepOffsets]);
+  const fillTargetBarTiming = React.useMemo(() => {
+    const barStart = barStepOffsets[fillTargetBar] ?? 0;
+    const barEnd = barStepOffsets[fillTargetBar + 1] ?? barStart;
+    const startTime = columnQuarterStarts[barStart] ?? 0;
+    return {
+      barStart,
+      barEnd,
+      stepTimes: columnQuarterStarts.slice(barStart, barEnd).map((time) => time - startTime),
+      barLength: (columnQuarterStarts[barEnd] ?? startTime) - startTime,
+    };
+  }, [fillTargetBar, barStepOffsets, columnQuarterStarts]);
+  const fillSubdivisionAvailable = React.useMemo(
+    () =>
+      Object.fromEntries(
+        FILL_SUBDIVISIONS.map((entry) => [
+          entry.id,
+          Boolean(
+            planFillRhythm(fillTargetBarTiming.stepTimes, fillTargetBarTiming.barLength, {
+              ...fillGeneratorSettings,
+              subdivision: entry.id,
+            })
+          ),
+        ])
+      ),
+    [fillTargetBarTiming, fillGeneratorSettings]
+  );
+  // Replaces the end of the target bar with a fill. The rhythm is stuck first (same rules as
+  // the notation sticking), the toms are chosen from that sticking, and the sticking is kept
+  // as manual overrides so it stays attached to the fill. The crash lands on the next
+  // downbeat: the next bar, or in an arrangement the start of the section that follows.
+  const generateFill = React.useCallback(() => {
+    const { barStart, barEnd, stepTimes, barLength } = fillTargetBarTiming;
+    const plan = planFillRhythm(stepTimes, barLength, fillGeneratorSettings);
+    const subdivisionLabel = FILL_SUBDIVISIONS.find((entry) => entry.id === fillGeneratorSettings.subdivision)?.label;
+    if (!plan) {
+      setFillGeneratorStatus(`Bar ${fillTargetBar + 1} has no ${subdivisionLabel} grid; raise the resolution or add tuplets.`);
+      return;
+    }
+    const voiceIds = getFillVoiceIds(kitInstrumentIds);
+    if (!voiceIds.length) {
+      setFillGeneratorStatus("Add a snare or toms to the drumkit to generate fills.");
+      return;
+    }
+    const barSteps = barEnd - barStart;
+    const rhythmRow = Array(barSteps).fill(CELL.OFF);
+    plan.slots.forEach((slot) => {
+      rhythmRow[slot.step] = CELL.ON;
+    });
+    const rhythmSticking = computeStickingAssignmentsForNotationState(
+      {
+        instruments: [INSTRUMENT_BY_ID.snare],
+        grid: { snare: rhythmRow },
+        bars: 1,
+        barStepOffsets: [0, barSteps],
+        quarterSubdivisionsByBar: [quarterSubdivisionsByBar[fillTargetBar] || []],
+      },
+      { stickingHandedness, stickingLeadHand, stickingKeepQuarterLeadHand }
+    );
+    const hands = plan.slots.map((slot) => rhythmSticking[slot.step]?.snare || "R");
+    const rows = orchestrateFill(plan, hands, {
+      voiceIds,
+      leadHand: stickingHandedness === "left" ? "L" : "R",
+      kick: kitInstrumentIds.includes("kick"),
+      settings: fillGeneratorSettings,
+    });
+
+    const fillStart = barStart + plan.startStep;
+    const next = cloneGridState(baseGridRef.current);
+    ALL_INSTRUMENTS.forEach((inst) => {
+      for (let col = fillStart; col < barEnd; col++) next[inst.id][col] = CELL.OFF;
+    });
+    Object.entries(rows).forEach(([instId, events]) => {
+      events.forEach(([step, code]) => {
+        next[instId][barStart + step] = CELL_BY_CODE[code] || CELL.ON;
+      });
+    });
+
+    const crashId = FILL_CRASH_IDS.find((id) => kitInstrumentIds.includes(id));
+    const placeCrashAt = (col) => {
+      next[crashId][col] = CELL.ON;
+      const handIds = kitInstrumentIds.filter((id) => !FOOT_INSTRUMENTS.has(id) && id !== crashId);
+      const handHits = handIds.filter((id) => (next[id]?.[col] ?? CELL.OFF) !== CELL.OFF).length;
+      // The crash takes over from the time keeper when both hands are already busy.
+      if (handHits >= 2) ["hihat", "hihatOpen", "ride", "rideBell"].forEach((id) => (next[id][col] = CELL.OFF));
+    };
+    let crashNote = "";
+    if (crashId && fillTargetBar < bars - 1) {
+      placeCrashAt(barStepOffsets[fillTargetBar + 1]);
+      crashNote = ` Crash on bar ${fillTargetBar + 2}.`;
+    } else if (crashId && loadedLocalBeatId) {
+      const items = arrangementItemsRef.current || [];
+      const followingBeatIds = new Set();
+      let wrapsToSelf = false;
+      items.forEach((item, idx) => {
+        if (item.source !== "local" || String(item.beatId) !== String(loadedLocalBeatId)) return;
+        const following = items[idx + 1];
+        // Repeats crash the beat's own bar 0; the row after the last repeat still gets its crash.
+        if (item.repeats > 1) wrapsToSelf = true;
+        if (following?.source !== "local") return;
+        if (String(following.beatId) === String(item.beatId)) wrapsToSelf = true;
+        else followingBeatIds.add(String(following.beatId));
+      });
+      if (wrapsToSelf) placeCrashAt(0);
+      if (followingBeatIds.size) {
+        const addCrash = (beat) => {
+          const kit = Array.isArray(beat?.payload?.kitInstrumentIds) ? beat.payload.kitInstrumentIds : [];
+          const targetCrashId = FILL_CRASH_IDS.find((id) => kit.includes(id));
+          if (!targetCrashId) return beat;
+          const events = Array.isArray(beat.payload.grid?.[targetCrashId]) ? beat.payload.grid[targetCrashId] : [];
+          if (events.some(([idx]) => idx === 0)) return beat;
+          return {
+            ...beat,
+            payload: {
+              ...beat.payload,
+              grid: { ...beat.payload.grid, [targetCrashId]: [[0, CELL_CODE[CELL.ON]], ...events] },
+            },
+          };
+        };
+        setLocalBeatsWithUndo((prev) =>
+          prev.map((beat) => (followingBeatIds.has(String(beat?.id || "")) ? addCrash(beat) : beat))
+        );
+      }
+      if (wrapsToSelf || followingBeatIds.size) crashNote = " Crash added where the next section starts.";
+    }
+
+    const handByStep = new Map(plan.slots.map((slot, i) => [barStart + slot.step, hands[i]]));
+    setLoopRule(null);
+    setBaseGridWithUndo(next);
+    setStickingOverrides((prev) => {
+      const nextOverrides = {};
+      Object.entries(prev || {}).forEach(([key, hand]) => {
+        const col = Number(key.split(":")[1]);
+        if (!(col >= fillStart && col < barEnd)) nextOverrides[key] = hand;
+      });
+      Object.entries(rows).forEach(([instId, events]) => {
+        if (FOOT_INSTRUMENTS.has(instId)) return;
+        events.forEach(([step]) => {
+          const hand = handByStep.get(barStart + step);
+          if (hand) nextOverrides[`${instId}:${barStart + step}`] = hand;
+        });
+      });
+      return nextOverrides;
+    });
+    setFillGeneratorStatus(`Fill written to bar ${fillTargetBar + 1}.${crashNote}`);
+  }, [
+    fillTargetBarTiming,
+    fillGeneratorSettings,
+    fillTargetBar,
+    kitInstrumentIds,
+    quarterSubdivisionsByBar,
+    stickingHandedness,
+    stickingLeadHand,
+    stickingKeepQuarterLeadHand,
+    cloneGridState,
+    bars,
+    barStepOffsets,
+    loadedLocalBeatId,
+    setLocalBeatsWithUndo,
+    setBaseGridWithUndo,
+  ]);
   useEffect(() => {
     const mappingPending = pendingMidiImportMapping;
     const tempoPending = pendingMidiTempoPrompt;
     const previewSource = tempoPending?.arrayBuffer
       ? {
           arrayBuffer: tempoPending.arrayBuffer,
+          format: tempoPending.format,
           noteAssignments: tempoPending.noteAssignments || {},
           bpmOverride: tempoPending.bpm,
         }
       : mappingPending?.arrayBuffer
         ? {
             arrayBuffer: mappingPending.arrayBuffer,
+            format: mappingPending.format,
             noteAssignments: mappingPending.noteAssignments || {},
             bpmOverride: null,
           }
@@ -7278,7 +8676,8 @@ useEffect(() => {
     }
     let imported;
     try {
-      imported = importDrumMidi({
+      imported = importDrumFile({
+        format: previewSource.format,
         arrayBuffer: previewSource.arrayBuffer,
         instruments: ALL_INSTRUMENTS,
         arrangementSplitBars: midiImportSplitBars,
@@ -7337,7 +8736,9 @@ useEffect(() => {
     printTitle,
     restoreMidiImportPreviewSnapshot,
   ]);
-  const applyImportedArrangementPayload = React.useCallback((payload) => {
+  const applyImportedArrangementPayload = React.useCallback((rawPayload) => {
+    const payload = migrateArrangementPayload(rawPayload);
+    if (!payload) return;
     const viewportWidth =
       typeof window !== "undefined"
         ? (window.innerWidth || document.documentElement.clientWidth || 0)
@@ -7423,7 +8824,7 @@ useEffect(() => {
       payload: buildCurrentBeatPayload(),
       source: "local",
     };
-    setLocalBeatsWithUndo((prev) => [item, ...prev].slice(0, 500));
+    setLocalBeatsWithUndo((prev) => [item, ...prev].slice(0, LOCAL_BEAT_LIBRARY_LIMIT));
     setLoadedLocalBeatId(item.id);
   }, [
     beatNameDraft,
@@ -7497,7 +8898,13 @@ useEffect(() => {
         setPublicLibraryError(data?.error || "Failed to submit beat");
         return false;
       }
-      setPublicBeats((prev) => [data?.beat, ...prev].filter(Boolean));
+      if (data?.beat?.id) {
+        setPublicBeats((prev) => [data.beat, ...prev]);
+        setPublicBeatsById((prev) => ({ ...prev, [String(data.beat.id)]: data.beat }));
+        if (data.editToken) {
+          setPublicBeatEditTokens((prev) => ({ ...prev, [String(data.beat.id)]: String(data.editToken) }));
+        }
+      }
       return true;
     } catch (_) {
       setPublicLibraryError("Failed to submit beat");
@@ -7551,51 +8958,374 @@ useEffect(() => {
     setPrintComposer,
   ]);
 
-  const refreshPublicLibrary = React.useCallback(async () => {
+  const rememberPublicBeats = React.useCallback((beats) => {
+    if (!beats.length) return;
+    setPublicBeatsById((prev) => {
+      const next = { ...prev };
+      beats.forEach((beat) => {
+        if (beat?.id) next[String(beat.id)] = beat;
+      });
+      return next;
+    });
+  }, []);
+  const refreshPublicLibrary = React.useCallback(async (options = {}) => {
+    const { append = false } = options || {};
+    if (append && !publicLibraryNextCursor) return;
+    const requestId = publicLibraryRequestRef.current + 1;
+    publicLibraryRequestRef.current = requestId;
     setPublicLibraryLoading(true);
     setPublicLibraryError("");
     try {
       const params = new URLSearchParams();
-      params.set("sort", librarySort === "oldest" ? "oldest" : "latest");
+      params.set("sort", LIBRARY_SORT_MODES.some((m) => m.id === librarySort) ? librarySort : "latest");
+      params.set("limit", String(PUBLIC_LIBRARY_PAGE_SIZE));
       if (beatCategoryDraft !== "all") params.set("category", beatCategoryDraft);
       if (libraryTimeSigFilter !== "all") params.set("timeSig", libraryTimeSigFilter);
       if (beatStyleDraft !== "all") params.set("style", beatStyleDraft);
+      if (librarySearchQuery.trim()) params.set("q", librarySearchQuery.trim());
+      if (libraryBpmFilterMode !== "any") {
+        const spread = libraryBpmFilterMode === "pm5" ? 5 : libraryBpmFilterMode === "pm10" ? 10 : 0;
+        params.set("bpmMin", String(libraryBpmTarget - spread));
+        params.set("bpmMax", String(libraryBpmTarget + spread));
+      }
+      if (append) params.set("cursor", publicLibraryNextCursor);
       const res = await fetch(`/api/beats?${params.toString()}`);
       const data = await res.json().catch(() => ({}));
+      if (publicLibraryRequestRef.current !== requestId) return;
       if (!res.ok) {
         setPublicLibraryError(data?.error || "Failed to load public library");
-        setPublicLibraryLoading(false);
         return;
       }
-      setPublicBeats(Array.isArray(data?.beats) ? data.beats : []);
+      const beats = Array.isArray(data?.beats) ? data.beats : [];
+      setPublicBeats((prev) => (append ? [...prev, ...beats] : beats));
+      setPublicLibraryNextCursor(typeof data?.nextCursor === "string" ? data.nextCursor : null);
+      rememberPublicBeats(beats);
     } catch (_) {
-      setPublicLibraryError("Failed to load public library");
+      if (publicLibraryRequestRef.current === requestId) setPublicLibraryError("Failed to load public library");
     } finally {
-      setPublicLibraryLoading(false);
+      if (publicLibraryRequestRef.current === requestId) setPublicLibraryLoading(false);
     }
-  }, [librarySort, beatCategoryDraft, libraryTimeSigFilter, beatStyleDraft]);
+  }, [
+    librarySort,
+    beatCategoryDraft,
+    libraryTimeSigFilter,
+    beatStyleDraft,
+    librarySearchQuery,
+    libraryBpmFilterMode,
+    libraryBpmTarget,
+    publicLibraryNextCursor,
+    rememberPublicBeats,
+  ]);
+  const refreshPublicLibraryRef = useRef(refreshPublicLibrary);
+  refreshPublicLibraryRef.current = refreshPublicLibrary;
+  const isPublicLibraryVisible =
+    (isArrangementOpen && arrangementSourceTab === "public") || (isBeatLibraryOpen && beatLibraryTab === "public");
   useEffect(() => {
-    const libraryVisibleInCombinedWindow = isArrangementOpen && arrangementSourceTab === "public";
-    if (!libraryVisibleInCombinedWindow) return;
-    refreshPublicLibrary();
-  }, [isArrangementOpen, arrangementSourceTab, refreshPublicLibrary]);
+    if (!isPublicLibraryVisible) return undefined;
+    // Debounced so typing in the search box or holding the BPM stepper sends one request.
+    const timer = window.setTimeout(() => refreshPublicLibraryRef.current(), PUBLIC_LIBRARY_FETCH_DEBOUNCE_MS);
+    return () => window.clearTimeout(timer);
+  }, [
+    isPublicLibraryVisible,
+    librarySort,
+    beatCategoryDraft,
+    libraryTimeSigFilter,
+    beatStyleDraft,
+    librarySearchQuery,
+    libraryBpmFilterMode,
+    libraryBpmTarget,
+  ]);
   useEffect(() => {
-    const libraryVisibleInCombinedWindow = isArrangementOpen && arrangementSourceTab === "public";
-    if (libraryVisibleInCombinedWindow) return;
+    if (isPublicLibraryVisible) return;
     setPublicLibraryError("");
-  }, [isArrangementOpen, arrangementSourceTab]);
-
-  const createShareLink = React.useCallback(async (mode = "beat", options = {}) => {
-    const { requireShort = false } = options || {};
-    const payload = mode === "arrangement" ? buildCurrentArrangementSharePayload() : buildCurrentBeatPayload();
-    if (!payload || (mode === "arrangement" && (!Array.isArray(payload.items) || payload.items.length < 1))) {
-      throw new Error("Failed to create share link");
-    }
-    let text = "";
-    let usedShortLink = false;
+  }, [isPublicLibraryVisible]);
+  const handlePublicLibraryScroll = React.useCallback((e) => {
+    const el = e.currentTarget;
+    if (!(el instanceof HTMLElement)) return;
+    if (publicLibraryLoading || !publicLibraryNextCursor || libraryFavoritesOnly) return;
+    if (el.scrollTop + el.clientHeight < el.scrollHeight - 160) return;
+    refreshPublicLibrary({ append: true });
+  }, [publicLibraryLoading, publicLibraryNextCursor, libraryFavoritesOnly, refreshPublicLibrary]);
+  useEffect(() => {
+    const missingIds = Array.from(
+      new Set([
+        ...arrangementItems
+          .filter((item) => item?.source === "public")
+          .map((item) => String(item.beatId || "")),
+        ...(libraryFavoritesOnly ? favoritePublicBeatIds : []),
+      ])
+    ).filter((id) => id && !publicBeatsById[id] && !publicBeatLookupAttemptedRef.current.has(id));
+    if (!missingIds.length) return;
+    missingIds.forEach((id) => publicBeatLookupAttemptedRef.current.add(id));
+    const params = new URLSearchParams();
+    params.set("ids", missingIds.join(","));
+    fetch(`/api/beats?${params.toString()}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => rememberPublicBeats(Array.isArray(data?.beats) ? data.beats : []))
+      .catch(() => {});
+  }, [arrangementItems, libraryFavoritesOnly, favoritePublicBeatIds, publicBeatsById, rememberPublicBeats]);
+  const refreshSongLibrary = React.useCallback(async (options = {}) => {
+    const { append = false } = options || {};
+    if (append && !publicSongsNextCursor) return;
+    const requestId = publicSongsRequestRef.current + 1;
+    publicSongsRequestRef.current = requestId;
+    setPublicSongsLoading(true);
+    setSongLibraryError("");
     try {
-      const res = await fetch("/api/share", {
-        method: "POST",
+      const params = new URLSearchParams();
+      params.set("limit", String(PUBLIC_LIBRARY_PAGE_SIZE));
+      if (songLibraryStyleFilter !== "all") params.set("style", songLibraryStyleFilter);
+      if (songLibrarySearchQuery.trim()) params.set("q", songLibrarySearchQuery.trim());
+      if (append) params.set("cursor", publicSongsNextCursor);
+      const res = await fetch(`/api/songs?${params.toString()}`);
+      const data = await res.json().catch(() => ({}));
+      if (publicSongsRequestRef.current !== requestId) return;
+      if (!res.ok) {
+        setSongLibraryError(data?.error || "Failed to load song library");
+        return;
+      }
+      const songs = Array.isArray(data?.songs) ? data.songs : [];
+      setPublicSongs((prev) => (append ? [...prev, ...songs] : songs));
+      setPublicSongsNextCursor(typeof data?.nextCursor === "string" ? data.nextCursor : null);
+    } catch (_) {
+      if (publicSongsRequestRef.current === requestId) setSongLibraryError("Failed to load song library");
+    } finally {
+      if (publicSongsRequestRef.current === requestId) setPublicSongsLoading(false);
+    }
+  }, [songLibraryStyleFilter, songLibrarySearchQuery, publicSongsNextCursor]);
+  const refreshSongLibraryRef = useRef(refreshSongLibrary);
+  refreshSongLibraryRef.current = refreshSongLibrary;
+  const isSongLibraryVisible = isArrangementOpen && !arrangementDetailsCollapsed && isSongLibraryOpen;
+  useEffect(() => {
+    if (!isSongLibraryVisible) return undefined;
+    const timer = window.setTimeout(() => refreshSongLibraryRef.current(), PUBLIC_LIBRARY_FETCH_DEBOUNCE_MS);
+    return () => window.clearTimeout(timer);
+  }, [isSongLibraryVisible, songLibraryStyleFilter, songLibrarySearchQuery]);
+  const handleSongLibraryScroll = React.useCallback((e) => {
+    const el = e.currentTarget;
+    if (!(el instanceof HTMLElement)) return;
+    if (publicSongsLoading || !publicSongsNextCursor) return;
+    if (el.scrollTop + el.clientHeight < el.scrollHeight - 120) return;
+    refreshSongLibrary({ append: true });
+  }, [publicSongsLoading, publicSongsNextCursor, refreshSongLibrary]);
+  const loadPublicSong = React.useCallback(async (songId) => {
+    const id = String(songId || "");
+    if (!id) return;
+    setLoadingPublicSongId(id);
+    setSongLibraryError("");
+    try {
+      const res = await fetch(`/api/songs?id=${encodeURIComponent(id)}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data?.song?.payload?.kind !== "arrangement") {
+        setSongLibraryError(data?.error || "Failed to load song");
+        return;
+      }
+      applyImportedArrangementPayload(data.song.payload);
+    } catch (_) {
+      setSongLibraryError("Failed to load song");
+    } finally {
+      setLoadingPublicSongId(null);
+    }
+  }, [applyImportedArrangementPayload]);
+  const reportPublicSong = React.useCallback(async (songId) => {
+    const id = String(songId || "");
+    if (!id || reportedPublicSongIds.includes(id)) return;
+    const reason = String(window.prompt("Why are you reporting this song? (spam, offensive title, broken…)") || "").trim();
+    if (!reason) return;
+    setSongLibraryError("");
+    try {
+      const res = await fetch("/api/beat-report", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ kind: "song", id, reason }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setSongLibraryError(data?.error || "Failed to report song");
+        return;
+      }
+      setReportedPublicSongIds((prev) => [id, ...prev.filter((x) => x !== id)]);
+    } catch (_) {
+      setSongLibraryError("Failed to report song");
+    }
+  }, [reportedPublicSongIds]);
+  // Publishes the arrangement with its embedded beats, title lines and composer.
+  const publishCurrentArrangement = React.useCallback(async () => {
+    const payload = buildCurrentArrangementSharePayload();
+    if (!Array.isArray(payload?.items) || payload.items.length < 1) return;
+    if (songPublishStyle === "all") {
+      setSongLibraryError("Pick a style before publishing.");
+      return;
+    }
+    const composer = (arrangementComposerDraft.trim() || lockedPublicComposer).trim();
+    if (!composer) {
+      setSongLibraryError("Set an author in the arrangement title menu before publishing.");
+      return;
+    }
+    setSongLibraryError("");
+    try {
+      const res = await fetch("/api/songs", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          name: payload.titleLine1 || payload.name,
+          composer,
+          style: songPublishStyle,
+          payload,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setSongLibraryError(data?.error || "Failed to publish song");
+        return;
+      }
+      if (data?.song?.id) setPublicSongs((prev) => [data.song, ...prev.filter((song) => song.id !== data.song.id)]);
+    } catch (_) {
+      setSongLibraryError("Failed to publish song");
+    }
+  }, [buildCurrentArrangementSharePayload, songPublishStyle, arrangementComposerDraft, lockedPublicComposer]);
+  const refreshMySubmissions = React.useCallback(async () => {
+    const ids = Object.keys(publicBeatEditTokens).slice(0, PUBLIC_LIBRARY_LOOKUP_MAX_IDS);
+    if (!ids.length) {
+      setMySubmissionsMissingIds([]);
+      return;
+    }
+    setMySubmissionsLoading(true);
+    try {
+      const params = new URLSearchParams();
+      params.set("ids", ids.join(","));
+      const res = await fetch(`/api/beats?${params.toString()}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setPublicLibraryError(data?.error || "Failed to load your submissions");
+        return;
+      }
+      const beats = Array.isArray(data?.beats) ? data.beats : [];
+      rememberPublicBeats(beats);
+      const foundIds = new Set(beats.map((beat) => String(beat?.id || "")));
+      setMySubmissionsMissingIds(ids.filter((id) => !foundIds.has(id)));
+    } catch (_) {
+      setPublicLibraryError("Failed to load your submissions");
+    } finally {
+      setMySubmissionsLoading(false);
+    }
+  }, [publicBeatEditTokens, rememberPublicBeats]);
+  const refreshMySubmissionsRef = useRef(refreshMySubmissions);
+  refreshMySubmissionsRef.current = refreshMySubmissions;
+  useEffect(() => {
+    if (!isBeatLibraryOpen || beatLibraryTab !== "mine") return;
+    refreshMySubmissionsRef.current();
+  }, [isBeatLibraryOpen, beatLibraryTab]);
+  const replacePublicBeat = React.useCallback((beat) => {
+    const id = String(beat?.id || "");
+    if (!id) return;
+    setPublicBeats((prev) => prev.map((b) => (String(b?.id || "") === id ? { ...beat, stats: b.stats } : b)));
+    setPublicBeatsById((prev) => ({ ...prev, [id]: { ...beat, stats: prev[id]?.stats } }));
+  }, []);
+  // Replaces an own submission with the beat in the editor and the name/category/style drafts.
+  const updateMySubmission = React.useCallback(async (beatId) => {
+    const id = String(beatId || "");
+    const editToken = publicBeatEditTokens[id];
+    const current = publicBeatsById[id];
+    if (!editToken || !current) return;
+    setPublicLibraryError("");
+    try {
+      const res = await fetch("/api/beats", {
+        method: "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          id,
+          editToken,
+          name: beatNameDraft.trim() || current.name,
+          category: beatCategoryDraft === "all" ? current.category : beatCategoryDraft,
+          style: beatStyleDraft === "all" ? current.style : beatStyleDraft,
+          timeSigCategory: `${timeSig.n}/${timeSig.d}`,
+          bpm,
+          payload: buildCurrentBeatPayload(),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setPublicLibraryError(data?.error || "Failed to update beat");
+        return;
+      }
+      if (data?.beat?.id) replacePublicBeat(data.beat);
+    } catch (_) {
+      setPublicLibraryError("Failed to update beat");
+    }
+  }, [
+    publicBeatEditTokens,
+    publicBeatsById,
+    beatNameDraft,
+    beatCategoryDraft,
+    beatStyleDraft,
+    timeSig,
+    bpm,
+    buildCurrentBeatPayload,
+    replacePublicBeat,
+  ]);
+  const forgetMySubmission = React.useCallback((beatId) => {
+    const id = String(beatId || "");
+    setPublicBeatEditTokens((prev) => {
+      if (!(id in prev)) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    setMySubmissionsMissingIds((prev) => prev.filter((x) => x !== id));
+  }, []);
+  const deleteMySubmission = React.useCallback(async (beatId) => {
+    const id = String(beatId || "");
+    const editToken = publicBeatEditTokens[id];
+    if (!editToken) return;
+    const beat = publicBeatsById[id];
+    if (!window.confirm(`Delete "${beat?.name || "this beat"}" from the public library? This cannot be undone.`)) return;
+    setPublicLibraryError("");
+    try {
+      const res = await fetch("/api/beats", {
+        method: "DELETE",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id, editToken }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok && res.status !== 404) {
+        setPublicLibraryError(data?.error || "Failed to delete beat");
+        return;
+      }
+      forgetMySubmission(id);
+      setPublicBeats((prev) => prev.filter((b) => String(b?.id || "") !== id));
+      setPublicBeatsById((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    } catch (_) {
+      setPublicLibraryError("Failed to delete beat");
+    }
+  }, [publicBeatEditTokens, publicBeatsById, forgetMySubmission]);
+
+  const createShareLink = React.useCallback(async (mode = "beat", options = {}) => {
+    const { requireShort = false } = options || {};
+    const payload = mode === "arrangement" ? buildCurrentArrangementSharePayload() : buildCurrentBeatPayload();
+    if (!payload || (mode === "arrangement" && (!Array.isArray(payload.items) || payload.items.length < 1))) {
+      throw new Error("Failed to create share link");
+    }
+    let text = "";
+    let usedShortLink = false;
+    let longUrl = "";
+    const encoded = await encodeShareState(payload);
+    if (encoded) {
+      const url = new URL(window.location.origin + "/");
+      url.searchParams.set("s", encoded);
+      longUrl = url.toString();
+    }
+    // Self-contained links need no storage; only mint a short link when the URL is too long to paste.
+    if (longUrl && !requireShort && longUrl.length <= SHARE_URL_MAX_LENGTH) {
+      return { text: longUrl, usedShortLink, mode };
+    }
+    try {
+      const res = await fetch("/api/share", {
+        method: "POST",
         headers: { "content-type": "application/json" },
         body: JSON.stringify({ payload }),
       });
@@ -7608,19 +9338,16 @@ useEffect(() => {
         }
       }
     } catch (_) {
-      // fall through to local URL state fallback
+      // fall through to the long URL
     }
     if (!text) {
       if (requireShort) {
         throw new Error("QR export requires a short share link. Check share storage.");
       }
-      const encoded = encodeShareState(payload);
-      if (!encoded) {
+      if (!longUrl) {
         throw new Error("Failed to create share link");
       }
-      const url = new URL(window.location.origin + "/");
-      url.searchParams.set("s", encoded);
-      text = url.toString();
+      text = longUrl;
     }
     return {
       text,
@@ -7785,6 +9512,7 @@ useEffect(() => {
                       segment.notation.resolution
                   )}
                   timeSig={segment.notation.timeSig}
+                  timeSigByBar={segment.notation.timeSigByBar}
                   quarterSubdivisionsByBar={segment.notation.quarterSubdivisionsByBar}
                   barStepOffsets={segment.notation.barStepOffsets}
                   mergeRests={mergeRests}
@@ -7795,6 +9523,7 @@ useEffect(() => {
                   targetContentWidth={770}
                   sectionMarkers={segment.sectionMarkers || []}
                   tempoMarkers={segment.tempoMarkers || []}
+                  swingMarkers={segment.swingMarkers || []}
                   dynamicSpacingByBar={segment.dynamicSpacingByBar || null}
                   spacingPresetByBar={segment.spacingPresetByBar || null}
                   showSystemBarNumbers={true}
@@ -7923,7 +9652,107 @@ useEffect(() => {
       window.clearTimeout(timeout);
       window.removeEventListener("resize", sendEmbedHeight);
     };
-  }, [isEmbedMode, requestedExample, bars, columns, layout, resolution, timeSig, instruments.length]);
+  }, [isEmbedMode, requestedExample, bars, columns, layout, resolution, timeSig, instruments.length, embedView]);
+
+  // Host page API for `?embed=1`. Commands (posted to the iframe):
+  //   drumgrid-embed-play { bar?, loops? }  drumgrid-embed-stop  drumgrid-embed-set-bpm { bpm }
+  //   drumgrid-embed-seek { bar }  drumgrid-embed-set-view { view?: "notation" | "grid" }
+  // Events (posted to the parent): drumgrid-embed-ready { bars, columns, timeSig },
+  // drumgrid-embed-playhead { step, bar }, drumgrid-embed-ended { reason: "loops" | "stopped" }.
+  // Bars are 0-based; `loops` stops playback after that many passes (default: loop until stopped).
+  const embedLoopLimitRef = useRef({ loops: 0, passes: 0, lastStep: -1 });
+  const embedStopReasonRef = useRef("stopped");
+  const postEmbedMessage = React.useCallback((message) => {
+    if (!isEmbedMode || window.parent === window) return;
+    window.parent.postMessage(message, "*");
+  }, [isEmbedMode]);
+  const getEmbedBarIndexForStep = React.useCallback((step) => {
+    for (let b = 0; b < bars; b++) {
+      if (step < (barStepOffsets[b + 1] ?? columns)) return b;
+    }
+    return Math.max(0, bars - 1);
+  }, [bars, barStepOffsets, columns]);
+  const handleEmbedCommand = React.useCallback((data) => {
+    const barToStep = (rawBar) => {
+      const bar = Math.max(0, Math.min(bars - 1, Math.floor(Number(rawBar) || 0)));
+      return barStepOffsets[bar] ?? 0;
+    };
+    switch (data?.type) {
+      case "drumgrid-embed-play": {
+        const loops = Math.max(0, Math.floor(Number(data.loops) || 0));
+        const startStep = barToStep(data.bar);
+        embedLoopLimitRef.current = { loops, passes: 0, lastStep: startStep };
+        if (playback.isPlaying) {
+          playback.setTransportStep(startStep);
+          break;
+        }
+        playback.setPlayhead(startStep);
+        playback.play({ startStep }).catch(() => {});
+        break;
+      }
+      case "drumgrid-embed-stop":
+        embedStopReasonRef.current = "stopped";
+        playback.stop();
+        break;
+      case "drumgrid-embed-set-bpm": {
+        const next = Math.round(Number(data.bpm));
+        if (Number.isFinite(next)) setBpm(clampBpm(next));
+        break;
+      }
+      case "drumgrid-embed-seek": {
+        const step = barToStep(data.bar);
+        embedLoopLimitRef.current = { ...embedLoopLimitRef.current, lastStep: step };
+        if (playback.isPlaying) playback.setTransportStep(step);
+        else playback.setPlayhead(step);
+        break;
+      }
+      case "drumgrid-embed-set-view":
+        setEmbedView((prev) =>
+          data.view === "grid" || data.view === "notation" ? data.view : prev === "grid" ? "notation" : "grid"
+        );
+        break;
+      default:
+        break;
+    }
+  }, [bars, barStepOffsets, playback.isPlaying, playback.play, playback.stop, playback.setPlayhead, playback.setTransportStep, clampBpm]);
+  const handleEmbedCommandRef = useRef(handleEmbedCommand);
+  handleEmbedCommandRef.current = handleEmbedCommand;
+  useEffect(() => {
+    if (!isEmbedMode || window.parent === window) return;
+    const onMessage = (event) => {
+      if (event.source !== window.parent) return;
+      if (!event.data || typeof event.data !== "object") return;
+      handleEmbedCommandRef.current(event.data);
+    };
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, [isEmbedMode]);
+  useEffect(() => {
+    // Re-announced when a share finishes loading, so hosts can read the final bar count.
+    postEmbedMessage({ type: "drumgrid-embed-ready", bars, columns, timeSig });
+  }, [postEmbedMessage, bars, columns, timeSig]);
+  useEffect(() => {
+    if (!playback.isPlaying) return;
+    const step = playback.playhead;
+    const limit = embedLoopLimitRef.current;
+    if (step < limit.lastStep) limit.passes += 1;
+    limit.lastStep = step;
+    if (limit.loops > 0 && limit.passes >= limit.loops) {
+      embedStopReasonRef.current = "loops";
+      playback.stop();
+      return;
+    }
+    postEmbedMessage({ type: "drumgrid-embed-playhead", step, bar: getEmbedBarIndexForStep(step) });
+  }, [playback.isPlaying, playback.playhead, playback.stop, postEmbedMessage, getEmbedBarIndexForStep]);
+  const wasEmbedPlayingRef = useRef(false);
+  useEffect(() => {
+    if (wasEmbedPlayingRef.current && !playback.isPlaying) {
+      postEmbedMessage({ type: "drumgrid-embed-ended", reason: embedStopReasonRef.current });
+      embedStopReasonRef.current = "stopped";
+      embedLoopLimitRef.current = { loops: 0, passes: 0, lastStep: -1 };
+    }
+    wasEmbedPlayingRef.current = playback.isPlaying;
+  }, [playback.isPlaying, postEmbedMessage]);
 
 
 
@@ -7972,7 +9801,8 @@ useEffect(() => {
       const next = { ...prev };
       const current = prev[inst][idx];
       // Articulated hits behave like "on" for regular click toggling.
-      const normalized = current === CELL.GHOST || current === CELL.ACCENT ? CELL.ON : current;
+      const normalized =
+        current === CELL.GHOST || current === CELL.ACCENT || RUDIMENT_CELLS.has(current) ? CELL.ON : current;
       const nextVal = normalized === CELL.OFF ? CELL.ON : CELL.OFF;
       next[inst] = [...prev[inst]];
       next[inst][idx] = nextVal;
@@ -8070,7 +9900,11 @@ useEffect(() => {
     setBaseGridWithUndo((prev) => {
       const next = { ...prev };
       const current = prev[inst][idx];
-      if (forceValue && (forceValue === CELL.ON || forceValue === CELL.GHOST || forceValue === CELL.ACCENT)) {
+      const forceAllowed =
+        forceValue &&
+        CELL_CODE[forceValue] &&
+        (!RUDIMENT_CELLS.has(forceValue) || RUDIMENT_ENABLED.has(inst));
+      if (forceAllowed) {
         next[inst] = [...prev[inst]];
         next[inst][idx] = forceValue;
         return next;
@@ -8078,9 +9912,14 @@ useEffect(() => {
 
       // Only toggle ghost on active cells.
       if (current === CELL.OFF) return prev;
+      // Drum rows continue through flam -> drag -> buzz before wrapping back to a plain hit.
+      const rudimentsAllowed = RUDIMENT_ENABLED.has(inst);
       const nextVal =
         current === CELL.ON ? CELL.GHOST :
         current === CELL.GHOST ? CELL.ACCENT :
+        current === CELL.ACCENT && rudimentsAllowed ? CELL.FLAM :
+        current === CELL.FLAM && rudimentsAllowed ? CELL.DRAG :
+        current === CELL.DRAG && rudimentsAllowed ? CELL.BUZZ :
         CELL.ON;
 
       next[inst] = [...prev[inst]];
@@ -8144,10 +9983,18 @@ useEffect(() => {
         <header className="mb-3 flex items-center justify-between gap-3" data-loopui='1'>
           <div className="min-w-0">
             <div className="truncate text-sm font-semibold">
-              {requestedExample?.title || "Drum Groove Example"}
+              {requestedExample?.title || (routeOptions.shareId || routeOptions.shared ? "Shared Groove" : "Drum Groove Example")}
             </div>
             <a
-              href={requestedExample ? `/?example=${encodeURIComponent(requestedExample.id)}` : "/"}
+              href={
+                requestedExample
+                  ? `/?example=${encodeURIComponent(requestedExample.id)}`
+                  : routeOptions.shareId
+                    ? `/g/${encodeURIComponent(routeOptions.shareId)}`
+                    : routeOptions.shared
+                      ? `/?s=${encodeURIComponent(routeOptions.shared)}`
+                      : "/"
+              }
               className="text-xs text-neutral-400 hover:text-neutral-200 underline underline-offset-2"
               target="_blank"
               rel="noreferrer"
@@ -8156,6 +10003,14 @@ useEffect(() => {
             </a>
           </div>
           <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setEmbedView((prev) => (prev === "grid" ? "notation" : "grid"))}
+              className="px-2 py-1.5 rounded border border-neutral-800 bg-neutral-900 text-sm text-neutral-300 hover:bg-neutral-800/60"
+              title={embedView === "grid" ? "Show notation" : "Show grid"}
+            >
+              {embedView === "grid" ? "Notation" : "Grid"}
+            </button>
             <button
               onClick={togglePlaybackFromBeginning}
               className={`touch-none select-none px-3 py-1.5 rounded border text-sm capitalize ${
@@ -8359,6 +10214,16 @@ useEffect(() => {
           >
             editing
           </button>
+          <button
+            onClick={() => setActiveTab((t) => (t === "generate" ? "none" : "generate"))}
+            className={`touch-none select-none px-3 py-1.5 rounded border text-sm capitalize ${
+              activeTab === "generate"
+                ? "bg-neutral-800 border-neutral-600 text-white"
+                : "bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+            }`}
+          >
+            generate
+          </button>
           {playabilityWarningsEnabled && playabilityWarningSteps.length > 0 && (
             <span className="text-[11px] text-red-500 whitespace-nowrap">
               {playabilityWarningSteps.length} playability warning{playabilityWarningSteps.length === 1 ? "" : "s"}
@@ -8491,6 +10356,19 @@ useEffect(() => {
 
               <div className="flex items-center gap-2">
                 <span className="text-sm text-neutral-300 whitespace-nowrap">Time</span>
+                <select
+                  value={String(timeSigEditBar)}
+                  onChange={(e) => setTimeSigEditBar(e.target.value === "all" ? "all" : Number(e.target.value))}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                  title="Choose which bar the time signature applies to"
+                >
+                  <option value="all">All bars</option>
+                  {timeSigByBar.map((ts, barIdx) => (
+                    <option key={`timesig-bar-${barIdx}`} value={String(barIdx)}>
+                      {`Bar ${barIdx + 1} (${ts.n}/${ts.d})`}
+                    </option>
+                  ))}
+                </select>
                 <div className="flex items-center gap-1.5">
                   <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
                     <button
@@ -8502,7 +10380,7 @@ useEffect(() => {
                       −
                     </button>
                     <div className="min-w-[36px] px-2.5 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 border-l border-r border-neutral-700 tabular-nums">
-                      {Math.max(2, Math.min(15, Number(timeSig.n) || 4))}
+                      {Math.max(2, Math.min(15, Number(editedTimeSig.n) || 4))}
                     </div>
                     <button
                       type="button"
@@ -8524,7 +10402,7 @@ useEffect(() => {
                       −
                     </button>
                     <div className="min-w-[36px] px-2.5 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 border-l border-r border-neutral-700 tabular-nums">
-                      {timeSig.d === 8 ? 8 : 4}
+                      {editedTimeSig.d === 8 ? 8 : 4}
                     </div>
                     <button
                       type="button"
@@ -8535,8 +10413,60 @@ useEffect(() => {
                       +
                     </button>
                   </div>
+                  {timeSigEditBar !== "all" && timeSigOverridesByBar[timeSigEditBar] && (
+                    <button
+                      type="button"
+                      onClick={() => handleBarTimeSigChange(timeSigEditBar, null)}
+                      className="px-2 py-1 rounded border text-xs bg-neutral-900 border-neutral-800 text-neutral-400 hover:text-neutral-200"
+                      title="Use the beat's time signature for this bar"
+                    >
+                      Reset
+                    </button>
+                  )}
                 </div>
               </div>
+
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-neutral-300">Swing</span>
+                <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
+                  <button
+                    type="button"
+                    onClick={() => setSwingPercent((v) => Math.max(SWING_MIN_PERCENT, v - 1))}
+                    className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                    aria-label="Decrease swing"
+                  >
+                    −
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setSwingPercent((v) => (v > SWING_MIN_PERCENT ? SWING_MIN_PERCENT : 58))}
+                    className="min-w-[56px] px-2.5 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 border-l border-r border-neutral-700 tabular-nums hover:bg-neutral-700/50"
+                    title="Toggle straight / swing (notation stays straight)"
+                  >
+                    {swing ? `${swing.percent}%` : "Off"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setSwingPercent((v) => Math.min(SWING_MAX_PERCENT, v + 1))}
+                    className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                    aria-label="Increase swing"
+                  >
+                    +
+                  </button>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setSwingUnit((v) => (v === 16 ? 8 : 16))}
+                  className={`touch-none select-none px-2.5 py-[5px] rounded border text-sm ${
+                    swing
+                      ? "bg-neutral-800 border-neutral-700 text-white"
+                      : "bg-neutral-900 border-neutral-800 text-neutral-600"
+                  }`}
+                  title="Swing level"
+                >
+                  {swingUnit === 16 ? "16th" : "8th"}
+                </button>
+              </div>
             </div>
 
             <div ref={gridMenuRowSecondaryRef} className="flex flex-wrap items-center gap-4" />
@@ -8777,6 +10707,413 @@ useEffect(() => {
                 </button>
               </div>
             </div>
+            <div className={`flex flex-wrap items-center gap-2 ${!selection ? "opacity-40" : ""}`}>
+              <span className="text-sm text-neutral-300">Transform</span>
+              {SELECTION_TRANSFORMS.map((transform) => (
+                <button
+                  key={transform.id}
+                  type="button"
+                  disabled={!selection}
+                  onClick={() => transformSelection(transform.id)}
+                  className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+                  title={transform.title}
+                >
+                  {transform.label}
+                </button>
+              ))}
+              <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
+                <button
+                  type="button"
+                  disabled={!selection}
+                  onClick={() => transformSelection("rotate", -selectionRotateSteps)}
+                  className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                  title={`Shift hits ${selectionRotateSteps} step${selectionRotateSteps === 1 ? "" : "s"} earlier (wraps around)`}
+                  aria-label="Rotate selection left"
+                >
+                  ←
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSelectionRotateSteps((v) => (v >= 8 ? 1 : v + 1))}
+                  className="min-w-[72px] px-3 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 border-l border-r border-neutral-700 hover:bg-neutral-700/50 tabular-nums"
+                  title="Steps to rotate by (click to change)"
+                >
+                  {`Shift ${selectionRotateSteps}`}
+                </button>
+                <button
+                  type="button"
+                  disabled={!selection}
+                  onClick={() => transformSelection("rotate", selectionRotateSteps)}
+                  className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                  title={`Shift hits ${selectionRotateSteps} step${selectionRotateSteps === 1 ? "" : "s"} later (wraps around)`}
+                  aria-label="Rotate selection right"
+                >
+                  →
+                </button>
+              </div>
+              <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
+                <button
+                  type="button"
+                  disabled={!selection}
+                  onClick={() => transformSelection("thin", selectionThinEvery)}
+                  className="px-3 py-1 text-sm text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700 border-r border-neutral-700"
+                  title={`Keep every ${selectionThinEvery === 2 ? "2nd" : selectionThinEvery === 3 ? "3rd" : `${selectionThinEvery}th`} hit in each row`}
+                >
+                  Thin
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSelectionThinEvery((v) => (v >= 4 ? 2 : v + 1))}
+                  className="min-w-[44px] px-3 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 hover:bg-neutral-700/50 tabular-nums"
+                  title="Keep one hit out of this many (click to change)"
+                >
+                  {`1/${selectionThinEvery}`}
+                </button>
+              </div>
+              <select
+                value=""
+                disabled={!selection || selection.rowStart !== selection.rowEnd}
+                onChange={(e) => {
+                  if (e.target.value) moveSelectionRowToInstrument(e.target.value);
+                }}
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                title="Move the selected row's hits to another instrument (select a single row)"
+              >
+                <option value="">Move row to…</option>
+                {instruments
+                  .filter((_, rowIndex) => rowIndex !== selection?.rowStart)
+                  .map((inst) => (
+                    <option key={inst.id} value={inst.id}>
+                      {inst.label}
+                    </option>
+                  ))}
+              </select>
+            </div>
+            <div className={`flex flex-wrap items-center gap-2 ${!selection ? "opacity-40" : ""}`}>
+              <span className="text-sm text-neutral-300">Sticking drill</span>
+              <input
+                type="text"
+                value={stickingDrillSettings.pattern}
+                onChange={(e) => updateStickingDrillSettings({ pattern: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key !== "Enter") return;
+                  e.preventDefault();
+                  applyStickingDrill();
+                }}
+                placeholder="RLRR LRLL"
+                spellCheck={false}
+                className={`w-[140px] bg-neutral-800 border rounded px-2 py-1 text-sm font-mono uppercase ${
+                  stickingDrillStrokes || !stickingDrillSettings.pattern.trim() ? "border-neutral-700" : "border-red-800"
+                }`}
+                title="R and L per step; > accents the next stroke, - is a rest"
+              />
+              {["R", "L"].map((hand) => (
+                <label key={`drill-hand-${hand}`} className="flex items-center gap-1 text-sm text-neutral-400">
+                  {hand}
+                  <select
+                    value={stickingDrillTargets[hand] || ""}
+                    onChange={(e) =>
+                      updateStickingDrillSettings(hand === "R" ? { rightInstId: e.target.value } : { leftInstId: e.target.value })
+                    }
+                    className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm text-white"
+                    title={`Instrument the ${hand === "R" ? "right" : "left"} hand plays`}
+                  >
+                    {stickingDrillInstruments.map((inst) => (
+                      <option key={inst.id} value={inst.id}>
+                        {inst.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+              <button
+                type="button"
+                disabled={!selection || !stickingDrillStrokes}
+                onClick={applyStickingDrill}
+                className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60 disabled:opacity-40"
+                title="Repeat the pattern across the selected steps, replacing the R and L instruments' notes there"
+              >
+                Apply sticking
+              </button>
+            </div>
+            <div className={`flex flex-wrap items-center gap-2 ${!selection ? "opacity-40" : ""}`}>
+              <span className="text-sm text-neutral-300">Exercise</span>
+              {PERMUTATION_MODES.map((mode) => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  onClick={() => updatePermutationSettings({ mode: mode.id })}
+                  className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                    permutationSettings.mode === mode.id
+                      ? "bg-neutral-800 border-neutral-700 text-white"
+                      : "bg-neutral-900 border-neutral-800 text-neutral-400"
+                  }`}
+                  title={mode.title}
+                >
+                  {mode.label}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() => updatePermutationSettings({ fillBar: !permutationSettings.fillBar })}
+                className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                  permutationSettings.fillBar
+                    ? "bg-neutral-800 border-neutral-700 text-white"
+                    : "bg-neutral-900 border-neutral-800 text-neutral-400"
+                }`}
+                title="Repeat each variation across the whole bar instead of only the selected steps"
+              >
+                Fill bar
+              </button>
+              <select
+                value={permutationSettings.output}
+                onChange={(e) => updatePermutationSettings({ output: e.target.value })}
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                title="Where the variations go"
+              >
+                {PERMUTATION_OUTPUTS.map((output) => (
+                  <option key={output.id} value={output.id}>
+                    {output.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                disabled={!permutationSource?.variations}
+                onClick={buildPermutationExercise}
+                className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60 disabled:opacity-40"
+                title="One bar per variation of the selected figure; the rest of its bar stays as it is"
+              >
+                {permutationSource?.variations
+                  ? `Build ${permutationSource.variations.length} bar${permutationSource.variations.length === 1 ? "" : "s"}`
+                  : "Build"}
+              </button>
+              {(permutationSource?.error || permutationSource?.truncated || permutationStatus) && (
+                <span className="text-xs text-neutral-500">
+                  {permutationSource?.error ||
+                    permutationStatus ||
+                    `More than ${MAX_PERMUTATION_VARIATIONS} variations; only the first ${MAX_PERMUTATION_VARIATIONS} are built.`}
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === "generate" && (
+          <div className="flex flex-col gap-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-neutral-300">Style</span>
+              {GROOVE_STYLES.map((style) => (
+                <button
+                  key={style}
+                  type="button"
+                  onClick={() => updateGrooveGeneratorSettings({ style })}
+                  className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                    grooveGeneratorSettings.style === style
+                      ? "bg-neutral-800 border-neutral-700 text-white"
+                      : "bg-neutral-900 border-neutral-800 text-neutral-400"
+                  }`}
+                >
+                  {style}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                Time sig
+                <select
+                  value={`${grooveGeneratorSettings.timeSig.n}/${grooveGeneratorSettings.timeSig.d}`}
+                  onChange={(e) => {
+                    const [n, d] = e.target.value.split("/").map(Number);
+                    updateGrooveGeneratorSettings({ timeSig: { n, d } });
+                  }}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                >
+                  {[
+                    ...new Set([
+                      "2/4", "3/4", "4/4", "5/4", "6/8", "7/8", "9/8", "12/8",
+                      `${grooveGeneratorSettings.timeSig.n}/${grooveGeneratorSettings.timeSig.d}`,
+                    ]),
+                  ].map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                Resolution
+                <select
+                  value={String(grooveGeneratorSettings.resolution)}
+                  onChange={(e) => updateGrooveGeneratorSettings({ resolution: Number(e.target.value) })}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                >
+                  {[8, 16, 32].map((value) => (
+                    <option key={value} value={value}>
+                      {`1/${value}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                Bars
+                <select
+                  value={String(grooveGeneratorSettings.bars)}
+                  onChange={(e) => updateGrooveGeneratorSettings({ bars: Number(e.target.value) })}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                >
+                  {[1, 2, 4, 8].map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-neutral-300">Density</span>
+                <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
+                  <button
+                    type="button"
+                    onClick={() => updateGrooveGeneratorSettings({ density: grooveGeneratorSettings.density - 1 })}
+                    className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                    aria-label="Decrease density"
+                  >
+                    −
+                  </button>
+                  <div className="min-w-[72px] px-3 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 border-l border-r border-neutral-700">
+                    {GROOVE_DENSITY_LEVELS.find((level) => level.id === grooveGeneratorSettings.density)?.label}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => updateGrooveGeneratorSettings({ density: grooveGeneratorSettings.density + 1 })}
+                    className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                    aria-label="Increase density"
+                  >
+                    +
+                  </button>
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                Seed
+                <input
+                  type="number"
+                  min={1}
+                  max={99999}
+                  value={grooveGeneratorSettings.seed}
+                  onChange={(e) => updateGrooveGeneratorSettings({ seed: e.target.value })}
+                  className="w-20 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm tabular-nums"
+                  title="The same seed and settings always generate the same beat"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={() => updateGrooveGeneratorSettings({ seed: 1 + Math.floor(Math.random() * 99999) })}
+                className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+                title="Pick a random seed"
+              >
+                New seed
+              </button>
+              <button
+                type="button"
+                onClick={generateGrooveBeat}
+                className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-800 border-neutral-600 text-white hover:bg-neutral-700/60"
+                title="Replace the current beat with a generated one (uses the current drumkit)"
+              >
+                Generate
+              </button>
+            </div>
+            {grooveInstrumentIds.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-neutral-300">Reroll row</span>
+                {instruments
+                  .filter((inst) => grooveInstrumentIds.includes(inst.id))
+                  .map((inst) => (
+                    <button
+                      key={inst.id}
+                      type="button"
+                      onClick={() => regenerateGrooveRow(inst.id)}
+                      className="touch-none select-none px-2 py-0.5 rounded border text-xs bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+                      title={`Generate a new ${inst.label} part for the current beat, keeping the other rows`}
+                    >
+                      {inst.label}
+                    </button>
+                  ))}
+              </div>
+            )}
+            <div className="flex flex-wrap items-center gap-4 border-t border-neutral-800 pt-3">
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-neutral-300">Fill</span>
+                {FILL_LENGTHS.map((entry) => (
+                  <button
+                    key={entry.id}
+                    type="button"
+                    onClick={() => updateFillGeneratorSettings({ length: entry.id })}
+                    className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                      fillGeneratorSettings.length === entry.id
+                        ? "bg-neutral-800 border-neutral-700 text-white"
+                        : "bg-neutral-900 border-neutral-800 text-neutral-400"
+                    }`}
+                  >
+                    {entry.label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                Subdivision
+                <select
+                  value={String(fillGeneratorSettings.subdivision)}
+                  onChange={(e) => updateFillGeneratorSettings({ subdivision: Number(e.target.value) })}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm"
+                >
+                  {FILL_SUBDIVISIONS.map((entry) => (
+                    <option key={entry.id} value={entry.id} disabled={!fillSubdivisionAvailable[entry.id]}>
+                      {entry.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-neutral-300">Density</span>
+                <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
+                  <button
+                    type="button"
+                    onClick={() => updateFillGeneratorSettings({ density: fillGeneratorSettings.density - 1 })}
+                    className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                    aria-label="Decrease fill density"
+                  >
+                    −
+                  </button>
+                  <div className="min-w-[72px] px-3 py-1 flex items-center justify-center text-sm text-white bg-neutral-800 border-l border-r border-neutral-700">
+                    {GROOVE_DENSITY_LEVELS.find((level) => level.id === fillGeneratorSettings.density)?.label}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => updateFillGeneratorSettings({ density: fillGeneratorSettings.density + 1 })}
+                    className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+                    aria-label="Increase fill density"
+                  >
+                    +
+                  </button>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => updateFillGeneratorSettings({ seed: 1 + Math.floor(Math.random() * 99999) })}
+                className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+                title={`Fill seed ${fillGeneratorSettings.seed}; pick a new one for a different fill`}
+              >
+                New seed
+              </button>
+              <button
+                type="button"
+                onClick={generateFill}
+                className="touch-none select-none px-3 py-[5px] rounded border text-sm bg-neutral-800 border-neutral-600 text-white hover:bg-neutral-700/60"
+                title={selection ? "Replace the end of the selected bar with a fill" : "Replace the end of the last bar with a fill"}
+              >
+                {`Generate fill (bar ${fillTargetBar + 1})`}
+              </button>
+              {fillGeneratorStatus && <span className="text-xs text-neutral-400">{fillGeneratorStatus}</span>}
+            </div>
           </div>
         )}
 
@@ -8836,26 +11173,71 @@ useEffect(() => {
               Flat beams
             </button>
           </div>
-        )}
-      </header>
-
-
-      
-      
-      <main
-        className={`select-none ${
-          isEmbedMode
-            ? "mt-0"
-            : `mt-6 ${
-                layout === "grid-right"
-                  ? "grid grid-cols-1 xl:grid-cols-[auto_1fr] gap-6"
-                  : layout === "notation-right"
-                    ? "grid grid-cols-1 xl:grid-cols-[1fr_auto] gap-6"
-                    : "flex flex-col gap-6 items-start"
-              }`
-        }`}
-      >
-        {isEmbedMode ? (
+        )}
+      </header>
+
+
+      
+      
+      <main
+        className={`select-none ${
+          isEmbedMode
+            ? "mt-0"
+            : `mt-6 ${
+                layout === "grid-right"
+                  ? "grid grid-cols-1 xl:grid-cols-[auto_1fr] gap-6"
+                  : layout === "notation-right"
+                    ? "grid grid-cols-1 xl:grid-cols-[1fr_auto] gap-6"
+                    : "flex flex-col gap-6 items-start"
+              }`
+        }`}
+      >
+        {isEmbedMode && embedView === "grid" ? (
+          <div className="w-full overflow-x-auto">
+            {/* Read-only: embeds show the groove but never edit it. */}
+            <div className="inline-block align-top pointer-events-none">
+              <Grid
+                instruments={instruments}
+                grid={computedGrid}
+                columns={columns}
+                bars={bars}
+                stepsPerBar={stepsPerBar}
+                resolution={resolution}
+                timeSig={timeSig}
+                quarterSubdivisionsByBar={quarterSubdivisionsByBar}
+                normalizedTupletOverridesByBar={normalizedTupletOverridesByBar}
+                barStepOffsets={barStepOffsets}
+                cycleTupletAt={cycleTupletAt}
+                gridBarsPerLine={gridBarsPerLine}
+                cycleVelocity={cycleVelocity}
+                toggleGhost={cycleArticulation}
+                selection={null}
+                setSelection={setSelection}
+                loopRule={null}
+                loopRepeats={loopRepeats}
+                setLoopRule={setLoopRule}
+                wrappedSelectionCells={wrappedSelectionCells}
+                playhead={playback.playhead}
+                moveSelectionByDelta={moveSelectionByDelta}
+                legacySelectionEnabled={legacySelectionEnabled}
+                moveModeDebugEnabled={moveModeDebugEnabled}
+                playabilityWarningsEnabled={false}
+                playabilityWarningStepSet={playabilityWarningStepSet}
+                stickingGuideEnabled={stickingGuideEnabled}
+                showEditedSticking={showEditedSticking}
+                stickingAssignmentsByStep={stickingAssignmentsByStep}
+                stickingEditModeEnabled={false}
+                stickingOverrides={stickingOverrides}
+                onCycleStickingOverride={cycleStickingOverride}
+                onDisableStickingEditMode={() => setStickingEditModeEnabled(false)}
+                bakeLoopPreview={bakeLoopPreview}
+                mixer={currentMixer}
+                onToggleMute={toggleMixerMute}
+                onToggleSolo={toggleMixerSolo}
+              />
+            </div>
+          </div>
+        ) : isEmbedMode ? (
           <div className="w-full" ref={setNotationExportEl}>
             <Notation
               instruments={instruments}
@@ -8868,12 +11250,14 @@ useEffect(() => {
               barsPerLine={barsPerLine}
               stepsPerBar={stepsPerBar}
               timeSig={timeSig}
+              timeSigByBar={timeSigByBar}
               quarterSubdivisionsByBar={quarterSubdivisionsByBar}
               barStepOffsets={barStepOffsets}
               mergeRests={mergeRests}
               mergeNotes={mergeNotes}
               dottedNotes={dottedNotes}
               flatBeams={flatBeams}
+              swingMarkers={editorSwingMarkers}
             />
           </div>
         ) : layout === "notation-right" || layout === "notation-top" ? (
@@ -8890,12 +11274,14 @@ useEffect(() => {
                 barsPerLine={barsPerLine}
                 stepsPerBar={stepsPerBar}
                 timeSig={timeSig}
+                timeSigByBar={timeSigByBar}
                 quarterSubdivisionsByBar={quarterSubdivisionsByBar}
                 barStepOffsets={barStepOffsets}
                 mergeRests={mergeRests}
                 mergeNotes={mergeNotes}
                 dottedNotes={dottedNotes}
                 flatBeams={flatBeams}
+                swingMarkers={editorSwingMarkers}
               />
             </div>
 
@@ -8936,6 +11322,9 @@ useEffect(() => {
                 onCycleStickingOverride={cycleStickingOverride}
                 onDisableStickingEditMode={() => setStickingEditModeEnabled(false)}
                 bakeLoopPreview={bakeLoopPreview}
+                mixer={currentMixer}
+                onToggleMute={toggleMixerMute}
+                onToggleSolo={toggleMixerSolo}
       />
             </div>
             </div>
@@ -8979,6 +11368,9 @@ useEffect(() => {
                 onCycleStickingOverride={cycleStickingOverride}
                 onDisableStickingEditMode={() => setStickingEditModeEnabled(false)}
                 bakeLoopPreview={bakeLoopPreview}
+                mixer={currentMixer}
+                onToggleMute={toggleMixerMute}
+                onToggleSolo={toggleMixerSolo}
               />
             </div>
             </div>
@@ -8995,12 +11387,14 @@ useEffect(() => {
                 barsPerLine={barsPerLine}
                 stepsPerBar={stepsPerBar}
                 timeSig={timeSig}
+                timeSigByBar={timeSigByBar}
                 quarterSubdivisionsByBar={quarterSubdivisionsByBar}
                 barStepOffsets={barStepOffsets}
                 mergeRests={mergeRests}
                 mergeNotes={mergeNotes}
                 dottedNotes={dottedNotes}
                 flatBeams={flatBeams}
+                swingMarkers={editorSwingMarkers}
               />
             </div>
           </>
@@ -9062,6 +11456,27 @@ useEffect(() => {
             >
               Tap
             </button>
+            <button
+              type="button"
+              onClick={() => setMetronomeEnabled((v) => !v)}
+              className={`touch-none select-none px-3 py-1.5 rounded border text-sm ${
+                metronomeEnabled
+                  ? "bg-neutral-800 border-neutral-700 text-white"
+                  : "bg-neutral-900 border-neutral-800 text-neutral-500 hover:bg-neutral-800/60"
+              }`}
+              title="Metronome click (settings in Preferences > Playback)"
+              aria-pressed={metronomeEnabled}
+            >
+              Click
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsMixerDialogOpen(true)}
+              className="touch-none select-none px-3 py-1.5 rounded border text-sm bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+              title="Per-instrument volume, pan, mute and solo"
+            >
+              Mixer
+            </button>
             <span className="text-sm text-neutral-300">BPM</span>
             <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
               <button
@@ -9142,6 +11557,7 @@ useEffect(() => {
           <div
             ref={beatLibraryPanelRef}
             className="w-full max-w-[44rem] max-h-[90vh] overflow-auto rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5 pointer-events-auto shadow-2xl"
+            onScroll={beatLibraryTab === "public" ? handlePublicLibraryScroll : undefined}
             style={{
               position: "absolute",
               left: beatLibraryPos.x,
@@ -9188,6 +11604,30 @@ useEffect(() => {
                   >
                     Public
                   </button>
+                  <button
+                    type="button"
+                    onClick={() => setBeatLibraryTab("mine")}
+                    className={`px-2.5 py-1 rounded border text-sm ${
+                      beatLibraryTab === "mine"
+                        ? "border-neutral-700 text-white bg-neutral-800"
+                        : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                    }`}
+                    title="Public beats submitted from this browser"
+                  >
+                    My submissions
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setBeatLibraryTab("rudiments")}
+                    className={`px-2.5 py-1 rounded border text-sm ${
+                      beatLibraryTab === "rudiments"
+                        ? "border-neutral-700 text-white bg-neutral-800"
+                        : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                    }`}
+                    title="The 40 PAS rudiments with their sticking"
+                  >
+                    Rudiments
+                  </button>
                   <button
                     type="button"
                     onClick={() => setLibraryFiltersOpen((v) => !v)}
@@ -9296,6 +11736,13 @@ useEffect(() => {
             {libraryFiltersOpen && (
               <div className="mt-3 rounded border border-neutral-800 bg-neutral-900/40 p-2.5">
                 <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="search"
+                    value={librarySearchQuery}
+                    onChange={(e) => setLibrarySearchQuery(e.target.value)}
+                    placeholder="Search name or composer"
+                    className="min-w-[160px] flex-1 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
+                  />
                   <span className="text-xs text-neutral-400">Sort</span>
                   <button
                     type="button"
@@ -9353,7 +11800,21 @@ useEffect(() => {
                   {beatLibraryTab === "public" && (
                     <button
                       type="button"
-                      onClick={refreshPublicLibrary}
+                      onClick={() => setLibraryFavoritesOnly((v) => !v)}
+                      className={`px-2 py-0.5 rounded border text-xs ${
+                        libraryFavoritesOnly
+                          ? "border-neutral-700 text-white bg-neutral-800"
+                          : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                      }`}
+                      title="Only show public beats you favorited"
+                    >
+                      ★ Favorites
+                    </button>
+                  )}
+                  {beatLibraryTab === "public" && (
+                    <button
+                      type="button"
+                      onClick={() => refreshPublicLibrary()}
                       className="px-2 py-0.5 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/50"
                     >
                       Refresh
@@ -9379,9 +11840,58 @@ useEffect(() => {
             )}
 
             <div className="mt-4 space-y-2 dg-scroll-follow-list">
-              {(beatLibraryTab === "local" ? filteredLocalBeats : filteredPublicBeats).map((beat) => {
+              {beatLibraryTab === "rudiments" &&
+                RUDIMENT_FAMILIES.map((family) => {
+                  const rudiments = filteredRudiments.filter((rudiment) => rudiment.family === family);
+                  if (!rudiments.length) return null;
+                  return (
+                    <div key={`rudiment-family-${family}`} className="space-y-2">
+                      <div className="pt-1 text-xs uppercase tracking-wide text-neutral-500">{`${family} rudiments`}</div>
+                      {rudiments.map((rudiment) => (
+                        <div
+                          key={rudiment.id}
+                          role="button"
+                          tabIndex={0}
+                          onClick={() => loadRudimentIntoEditor(rudiment)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter" || e.key === " ") {
+                              e.preventDefault();
+                              loadRudimentIntoEditor(rudiment);
+                            }
+                          }}
+                          className="rounded border px-3 py-2 cursor-pointer outline-none focus:outline-none focus-visible:outline-none border-neutral-800 bg-neutral-950/40 hover:bg-neutral-900/60"
+                        >
+                          <div className="text-sm text-white">
+                            <span className="inline-block w-[28px] tabular-nums text-neutral-500">{rudiment.number}</span>
+                            {rudiment.name}
+                          </div>
+                          <div className="mt-0.5 flex flex-wrap items-center gap-x-2 gap-y-0.5 text-xs text-neutral-400">
+                            <span className="inline-block w-[28px]" />
+                            <span className="inline-block w-[40px] tabular-nums">{`${rudiment.timeSig.n}/${rudiment.timeSig.d}`}</span>
+                            <span className="inline-block w-[72px] tabular-nums">{`${rudiment.bpm} BPM`}</span>
+                            <span className="truncate text-neutral-500">
+                              {formatRudimentSticking(rudiment)}
+                            </span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              {beatLibraryTab === "rudiments" && filteredRudiments.length === 0 && (
+                <div className="text-xs text-neutral-500">No rudiments match this search.</div>
+              )}
+              {(beatLibraryTab === "local"
+                ? filteredLocalBeats
+                : beatLibraryTab === "mine"
+                  ? filteredMyBeats
+                  : beatLibraryTab === "public"
+                    ? filteredPublicBeats
+                    : []
+              ).map((beat) => {
                 const beatBpm = getBeatBpm(beat);
-                const beatRowKey = `${beatLibraryTab === "public" ? "public" : "local"}:${String(beat.id)}`;
+                const beatSource = beatLibraryTab === "local" ? "local" : "public";
+                const beatRowKey = `${beatSource}:${String(beat.id)}`;
                 const isLoadedTrackedBeat =
                   beatLibraryTab === "local" &&
                   String(loadedLocalBeatId || "") === String(beat.id) &&
@@ -9393,11 +11903,11 @@ useEffect(() => {
                     data-beat-row-id={beatRowKey}
                     role="button"
                     tabIndex={0}
-                    onClick={() => loadBeatIntoEditor(beatLibraryTab, beat)}
+                    onClick={() => loadBeatIntoEditor(beatSource, beat)}
                     onKeyDown={(e) => {
                       if (e.key === "Enter" || e.key === " ") {
                         e.preventDefault();
-                        loadBeatIntoEditor(beatLibraryTab, beat);
+                        loadBeatIntoEditor(beatSource, beat);
                       }
                     }}
                     className={`rounded border px-3 py-2 cursor-pointer outline-none focus:outline-none focus-visible:outline-none ${
@@ -9428,9 +11938,74 @@ useEffect(() => {
                           </span>
                           <span className="inline-block w-[72px] truncate">{beat.category || "Groove"}</span>
                           <span className="inline-block w-[108px] truncate">{beat.style || "—"}</span>
+                          {beatSource === "public" && beat.stats ? (
+                            <span className="tabular-nums text-neutral-500">
+                              {`♥ ${beat.stats.likes || 0} · ▶ ${(beat.stats.plays || 0) + (beat.stats.loads || 0)}`}
+                            </span>
+                          ) : null}
                         </div>
                       </div>
                       <div className="flex items-center gap-2">
+                        {beatLibraryTab === "public" && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              togglePublicBeatFavorite(beat.id);
+                            }}
+                            className={`px-2.5 py-1 rounded border text-sm ${
+                              favoritePublicBeatIds.includes(String(beat.id))
+                                ? "border-amber-700/70 text-amber-200 bg-amber-900/20"
+                                : "border-neutral-700 text-neutral-400 hover:bg-neutral-700/60"
+                            }`}
+                            aria-label="Favorite beat"
+                            title={favoritePublicBeatIds.includes(String(beat.id)) ? "Remove from favorites" : "Add to favorites"}
+                          >
+                            {favoritePublicBeatIds.includes(String(beat.id)) ? "★" : "☆"}
+                          </button>
+                        )}
+                        {beatLibraryTab === "public" && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              reportPublicBeat(beat.id);
+                            }}
+                            disabled={reportedPublicBeatIds.includes(String(beat.id))}
+                            className="px-2.5 py-1 rounded border border-neutral-700 text-sm text-neutral-400 hover:bg-neutral-700/60 disabled:opacity-40 disabled:hover:bg-transparent"
+                            aria-label="Report beat"
+                            title={reportedPublicBeatIds.includes(String(beat.id)) ? "Reported" : "Report beat"}
+                          >
+                            ⚑
+                          </button>
+                        )}
+                        {beatLibraryTab === "mine" && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              updateMySubmission(beat.id);
+                            }}
+                            className="px-2.5 py-1 rounded border text-sm border-cyan-700 text-cyan-100 bg-cyan-900/20 hover:bg-cyan-800/30"
+                            title="Replace with the beat in the editor and the name, category and style above"
+                          >
+                            Update
+                          </button>
+                        )}
+                        {beatLibraryTab === "mine" && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              deleteMySubmission(beat.id);
+                            }}
+                            className="px-2.5 py-1 rounded border border-red-900 text-sm text-red-200 hover:bg-red-900/30"
+                            aria-label="Delete public beat"
+                            title="Delete from the public library"
+                          >
+                            ×
+                          </button>
+                        )}
                         {beatLibraryTab === "local" && (
                           <button
                             type="button"
@@ -9448,13 +12023,50 @@ useEffect(() => {
                 );
               })}
               {beatLibraryTab === "public" && publicLibraryLoading && (
-                <div className="text-xs text-neutral-400">Loading public library…</div>
+                <div className="text-xs text-neutral-400">
+                  {publicBeats.length ? "Loading more beats…" : "Loading public library…"}
+                </div>
+              )}
+              {beatLibraryTab === "mine" && mySubmissionsLoading && (
+                <div className="text-xs text-neutral-400">Loading your submissions…</div>
+              )}
+              {beatLibraryTab === "mine" && !mySubmissionsLoading && mySubmissionsMissingIds.length > 0 && (
+                <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-neutral-500">
+                  <span>
+                    {`${mySubmissionsMissingIds.length} ${
+                      mySubmissionsMissingIds.length === 1 ? "submission is" : "submissions are"
+                    } no longer available (hidden by moderation or removed).`}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => mySubmissionsMissingIds.forEach((id) => forgetMySubmission(id))}
+                    className="px-2 py-0.5 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/50"
+                  >
+                    Forget
+                  </button>
+                </div>
               )}
+              {beatLibraryTab === "mine" &&
+                !mySubmissionsLoading &&
+                filteredMyBeats.length === 0 &&
+                mySubmissionsMissingIds.length === 0 && (
+                  <div className="text-xs text-neutral-500">
+                    {Object.keys(publicBeatEditTokens).length
+                      ? "No submissions match this search."
+                      : "Beats you submit to the public library from this browser show up here."}
+                  </div>
+                )}
               {beatLibraryTab === "local" && filteredLocalBeats.length === 0 && (
                 <div className="text-xs text-neutral-500">No local beats saved yet.</div>
               )}
               {beatLibraryTab === "public" && !publicLibraryLoading && filteredPublicBeats.length === 0 && (
-                <div className="text-xs text-neutral-500">No public beats yet.</div>
+                <div className="text-xs text-neutral-500">
+                  {libraryFavoritesOnly
+                    ? "No favorite beats yet."
+                    : librarySearchQuery.trim()
+                      ? "No public beats match this search."
+                      : "No public beats yet."}
+                </div>
               )}
             </div>
           </div>
@@ -9664,6 +12276,13 @@ useEffect(() => {
                 {libraryFiltersOpen && (
                   <div className="mt-3 rounded border border-neutral-800 bg-neutral-900/40 p-2.5">
                     <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="search"
+                        value={librarySearchQuery}
+                        onChange={(e) => setLibrarySearchQuery(e.target.value)}
+                        placeholder="Search name or composer"
+                        className="min-w-[160px] flex-1 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
+                      />
                       <span className="text-xs text-neutral-400">Sort</span>
                       <button
                         type="button"
@@ -9719,7 +12338,21 @@ useEffect(() => {
                       {arrangementSourceTab === "public" && (
                         <button
                           type="button"
-                          onClick={refreshPublicLibrary}
+                          onClick={() => setLibraryFavoritesOnly((v) => !v)}
+                          className={`px-2 py-0.5 rounded border text-xs ${
+                            libraryFavoritesOnly
+                              ? "border-neutral-700 text-white bg-neutral-800"
+                              : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                          }`}
+                          title="Only show public beats you favorited"
+                        >
+                          ★ Favorites
+                        </button>
+                      )}
+                      {arrangementSourceTab === "public" && (
+                        <button
+                          type="button"
+                          onClick={() => refreshPublicLibrary()}
                           className="px-2 py-0.5 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/50"
                         >
                           Refresh
@@ -9743,7 +12376,10 @@ useEffect(() => {
                   </div>
                 )}
                 {!arrangementSourcesCollapsed ? (
-                  <div className="mt-3 max-h-[52vh] overflow-auto space-y-2 pr-1 dg-scroll-follow-list">
+                  <div
+                    className="mt-3 max-h-[52vh] overflow-auto space-y-2 pr-1 dg-scroll-follow-list"
+                    onScroll={arrangementSourceTab === "public" ? handlePublicLibraryScroll : undefined}
+                  >
                     {arrangementSourceBeats.map((beat) => {
                       const beatBpm = getBeatBpm(beat);
                       const sourceLabel = arrangementSourceTab === "public" ? "public" : "local";
@@ -9795,11 +12431,32 @@ useEffect(() => {
                                   const beatBars = Math.max(1, Number(beat?.payload?.bars) || 1);
                                   return (beat.timeSigCategory || "4/4") +
                                     (Number.isFinite(beatBpm) ? ` · ${beatBpm} BPM` : "") +
-                                    ` · ${beatBars} ${beatBars === 1 ? "bar" : "bars"}`;
+                                    ` · ${beatBars} ${beatBars === 1 ? "bar" : "bars"}` +
+                                    (arrangementSourceTab === "public" && beat.stats
+                                      ? ` · ♥ ${beat.stats.likes || 0} · ▶ ${(beat.stats.plays || 0) + (beat.stats.loads || 0)}`
+                                      : "");
                                 })()}
                               </div>
                             </div>
                           <div className="flex items-center gap-1.5">
+                            {arrangementSourceTab === "public" && (
+                              <button
+                                type="button"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  togglePublicBeatFavorite(beat.id);
+                                }}
+                                className={`px-2 py-1 rounded border text-xs ${
+                                  favoritePublicBeatIds.includes(String(beat.id))
+                                    ? "border-amber-700/70 text-amber-200 bg-amber-900/20"
+                                    : "border-neutral-700 text-neutral-400 hover:bg-neutral-700/60"
+                                }`}
+                                aria-label="Favorite beat"
+                                title={favoritePublicBeatIds.includes(String(beat.id)) ? "Remove from favorites" : "Add to favorites"}
+                              >
+                                {favoritePublicBeatIds.includes(String(beat.id)) ? "★" : "☆"}
+                              </button>
+                            )}
                             <button
                               type="button"
                               onClick={(e) => {
@@ -9827,7 +12484,9 @@ useEffect(() => {
                       );
                     })}
                     {arrangementSourceTab === "public" && publicLibraryLoading && (
-                      <div className="text-xs text-neutral-400">Loading public library…</div>
+                      <div className="text-xs text-neutral-400">
+                        {publicBeats.length ? "Loading more beats…" : "Loading public library…"}
+                      </div>
                     )}
                     {arrangementSourceBeats.length === 0 && (
                       <div className="text-xs text-neutral-500">No beats in this source with current filters.</div>
@@ -9898,8 +12557,156 @@ useEffect(() => {
                     </button>
                   </div>
                   <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setIsSongLibraryOpen((v) => !v)}
+                      className={`px-2 py-1 rounded border text-xs ${
+                        isSongLibraryOpen
+                          ? "border-neutral-700 text-white bg-neutral-800"
+                          : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                      }`}
+                      title={isSongLibraryOpen ? "Hide public song library" : "Browse and publish public songs"}
+                    >
+                      Songs
+                    </button>
                   </div>
                 </div>
+                {isSongLibraryOpen && (
+                  <div className="mt-2 rounded border border-neutral-800 bg-neutral-900/40 p-2.5">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="search"
+                        value={songLibrarySearchQuery}
+                        onChange={(e) => setSongLibrarySearchQuery(e.target.value)}
+                        placeholder="Search title or author"
+                        className="min-w-[140px] flex-1 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
+                      />
+                      <select
+                        value={songLibraryStyleFilter}
+                        onChange={(e) => setSongLibraryStyleFilter(e.target.value)}
+                        className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs"
+                      >
+                        <option value="all">All styles</option>
+                        {BEAT_STYLE_OPTIONS.map((c) => (
+                          <option key={`song-style-${c}`} value={c}>
+                            {c}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => refreshSongLibrary()}
+                        className="px-2 py-0.5 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/50"
+                      >
+                        Refresh
+                      </button>
+                    </div>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <span className="text-xs text-neutral-400">Publish current as</span>
+                      <select
+                        value={songPublishStyle}
+                        onChange={(e) => setSongPublishStyle(e.target.value)}
+                        className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs"
+                      >
+                        <option value="all">Select style</option>
+                        {BEAT_STYLE_OPTIONS.map((c) => (
+                          <option key={`song-publish-style-${c}`} value={c}>
+                            {c}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={publishCurrentArrangement}
+                        disabled={arrangementItems.length < 1 || songPublishStyle === "all"}
+                        className={`px-2 py-0.5 rounded border text-xs ${
+                          arrangementItems.length > 0 && songPublishStyle !== "all"
+                            ? "border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700/60"
+                            : "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
+                        }`}
+                        title="Publish this arrangement with its beats, title and author to the public song library"
+                      >
+                        Publish
+                      </button>
+                    </div>
+                    {songLibraryError && (
+                      <div className="mt-2 rounded border border-amber-700/70 bg-amber-950/30 px-2 py-1 text-xs text-amber-100 flex items-center justify-between gap-2">
+                        <span>{songLibraryError}</span>
+                        <button
+                          type="button"
+                          onClick={() => setSongLibraryError("")}
+                          className="px-1 rounded border border-amber-700/60 text-amber-100 hover:bg-amber-800/40"
+                          aria-label="Close song library error"
+                          title="Close"
+                        >
+                          x
+                        </button>
+                      </div>
+                    )}
+                    <div className="mt-2 max-h-[32vh] overflow-auto space-y-1.5 pr-1" onScroll={handleSongLibraryScroll}>
+                      {publicSongs.map((song) => (
+                        <div
+                          key={`public-song-${song.id}`}
+                          role="button"
+                          tabIndex={0}
+                          onClick={() => loadPublicSong(song.id)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter" || e.key === " ") {
+                              e.preventDefault();
+                              loadPublicSong(song.id);
+                            }
+                          }}
+                          className="flex items-center gap-2 rounded border border-neutral-800 bg-neutral-900/40 px-2.5 py-1.5 cursor-pointer outline-none hover:bg-neutral-800/60 focus:outline-none focus-visible:outline-none"
+                          title="Load into the arrangement"
+                        >
+                          <div className="min-w-0 flex-1">
+                            <div className="text-sm text-white truncate">
+                              {song.name || "Untitled Song"}
+                              {song.composer ? (
+                                <span className="ml-2 text-xs text-neutral-400">{`by ${song.composer}`}</span>
+                              ) : null}
+                            </div>
+                            <div className="text-xs text-neutral-400 truncate">
+                              {loadingPublicSongId === song.id
+                                ? "Loading…"
+                                : [
+                                    song.style || "—",
+                                    Number.isFinite(Number(song.bpm)) ? `${song.bpm} BPM` : null,
+                                    `${song.totalBars || 0} ${song.totalBars === 1 ? "bar" : "bars"}`,
+                                    `${song.sectionCount || 0} ${song.sectionCount === 1 ? "section" : "sections"}`,
+                                    song.createdAt ? new Date(song.createdAt).toLocaleDateString() : null,
+                                  ]
+                                    .filter(Boolean)
+                                    .join(" · ")}
+                            </div>
+                          </div>
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              reportPublicSong(song.id);
+                            }}
+                            onKeyDown={(e) => e.stopPropagation()}
+                            disabled={reportedPublicSongIds.includes(String(song.id))}
+                            className="shrink-0 px-2.5 py-1 rounded border border-neutral-700 text-sm text-neutral-400 hover:bg-neutral-700/60 disabled:opacity-40 disabled:hover:bg-transparent"
+                            aria-label="Report song"
+                            title={reportedPublicSongIds.includes(String(song.id)) ? "Reported" : "Report song"}
+                          >
+                            ⚑
+                          </button>
+                        </div>
+                      ))}
+                      {publicSongsLoading && (
+                        <div className="text-xs text-neutral-400">
+                          {publicSongs.length ? "Loading more songs…" : "Loading song library…"}
+                        </div>
+                      )}
+                      {!publicSongsLoading && publicSongs.length === 0 && (
+                        <div className="text-xs text-neutral-500">No public songs match these filters.</div>
+                      )}
+                    </div>
+                  </div>
+                )}
                 {savedArrangements.length > 0 && (
                   <div className="mt-2 space-y-1.5">
                     <div className="flex items-center gap-2">
@@ -10146,6 +12953,7 @@ useEffect(() => {
                                 notationBarsPerRowOverride: value,
                               })
                             }
+                            onSetTempo={(updates) => arrangementUpdateRowTempo(row.id, updates)}
                           />
                         ))}
                       </div>
@@ -10535,7 +13343,7 @@ useEffect(() => {
                         arrangementNotationTheme === "light" ? "text-neutral-700" : "text-neutral-300"
                       }`}>
                         {`${section.index + 1}. ${section.name} · ${section.sectionBars} ${section.sectionBars === 1 ? "bar" : "bars"} (${section.repeats}x ${section.beatBars} ${section.beatBars === 1 ? "bar" : "bars"}) · ${section.beatTimeSig}` +
-                          (Number.isFinite(section.beatBpm) ? ` · ${section.beatBpm} BPM` : "")}
+                          (Number.isFinite(section.rowBpm) ? ` · ${formatArrangementRowTempo(section.rowBpm, section.tempoCurve)}` : "")}
                       </div>
                       <div className="flex justify-center">
                         <Notation
@@ -10556,6 +13364,7 @@ useEffect(() => {
                             ) || section.notation.resolution
                           )}
                           timeSig={section.notation.timeSig}
+                          timeSigByBar={section.notation.timeSigByBar}
                           quarterSubdivisionsByBar={section.notation.quarterSubdivisionsByBar}
                           barStepOffsets={section.notation.barStepOffsets}
                           mergeRests={mergeRests}
@@ -10566,6 +13375,7 @@ useEffect(() => {
                           targetContentWidth={770}
                           sectionMarkers={section.sectionMarkers || []}
                 tempoMarkers={section.tempoMarkers || []}
+                          swingMarkers={section.swingMarkers || []}
                           dynamicSpacingByBar={
                             section.notationDynamicSpacing ? Array.from({ length: section.notation.bars }, () => true) : null
                           }
@@ -10640,6 +13450,7 @@ useEffect(() => {
                               Number((chunk.barStepOffsets?.[1] ?? 0) - (chunk.barStepOffsets?.[0] ?? 0)) || chunk.resolution
                             )}
                             timeSig={chunk.timeSig}
+                            timeSigByBar={chunk.timeSigByBar}
                             quarterSubdivisionsByBar={chunk.quarterSubdivisionsByBar}
                             barStepOffsets={chunk.barStepOffsets}
                             mergeRests={mergeRests}
@@ -10650,6 +13461,7 @@ useEffect(() => {
                             targetContentWidth={770}
                             sectionMarkers={chunk.sectionMarkers || []}
                             tempoMarkers={chunk.tempoMarkers || []}
+                            swingMarkers={chunk.swingMarkers || []}
                             dynamicSpacingByBar={chunk.dynamicSpacingByBar || null}
                             spacingPresetByBar={chunk.spacingPresetByBar || null}
                             showSystemBarNumbers={true}
@@ -11079,7 +13891,7 @@ useEffect(() => {
       <input
         ref={midiImportInputRef}
         type="file"
-        accept=".mid,.midi,audio/midi"
+        accept=".mid,.midi,audio/midi,.musicxml,.xml,.mxl,application/vnd.recordare.musicxml+xml,application/vnd.recordare.musicxml"
         className="hidden"
         onChange={async (e) => {
           const file = e.target.files?.[0];
@@ -11089,7 +13901,7 @@ useEffect(() => {
             await handleMidiImportFile(file);
           } catch (err) {
             console.error(err);
-            alert(err?.message || "Failed to import MIDI");
+            alert(err?.message || "Failed to import file");
           }
         }}
       />
@@ -11144,9 +13956,9 @@ useEffect(() => {
                     setIsMidiDialogOpen(true);
                   }}
                   className="rounded border border-neutral-700 px-3 py-2 text-left text-sm text-neutral-200 hover:bg-neutral-800/60"
-                  title="Export current pattern as MIDI file"
+                  title="Export current pattern as MIDI, MusicXML or WAV file"
                 >
-                  Export MIDI
+                  Export MIDI / MusicXML / WAV
                 </button>
               </div>
               <div className="my-2 border-t border-neutral-800" />
@@ -11207,9 +14019,9 @@ useEffect(() => {
                       ? "border-neutral-700 text-neutral-200 hover:bg-neutral-800/60"
                       : "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
                   }`}
-                  title="Export arrangement as MIDI file"
+                  title="Export arrangement as MIDI, MusicXML or WAV file"
                 >
-                  Export MIDI
+                  Export MIDI / MusicXML / WAV
                 </button>
               </div>
               <div className="my-2 border-t border-neutral-800" />
@@ -11222,9 +14034,9 @@ useEffect(() => {
                     midiImportInputRef.current?.click();
                   }}
                   className="rounded border border-neutral-700 px-3 py-2 text-left text-sm text-neutral-200 hover:bg-neutral-800/60"
-                  title="Import MIDI into the current beat"
+                  title="Import MIDI or MusicXML (.musicxml, .xml, .mxl) into the current beat"
                 >
-                  MIDI
+                  MIDI / MusicXML
                 </button>
               </div>
             </div>,
@@ -11413,9 +14225,13 @@ useEffect(() => {
             className="w-full max-w-lg rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
             onMouseDown={(e) => e.stopPropagation()}
           >
-            <h3 className="text-base font-semibold">Map MIDI Notes</h3>
+            <h3 className="text-base font-semibold">
+              {pendingMidiImportMapping.format === "musicxml" ? "Map MusicXML Notes" : "Map MIDI Notes"}
+            </h3>
             <p className="mt-2 text-sm text-neutral-300">
-              Some MIDI notes are not in the current drum map. Assign each note to an instrument or choose Ignore.
+              {pendingMidiImportMapping.format === "musicxml"
+                ? "Some staff positions / noteheads are not in the current drum map. Assign each one to an instrument or choose Ignore."
+                : "Some MIDI notes are not in the current drum map. Assign each note to an instrument or choose Ignore."}
             </p>
             <div className="mt-4 flex items-center gap-3">
               <span className="text-sm text-neutral-300">Mapping preset</span>
@@ -11464,7 +14280,7 @@ useEffect(() => {
                       className="flex items-center gap-3 rounded border border-neutral-800 bg-neutral-950/40 px-3 py-2"
                     >
                       <div className="min-w-[110px] text-sm text-neutral-200">
-                        MIDI {entry.note}
+                        {entry.label || `MIDI ${entry.note}`}
                         <span className="ml-2 text-xs text-neutral-500">{entry.count} hits</span>
                       </div>
                       <select
@@ -11517,57 +14333,59 @@ useEffect(() => {
                 })()
               ))}
             </div>
-            <div className="mt-4 border-t border-neutral-800 pt-4">
-              <div className="text-sm font-normal text-neutral-200">Velocity thresholds</div>
-              <div className="mt-2 space-y-3">
-                {[
-                  {
-                    label: "Snare / sidestick",
-                    familyKey: "snare",
-                    value: midiImportSnareGhostMax,
-                    setValue: setMidiImportSnareGhostMax,
-                  },
-                  {
-                    label: "Toms",
-                    familyKey: "toms",
-                    value: midiImportTomGhostMax,
-                    setValue: setMidiImportTomGhostMax,
-                  },
-                  {
-                    label: "Hi-hat",
-                    familyKey: "hihat",
-                    value: midiImportHihatGhostMax,
-                    setValue: setMidiImportHihatGhostMax,
-                  },
-                ].map((item) => (
-                  <label key={`midi-map-threshold-${item.label}`} className="flex flex-col gap-1">
-                    <div className="flex items-center justify-between gap-2">
-                      <span className="text-sm text-neutral-300">{item.label}</span>
-                      <span className="text-xs text-neutral-500 tabular-nums">
-                        {(() => {
-                          const range = pendingMidiImportVelocityRanges?.[item.familyKey];
-                          const rangeText = range
-                            ? ` · MIDI ${Math.round(range.min)}-${Math.round(range.max)}`
-                            : "";
-                          return `Ghost <= ${item.value} · Normal > ${item.value}${rangeText}`;
-                        })()}
-                      </span>
-                    </div>
-                    <input
-                      type="range"
-                      min={1}
-                      max={126}
-                      step={1}
-                      value={item.value}
-                      onChange={(e) =>
-                        item.setValue(Math.max(1, Math.min(126, Number(e.target.value) || 70)))
-                      }
-                      className="w-full accent-neutral-300"
-                    />
-                  </label>
-                ))}
+            {pendingMidiImportMapping.format !== "musicxml" && (
+              <div className="mt-4 border-t border-neutral-800 pt-4">
+                <div className="text-sm font-normal text-neutral-200">Velocity thresholds</div>
+                <div className="mt-2 space-y-3">
+                  {[
+                    {
+                      label: "Snare / sidestick",
+                      familyKey: "snare",
+                      value: midiImportSnareGhostMax,
+                      setValue: setMidiImportSnareGhostMax,
+                    },
+                    {
+                      label: "Toms",
+                      familyKey: "toms",
+                      value: midiImportTomGhostMax,
+                      setValue: setMidiImportTomGhostMax,
+                    },
+                    {
+                      label: "Hi-hat",
+                      familyKey: "hihat",
+                      value: midiImportHihatGhostMax,
+                      setValue: setMidiImportHihatGhostMax,
+                    },
+                  ].map((item) => (
+                    <label key={`midi-map-threshold-${item.label}`} className="flex flex-col gap-1">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="text-sm text-neutral-300">{item.label}</span>
+                        <span className="text-xs text-neutral-500 tabular-nums">
+                          {(() => {
+                            const range = pendingMidiImportVelocityRanges?.[item.familyKey];
+                            const rangeText = range
+                              ? ` · MIDI ${Math.round(range.min)}-${Math.round(range.max)}`
+                              : "";
+                            return `Ghost <= ${item.value} · Normal > ${item.value}${rangeText}`;
+                          })()}
+                        </span>
+                      </div>
+                      <input
+                        type="range"
+                        min={1}
+                        max={126}
+                        step={1}
+                        value={item.value}
+                        onChange={(e) =>
+                          item.setValue(Math.max(1, Math.min(126, Number(e.target.value) || 70)))
+                        }
+                        className="w-full accent-neutral-300"
+                      />
+                    </label>
+                  ))}
+                </div>
               </div>
-            </div>
+            )}
             <div className="mt-4 flex items-center justify-end gap-2">
               <button
                 type="button"
@@ -11606,11 +14424,13 @@ useEffect(() => {
             className="w-full max-w-md rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
             onMouseDown={(e) => e.stopPropagation()}
           >
-            <h3 className="text-base font-semibold">Set MIDI Tempo</h3>
+            <h3 className="text-base font-semibold">
+              {pendingMidiTempoPrompt.format === "musicxml" ? "Set MusicXML Tempo" : "Set MIDI Tempo"}
+            </h3>
             <p className="mt-2 text-sm text-neutral-300">
               {pendingMidiTempoPrompt.imported?.hasTempo
-                ? "This MIDI file includes tempo information. Adjust the BPM if you want to override it for import."
-                : "This MIDI file has no embedded tempo. Choose a BPM to use for import."}
+                ? `This ${pendingMidiTempoPrompt.format === "musicxml" ? "MusicXML" : "MIDI"} file includes tempo information. Adjust the BPM if you want to override it for import.`
+                : `This ${pendingMidiTempoPrompt.format === "musicxml" ? "MusicXML" : "MIDI"} file has no embedded tempo. Choose a BPM to use for import.`}
             </p>
             <label className="mt-4 flex flex-col gap-1 text-sm text-neutral-300">
               <span>BPM</span>
@@ -11856,9 +14676,33 @@ useEffect(() => {
             onMouseDown={(e) => e.stopPropagation()}
           >
             <h3 className="text-base font-semibold">
-              {midiExportMode === "arrangement" ? "Export Arrangement MIDI" : "Export MIDI"}
+              {midiExportMode === "arrangement" ? "Export Arrangement" : "Export"}{" "}
+              {midiExportFormat === "musicxml" ? "MusicXML" : midiExportFormat === "wav" ? "WAV" : "MIDI"}
             </h3>
             <div className="mt-4 grid grid-cols-1 gap-3">
+              <div className="text-sm text-neutral-300 flex flex-col gap-1">
+                <span>Format</span>
+                <div className="flex items-center gap-2">
+                  {[
+                    { value: "midi", label: "MIDI (.mid)" },
+                    { value: "musicxml", label: "MusicXML (.musicxml)" },
+                    { value: "wav", label: "Audio (.wav)" },
+                  ].map((option) => (
+                    <button
+                      key={`midi-export-format-${option.value}`}
+                      type="button"
+                      onClick={() => setMidiExportFormat(option.value)}
+                      className={`px-2 py-1 rounded border text-xs ${
+                        midiExportFormat === option.value
+                          ? "bg-neutral-800 border-neutral-700 text-white"
+                          : "bg-neutral-900 border-neutral-800 text-neutral-600"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
               <label className="text-sm text-neutral-300 flex flex-col gap-1">
                 <span>Title</span>
                 <input
@@ -11879,6 +14723,55 @@ useEffect(() => {
                   className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
                 />
               </label>
+              {midiExportMode !== "arrangement" && midiExportFormat === "midi" && (
+                <label className="inline-flex items-center gap-2 text-sm text-neutral-300 select-none">
+                  <input
+                    type="checkbox"
+                    checked={midiExportBakeHumanize}
+                    disabled={!humanizeSettings.enabled}
+                    onChange={(e) => setMidiExportBakeHumanize(e.target.checked)}
+                    className="h-3.5 w-3.5 rounded border-neutral-700 bg-neutral-800"
+                  />
+                  <span className={humanizeSettings.enabled ? "" : "text-neutral-600"}>
+                    Bake humanize into note timing and velocity
+                  </span>
+                </label>
+              )}
+              {midiExportFormat === "wav" && (
+                <>
+                  {midiExportMode !== "arrangement" && (
+                    <label className="text-sm text-neutral-300 flex flex-col gap-1">
+                      <span>Loops</span>
+                      <input
+                        type="number"
+                        min={1}
+                        max={64}
+                        value={audioExportLoops}
+                        onChange={(e) =>
+                          setAudioExportLoops(Math.max(1, Math.min(64, Math.round(Number(e.target.value)) || 1)))
+                        }
+                        className="w-24 bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+                      />
+                    </label>
+                  )}
+                  <label className="inline-flex items-center gap-2 text-sm text-neutral-300 select-none">
+                    <input
+                      type="checkbox"
+                      checked={audioExportIncludeClick}
+                      onChange={(e) => setAudioExportIncludeClick(e.target.checked)}
+                      className="h-3.5 w-3.5 rounded border-neutral-700 bg-neutral-800"
+                    />
+                    <span>Include click track</span>
+                  </label>
+                  <div className="text-xs text-neutral-500">
+                    {midiExportMode === "arrangement"
+                      ? `16-bit / 44.1 kHz, each section at its own tempo${
+                          Math.abs(playbackRate - 1) > 0.001 ? ` (${playbackRateLabel})` : ""
+                        }, with the current mixer and humanize settings.`
+                      : `16-bit / 44.1 kHz at ${Math.round(effectivePlaybackBpm)} BPM, with the current mixer and humanize settings.`}
+                  </div>
+                </>
+              )}
             </div>
             <div className="mt-4 flex items-center justify-end gap-2">
               <button
@@ -11890,9 +14783,69 @@ useEffect(() => {
               </button>
               <button
                 type="button"
+                disabled={isAudioExporting}
                 onClick={() => {
+                  if (midiExportFormat === "wav") {
+                    const filename =
+                      midiExportMode === "arrangement"
+                        ? printTitle.trim() || arrangementNameDraft.trim() || "Drum Arrangement"
+                        : printTitle.trim() || "Drum Notation";
+                    const render =
+                      midiExportMode === "arrangement"
+                        ? playback.renderAudio({
+                            events: arrangementCompiledPlayback.events,
+                            totalDurationSec: arrangementCompiledPlayback.totalDurationSec,
+                            includeClick: audioExportIncludeClick,
+                          })
+                        : playback.renderAudio({ loops: audioExportLoops, includeClick: audioExportIncludeClick });
+                    setIsAudioExporting(true);
+                    render
+                      .then((audioBuffer) => {
+                        exportWav({ audioBuffer, filename });
+                        setIsMidiDialogOpen(false);
+                      })
+                      .catch((e) => {
+                        console.error(e);
+                        alert(e?.message || "Failed to render audio");
+                      })
+                      .finally(() => setIsAudioExporting(false));
+                    return;
+                  }
                   try {
-                    if (midiExportMode === "arrangement") {
+                    if (midiExportFormat === "musicxml" && midiExportMode === "arrangement") {
+                      exportArrangementMusicXml({
+                        sections: arrangementNotationSections.map((section) => ({
+                          notation: section.notation,
+                          label: section.sectionMarkers?.[0]?.text || "",
+                          bpm: section.rowBpm,
+                          tempoRamp: hasTempoRamp(section.tempoCurve)
+                            ? {
+                                bar: section.tempoCurve.rampStartBar,
+                                text: getTempoRampMarkingText(section.tempoCurve),
+                              }
+                            : null,
+                          swingText: section.swingMarkers?.[0]?.text || "",
+                        })),
+                        notationMap: NOTATION_MAP,
+                        title: printTitle.trim(),
+                        composer: printComposer.trim(),
+                        filename: printTitle.trim() || arrangementNameDraft.trim() || "Drum Arrangement",
+                      });
+                    } else if (midiExportFormat === "musicxml") {
+                      exportDrumMusicXml({
+                        notation: {
+                          ...buildNotationStateFromPayload(buildCurrentBeatPayload()),
+                          instruments,
+                          grid: computedGrid,
+                        },
+                        notationMap: NOTATION_MAP,
+                        bpm,
+                        swingText: getSwingMarkingText(swing),
+                        title: printTitle.trim(),
+                        composer: printComposer.trim(),
+                        filename: printTitle.trim() || "Drum Notation",
+                      });
+                    } else if (midiExportMode === "arrangement") {
                       exportArrangementMidi({
                         rows: arrangementRows,
                         instruments: ALL_INSTRUMENTS,
@@ -11908,7 +14861,11 @@ useEffect(() => {
                         resolution,
                         bpm,
                         timeSig,
+                        timeSigByBar,
                         stepQuarterDurations,
+                        barStepOffsets,
+                        swing,
+                        humanize: midiExportBakeHumanize ? humanizeSettings : null,
                         payload: buildCurrentBeatPayload(),
                         title: printTitle.trim(),
                         composer: printComposer.trim(),
@@ -11918,18 +14875,111 @@ useEffect(() => {
                     setIsMidiDialogOpen(false);
                   } catch (e) {
                     console.error(e);
-                    alert(e?.message || "Failed to export MIDI");
+                    alert(e?.message || (midiExportFormat === "musicxml" ? "Failed to export MusicXML" : "Failed to export MIDI"));
                   }
                 }}
-                className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-white bg-neutral-800 hover:bg-neutral-700/60"
+                className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-white bg-neutral-800 hover:bg-neutral-700/60 disabled:opacity-60 disabled:cursor-wait"
               >
-                Export
+                {isAudioExporting ? "Rendering…" : "Export"}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {isMixerDialogOpen && (
+        <div
+          className="fixed inset-0 z-[91] bg-black/60 p-4 flex items-center justify-center"
+          onMouseDown={() => setIsMixerDialogOpen(false)}
+        >
+          <div
+            className="w-full max-w-lg max-h-[90vh] overflow-auto rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
+            onMouseDown={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between gap-3">
+              <h3 className="text-base font-semibold">Mixer</h3>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-neutral-500">{selectedPresetLabel}</span>
+                <button
+                  type="button"
+                  onClick={resetCurrentMixer}
+                  className="px-2 py-1 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/60"
+                >
+                  Reset
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsMixerDialogOpen(false)}
+                  className="px-2 py-1 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/60"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+            <div className="mt-4 grid grid-cols-[minmax(0,7rem)_auto_minmax(0,1fr)_5rem] items-center gap-x-3 gap-y-2 text-xs text-neutral-300">
+              <span className="text-neutral-500">Instrument</span>
+              <span />
+              <span className="text-neutral-500">Volume</span>
+              <span className="text-neutral-500">Pan</span>
+              {instruments.map((inst) => {
+                const channel = normalizeMixerChannel(currentMixer[inst.id]);
+                return (
+                  <React.Fragment key={`mixer-${inst.id}`}>
+                    <span className="truncate">{inst.label}</span>
+                    <span className="inline-flex gap-1">
+                      <button
+                        type="button"
+                        onClick={() => toggleMixerMute(inst.id)}
+                        className={`px-1.5 py-0.5 rounded border text-[11px] ${
+                          channel.mute
+                            ? "border-amber-500/70 bg-amber-500/20 text-amber-300"
+                            : "border-neutral-700 text-neutral-400 hover:bg-neutral-800/60"
+                        }`}
+                        aria-pressed={channel.mute}
+                      >
+                        M
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => toggleMixerSolo(inst.id)}
+                        className={`px-1.5 py-0.5 rounded border text-[11px] ${
+                          channel.solo
+                            ? "border-sky-500/70 bg-sky-500/20 text-sky-300"
+                            : "border-neutral-700 text-neutral-400 hover:bg-neutral-800/60"
+                        }`}
+                        aria-pressed={channel.solo}
+                      >
+                        S
+                      </button>
+                    </span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={100}
+                      step={1}
+                      value={Math.round(channel.volume * 100)}
+                      onChange={(e) => updateMixerChannel(inst.id, { volume: Number(e.target.value) / 100 })}
+                      onDoubleClick={() => updateMixerChannel(inst.id, { volume: 1 })}
+                      aria-label={`${inst.label} volume`}
+                    />
+                    <input
+                      type="range"
+                      min={-100}
+                      max={100}
+                      step={5}
+                      value={Math.round(channel.pan * 100)}
+                      onChange={(e) => updateMixerChannel(inst.id, { pan: Number(e.target.value) / 100 })}
+                      onDoubleClick={() => updateMixerChannel(inst.id, { pan: 0 })}
+                      aria-label={`${inst.label} pan`}
+                    />
+                  </React.Fragment>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
       {isLegalDialogOpen && (
         <div
           className="fixed inset-0 z-[92] bg-black/60 p-4 flex items-center justify-center"
@@ -12166,6 +15216,130 @@ useEffect(() => {
                       </div>
                     </div>
                     <div className="my-3 border-t border-neutral-800" />
+                    <div className="flex items-center gap-2">
+                      <div className="text-sm font-normal text-neutral-200">Metronome</div>
+                    </div>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setMetronomeEnabled((v) => !v)}
+                        className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                          metronomeEnabled
+                            ? "bg-neutral-800 border-neutral-700 text-white"
+                            : "bg-neutral-900 border-neutral-800 text-neutral-600"
+                        }`}
+                        title="Play a click on every beat, accented on the downbeat"
+                      >
+                        Click
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setMetronomeSubdivisions((v) => !v)}
+                        className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                          metronomeSubdivisions
+                            ? "bg-neutral-800 border-neutral-700 text-white"
+                            : "bg-neutral-900 border-neutral-800 text-neutral-600"
+                        }`}
+                        title="Also click on every grid step between beats"
+                      >
+                        Subdivisions
+                      </button>
+                      <label className="inline-flex items-center gap-2 text-xs text-neutral-300 select-none">
+                        Volume
+                        <input
+                          type="range"
+                          min={0}
+                          max={100}
+                          step={5}
+                          value={Math.round(metronomeVolume * 100)}
+                          onChange={(e) => setMetronomeVolume(Math.max(0, Math.min(1, Number(e.target.value) / 100)))}
+                          className="w-28"
+                        />
+                        <span className="w-8 text-neutral-500 tabular-nums">{Math.round(metronomeVolume * 100)}%</span>
+                      </label>
+                    </div>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <div className="text-xs text-neutral-400">Count-in</div>
+                      {[
+                        { value: 0, label: "Off" },
+                        { value: 1, label: "1 bar" },
+                        { value: 2, label: "2 bars" },
+                      ].map((option) => (
+                        <button
+                          key={`count-in-${option.value}`}
+                          type="button"
+                          onClick={() => setMetronomeCountInBars(option.value)}
+                          className={`px-2 py-1 rounded border text-xs ${
+                            metronomeCountInBars === option.value
+                              ? "border-neutral-700 text-white bg-neutral-800"
+                              : "border-neutral-800 text-neutral-400 bg-neutral-900/60 hover:bg-neutral-800/40"
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="my-3 border-t border-neutral-800" />
+                    <div className="flex items-center gap-2">
+                      <div className="text-sm font-normal text-neutral-200">Humanize</div>
+                    </div>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => updateHumanizeSettings({ enabled: !humanizeSettings.enabled })}
+                        className={`touch-none select-none px-3 py-[5px] rounded border text-sm ${
+                          humanizeSettings.enabled
+                            ? "bg-neutral-800 border-neutral-700 text-white"
+                            : "bg-neutral-900 border-neutral-800 text-neutral-600"
+                        }`}
+                        title="Add small, repeatable timing and velocity variations to playback"
+                      >
+                        Humanize
+                      </button>
+                      <label className="inline-flex items-center gap-2 text-xs text-neutral-300 select-none">
+                        Seed
+                        <input
+                          type="number"
+                          min={1}
+                          max={9999}
+                          value={humanizeSettings.seed}
+                          onChange={(e) => updateHumanizeSettings({ seed: e.target.value })}
+                          className="w-16 bg-neutral-800 border border-neutral-700 rounded px-1.5 py-0.5 text-xs text-white tabular-nums"
+                        />
+                      </label>
+                      <button
+                        type="button"
+                        onClick={() => updateHumanizeSettings({ seed: 1 + Math.floor(Math.random() * 9999) })}
+                        className="px-2 py-1 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/60"
+                      >
+                        New seed
+                      </button>
+                    </div>
+                    <div className={`mt-2 grid grid-cols-[7rem_minmax(0,1fr)_3rem] items-center gap-x-2 gap-y-1 text-xs text-neutral-300 ${
+                      humanizeSettings.enabled ? "" : "opacity-50"
+                    }`}>
+                      {[
+                        { key: "timingMs", label: "Timing jitter", max: 30, unit: "ms" },
+                        { key: "velocityPercent", label: "Velocity", max: 40, unit: "%" },
+                        { key: "laidBackMs", label: "Laid-back snare", max: 40, unit: "ms" },
+                      ].map((control) => (
+                        <React.Fragment key={`humanize-${control.key}`}>
+                          <span>{control.label}</span>
+                          <input
+                            type="range"
+                            min={0}
+                            max={control.max}
+                            step={1}
+                            value={humanizeSettings[control.key]}
+                            onChange={(e) => updateHumanizeSettings({ [control.key]: e.target.value })}
+                          />
+                          <span className="text-neutral-500 tabular-nums">
+                            {`${humanizeSettings[control.key]} ${control.unit}`}
+                          </span>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                    <div className="my-3 border-t border-neutral-800" />
                     <div className="flex items-center gap-2">
                       <div className="text-sm font-normal text-neutral-200">Arrangement timing</div>
                     </div>
@@ -12457,6 +15631,145 @@ useEffect(() => {
                         </label>
                       ))}
                     </div>
+                    <div className="mt-5 flex items-center justify-between gap-2">
+                      <div className="text-sm font-normal text-neutral-200">Backup</div>
+                    </div>
+                    <div className="mt-1 text-xs text-neutral-500">
+                      Local beats, arrangements, kit presets and preferences in one file.
+                    </div>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={downloadLibraryBackup}
+                        className="px-2 py-0.5 rounded border text-xs border-neutral-700 text-neutral-200 bg-neutral-900/60 hover:bg-neutral-800"
+                      >
+                        Download backup
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => libraryBackupInputRef.current?.click()}
+                        className="px-2 py-0.5 rounded border text-xs border-neutral-700 text-neutral-200 bg-neutral-900/60 hover:bg-neutral-800"
+                      >
+                        Restore…
+                      </button>
+                      <input
+                        ref={libraryBackupInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={(e) => {
+                          const file = e.target.files?.[0];
+                          e.target.value = "";
+                          if (file) handleLibraryBackupFile(file);
+                        }}
+                      />
+                    </div>
+                    {pendingLibraryRestore && (
+                      <div className="mt-3 rounded border border-neutral-800 bg-neutral-900/60 p-2 space-y-2">
+                        <div className="text-xs text-neutral-300">
+                          {pendingLibraryRestore.fileName}: {pendingLibraryRestore.backup.library.localBeats.length} beats,{" "}
+                          {pendingLibraryRestore.backup.library.savedArrangements.length} arrangements,{" "}
+                          {pendingLibraryRestore.backup.presets.length} kit presets
+                          {pendingLibraryRestore.backup.exportedAt
+                            ? ` · ${new Date(pendingLibraryRestore.backup.exportedAt).toLocaleDateString()}`
+                            : ""}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-1">
+                          {[
+                            { id: "merge", label: "Merge" },
+                            { id: "replace", label: "Replace" },
+                          ].map((option) => (
+                            <button
+                              key={`restore-mode-${option.id}`}
+                              type="button"
+                              onClick={() => setPendingLibraryRestore((prev) => (prev ? { ...prev, mode: option.id } : prev))}
+                              className={`px-2 py-0.5 rounded border text-xs ${
+                                pendingLibraryRestore.mode === option.id
+                                  ? "border-neutral-700 text-white bg-neutral-800"
+                                  : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                              }`}
+                            >
+                              {option.label}
+                            </button>
+                          ))}
+                        </div>
+                        {pendingLibraryRestore.mode === "merge" ? (
+                          pendingLibraryRestoreConflicts > 0 ? (
+                            <div className="flex flex-wrap items-center gap-1">
+                              <span className="text-xs text-neutral-400 mr-1">
+                                {pendingLibraryRestoreConflicts} {pendingLibraryRestoreConflicts === 1 ? "entry differs" : "entries differ"} by id:
+                              </span>
+                              {BACKUP_CONFLICT_MODES.map((option) => (
+                                <button
+                                  key={`restore-conflict-${option.id}`}
+                                  type="button"
+                                  onClick={() =>
+                                    setPendingLibraryRestore((prev) => (prev ? { ...prev, conflict: option.id } : prev))
+                                  }
+                                  className={`px-2 py-0.5 rounded border text-xs ${
+                                    pendingLibraryRestore.conflict === option.id
+                                      ? "border-neutral-700 text-white bg-neutral-800"
+                                      : "border-neutral-800 text-neutral-400 bg-neutral-900/60"
+                                  }`}
+                                >
+                                  {option.label}
+                                </button>
+                              ))}
+                            </div>
+                          ) : (
+                            <div className="text-xs text-neutral-500">No conflicts with the current library.</div>
+                          )
+                        ) : (
+                          <div className="text-xs text-amber-300">
+                            Replaces all local beats, arrangements and kit presets. Undo restores them.
+                          </div>
+                        )}
+                        {Object.keys(pendingLibraryRestore.backup.preferences).length > 0 && (
+                          <label className="flex items-center gap-2 text-xs text-neutral-300">
+                            <input
+                              type="checkbox"
+                              checked={pendingLibraryRestore.includePreferences}
+                              onChange={(e) =>
+                                setPendingLibraryRestore((prev) =>
+                                  prev ? { ...prev, includePreferences: e.target.checked } : prev
+                                )
+                              }
+                            />
+                            Include preferences
+                          </label>
+                        )}
+                        <div className="flex items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={restoreLibraryBackup}
+                            className="px-2 py-0.5 rounded border text-xs border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700"
+                          >
+                            Restore
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingLibraryRestore(null)}
+                            className="px-2 py-0.5 rounded border text-xs border-neutral-800 text-neutral-400 bg-neutral-900/60 hover:bg-neutral-800"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {libraryBackupStatus && (
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-neutral-400">
+                        <span>{libraryBackupStatus}</span>
+                        {libraryBackupNeedsReload && (
+                          <button
+                            type="button"
+                            onClick={() => window.location.reload()}
+                            className="px-2 py-0.5 rounded border text-xs border-neutral-700 text-neutral-200 bg-neutral-900/60 hover:bg-neutral-800"
+                          >
+                            Reload to apply preferences
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </>
                 ) : preferencesCategory === "appearance" ? (
                   <>
@@ -12606,11 +15919,21 @@ function SortableArrangementRow({
   onSetNotationSpacingPreset,
   onSetNotationCustomText,
   onSetNotationBarsPerRowOverride,
+  onSetTempo,
   onTouchSelect,
 }) {
   const [isMenuOpen, setIsMenuOpen] = React.useState(false);
   const [menuPosition, setMenuPosition] = React.useState({ top: 0, left: 0 });
   const [customTextDraft, setCustomTextDraft] = React.useState(String(row?.notationCustomText || ""));
+  const getTempoDrafts = React.useCallback(
+    () => ({
+      tempoOverride: row?.tempoOverride != null ? String(row.tempoOverride) : "",
+      tempoRampToBpm: row?.tempoRampToBpm != null ? String(row.tempoRampToBpm) : "",
+      tempoRampBars: row?.tempoRampBars != null ? String(row.tempoRampBars) : "",
+    }),
+    [row?.tempoOverride, row?.tempoRampToBpm, row?.tempoRampBars]
+  );
+  const [tempoDrafts, setTempoDrafts] = React.useState(getTempoDrafts);
   const rootRef = React.useRef(null);
   const menuRef = React.useRef(null);
   const menuButtonRef = React.useRef(null);
@@ -12625,6 +15948,9 @@ function SortableArrangementRow({
   React.useEffect(() => {
     setCustomTextDraft(String(row?.notationCustomText || ""));
   }, [row?.notationCustomText]);
+  React.useEffect(() => {
+    setTempoDrafts(getTempoDrafts());
+  }, [getTempoDrafts]);
   React.useEffect(() => {
     if (!isMenuOpen) return undefined;
     const updateMenuPosition = () => {
@@ -12664,6 +15990,14 @@ function SortableArrangementRow({
   const commitCustomText = React.useCallback(() => {
     onSetNotationCustomText?.(customTextDraft);
   }, [customTextDraft, onSetNotationCustomText]);
+  const commitTempoDraft = React.useCallback((key) => {
+    onSetTempo?.({ [key]: tempoDrafts[key] });
+  }, [tempoDrafts, onSetTempo]);
+  const tempoFields = [
+    { key: "tempoOverride", label: "Tempo", placeholder: Number.isFinite(row?.beatBpm) ? String(row.beatBpm) : "BPM" },
+    { key: "tempoRampToBpm", label: "Ramp to", placeholder: "BPM" },
+    { key: "tempoRampBars", label: "Over bars", placeholder: "All" },
+  ];
   const allowedBarsPerRow = [1, 2, 3, 4];
   const spacingPresets = ["large", "normal", "tight"];
   const spacingPresetLabels = {
@@ -12729,7 +16063,7 @@ function SortableArrangementRow({
           </div>
           <div className="text-xs text-neutral-400 truncate">
             {`${row.sectionBars} ${row.sectionBars === 1 ? "bar" : "bars"} (${row.repeats}x ${row.beatBars} ${row.beatBars === 1 ? "bar" : "bars"}) · ${row.beatTimeSig}` +
-              (Number.isFinite(row.beatBpm) ? ` · ${row.beatBpm} BPM` : "")}
+              (Number.isFinite(row.rowBpm) ? ` · ${formatArrangementRowTempo(row.rowBpm, row.tempoCurve)}` : "")}
           </div>
         </div>
         <div className="flex items-center gap-1">
@@ -12850,6 +16184,37 @@ function SortableArrangementRow({
                         className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
                       />
                     </label>
+                    <div
+                      className="mt-2 grid grid-cols-3 gap-1"
+                      title="Row tempo override and an accel./rit. over the last bars of this row"
+                    >
+                      {tempoFields.map((field) => (
+                        <label key={field.key} className="flex flex-col gap-1 text-[11px] text-neutral-400">
+                          <span>{field.label}</span>
+                          <input
+                            type="number"
+                            min={1}
+                            inputMode="numeric"
+                            value={tempoDrafts[field.key]}
+                            onChange={(e) => setTempoDrafts((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                            onBlur={() => commitTempoDraft(field.key)}
+                            onKeyDown={(e) => {
+                              if (e.key === "Enter") {
+                                e.preventDefault();
+                                commitTempoDraft(field.key);
+                              }
+                              if (e.key === "Escape") {
+                                e.preventDefault();
+                                setTempoDrafts(getTempoDrafts());
+                                setIsMenuOpen(false);
+                              }
+                            }}
+                            placeholder={field.placeholder}
+                            className="w-full bg-neutral-800 border border-neutral-700 rounded px-1.5 py-1 text-xs text-white"
+                          />
+                        </label>
+                      ))}
+                    </div>
                     <div className="mt-2 flex items-start justify-between gap-2">
                       <span className={`text-[11px] ${barsPerRowControlDisabled ? "text-neutral-500" : "text-neutral-400"}`}>
                         Bars/row
@@ -13026,7 +16391,8 @@ function Grid({
   grid, columns, bars, stepsPerBar, resolution, timeSig, quarterSubdivisionsByBar, normalizedTupletOverridesByBar, barStepOffsets, cycleTupletAt, gridBarsPerLine,
   cycleVelocity, toggleGhost, selection, setSelection, loopRule,
     loopRepeats,
-  setLoopRule, wrappedSelectionCells, playhead, moveSelectionByDelta, legacySelectionEnabled, moveModeDebugEnabled, playabilityWarningsEnabled, playabilityWarningStepSet, stickingGuideEnabled, showEditedSticking, stickingAssignmentsByStep, stickingEditModeEnabled, stickingOverrides, onCycleStickingOverride, onDisableStickingEditMode, bakeLoopPreview
+  setLoopRule, wrappedSelectionCells, playhead, moveSelectionByDelta, legacySelectionEnabled, moveModeDebugEnabled, playabilityWarningsEnabled, playabilityWarningStepSet, stickingGuideEnabled, showEditedSticking, stickingAssignmentsByStep, stickingEditModeEnabled, stickingOverrides, onCycleStickingOverride, onDisableStickingEditMode, bakeLoopPreview,
+  mixer = null, onToggleMute = null, onToggleSolo = null
 }) {
   const notifySelectionFinalized = React.useCallback(() => {
     try {
@@ -13573,6 +16939,44 @@ function Grid({
                   }}
                   title="Select full row"
                 >
+                  {onToggleMute && onToggleSolo ? (
+                    <span className="mr-1.5 inline-flex gap-0.5 align-middle">
+                      <button
+                        type="button"
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onToggleMute(inst.id);
+                        }}
+                        className={`h-4 w-4 rounded-sm border text-[9px] leading-none ${
+                          mixer?.[inst.id]?.mute
+                            ? "border-amber-500/70 bg-amber-500/20 text-amber-300"
+                            : "border-neutral-800 text-neutral-600 hover:text-neutral-300"
+                        }`}
+                        title={`Mute ${inst.label}`}
+                        aria-pressed={!!mixer?.[inst.id]?.mute}
+                      >
+                        M
+                      </button>
+                      <button
+                        type="button"
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onToggleSolo(inst.id);
+                        }}
+                        className={`h-4 w-4 rounded-sm border text-[9px] leading-none ${
+                          mixer?.[inst.id]?.solo
+                            ? "border-sky-500/70 bg-sky-500/20 text-sky-300"
+                            : "border-neutral-800 text-neutral-600 hover:text-neutral-300"
+                        }`}
+                        title={`Solo ${inst.label}`}
+                        aria-pressed={!!mixer?.[inst.id]?.solo}
+                      >
+                        S
+                      </button>
+                    </span>
+                  ) : null}
                   {inst.label}
                 </div>
                 {timeline.map((t, i) => {
@@ -13976,7 +17380,7 @@ function Grid({
                         // 4) selection (legacy immediate-drag or long-press-drag)
                         if (press.current.startWasSelected) {
                           press.current.mode = legacySelectionEnabled ? "selectArmed" : "moveArmed";
-                        } else if (ghostAllowed && (val === CELL.ON || val === CELL.GHOST || val === CELL.ACCENT)) {
+                        } else if (ghostAllowed && val !== CELL.OFF) {
                           press.current.mode = "ghostArmed";
                         } else if (val !== CELL.OFF) {
                           press.current.mode = legacySelectionEnabled ? "selectArmed" : "moveArmed";
@@ -14030,6 +17434,14 @@ function Grid({
                         }`}
                         aria-hidden="true"
                       />
+                      {CELL_GLYPH[val] && (
+                        <span
+                          className="pointer-events-none absolute top-[1px] left-[2px] text-[9px] leading-none font-semibold italic text-neutral-950/80"
+                          aria-hidden="true"
+                        >
+                          {CELL_GLYPH[val]}
+                        </span>
+                      )}
                       {stickingHand && (
                         <span
                           className={`pointer-events-none absolute bottom-[1px] right-[2px] text-[9px] leading-none font-semibold ${
@@ -14067,6 +17479,7 @@ function Notation({
   barsPerRow = null,
   stepsPerBar,
   timeSig,
+  timeSigByBar = null,
   quarterSubdivisionsByBar,
   barStepOffsets,
   mergeRests,
@@ -14080,6 +17493,7 @@ function Notation({
   onBarClick = null,
   sectionMarkers = [],
   tempoMarkers = [],
+  swingMarkers = [],
   dynamicSpacingByBar = null,
   spacingPresetByBar = null,
   showSystemBarNumbers = false,
@@ -14099,6 +17513,14 @@ function Notation({
   useEffect(() => {
   const Flow = Vex.Flow;
     let ctx;
+    const resolvedTimeSigByBar =
+      Array.isArray(timeSigByBar) && timeSigByBar.length === bars
+        ? timeSigByBar.map((ts) => normalizeTimeSig(ts, timeSig))
+        : Array.from({ length: bars }, () => timeSig);
+    const hasMeterChanges = hasTimeSigChanges(resolvedTimeSigByBar);
+    // Time signatures are engraved on the first bar and wherever the meter changes.
+    const showsTimeSigAt = (barIndex) =>
+      barIndex === 0 || !isSameTimeSig(resolvedTimeSigByBar[barIndex], resolvedTimeSigByBar[barIndex - 1]);
     const buildBarSignature = (barIndex) => {
       const quarterSubs = (Array.isArray(quarterSubdivisionsByBar) ? quarterSubdivisionsByBar[barIndex] : null) || [];
       const start = Array.isArray(barStepOffsets) ? Number(barStepOffsets[barIndex]) || 0 : barIndex * stepsPerBar;
@@ -14112,8 +17534,9 @@ function Notation({
         }
         return `${inst.id}:${slice.join("")}`;
       });
+      const barTimeSig = resolvedTimeSigByBar[barIndex] || timeSig;
       return JSON.stringify({
-        timeSig: `${timeSig?.n || 4}/${timeSig?.d || 4}`,
+        timeSig: `${barTimeSig?.n || 4}/${barTimeSig?.d || 4}`,
         resolution: Number(resolution) || 0,
         quarterSubs,
         instStates,
@@ -14144,6 +17567,11 @@ function Notation({
         .map((m) => [Number(m?.bar), String(m?.text || "").trim()])
         .filter(([bar, text]) => Number.isFinite(bar) && bar >= 0 && text)
     );
+    const swingMarkerMap = new Map(
+      (Array.isArray(swingMarkers) ? swingMarkers : [])
+        .map((m) => [Number(m?.bar), String(m?.text || "").trim()])
+        .filter(([bar, text]) => Number.isFinite(bar) && bar >= 0 && text)
+    );
     const repeatPlan = (() => {
       if (!enableMeasureRepeats || bars < 2) return Array.from({ length: bars }, () => null);
       const plan = Array.from({ length: bars }, () => null);
@@ -14236,6 +17664,7 @@ function Notation({
         const yTop = Number(stave?.getYForLine?.(0)) || 0;
         const sectionText = sectionMarkerMap.get(b);
         const tempoText = tempoMarkerMap.get(b);
+        const swingText = swingMarkerMap.get(b);
         const barNumberY = yTop - 16;
         const sectionY = yTop - 32;
         const tempoY = sectionText ? yTop - 49 : sectionY;
@@ -14309,6 +17738,18 @@ function Notation({
             });
           }
         }
+        if (swingText) {
+          appendText({
+            x: x + 2 + (tempoText ? 10 + tempoText.length * 6 : 0),
+            y: tempoY,
+            text: swingText,
+            fill: secondaryTextColor,
+            fontFamily: "Arial",
+            fontSize: 10,
+            fontWeight: "400",
+            fontStyle: "italic",
+          });
+        }
       }
     };
     const drawTwoBarRepeatMarkers = (svgRoot, staves, repeatPlanData) => {
@@ -14356,7 +17797,7 @@ function Notation({
         // ignore
       }
     }
-    const createRepeatVoice = (repeatInfo) => {
+    const createRepeatVoice = (repeatInfo, barTimeSig = timeSig) => {
       const tickables = [];
       if (repeatInfo?.type && repeatInfo.type !== "follower") {
         if (repeatInfo.type === "2") {
@@ -14371,7 +17812,7 @@ function Notation({
       } else {
         tickables.push(new Flow.GhostNote("q"));
       }
-      const voice = new Voice({ num_beats: timeSig.n, beat_value: timeSig.d });
+      const voice = new Voice({ num_beats: barTimeSig.n, beat_value: barTimeSig.d });
       voice.setStrict(false);
       voice.addTickables(tickables);
       return voice;
@@ -14471,6 +17912,36 @@ function Notation({
         note.addModifier(art, 0);
       } catch (_) {}
     };
+    const buildRudimentSpec = () => ({ flamKeys: [], dragKeys: [], buzzKeyIndices: [] });
+    const collectRudiment = (spec, val, key, keyIndex) => {
+      if (val === CELL.FLAM) spec.flamKeys.push(key);
+      else if (val === CELL.DRAG) spec.dragKeys.push(key);
+      else if (val === CELL.BUZZ) spec.buzzKeyIndices.push(keyIndex);
+    };
+    // Flams get one slashed grace note, drags two beamed 16th grace notes, buzz rolls a Z-style tremolo.
+    const applyRudimentOrnaments = (note, spec) => {
+      if (!note || !spec) return;
+      try {
+        const makeGrace = (keys, duration, slash) => {
+          const grace = new Flow.GraceNote({ keys, duration, slash, clef: "percussion" });
+          grace.setStemDirection(1);
+          return grace;
+        };
+        const graceNotes = spec.dragKeys.length
+          ? [makeGrace(spec.dragKeys, "16", false), makeGrace(spec.dragKeys, "16", false)]
+          : spec.flamKeys.length
+            ? [makeGrace(spec.flamKeys, "8", true)]
+            : [];
+        if (graceNotes.length) {
+          const group = new Flow.GraceNoteGroup(graceNotes, false);
+          if (graceNotes.length > 1) group.beamNotes();
+          note.addModifier(group, 0);
+        }
+        if (spec.buzzKeyIndices.length) {
+          note.addModifier(new Flow.Tremolo(3), spec.buzzKeyIndices[0]);
+        }
+      } catch (_) {}
+    };
     const getStickingSpecForStep = (stepIdx) => {
       if (!showNotationSticking) return [];
       const map = stickingAssignmentsByStep?.[stepIdx];
@@ -14586,13 +18057,16 @@ function Notation({
     const quarterCount = Math.max(1, Number(timeSig?.n) || 1);
     const baseSubdivPerQuarter = Math.max(1, Math.round(resolution / Math.max(1, Number(timeSig?.d) || 4)));
     const beatValue = Math.max(1, Number(timeSig?.d) || 4);
+    const quarterCountByBar = resolvedTimeSigByBar.map((ts) => Math.max(1, Number(ts?.n) || 1));
+    const beatValueByBar = resolvedTimeSigByBar.map((ts) => Math.max(1, Number(ts?.d) || 4));
+    const baseSubdivByBar = beatValueByBar.map((d) => Math.max(1, Math.round(resolution / d)));
     const resolvedQuarterSubsByBar =
       Array.isArray(quarterSubdivisionsByBar) && quarterSubdivisionsByBar.length === bars
-        ? quarterSubdivisionsByBar.map((row) =>
-            Array.from({ length: quarterCount }, (_, i) => Math.max(1, Number(row?.[i]) || baseSubdivPerQuarter))
+        ? quarterSubdivisionsByBar.map((row, b) =>
+            Array.from({ length: quarterCountByBar[b] }, (_, i) => Math.max(1, Number(row?.[i]) || baseSubdivByBar[b]))
           )
-        : Array.from({ length: bars }, () =>
-            Array.from({ length: quarterCount }, () => baseSubdivPerQuarter)
+        : Array.from({ length: bars }, (_, b) =>
+            Array.from({ length: quarterCountByBar[b] }, () => baseSubdivByBar[b])
           );
 
     const resolvedStepOffsets =
@@ -14606,11 +18080,21 @@ function Notation({
             }
             return out;
           })();
-    const hasTuplets = resolvedQuarterSubsByBar.some((row) =>
-      row.some((n) => Math.max(1, Number(n) || 1) !== baseSubdivPerQuarter)
+    const hasTuplets = resolvedQuarterSubsByBar.some((row, b) =>
+      row.some((n) => Math.max(1, Number(n) || 1) !== baseSubdivByBar[b])
     );
 
-    if (hasTuplets) {
+    // Eighth-based bars beam in dotted-quarter groups (6/8), pairs (4/8) or 2+...+3 (5/8, 7/8).
+    const getBeatGroupSizes = (barTimeSig) => {
+      const n = Math.max(1, Number(barTimeSig?.n) || 1);
+      if (Number(barTimeSig?.d) !== 8 || n < 3) return Array.from({ length: n }, () => 1);
+      if (n % 3 === 0) return Array.from({ length: n / 3 }, () => 3);
+      if (n % 2 === 0) return Array.from({ length: n / 2 }, () => 2);
+      return [...Array.from({ length: (n - 3) / 2 }, () => 2), 3];
+    };
+
+    // Mixed meters need per-bar step offsets, which only this path handles.
+    if (hasTuplets || hasMeterChanges) {
       const shouldShowTupletBracket = (count) => {
         const normalized = Math.max(1, Math.round(Number(count) || 1));
         return normalized > 1 && (normalized & (normalized - 1)) !== 0;
@@ -14627,21 +18111,20 @@ function Notation({
         while (base * 2 <= s) base *= 2;
         return Math.max(1, Math.min(8, base));
       };
-      const durationFromBase = (displayBase) => {
+      const durationFromBase = (displayBase, barBeatValue = beatValue) => {
         const base = Math.max(1, Number(displayBase) || 1);
-        const denom = Math.max(1, beatValue * base);
+        const denom = Math.max(1, barBeatValue * base);
         if (denom === 4) return "q";
         return String(denom);
       };
-      const durationFromLen = (lenSteps, baseStepsPerQuarter) => {
+      const durationFromLen = (lenSteps, baseStepsPerQuarter, barBeatValue = beatValue) => {
         const base = Math.max(1, Number(baseStepsPerQuarter) || 1);
         const len = Math.max(1, Math.min(base, Number(lenSteps) || 1));
         const ratio = base / len;
-        const denom = beatValue * ratio;
+        const denom = barBeatValue * ratio;
         if (denom === 4) return "q";
         return String(denom);
       };
-
       const naturalBarWidths = Array.from({ length: bars }, (_, b) =>
         getRepeatAwareBarDemand(b, estimateNotationBarWidthDemand({
           grid,
@@ -14649,7 +18132,7 @@ function Notation({
           barEndStep: resolvedStepOffsets[b + 1] ?? resolvedStepOffsets[b] ?? 0,
           quarterSubdivisions: resolvedQuarterSubsByBar[b],
           minWidth: 130,
-          leadingWidthExtra: (rowStartSet.has(b) ? 30 : 0) + (b === 0 ? 48 : 0),
+          leadingWidthExtra: (rowStartSet.has(b) ? 30 : 0) + (showsTimeSigAt(b) ? 48 : 0),
           spacingPreset: getSpacingPresetForBar(b),
         }))
       );
@@ -14717,18 +18200,19 @@ function Notation({
           x += barWidths[bi];
         }
           const y = 27.5 + row * systemHeight;
+        const barTimeSig = resolvedTimeSigByBar[b] || timeSig;
+        const barBeatValue = beatValueByBar[b] || beatValue;
+        const barBaseSubdiv = baseSubdivByBar[b] || baseSubdivPerQuarter;
         const stave = new Stave(x, y, barWidths[b]);
         if (col > 0) stave.setBegBarType(Barline.type.NONE);
-        if (col === 0) {
-          stave.addClef("percussion");
-          if (b === 0) stave.addTimeSignature(`${timeSig.n}/${timeSig.d}`);
-        }
+        if (col === 0) stave.addClef("percussion");
+        if (showsTimeSigAt(b)) stave.addTimeSignature(`${barTimeSig.n}/${barTimeSig.d}`);
         stave.setContext(ctx).draw();
         staves.push(stave);
 
         const repeatInfo = repeatPlan[b];
         if (repeatInfo) {
-          voices.push(createRepeatVoice(repeatInfo));
+          voices.push(createRepeatVoice(repeatInfo, barTimeSig));
           beamsByBar[b] = [];
           tupletsByBar[b] = [];
           continue;
@@ -14743,8 +18227,8 @@ function Notation({
 
         for (let q = 0; q < barSubs.length; q++) {
           const subdiv = Math.max(1, Number(barSubs[q]) || 1);
-          const tupletQuarter = subdiv !== baseSubdivPerQuarter;
-          const quarterDisplayBase = tupletQuarter ? tupletDisplayBase(subdiv) : baseSubdivPerQuarter;
+          const tupletQuarter = subdiv !== barBaseSubdiv;
+          const quarterDisplayBase = tupletQuarter ? tupletDisplayBase(subdiv) : barBaseSubdiv;
           const quarterNotes = [];
           const quarterBeamBucket = [];
           const stepData = [];
@@ -14754,6 +18238,7 @@ function Notation({
             const ghostKeyIndices = [];
             const circledXLargeKeyIndices = [];
             const accentKeyIndices = [];
+            const rudimentSpec = buildRudimentSpec();
             instruments.forEach((inst) => {
               const val = grid[inst.id]?.[globalIdx] ?? CELL.OFF;
               if (val === CELL.OFF) return;
@@ -14761,13 +18246,14 @@ function Notation({
               const keyIndex = keys.length - 1;
               if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) ghostKeyIndices.push(keyIndex);
               if (val === CELL.ACCENT) accentKeyIndices.push(keyIndex);
+              collectRudiment(rudimentSpec, val, NOTATION_MAP[inst.id].key, keyIndex);
               if (inst.id === "china" || inst.id === "hihatOpen") circledXLargeKeyIndices.push(keyIndex);
             });
             const stickingSpec = getStickingSpecForStep(globalIdx);
-            stepData.push({ keys, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx });
+            stepData.push({ keys, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, rudimentSpec, stickingSpec, globalIdx });
           }
 
-          const mergeBaseStepsPerQuarter = isPowerOfTwo(subdiv) ? subdiv : baseSubdivPerQuarter;
+          const mergeBaseStepsPerQuarter = isPowerOfTwo(subdiv) ? subdiv : barBaseSubdiv;
           const canUseMergedQuarterLogic = isPowerOfTwo(subdiv) && (mergeNotes || mergeRests);
           if (canUseMergedQuarterLogic) {
             let sub = 0;
@@ -14808,7 +18294,7 @@ function Notation({
 
                 const note = new StaveNote({
                   keys: entry.keys,
-                  duration: durationFromLen(len, mergeBaseStepsPerQuarter),
+                  duration: durationFromLen(len, mergeBaseStepsPerQuarter, barBeatValue),
                   clef: "percussion",
                 });
                 note.setStemDirection(1);
@@ -14818,6 +18304,7 @@ function Notation({
                 applySpecialStemOverride(note);
                 applyCircledXLargeStyling(note, entry.circledXLargeKeyIndices);
                 applyAccentArticulation(note, entry.accentKeyIndices);
+                applyRudimentOrnaments(note, entry.rudimentSpec);
                 applyStickingAnnotation(note, entry.stickingSpec, entry.globalIdx);
                 note.__dgIsBeamed = false;
                 notes.push(note);
@@ -14830,7 +18317,7 @@ function Notation({
               if (!mergeRests) {
                 const rest = new StaveNote({
                   keys: ["b/4"],
-                  duration: `${durationFromBase(quarterDisplayBase)}r`,
+                  duration: `${durationFromBase(quarterDisplayBase, barBeatValue)}r`,
                   clef: "percussion",
                 });
                 notes.push(rest);
@@ -14855,7 +18342,7 @@ function Notation({
                   break;
                 }
               }
-              const restDur = `${durationFromLen(chunk, mergeBaseStepsPerQuarter)}r`;
+              const restDur = `${durationFromLen(chunk, mergeBaseStepsPerQuarter, barBeatValue)}r`;
               const rest = new StaveNote({ keys: ["b/4"], duration: restDur, clef: "percussion" });
               notes.push(rest);
               quarterNotes.push(rest);
@@ -14865,14 +18352,15 @@ function Notation({
             for (let sub = 0; sub < subdiv; sub++) {
               const entry = stepData[sub];
               const note = entry.keys.length
-                ? new StaveNote({ keys: entry.keys, duration: durationFromBase(quarterDisplayBase), clef: "percussion" })
-                : new StaveNote({ keys: ["b/4"], duration: `${durationFromBase(quarterDisplayBase)}r`, clef: "percussion" });
+                ? new StaveNote({ keys: entry.keys, duration: durationFromBase(quarterDisplayBase, barBeatValue), clef: "percussion" })
+                : new StaveNote({ keys: ["b/4"], duration: `${durationFromBase(quarterDisplayBase, barBeatValue)}r`, clef: "percussion" });
               if (entry.keys.length) note.setStemDirection(1);
               applyGhostStyling(note, entry.ghostKeyIndices);
               applyGhostStemOverride(note, entry.ghostKeyIndices);
               applySpecialStemOverride(note);
               applyCircledXLargeStyling(note, entry.circledXLargeKeyIndices);
               applyAccentArticulation(note, entry.accentKeyIndices);
+              applyRudimentOrnaments(note, entry.rudimentSpec);
               applyStickingAnnotation(note, entry.stickingSpec, entry.globalIdx);
               note.__dgIsBeamed = false;
               notes.push(note);
@@ -14883,7 +18371,7 @@ function Notation({
 
           beamBuckets.push(quarterBeamBucket);
           if (
-            subdiv !== baseSubdivPerQuarter &&
+            subdiv !== barBaseSubdiv &&
             quarterNotes.length > 1 &&
             shouldShowTupletBracket(subdiv)
           ) {
@@ -14903,17 +18391,27 @@ function Notation({
           localStep += subdiv;
         }
 
-        const voice = new Voice({ num_beats: timeSig.n, beat_value: timeSig.d });
+        const voice = new Voice({ num_beats: barTimeSig.n, beat_value: barTimeSig.d });
         voice.setStrict(false);
         voice.addTickables(notes);
         voices.push(voice);
 
         try {
           const quarterBeams = [];
-          beamBuckets.forEach((bucket) => {
+          // Untupleted eighth-based bars beam across beat units; elsewhere one bucket per beat.
+          const barHasTuplets = barSubs.some((n) => Math.max(1, Number(n) || 1) !== barBaseSubdiv);
+          const groupSizes = barHasTuplets ? beamBuckets.map(() => 1) : getBeatGroupSizes(barTimeSig);
+          const groupedBuckets = [];
+          let bucketCursor = 0;
+          groupSizes.forEach((size) => {
+            const merged = beamBuckets.slice(bucketCursor, bucketCursor + size).flat();
+            groupedBuckets.push({ notes: merged, size });
+            bucketCursor += size;
+          });
+          groupedBuckets.forEach(({ notes: bucket, size }) => {
             if (!bucket.length) return;
             const beams = Beam.generateBeams(bucket, {
-              groups: [new Fraction(1, timeSig.d)],
+              groups: [new Fraction(size, barTimeSig.d)],
               stem_direction: 1,
               beam_rests: false,
               flat_beams: !!flatBeams,
@@ -14991,20 +18489,21 @@ function Notation({
       return;
     }
 
-      // Beam grouping per bar (used for beaming and dotted-note limits)
-      const beamGroupsPerBar = (() => {
-        // Compound meters like 6/8, 9/8, 12/8: group in dotted quarters (3 eighths)
-        if (timeSig.d === 8 && timeSig.n % 3 === 0 && timeSig.n > 3) return timeSig.n / 3;
-        // Simple meters: group by beats in the numerator (e.g., 4/4 -> 4, 3/4 -> 3)
-        return timeSig.n;
-      })();
-
-      // VexFlow beam grouping fraction (repeated across the bar).
-      const beamGroupsFraction = (() => {
-        if (timeSig.d === 8 && timeSig.n % 3 === 0 && timeSig.n > 3) return new Fraction(3, 8);
-        return new Fraction(1, timeSig.d);
-      })();
-      const groups = [beamGroupsFraction];
+      // Beam grouping per bar (used for beaming and dotted-note limits), the same as the tuplet path.
+      const beatGroupSizes = getBeatGroupSizes(timeSig);
+      const beamGroupsPerBar = beatGroupSizes.length;
+      const beamGroupEndSteps = [];
+      beatGroupSizes.reduce((end, size) => {
+        const next = end + (size * stepsPerBar) / timeSig.n;
+        beamGroupEndSteps.push(next);
+        return next;
+      }, 0);
+      const getBeamGroupIndex = (step) => {
+        const idx = beamGroupEndSteps.findIndex((end) => step < end);
+        return idx < 0 ? beamGroupsPerBar - 1 : idx;
+      };
+      // VexFlow beam grouping fraction for one group: the whole group beams together.
+      const getBeamGroupFractions = (groupIdx) => [new Fraction(beatGroupSizes[groupIdx] ?? 1, timeSig.d)];
 
     
     // Compute steps per beat from the current grid resolution.
@@ -15123,12 +18622,13 @@ function Notation({
 
       const notes = [];
       const noteStarts = [];
-      const pushNote = (n, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec = [], stepIdx = -1) => {
+      const pushNote = (n, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec = [], stepIdx = -1, rudimentSpec = null) => {
         applyGhostStyling(n, ghostKeyIndices);
         applyGhostStemOverride(n, ghostKeyIndices);
         applySpecialStemOverride(n);
         applyCircledXLargeStyling(n, circledXLargeKeyIndices);
         applyAccentArticulation(n, accentKeyIndices);
+        applyRudimentOrnaments(n, rudimentSpec);
         applyStickingAnnotation(n, stickingSpec, stepIdx);
         n.__dgIsBeamed = false;
         notes.push(n);
@@ -15144,6 +18644,7 @@ function Notation({
         const ghostKeyIndices = [];
         const circledXLargeKeyIndices = [];
         const accentKeyIndices = [];
+        const rudimentSpec = buildRudimentSpec();
 
         instruments.forEach((inst) => {
           const val = grid[inst.id][globalIdx];
@@ -15156,6 +18657,7 @@ function Notation({
             if (val === CELL.ACCENT) {
               accentKeyIndices.push(keyIndex);
             }
+            collectRudiment(rudimentSpec, val, NOTATION_MAP[inst.id].key, keyIndex);
             if (inst.id === "china" || inst.id === "hihatOpen") {
               circledXLargeKeyIndices.push(keyIndex);
             }
@@ -15178,17 +18680,10 @@ const isRest = keys.length === 0;
 
         const allowDotted = dottedNotes && ("all" === "all" || notationResolution > 8);
         // Dotted notes should not cross the "beam group" divisions of the bar.
-        // Example: in 4/4, don't dot across quarter-note beats; in 6/8, don't dot across the 3+3 grouping.
-        const beamGroupsPerBar = (() => {
-          // Compound meters like 6/8, 9/8, 12/8: group in dotted quarters (3 eighths)
-          if (timeSig.d === 8 && timeSig.n % 3 === 0 && timeSig.n > 3) return timeSig.n / 3;
-          // Simple meters: group by beats in the numerator (e.g., 4/4 -> 4, 3/4 -> 3)
-          return timeSig.n;
-        })();
-        const groupSizeSteps = stepsPerBar / beamGroupsPerBar;
+        // Example: in 4/4, don't dot across quarter-note beats; in 7/8, don't dot across the 2+2+3 grouping.
         const inSameBeamGroup = (startStep, endExclusiveStep) => {
           const last = endExclusiveStep - 1;
-          return Math.floor(startStep / groupSizeSteps) === Math.floor(last / groupSizeSteps);
+          return getBeamGroupIndex(startStep) === getBeamGroupIndex(last);
         };
 
 
@@ -15199,7 +18694,7 @@ const isRest = keys.length === 0;
             if (isStepEmpty(b * stepsPerBar + (s + 1))) {
               const noteQ = new StaveNote({ keys, duration: "q", clef: "percussion" });
               noteQ.setStemDirection(1);
-              pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+              pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx, rudimentSpec);
                 if (allowDotted && mergeNotes) {
                   const after = b * stepsPerBarN + (s + 2);
                   if (s + 2 < stepsPerBar && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
@@ -15225,7 +18720,7 @@ const isRest = keys.length === 0;
               if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
                 const noteQ = new StaveNote({ keys, duration: "q", clef: "percussion" });
                 noteQ.setStemDirection(1);
-                pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+                pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx, rudimentSpec);
                 s += 4;
                 continue;
               }
@@ -15235,7 +18730,7 @@ const isRest = keys.length === 0;
               if (isStepEmpty(next)) {
                 const note8 = new StaveNote({ keys, duration: "8", clef: "percussion" });
                 note8.setStemDirection(1);
-                pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+                pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx, rudimentSpec);
                 if (allowDotted && mergeNotes) {
                   const after = b * stepsPerBarN + (s + 2);
                   if (s + 2 < stepsPerBar && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
@@ -15303,7 +18798,7 @@ const isRest = keys.length === 0;
             const note = new StaveNote({ keys, duration: dur, clef: "percussion" });
             note.setStemDirection(1);
             if (dotted) attachDot(note);
-            pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+            pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx, rudimentSpec);
 
             s += dotted ? (len + len / 2) : len;
             continue;
@@ -15321,7 +18816,7 @@ const isRest = keys.length === 0;
             if (isStepEmpty(b * stepsPerBar + (s + 1))) {
               const note8 = new StaveNote({ keys, duration: "8", clef: "percussion" });
               note8.setStemDirection(1);
-              pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+              pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx, rudimentSpec);
                 if (allowDotted && mergeNotes) {
                   const after = b * stepsPerBarN + (s + 2);
                   if (s + 2 < stepsPerBar && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
@@ -15453,7 +18948,7 @@ const isRest = keys.length === 0;
         // MVP: if any cymbal is present in this slice, use X noteheads for the chord.
         // Next upgrade: per-key notehead types.
 
-        pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+        pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx, rudimentSpec);
         s += 1;
       }
 
@@ -15481,14 +18976,13 @@ const isRest = keys.length === 0;
 // Generate beams *within* each beam group division only (never across groups).
       // This prevents later beats from affecting earlier beaming (e.g., dotted 8th + 16th in beat 1).
       const groupBuckets = Array.from({ length: beamGroupsPerBar }, () => []);
-            const groupSizeSteps = stepsPerBar / beamGroupsPerBar;
-for (let i = 0; i < notes.length; i++) {
+      for (let i = 0; i < notes.length; i++) {
         const st = noteStarts[i] ?? CELL.OFF;
-        const g = Math.max(0, Math.min(beamGroupsPerBar - 1, Math.floor(st / groupSizeSteps)));
-        groupBuckets[g].push(notes[i]);
+        groupBuckets[getBeamGroupIndex(Math.max(0, st))].push(notes[i]);
       }
-      groupBuckets.forEach((bucket) => {
+      groupBuckets.forEach((bucket, groupIdx) => {
         if (!bucket.length) return;
+        const groups = getBeamGroupFractions(groupIdx);
         const beams = Beam.generateBeams(bucket, { groups, stem_direction: 1, beam_rests: false, flat_beams: !!flatBeams });
         beams.forEach((beam) => {
           const beamNotes = (typeof beam.getNotes === "function" ? beam.getNotes() : beam.notes) || [];
@@ -15498,7 +18992,7 @@ for (let i = 0; i < notes.length; i++) {
         });
         beamsByBar[b].push(...beams);
         // Store buckets so we can regenerate beams cleanly for bar-level alignment.
-        beamBucketsByBar[b].push(bucket.slice());
+        beamBucketsByBar[b].push({ notes: bucket.slice(), groups });
       });
     }
 
@@ -15533,7 +19027,7 @@ for (let i = 0; i < notes.length; i++) {
           const fresh = [];
           const buckets = beamBucketsByBar[b] || [];
 
-          buckets.forEach((bucket) => {
+          buckets.forEach(({ notes: bucket, groups }) => {
             if (!bucket.length) return;
 
             // Clear any previously associated beam metadata on notes (helps avoid drawing/geometry artifacts).
@@ -15600,7 +19094,7 @@ for (let i = 0; i < notes.length; i++) {
         };
       });
     }
-  }, [instruments, grid, stickingAssignmentsByStep, showNotationSticking, notationStickingView, resolution, bars, barsPerLine, barsPerRow, stepsPerBar, timeSig, quarterSubdivisionsByBar, barStepOffsets, mergeRests, mergeNotes, dottedNotes, flatBeams, justifySystems, targetContentWidth, sectionMarkers, tempoMarkers, dynamicSpacingByBar, showSystemBarNumbers, barNumberOffset, enableMeasureRepeats, spacingPresetByBar, theme]);
+  }, [instruments, grid, stickingAssignmentsByStep, showNotationSticking, notationStickingView, resolution, bars, barsPerLine, barsPerRow, stepsPerBar, timeSig, timeSigByBar, quarterSubdivisionsByBar, barStepOffsets, mergeRests, mergeNotes, dottedNotes, flatBeams, justifySystems, targetContentWidth, sectionMarkers, tempoMarkers, swingMarkers, dynamicSpacingByBar, showSystemBarNumbers, barNumberOffset, enableMeasureRepeats, spacingPresetByBar, theme]);
 
   useEffect(() => {
     const svg = highlightSvgRef.current;
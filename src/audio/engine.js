@@ -1,6 +1,16 @@
-export function makeAudioEngine() {
+import { METRONOME_DEFAULTS, normalizeMetronomeSettings, scheduleClick } from "./metronome";
+import { applySwingToStepDurations, normalizeSwing } from "./swing";
+import { HUMANIZE_DEFAULTS, getHumanizeForHit, normalizeHumanizeSettings } from "./humanize";
+import { getEffectiveChannelGain, getMixerChannelId, normalizeMixerChannel, normalizeMixerSettings } from "./mixer";
+import { getRudimentStrokes, isRudimentState } from "./rudiments";
+
+// createContext lets callers swap in an OfflineAudioContext for rendering to a file.
+export function makeAudioEngine({ createContext = null } = {}) {
   let audioCtx = null;
   let master = null;
+  let clickBus = null;
+  let channels = {}; // instId -> { gain, panner }
+  let mixer = {};
 
   // Transport
   let isPlaying = false;
@@ -8,6 +18,11 @@ export function makeAudioEngine() {
   let resolution = 16;
   let transportColumns = 32;
   let stepQuarterDurations = [];
+  let clickPattern = [];
+  let swing = null;
+  let swungStepQuarterDurations = [];
+  let metronome = { ...METRONOME_DEFAULTS };
+  let humanize = { ...HUMANIZE_DEFAULTS };
 
   // Scheduler state
   let currentStep = 0;
@@ -35,10 +50,13 @@ export function makeAudioEngine() {
 
   function ensureContext() {
     if (audioCtx) return;
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    audioCtx = createContext ? createContext() : new (window.AudioContext || window.webkitAudioContext)();
     master = audioCtx.createGain();
     master.gain.value = 0.9;
     master.connect(audioCtx.destination);
+    clickBus = audioCtx.createGain();
+    clickBus.gain.value = metronome.volume;
+    clickBus.connect(master);
   }
 
   async function resumeIfNeeded() {
@@ -75,8 +93,21 @@ export function makeAudioEngine() {
     buffers = next || {};
   }
 
-  function setTransport({ nextBpm, nextResolution, nextColumns, nextStepQuarterDurations }) {
+  function getBuffers() {
+    return buffers;
+  }
+
+  function setTransport({
+    nextBpm,
+    nextResolution,
+    nextColumns,
+    nextStepQuarterDurations,
+    nextClickPattern,
+    nextSwing,
+  }) {
     if (typeof nextBpm === "number") bpm = nextBpm;
+    if (Array.isArray(nextClickPattern)) clickPattern = nextClickPattern;
+    if (nextSwing !== undefined) swing = normalizeSwing(nextSwing);
     if (typeof nextResolution === "number") resolution = nextResolution;
     const prevStepQuarterDurations = stepQuarterDurations;
     if (Array.isArray(nextStepQuarterDurations) && nextStepQuarterDurations.length > 0) {
@@ -128,6 +159,11 @@ export function makeAudioEngine() {
 
       transportColumns = mappedColumns;
     }
+    const barStartSteps = clickPattern.reduce((acc, kind, idx) => {
+      if (kind === "bar") acc.push(idx);
+      return acc;
+    }, []);
+    swungStepQuarterDurations = applySwingToStepDurations(stepQuarterDurations, swing, barStartSteps);
   }
 
   function secondsPerStep() {
@@ -137,13 +173,92 @@ export function makeAudioEngine() {
 
   function secondsForStep(stepIndex) {
     if (Array.isArray(stepQuarterDurations) && stepQuarterDurations.length === transportColumns) {
-      const q = stepQuarterDurations[Math.max(0, Math.min(transportColumns - 1, stepIndex))] ?? (1 / Math.max(1, resolution / 4));
+      const durations =
+        swungStepQuarterDurations.length === transportColumns ? swungStepQuarterDurations : stepQuarterDurations;
+      const q = durations[Math.max(0, Math.min(transportColumns - 1, stepIndex))] ?? (1 / Math.max(1, resolution / 4));
       return (60 / bpm) * q;
     }
     return secondsPerStep();
   }
 
-  
+  // Per-instrument strip: gain -> stereo panner -> master, created on first use.
+  function getChannelInput(sampleId) {
+    const instId = getMixerChannelId(sampleId);
+    if (channels[instId]) return channels[instId].gain;
+    const gain = audioCtx.createGain();
+    const panner = typeof audioCtx.createStereoPanner === "function" ? audioCtx.createStereoPanner() : null;
+    gain.gain.value = getEffectiveChannelGain(mixer, instId);
+    if (panner) {
+      panner.pan.value = normalizeMixerChannel(mixer[instId]).pan;
+      gain.connect(panner);
+      panner.connect(master);
+    } else {
+      gain.connect(master);
+    }
+    channels[instId] = { gain, panner };
+    return gain;
+  }
+
+  function setMixer(next) {
+    mixer = normalizeMixerSettings(next);
+    if (!audioCtx) return;
+    const now = audioCtx.currentTime;
+    Object.entries(channels).forEach(([instId, channel]) => {
+      channel.gain.gain.setTargetAtTime(getEffectiveChannelGain(mixer, instId), now, 0.01);
+      if (channel.panner) {
+        channel.panner.pan.setTargetAtTime(normalizeMixerChannel(mixer[instId]).pan, now, 0.01);
+      }
+    });
+  }
+
+  function setMetronome(next) {
+    metronome = normalizeMetronomeSettings({ ...metronome, ...(next || {}) });
+    if (clickBus && audioCtx) clickBus.gain.setValueAtTime(metronome.volume, audioCtx.currentTime);
+  }
+
+  function setHumanize(next) {
+    humanize = normalizeHumanizeSettings({ ...humanize, ...(next || {}) });
+  }
+
+  function click(time, kind) {
+    if (!audioCtx || !clickBus) return;
+    if (kind === "sub" && !metronome.subdivisions) return;
+    const osc = scheduleClick(audioCtx, clickBus, time, kind);
+    if (!osc) return;
+    activeSources.add(osc);
+    osc.onended = () => activeSources.delete(osc);
+  }
+
+  // Beat offsets (sec) and length of the first bar, used to lay out the count-in.
+  function getGridCountInBar() {
+    const beats = [];
+    let barSec = 0;
+    if (clickPattern.length === transportColumns) {
+      for (let i = 0; i < transportColumns; i++) {
+        if (i > 0 && clickPattern[i] === "bar") break;
+        if (clickPattern[i] !== "sub") beats.push(barSec);
+        barSec += secondsForStep(i);
+      }
+    }
+    if (!beats.length) {
+      const beatSec = 60 / bpm;
+      return { beats: [0, beatSec, beatSec * 2, beatSec * 3], barSec: beatSec * 4 };
+    }
+    return { beats, barSec };
+  }
+
+  // Schedules the count-in clicks from startTime and returns its total length.
+  function scheduleCountIn(startTime, bar) {
+    const bars = metronome.countInBars;
+    if (!bars || !bar?.beats?.length || !(bar.barSec > 0)) return 0;
+    for (let b = 0; b < bars; b++) {
+      bar.beats.forEach((offset, idx) => {
+        click(startTime + b * bar.barSec + offset, idx === 0 ? "bar" : "beat");
+      });
+    }
+    return bars * bar.barSec;
+  }
+
   function triggerWithGain(instId, time, gainValue = 1) {
     if (!audioCtx || !master) return null;
     const buf = buffers[instId];
@@ -161,7 +276,7 @@ export function makeAudioEngine() {
     gain.gain.value = Math.max(0, Math.min(1, gainValue));
 
     src.connect(gain);
-    gain.connect(master);
+    gain.connect(getChannelInput(instId));
 
     src.start(time);
     return { src, gain };
@@ -200,77 +315,115 @@ function trigger(instId, time, gainValue = 1) {
     gain.gain.value = Math.max(0, Math.min(1, gainValue));
 
     src.connect(gain);
-    gain.connect(master);
+    gain.connect(getChannelInput(instId));
 
     src.start(time);
     return src;
   }
 
+  // Applies the humanize offset/gain for one hit; stepKey identifies the hit's musical position.
+  function humanizeHit(instId, state, stepKey, time, clickKind) {
+    const h = getHumanizeForHit(humanize, `${stepKey}:${instId}`, {
+      laidBack: instId === "snare" && state !== "ghost" && clickKind === "beat",
+    });
+    return {
+      time: audioCtx ? Math.max(audioCtx.currentTime, time + h.offsetSec) : time,
+      scale: h.gainScale,
+    };
+  }
+
+  // Grace notes (flam/drag) and buzz strokes around a main hit at hitTime.
+  function playRudimentStrokes(instId, state, hitTime, stepSec, scale) {
+    getRudimentStrokes(state, stepSec).forEach((stroke) => {
+      const t = audioCtx ? Math.max(audioCtx.currentTime, hitTime + stroke.offsetSec) : hitTime + stroke.offsetSec;
+      trigger(instId, t, stroke.gain * scale);
+    });
+  }
+
   function scheduleStep(grid, instruments, stepIndex, time) {
+    const clickKind = clickPattern.length === transportColumns ? clickPattern[stepIndex] : null;
     for (const inst of instruments) {
       const state = grid[inst.id]?.[stepIndex] ?? "off";
       if (state === "off") continue;
+      const hit = humanizeHit(inst.id, state, `g:${stepIndex}`, time, clickKind);
 
       // Ghost notes: instrument-specific gain
       if (state === "ghost") {
         if (inst.id === "snare" && buffers["snare_ghost"]) {
-          trigger("snare_ghost", time, 0.6);
+          trigger("snare_ghost", hit.time, 0.6 * hit.scale);
         } else if (inst.id === "hihat") {
-          chokeOpenHats(time);
-          trigger(inst.id, time, 0.3);
+          chokeOpenHats(hit.time);
+          trigger(inst.id, hit.time, 0.3 * hit.scale);
         } else if (inst.id === "tom1" || inst.id === "tom2" || inst.id === "floorTom") {
-          trigger(inst.id, time, 0.15);
+          trigger(inst.id, hit.time, 0.15 * hit.scale);
         } else {
           // fallback ghost gain
-          trigger(inst.id, time, 0.1);
+          trigger(inst.id, hit.time, 0.1 * hit.scale);
         }
         continue;
       }
 
+      if (isRudimentState(state)) {
+        playRudimentStrokes(inst.id, state, hit.time, secondsForStep(stepIndex), hit.scale);
+        trigger(inst.id, hit.time, (state === "buzz" ? 0.6 : 0.9) * hit.scale);
+        continue;
+      }
+
       // Normal hit
       if (inst.id === "hihat" || inst.id === "hihatFoot") {
-        chokeOpenHats(time);
+        chokeOpenHats(hit.time);
       }
       if (inst.id === "hihatOpen") {
         {
-          const h = triggerWithGain(inst.id, time, 0.9);
+          const h = triggerWithGain(inst.id, hit.time, 0.9 * hit.scale);
           if (h) openHats.push(h);
         }
       } else {
-        trigger(inst.id, time, 0.9);
+        trigger(inst.id, hit.time, 0.9 * hit.scale);
       }
     }
+    if (metronome.enabled && clickKind) {
+      click(time, clickKind);
+    }
     if (onStep) onStep(stepIndex, null);
   }
 
   function scheduleCompiledEvent(event, time) {
     if (!event) return;
     const hits = Array.isArray(event.hits) ? event.hits : [];
+    const stepKey = `c:${event.meta?.rowIndex ?? -1}:${event.meta?.localStep ?? event.stepIndex ?? 0}`;
     for (const hit of hits) {
       const instId = hit?.instId;
       const state = hit?.state ?? "off";
       if (!instId || state === "off") continue;
+      const h = humanizeHit(instId, state, stepKey, time, event.click);
       if (state === "ghost") {
         if (instId === "snare" && buffers["snare_ghost"]) {
-          trigger("snare_ghost", time, 0.6);
+          trigger("snare_ghost", h.time, 0.6 * h.scale);
         } else if (instId === "hihat") {
-          chokeOpenHats(time);
-          trigger(instId, time, 0.3);
+          chokeOpenHats(h.time);
+          trigger(instId, h.time, 0.3 * h.scale);
         } else if (instId === "tom1" || instId === "tom2" || instId === "floorTom") {
-          trigger(instId, time, 0.15);
+          trigger(instId, h.time, 0.15 * h.scale);
         } else {
-          trigger(instId, time, 0.1);
+          trigger(instId, h.time, 0.1 * h.scale);
         }
         continue;
       }
-      if (instId === "hihat" || instId === "hihatFoot") chokeOpenHats(time);
+      if (isRudimentState(state)) {
+        playRudimentStrokes(instId, state, h.time, Number(event.durationSec) || 0, h.scale);
+        trigger(instId, h.time, (state === "buzz" ? 0.6 : 0.9) * h.scale);
+        continue;
+      }
+      if (instId === "hihat" || instId === "hihatFoot") chokeOpenHats(h.time);
       if (instId === "hihatOpen") {
-        const h = triggerWithGain(instId, time, 0.9);
-        if (h) openHats.push(h);
+        const open = triggerWithGain(instId, h.time, 0.9 * h.scale);
+        if (open) openHats.push(open);
       } else {
-        trigger(instId, time, state === "accent" ? 1 : 0.9);
+        trigger(instId, h.time, (state === "accent" ? 1 : 0.9) * h.scale);
       }
     }
+    if (metronome.enabled && event.click) click(time, event.click);
     if (onStep) onStep(event.stepIndex ?? 0, event.meta || null);
   }
 
@@ -344,6 +497,7 @@ function trigger(instId, time, gainValue = 1) {
     transportColumns = Math.max(1, snap.columns ?? 1);
     currentStep = Math.max(0, Math.min(maxStep, startStep));
     playStartTime = audioCtx.currentTime + 0.03;
+    playStartTime += scheduleCountIn(playStartTime, getGridCountInBar());
     nextNoteTime = playStartTime;
     stopAtTime = null;
 
@@ -352,7 +506,7 @@ function trigger(instId, time, gainValue = 1) {
     return playStartTime;
   }
 
-  async function playCompiled(events, { startAtSec = 0, totalDurationSec = 0, loop = false } = {}) {
+  async function playCompiled(events, { startAtSec = 0, totalDurationSec = 0, loop = false, countIn = null } = {}) {
     await resumeIfNeeded();
     if (isPlaying) return null;
 
@@ -367,7 +521,14 @@ function trigger(instId, time, gainValue = 1) {
     compiledDurationSec = Math.max(0, Number(totalDurationSec) || 0);
     compiledStartOffsetSec = Math.max(0, Number(startAtSec) || 0);
     compiledLoopIteration = 0;
-    playStartTime = audioCtx.currentTime + 0.03 - compiledStartOffsetSec;
+    const countInStart = audioCtx.currentTime + 0.03;
+    const countInBeatsPerBar = Math.max(1, Math.round(Number(countIn?.beatsPerBar) || 4));
+    const countInBeatSec = Number(countIn?.beatSec) > 0 ? Number(countIn.beatSec) : 60 / bpm;
+    const countInSec = scheduleCountIn(countInStart, {
+      beats: Array.from({ length: countInBeatsPerBar }, (_, idx) => idx * countInBeatSec),
+      barSec: countInBeatsPerBar * countInBeatSec,
+    });
+    playStartTime = countInStart + countInSec - compiledStartOffsetSec;
     compiledCursor = compiledEvents.findIndex((event) => event.timeSec >= compiledStartOffsetSec - 1e-6);
     if (compiledCursor < 0) {
       compiledCursor = compiledLoop ? 0 : compiledEvents.length;
@@ -413,6 +574,35 @@ function trigger(instId, time, gainValue = 1) {
     stopAtTime = null;
   }
 
+  // Length of `loops` passes over the current grid, including swing.
+  function getGridDurationSec(loops = 1) {
+    let sec = 0;
+    for (let i = 0; i < transportColumns; i++) sec += secondsForStep(i);
+    return sec * Math.max(1, Math.floor(Number(loops) || 1));
+  }
+
+  // Offline rendering: schedules every hit up front instead of through the lookahead timer.
+  function scheduleGridOffline({ grid, instruments, columns }, { loops = 1, startTime = 0 } = {}) {
+    ensureContext();
+    const stepCount = Math.max(1, Math.floor(Number(columns) || transportColumns));
+    const passes = Math.max(1, Math.floor(Number(loops) || 1));
+    let time = startTime;
+    for (let pass = 0; pass < passes; pass++) {
+      for (let step = 0; step < stepCount; step++) {
+        scheduleStep(grid || {}, instruments || [], step, time);
+        time += secondsForStep(step);
+      }
+    }
+    return time;
+  }
+
+  function scheduleCompiledOffline(events, { startTime = 0 } = {}) {
+    ensureContext();
+    (Array.isArray(events) ? events : []).forEach((event) => {
+      scheduleCompiledEvent(event, startTime + Math.max(0, Number(event?.timeSec) || 0));
+    });
+  }
+
   function setOnStep(fn) {
     onStep = fn;
   }
@@ -445,13 +635,20 @@ function trigger(instId, time, gainValue = 1) {
     resumeIfNeeded,
     unlock,
     setBuffers,
+    getBuffers,
     setTransport,
+    setMetronome,
+    setHumanize,
+    setMixer,
     setOnStep,
     setOnEnded,
     getCurrentTime,
     getScheduleAheadTimeSec,
     setCurrentStep,
     setStopAtTime,
+    getGridDurationSec,
+    scheduleGridOffline,
+    scheduleCompiledOffline,
     play,
     playCompiled,
     stop,
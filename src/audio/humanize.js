@@ -0,0 +1,40 @@
+import { createSeededRandom } from "../utils/seededRandom";
+
+export const HUMANIZE_DEFAULTS = {
+  enabled: false,
+  timingMs: 8,
+  velocityPercent: 10,
+  laidBackMs: 0,
+  seed: 1,
+};
+
+export function normalizeHumanizeSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const num = (value, fallback, min, max) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, Math.round(n))) : fallback;
+  };
+  return {
+    enabled: src.enabled === true,
+    timingMs: num(src.timingMs, HUMANIZE_DEFAULTS.timingMs, 0, 30),
+    velocityPercent: num(src.velocityPercent, HUMANIZE_DEFAULTS.velocityPercent, 0, 40),
+    laidBackMs: num(src.laidBackMs, HUMANIZE_DEFAULTS.laidBackMs, 0, 40),
+    seed: num(src.seed, HUMANIZE_DEFAULTS.seed, 1, 9999),
+  };
+}
+
+/**
+ * Deterministic per-hit deviation: the same seed + hit key always yields the same
+ * offset, so a looped beat sounds identical on every pass.
+ */
+export function getHumanizeForHit(settings, hitKey, { laidBack = false } = {}) {
+  if (!settings?.enabled) return { offsetSec: 0, gainScale: 1 };
+  const rand = createSeededRandom(`${settings.seed}:${hitKey}`);
+  const jitterMs = (rand() * 2 - 1) * settings.timingMs;
+  const velocityDelta = (rand() * 2 - 1) * (settings.velocityPercent / 100);
+  const laidBackMs = laidBack ? settings.laidBackMs : 0;
+  return {
+    offsetSec: (jitterMs + laidBackMs) / 1000,
+    gainScale: Math.max(0, 1 + velocityDelta),
+  };
+}
@@ -0,0 +1,55 @@
+export const METRONOME_DEFAULTS = {
+  enabled: false,
+  volume: 0.7,
+  subdivisions: false,
+  countInBars: 0,
+};
+
+const CLICK_VOICES = {
+  bar: { freq: 1760, gain: 1 },
+  beat: { freq: 1175, gain: 0.7 },
+  sub: { freq: 880, gain: 0.35 },
+};
+
+export function normalizeMetronomeSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const volume = Number(src.volume);
+  const countInBars = Math.round(Number(src.countInBars));
+  return {
+    enabled: src.enabled === true,
+    volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : METRONOME_DEFAULTS.volume,
+    subdivisions: src.subdivisions === true,
+    countInBars: Number.isFinite(countInBars) ? Math.max(0, Math.min(2, countInBars)) : 0,
+  };
+}
+
+// One entry per step: "bar" on downbeats, "beat" on beat-unit starts, "sub" otherwise.
+export function buildClickPattern(quarterSubdivisionsByBar) {
+  const out = [];
+  (Array.isArray(quarterSubdivisionsByBar) ? quarterSubdivisionsByBar : []).forEach((row) => {
+    (Array.isArray(row) ? row : []).forEach((subdivRaw, beatIdx) => {
+      const subdiv = Math.max(1, Number(subdivRaw) || 1);
+      for (let i = 0; i < subdiv; i++) {
+        out.push(i > 0 ? "sub" : beatIdx === 0 ? "bar" : "beat");
+      }
+    });
+  });
+  return out;
+}
+
+export function scheduleClick(audioCtx, destination, time, kind = "beat") {
+  if (!audioCtx || !destination) return null;
+  const voice = CLICK_VOICES[kind] || CLICK_VOICES.beat;
+  const osc = audioCtx.createOscillator();
+  const env = audioCtx.createGain();
+  osc.type = "square";
+  osc.frequency.setValueAtTime(voice.freq, time);
+  env.gain.setValueAtTime(0.0001, time);
+  env.gain.exponentialRampToValueAtTime(voice.gain * 0.5, time + 0.002);
+  env.gain.exponentialRampToValueAtTime(0.0001, time + 0.045);
+  osc.connect(env);
+  env.connect(destination);
+  osc.start(time);
+  osc.stop(time + 0.05);
+  return osc;
+}
@@ -0,0 +1,51 @@
+export const MIXER_CHANNEL_DEFAULTS = {
+  volume: 1,
+  pan: 0,
+  mute: false,
+  solo: false,
+};
+
+// Alternate samples that share a channel with their instrument.
+const CHANNEL_ALIASES = {
+  snare_ghost: "snare",
+};
+
+export function getMixerChannelId(sampleId) {
+  return CHANNEL_ALIASES[sampleId] || sampleId;
+}
+
+export function normalizeMixerChannel(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const volume = Number(src.volume);
+  const pan = Number(src.pan);
+  return {
+    volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : MIXER_CHANNEL_DEFAULTS.volume,
+    pan: Number.isFinite(pan) ? Math.max(-1, Math.min(1, pan)) : MIXER_CHANNEL_DEFAULTS.pan,
+    mute: src.mute === true,
+    solo: src.solo === true,
+  };
+}
+
+// Drops channels that are back at their defaults so stored settings stay small.
+export function normalizeMixerSettings(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  Object.entries(raw).forEach(([instId, channel]) => {
+    const next = normalizeMixerChannel(channel);
+    const isDefault =
+      next.volume === MIXER_CHANNEL_DEFAULTS.volume &&
+      next.pan === MIXER_CHANNEL_DEFAULTS.pan &&
+      !next.mute &&
+      !next.solo;
+    if (!isDefault) out[instId] = next;
+  });
+  return out;
+}
+
+export function getEffectiveChannelGain(mixer, instId) {
+  const channel = normalizeMixerChannel(mixer?.[instId]);
+  const anySolo = Object.values(mixer || {}).some((entry) => entry?.solo === true);
+  if (channel.mute) return 0;
+  if (anySolo && !channel.solo) return 0;
+  return channel.volume;
+}
@@ -0,0 +1,88 @@
+import { makeAudioEngine } from "./engine";
+import { buildClickPattern } from "./metronome";
+
+export const RENDER_SAMPLE_RATE = 44100;
+const RENDER_CHANNELS = 2;
+// Lets the last hits and cymbals ring out past the final step.
+const RENDER_TAIL_SEC = 1.5;
+
+function getOfflineContextClass() {
+  return window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+}
+
+/**
+ * Builds a throwaway engine wired to an OfflineAudioContext so rendering goes through the
+ * exact same sample, choke, mixer and humanize paths as live playback.
+ */
+function makeOfflineEngine({ buffers, metronome, humanize, mixer, includeClick }) {
+  const OfflineContext = getOfflineContextClass();
+  if (!OfflineContext) throw new Error("Offline audio rendering is not supported in this browser.");
+  let lengthSec = 0;
+  const engine = makeAudioEngine({
+    createContext: () =>
+      new OfflineContext(
+        RENDER_CHANNELS,
+        Math.max(1, Math.ceil((lengthSec + RENDER_TAIL_SEC) * RENDER_SAMPLE_RATE)),
+        RENDER_SAMPLE_RATE
+      ),
+  });
+  engine.setBuffers(buffers);
+  engine.setMetronome({ ...(metronome || {}), enabled: includeClick === true, countInBars: 0 });
+  engine.setHumanize(humanize);
+  engine.setMixer(mixer);
+  return {
+    engine,
+    setLengthSec(sec) {
+      lengthSec = Math.max(0, Number(sec) || 0);
+    },
+  };
+}
+
+export async function renderGridOffline({
+  grid,
+  instruments,
+  columns,
+  bpm,
+  resolution,
+  stepQuarterDurations,
+  quarterSubdivisionsByBar,
+  swing,
+  loops = 1,
+  buffers,
+  metronome,
+  humanize,
+  mixer,
+  includeClick = false,
+}) {
+  const { engine, setLengthSec } = makeOfflineEngine({ buffers, metronome, humanize, mixer, includeClick });
+  engine.setTransport({
+    nextBpm: bpm,
+    nextResolution: resolution,
+    nextColumns: columns,
+    nextStepQuarterDurations: stepQuarterDurations,
+    nextClickPattern: buildClickPattern(quarterSubdivisionsByBar),
+    nextSwing: swing || null,
+  });
+  setLengthSec(engine.getGridDurationSec(loops));
+  engine.scheduleGridOffline({ grid, instruments, columns }, { loops });
+  return engine.getContext().startRendering();
+}
+
+export async function renderCompiledOffline({
+  events,
+  totalDurationSec,
+  buffers,
+  metronome,
+  humanize,
+  mixer,
+  includeClick = false,
+}) {
+  const { engine, setLengthSec } = makeOfflineEngine({ buffers, metronome, humanize, mixer, includeClick });
+  const lastEventSec = (Array.isArray(events) ? events : []).reduce(
+    (max, event) => Math.max(max, (Number(event?.timeSec) || 0) + (Number(event?.durationSec) || 0)),
+    0
+  );
+  setLengthSec(Math.max(Number(totalDurationSec) || 0, lastEventSec));
+  engine.scheduleCompiledOffline(events);
+  return engine.getContext().startRendering();
+}
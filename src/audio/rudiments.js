@@ -0,0 +1,32 @@
+// Grace-note and roll timing shared by live playback and MIDI export.
+const FLAM_GRACE_SEC = 0.03;
+const DRAG_GRACE_SEC = [0.06, 0.03];
+const BUZZ_STROKE_SEC = 0.025;
+const BUZZ_FILL = 0.9;
+
+export const RUDIMENT_GRACE_GAIN = 0.35;
+export const BUZZ_STROKE_GAIN = 0.45;
+
+export function isRudimentState(state) {
+  return state === "flam" || state === "drag" || state === "buzz";
+}
+
+/**
+ * Extra strokes played around a main hit, as offsets (sec) relative to it.
+ * Flams/drags land just before the beat; buzz strokes fill most of the step.
+ */
+export function getRudimentStrokes(state, stepSec) {
+  if (state === "flam") return [{ offsetSec: -FLAM_GRACE_SEC, gain: RUDIMENT_GRACE_GAIN }];
+  if (state === "drag") {
+    return DRAG_GRACE_SEC.map((sec) => ({ offsetSec: -sec, gain: RUDIMENT_GRACE_GAIN }));
+  }
+  if (state === "buzz") {
+    const span = Math.max(0, Number(stepSec) || 0) * BUZZ_FILL;
+    const out = [];
+    for (let t = BUZZ_STROKE_SEC; t < span - 1e-6; t += BUZZ_STROKE_SEC) {
+      out.push({ offsetSec: t, gain: BUZZ_STROKE_GAIN });
+    }
+    return out;
+  }
+  return [];
+}
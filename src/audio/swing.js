@@ -0,0 +1,57 @@
+export const SWING_MIN_PERCENT = 50;
+export const SWING_MAX_PERCENT = 75;
+
+// Payloads only carry swing when it differs from straight time.
+export function normalizeSwing(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const percent = Math.round(Number(raw.percent));
+  if (!Number.isFinite(percent)) return null;
+  const clamped = Math.max(SWING_MIN_PERCENT, Math.min(SWING_MAX_PERCENT, percent));
+  if (clamped <= SWING_MIN_PERCENT) return null;
+  return {
+    percent: clamped,
+    unit: Number(raw.unit) === 16 ? 16 : 8,
+  };
+}
+
+export function getSwingMarkingText(swing) {
+  const normalized = normalizeSwing(swing);
+  if (!normalized) return "";
+  return normalized.unit === 16 ? "Swing 16ths" : "Swing 8ths";
+}
+
+function isSwingableStep(q, unitQ) {
+  const ratio = unitQ / q;
+  return Math.abs(ratio - Math.round(ratio)) < 1e-6 || Math.abs(q / (2 * unitQ) - Math.round(q / (2 * unitQ))) < 1e-6;
+}
+
+/**
+ * Warps straight step durations (in quarter notes) so every pair of swing units
+ * is split percent:(100 - percent). The warp is reset at each bar start
+ * (barStartSteps) and skipped for tuplet steps, so bar and beat lengths never change.
+ */
+export function applySwingToStepDurations(stepQuarterDurations, swing, barStartSteps = null) {
+  const durations = Array.isArray(stepQuarterDurations) ? stepQuarterDurations : [];
+  const normalized = normalizeSwing(swing);
+  if (!normalized || !durations.length) return durations;
+  const unitQ = 4 / normalized.unit;
+  const windowQ = unitQ * 2;
+  const ratio = normalized.percent / 100;
+  const barStarts = barStartSteps instanceof Set ? barStartSteps : new Set(barStartSteps || [0]);
+  const warp = (pos) => {
+    const windowStart = Math.floor(pos / windowQ + 1e-9) * windowQ;
+    const x = pos - windowStart;
+    return x < unitQ
+      ? windowStart + x * 2 * ratio
+      : windowStart + windowQ * ratio + (x - unitQ) * 2 * (1 - ratio);
+  };
+  let pos = 0;
+  return durations.map((rawQ, idx) => {
+    if (barStarts.has(idx)) pos = 0;
+    const q = Number(rawQ) || 0;
+    const start = pos;
+    pos += q;
+    if (!(q > 0) || !isSwingableStep(q, unitQ)) return q;
+    return Math.max(1e-6, warp(start + q) - warp(start));
+  });
+}
@@ -0,0 +1,46 @@
+export const TEMPO_MIN_BPM = 20;
+export const TEMPO_MAX_BPM = 400;
+
+// Arrangement rows only carry tempo overrides and ramp targets when they are set.
+export function normalizeTempoBpm(raw) {
+  if (raw == null || raw === "") return null;
+  const bpm = Math.round(Number(raw));
+  if (!Number.isFinite(bpm) || bpm <= 0) return null;
+  return Math.max(TEMPO_MIN_BPM, Math.min(TEMPO_MAX_BPM, bpm));
+}
+
+/**
+ * Tempo curve of one arrangement row (all repeats): `startBpm` until the ramp starts, then a
+ * linear accel./rit. that reaches `endBpm` at the end of the row. `rampBars` null = whole row.
+ */
+export function buildTempoCurve({ startBpm, endBpm = null, totalBars, rampBars = null }) {
+  const bars = Math.max(1, Number(totalBars) || 1);
+  const start = Math.max(1, Number(startBpm) || 120);
+  const end = Number.isFinite(Number(endBpm)) && Number(endBpm) > 0 ? Number(endBpm) : start;
+  const span = Number.isFinite(Number(rampBars)) && Number(rampBars) > 0
+    ? Math.min(bars, Math.round(Number(rampBars)))
+    : bars;
+  return {
+    startBpm: start,
+    endBpm: end,
+    totalBars: bars,
+    rampStartBar: end === start ? bars : bars - span,
+  };
+}
+
+export function hasTempoRamp(curve) {
+  return Boolean(curve) && curve.endBpm !== curve.startBpm && curve.rampStartBar < curve.totalBars;
+}
+
+// `barPosition` counts bars from the row start, with the fraction through the current bar.
+export function getTempoAtBarPosition(curve, barPosition) {
+  if (!hasTempoRamp(curve)) return curve?.startBpm ?? 120;
+  const rampLength = Math.max(1e-6, curve.totalBars - curve.rampStartBar);
+  const progress = Math.max(0, Math.min(1, (Number(barPosition) - curve.rampStartBar) / rampLength));
+  return curve.startBpm + (curve.endBpm - curve.startBpm) * progress;
+}
+
+export function getTempoRampMarkingText(curve) {
+  if (!hasTempoRamp(curve)) return "";
+  return curve.endBpm > curve.startBpm ? "accel." : "rit.";
+}
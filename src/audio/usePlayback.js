@@ -3,8 +3,22 @@ import { makeAudioEngine } from "./engine";
 import { loadSamples } from "./sampleLoader";
 import { SAMPLE_MAP } from "./sampleMap";
 import { primeIOSAudioSync } from "./iosPrime";
+import { buildClickPattern } from "./metronome";
+import { renderCompiledOffline, renderGridOffline } from "./renderOffline";
 
-export function usePlayback({ instruments, grid, columns, bpm, resolution, stepQuarterDurations }) {
+export function usePlayback({
+  instruments,
+  grid,
+  columns,
+  bpm,
+  resolution,
+  stepQuarterDurations,
+  quarterSubdivisionsByBar,
+  metronome,
+  swing,
+  humanize,
+  mixer,
+}) {
   const engine = useMemo(() => makeAudioEngine(), []);
   const [isReady, setIsReady] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -23,14 +37,33 @@ export function usePlayback({ instruments, grid, columns, bpm, resolution, stepQ
     snapRef.current = { instruments, grid, columns, stepQuarterDurations };
   }, [instruments, grid, columns, stepQuarterDurations]);
 
+  const clickPattern = useMemo(
+    () => buildClickPattern(quarterSubdivisionsByBar),
+    [quarterSubdivisionsByBar]
+  );
+
   useEffect(() => {
     engine.setTransport({
       nextBpm: bpm,
       nextResolution: resolution,
       nextColumns: columns,
       nextStepQuarterDurations: stepQuarterDurations,
+      nextClickPattern: clickPattern,
+      nextSwing: swing || null,
     });
-  }, [engine, bpm, resolution, columns, stepQuarterDurations]);
+  }, [engine, bpm, resolution, columns, stepQuarterDurations, clickPattern, swing]);
+
+  useEffect(() => {
+    engine.setMetronome(metronome);
+  }, [engine, metronome]);
+
+  useEffect(() => {
+    engine.setHumanize(humanize);
+  }, [engine, humanize]);
+
+  useEffect(() => {
+    engine.setMixer(mixer);
+  }, [engine, mixer]);
 
   useEffect(() => {
     engine.setOnStep((step, meta) => {
@@ -140,7 +173,7 @@ export function usePlayback({ instruments, grid, columns, bpm, resolution, stepQ
     setPlayhead(Math.max(0, Math.floor(Number(stepIndex) || 0)));
   }, [engine]);
   const playCompiled = useCallback(
-    async ({ events = [], startAtSec = 0, totalDurationSec = 0, loop = false } = {}) => {
+    async ({ events = [], startAtSec = 0, totalDurationSec = 0, loop = false, countIn = null } = {}) => {
       try {
         primeIOSAudioSync();
         engine.unlock();
@@ -159,6 +192,7 @@ export function usePlayback({ instruments, grid, columns, bpm, resolution, stepQ
           startAtSec,
           totalDurationSec,
           loop,
+          countIn,
         });
         setIsPlaying(true);
         return startedAt;
@@ -176,6 +210,37 @@ export function usePlayback({ instruments, grid, columns, bpm, resolution, stepQ
   const setStopAtTime = useCallback((timeSec = null) => {
     engine.setStopAtTime(timeSec);
   }, [engine]);
+  // Renders the current grid (`loops` passes) or a compiled event list to an AudioBuffer.
+  const renderAudio = useCallback(
+    async ({ events = null, totalDurationSec = 0, loops = 1, includeClick = false } = {}) => {
+      if (!isReady) {
+        await initSamples();
+      }
+      const shared = {
+        buffers: engine.getBuffers(),
+        metronome,
+        humanize,
+        mixer,
+        includeClick,
+      };
+      if (Array.isArray(events)) {
+        return renderCompiledOffline({ ...shared, events, totalDurationSec });
+      }
+      return renderGridOffline({
+        ...shared,
+        grid: snapRef.current.grid,
+        instruments: snapRef.current.instruments,
+        columns: snapRef.current.columns,
+        bpm,
+        resolution,
+        stepQuarterDurations: snapRef.current.stepQuarterDurations,
+        quarterSubdivisionsByBar,
+        swing,
+        loops,
+      });
+    },
+    [engine, initSamples, isReady, metronome, humanize, mixer, bpm, resolution, quarterSubdivisionsByBar, swing]
+  );
   const getAudioTime = useCallback(() => engine.getCurrentTime(), [engine]);
   const getScheduleAheadTimeSec = useCallback(() => engine.getScheduleAheadTimeSec(), [engine]);
 
@@ -190,6 +255,7 @@ export function usePlayback({ instruments, grid, columns, bpm, resolution, stepQ
     endedNaturallyAt,
     play,
     playCompiled,
+    renderAudio,
     stop,
     hardStop,
     initSamples,
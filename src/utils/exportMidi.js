@@ -1,3 +1,11 @@
+import { applySwingToStepDurations } from "../audio/swing";
+import { getHumanizeForHit } from "../audio/humanize";
+import { getRudimentStrokes, isRudimentState } from "../audio/rudiments";
+import { buildTempoCurve, getTempoAtBarPosition, hasTempoRamp } from "../audio/tempo";
+
+const RUDIMENT_STATE_BY_CODE = { 4: "flam", 5: "drag", 6: "buzz" };
+const RUDIMENT_STROKE_SEC = 0.02;
+
 function toVarLen(value) {
   let v = Math.max(0, value | 0);
   const bytes = [v & 0x7f];
@@ -80,32 +88,72 @@ function resolveQuarterSubdivisions(tupletOverrides, baseSubdiv) {
   return (tupletOverrides || []).map((v) => clampTupletValue(v) ?? baseSubdiv);
 }
 
-function buildStepQuarterDurationsFromPayload(payload) {
+function normalizeTimeSig(raw, fallback) {
+  const n = Math.round(Number(raw?.n));
+  const d = Math.round(Number(raw?.d));
+  if (!Number.isFinite(n) || n < 1 || !Number.isFinite(d) || d < 1) return fallback;
+  return { n, d };
+}
+
+// Bars without their own entry in timeSigByBar use the beat-level timeSig.
+function resolveTimeSigByBar(rawByBar, bars, timeSig) {
+  const fallback = normalizeTimeSig(timeSig, { n: 4, d: 4 });
+  return Array.from({ length: Math.max(1, bars) }, (_, barIdx) =>
+    normalizeTimeSig(Array.isArray(rawByBar) ? rawByBar[barIdx] : null, fallback)
+  );
+}
+
+function timeSigMetaBytes(timeSig) {
+  return [0xff, 0x58, 0x04, timeSig.n & 0xff, denominatorPowerOfTwo(timeSig.d) & 0xff, 24, 8];
+}
+
+// Swung step lengths (quarters), bar start steps and the meter of every bar in a payload.
+function buildStepLayoutFromPayload(payload) {
   const bars = Math.max(1, Math.min(64, Number(payload?.bars) || 1));
   const resolution = [4, 8, 16, 32].includes(Number(payload?.resolution))
     ? Number(payload.resolution)
     : 8;
-  const timeSig = {
-    n: Math.max(1, Number(payload?.timeSig?.n) || 4),
-    d: Math.max(1, Number(payload?.timeSig?.d) || 4),
-  };
-  const quarterCount = getQuarterBeatsPerBar(timeSig);
-  const baseSubdiv = getBaseSubdivPerQuarter(resolution, timeSig);
-  const tupletsByBar = Array.from({ length: bars }, (_, barIdx) =>
-    Array.from({ length: quarterCount }, (_, qIdx) => {
-      const raw = payload?.tupletsByBar?.[barIdx]?.[qIdx];
-      return clampTupletValue(raw) ?? null;
-    })
-  );
-  const beatUnitQuarterLength = 4 / Math.max(1, Number(timeSig?.d) || 4);
+  const timeSigByBar = resolveTimeSigByBar(payload?.timeSigByBar, bars, payload?.timeSig);
   const out = [];
-  tupletsByBar.forEach((row) => {
-    resolveQuarterSubdivisions(row, baseSubdiv).forEach((subdiv) => {
+  const barStartSteps = [];
+  timeSigByBar.forEach((timeSig, barIdx) => {
+    barStartSteps.push(out.length);
+    const tuplets = Array.from({ length: getQuarterBeatsPerBar(timeSig) }, (_, qIdx) =>
+      clampTupletValue(payload?.tupletsByBar?.[barIdx]?.[qIdx]) ?? null
+    );
+    const beatUnitQuarterLength = 4 / Math.max(1, Number(timeSig?.d) || 4);
+    resolveQuarterSubdivisions(tuplets, getBaseSubdivPerQuarter(resolution, timeSig)).forEach((subdiv) => {
       const s = Math.max(1, Number(subdiv) || 1);
       for (let i = 0; i < s; i++) out.push(beatUnitQuarterLength / s);
     });
   });
-  return out;
+  return {
+    stepQuarterDurations: applySwingToStepDurations(out, payload?.swing, barStartSteps),
+    barStartSteps,
+    timeSigByBar,
+  };
+}
+
+// Flam/drag grace notes and buzz strokes as extra notes around a main hit at `tick`.
+function getRudimentNoteEvents(state, tick, stepTicks, ticksPerSec, velocity) {
+  if (!isRudimentState(state)) return [];
+  const strokeTicks = Math.max(1, Math.round(RUDIMENT_STROKE_SEC * ticksPerSec));
+  return getRudimentStrokes(state, stepTicks / ticksPerSec).map((stroke) => ({
+    tick: Math.max(0, tick + Math.round(stroke.offsetSec * ticksPerSec)),
+    len: strokeTicks,
+    velocity: Math.max(1, Math.min(127, Math.round(velocity * stroke.gain))),
+  }));
+}
+
+function getMainVelocity(state) {
+  if (state === "ghost") return 56;
+  if (state === "buzz") return 80;
+  return 100;
+}
+
+function tempoMetaBytes(bpm) {
+  const tempo = Math.max(1, Math.round(60000000 / Math.max(1, Number(bpm) || 120)));
+  return [0xff, 0x51, 0x03, (tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff];
 }
 
 function pushTrackEvent(track, delta, bytes) {
@@ -119,7 +167,11 @@ export function exportDrumMidi({
   resolution,
   bpm,
   timeSig,
+  timeSigByBar = null,
   stepQuarterDurations,
+  barStepOffsets = null,
+  swing = null,
+  humanize = null,
   payload,
   title = "",
   composer = "",
@@ -136,10 +188,15 @@ export function exportDrumMidi({
   const channel = 9; // MIDI channel 10 (0-based)
   const onStatus = 0x90 | channel;
   const offStatus = 0x80 | channel;
-  const resolvedStepQuarterDurations =
+  const straightStepQuarterDurations =
     Array.isArray(stepQuarterDurations) && stepQuarterDurations.length === columns
       ? stepQuarterDurations.map((q) => (Number.isFinite(q) && q > 0 ? Number(q) : 1 / Math.max(1, Number(resolution) / 4)))
       : Array.from({ length: columns }, () => 1 / Math.max(1, Number(resolution) / 4));
+  const resolvedStepQuarterDurations = applySwingToStepDurations(
+    straightStepQuarterDurations,
+    swing ?? payload?.swing,
+    Array.isArray(barStepOffsets) ? barStepOffsets : [0]
+  );
   const ticksByStep = resolvedStepQuarterDurations.map((q) => Math.max(1, Math.round(PPQ * q)));
   const stepStarts = [];
   let tickCursor = 0;
@@ -148,16 +205,45 @@ export function exportDrumMidi({
     tickCursor += tickLen;
   });
 
+  const barStarts = Array.isArray(barStepOffsets) && barStepOffsets.length > 1 ? barStepOffsets.slice(0, -1) : [0];
+  const resolvedTimeSigByBar = resolveTimeSigByBar(timeSigByBar, barStarts.length, timeSig);
+  const barIndexByStep = [];
+  barStarts.forEach((start, barIdx) => {
+    const end = barStarts[barIdx + 1] ?? columns;
+    for (let step = start; step < end; step++) barIndexByStep[step] = barIdx;
+  });
+  const ticksPerSec = (Math.max(1, Number(bpm) || 120) / 60) * PPQ;
+
   const events = [];
+  resolvedTimeSigByBar.forEach((barTimeSig, barIdx) => {
+    const prev = resolvedTimeSigByBar[barIdx - 1];
+    if (prev && prev.n === barTimeSig.n && prev.d === barTimeSig.d) return;
+    events.push({ tick: stepStarts[barStarts[barIdx]] ?? 0, type: "meta", bytes: timeSigMetaBytes(barTimeSig) });
+  });
   for (const inst of instruments) {
     if (!inst || !Number.isFinite(inst.midi)) continue;
     const row = grid[inst.id] || [];
     for (let step = 0; step < columns; step++) {
       const cell = row[step] ?? "off";
       if (cell === "off") continue;
-      const tick = stepStarts[step] ?? 0;
+      const gridTick = stepStarts[step] ?? 0;
       const noteLen = Math.max(1, Math.floor((ticksByStep[step] || 1) * 0.95));
-      const velocity = cell === "ghost" ? 56 : 100;
+      const barIdx = barIndexByStep[step] ?? 0;
+      const barTick = gridTick - (stepStarts[barStarts[barIdx]] ?? 0);
+      const beatTicks = Math.round((PPQ * 4) / Math.max(1, Number(resolvedTimeSigByBar[barIdx]?.d) || 4));
+      const h = getHumanizeForHit(humanize, `g:${step}:${inst.id}`, {
+        laidBack:
+          inst.id === "snare" &&
+          cell !== "ghost" &&
+          barTick % beatTicks === 0 &&
+          barTick !== 0,
+      });
+      const tick = Math.max(0, gridTick + Math.round(h.offsetSec * ticksPerSec));
+      const velocity = Math.max(1, Math.min(127, Math.round(getMainVelocity(cell) * h.gainScale)));
+      getRudimentNoteEvents(cell, tick, ticksByStep[step] || 1, ticksPerSec, velocity).forEach((stroke) => {
+        events.push({ tick: stroke.tick, type: "on", note: inst.midi, velocity: stroke.velocity });
+        events.push({ tick: stroke.tick + stroke.len, type: "off", note: inst.midi, velocity: 0 });
+      });
       events.push({ tick, type: "on", note: inst.midi, velocity });
       events.push({ tick: tick + noteLen, type: "off", note: inst.midi, velocity: 0 });
     }
@@ -166,6 +252,8 @@ export function exportDrumMidi({
   events.sort((a, b) => {
     if (a.tick !== b.tick) return a.tick - b.tick;
     if (a.type === b.type) return 0;
+    if (a.type === "meta") return -1;
+    if (b.type === "meta") return 1;
     return a.type === "off" ? -1 : 1;
   });
 
@@ -185,14 +273,14 @@ export function exportDrumMidi({
     tempo & 0xff
   );
 
-  const tsn = Math.max(1, Number(timeSig?.n) || 4);
-  const tsd = Math.max(1, Number(timeSig?.d) || 4);
-  track.push(...toVarLen(0), 0xff, 0x58, 0x04, tsn & 0xff, denominatorPowerOfTwo(tsd) & 0xff, 24, 8);
-
   let lastTick = 0;
   for (const ev of events) {
     const delta = ev.tick - lastTick;
     lastTick = ev.tick;
+    if (ev.type === "meta") {
+      pushTrackEvent(track, delta, ev.bytes);
+      continue;
+    }
     track.push(...toVarLen(delta), ev.type === "on" ? onStatus : offStatus, ev.note & 0x7f, ev.velocity & 0x7f);
   }
 
@@ -246,14 +334,13 @@ export function exportArrangementMidi({
     const payload = row?.beat?.payload;
     if (!payload || typeof payload !== "object") return;
     const repeats = Math.max(1, Number(row?.repeats) || 1);
-    const bpm = Math.max(1, Number(row?.beatBpm || payload?.bpm) || 120);
-    const timeSig = {
-      n: Math.max(1, Number(payload?.timeSig?.n) || 4),
-      d: Math.max(1, Number(payload?.timeSig?.d) || 4),
-    };
-    const tempo = Math.max(1, Math.round(60000000 / bpm));
-    const tsKey = `${timeSig.n}/${timeSig.d}`;
-    const stepQuarterDurations = buildStepQuarterDurationsFromPayload(payload);
+    const { stepQuarterDurations, barStartSteps, timeSigByBar } = buildStepLayoutFromPayload(payload);
+    const tempoCurve =
+      row?.tempoCurve ||
+      buildTempoCurve({
+        startBpm: Math.max(1, Number(row?.rowBpm || row?.beatBpm || payload?.bpm) || 120),
+        totalBars: repeats * timeSigByBar.length,
+      });
     const ticksByStep = stepQuarterDurations.map((q) => Math.max(1, Math.round(PPQ * q)));
     const stepStarts = [];
     let localTick = 0;
@@ -262,26 +349,44 @@ export function exportArrangementMidi({
       localTick += tickLen;
     });
     const sectionDurationTicks = localTick;
+    // Bar position (from the row start, minus the repeat offset) of every step start.
+    const stepBarPositions = [];
+    barStartSteps.forEach((startStep, barIdx) => {
+      const endStep = barStartSteps[barIdx + 1] ?? stepStarts.length;
+      const barStartTick = stepStarts[startStep] ?? 0;
+      const barTicks = Math.max(1, (stepStarts[endStep] ?? sectionDurationTicks) - barStartTick);
+      for (let step = startStep; step < endStep; step++) {
+        stepBarPositions[step] = barIdx + (stepStarts[step] - barStartTick) / barTicks;
+      }
+    });
     const grid = payload?.grid && typeof payload.grid === "object" ? payload.grid : {};
 
     for (let repeatIndex = 0; repeatIndex < repeats; repeatIndex++) {
       const repeatStartTick = currentTick;
-      if (previousTempo !== tempo) {
+      const repeatBarOffset = repeatIndex * timeSigByBar.length;
+      const getStepBpm = (step) => getTempoAtBarPosition(tempoCurve, repeatBarOffset + (stepBarPositions[step] ?? 0));
+      // Ramps become a tempo event on every step whose rounded tempo moved.
+      const tempoSteps = hasTempoRamp(tempoCurve) ? stepStarts.length : 1;
+      for (let step = 0; step < tempoSteps; step++) {
+        const tempo = Math.round(getStepBpm(step) * 100) / 100;
+        if (previousTempo === tempo) continue;
         timelineEvents.push({
-          tick: repeatStartTick,
+          tick: repeatStartTick + stepStarts[step],
           kind: "meta",
-          bytes: [0xff, 0x51, 0x03, (tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff],
+          bytes: tempoMetaBytes(tempo),
         });
         previousTempo = tempo;
       }
-      if (previousTimeSig !== tsKey) {
+      timeSigByBar.forEach((timeSig, barIdx) => {
+        const tsKey = `${timeSig.n}/${timeSig.d}`;
+        if (previousTimeSig === tsKey) return;
         timelineEvents.push({
-          tick: repeatStartTick,
+          tick: repeatStartTick + (stepStarts[barStartSteps[barIdx]] ?? 0),
           kind: "meta",
-          bytes: [0xff, 0x58, 0x04, timeSig.n & 0xff, denominatorPowerOfTwo(timeSig.d) & 0xff, 24, 8],
+          bytes: timeSigMetaBytes(timeSig),
         });
         previousTimeSig = tsKey;
-      }
+      });
 
       for (const inst of instruments) {
         if (!inst || !Number.isFinite(inst.midi)) continue;
@@ -292,7 +397,13 @@ export function exportArrangementMidi({
           if (step >= stepStarts.length || value <= 0) continue;
           const tick = repeatStartTick + stepStarts[step];
           const noteLen = Math.max(1, Math.floor((ticksByStep[step] || 1) * 0.95));
-          const velocity = value === 2 ? 56 : 100;
+          const state = RUDIMENT_STATE_BY_CODE[value] || (value === 2 ? "ghost" : "on");
+          const velocity = getMainVelocity(state);
+          const ticksPerSec = (getStepBpm(step) / 60) * PPQ;
+          getRudimentNoteEvents(state, tick, ticksByStep[step] || 1, ticksPerSec, velocity).forEach((stroke) => {
+            timelineEvents.push({ tick: stroke.tick, kind: "on", bytes: [onStatus, inst.midi & 0x7f, stroke.velocity & 0x7f] });
+            timelineEvents.push({ tick: stroke.tick + stroke.len, kind: "off", bytes: [offStatus, inst.midi & 0x7f, 0] });
+          });
           timelineEvents.push({ tick, kind: "on", bytes: [onStatus, inst.midi & 0x7f, velocity & 0x7f] });
           timelineEvents.push({
             tick: tick + noteLen,
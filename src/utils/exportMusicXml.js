@@ -0,0 +1,342 @@
+// Divisions per quarter note; divisible by every step length we emit (beat units 1..16 x tuplets up to 12).
+const DIVISIONS = 55440;
+
+const TYPE_BY_DENOMINATOR = {
+  1: "whole",
+  2: "half",
+  4: "quarter",
+  8: "eighth",
+  16: "16th",
+  32: "32nd",
+  64: "64th",
+  128: "128th",
+};
+
+// VexFlow notehead codes used in NOTATION_MAP keys ("g/5/x2") -> MusicXML notehead values.
+const NOTEHEAD_BY_CODE = {
+  x2: "x",
+  x3: "circle-x",
+  d2: "diamond",
+  t2: "triangle",
+};
+
+function sanitizeFilename(name) {
+  const base = String(name || "drum-notation")
+    .trim()
+    .replace(/[\\/:*?"<>|]+/g, "-")
+    .replace(/\s+/g, " ");
+  return base || "drum-notation";
+}
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+// Mirrors the notation renderer: 3 -> 2, 5/6/7 -> 4, 9+ -> 8.
+function tupletDisplayBase(subdiv) {
+  let base = 1;
+  while (base * 2 <= subdiv) base *= 2;
+  return Math.max(1, Math.min(8, base));
+}
+
+export function parseNotationKey(key) {
+  const [pitch = "c", octave = "5", head = ""] = String(key || "").split("/");
+  return {
+    step: pitch.charAt(0).toUpperCase() || "C",
+    octave: Number(octave) || 5,
+    notehead: NOTEHEAD_BY_CODE[head] || null,
+  };
+}
+
+function getInstrumentXmlId(instId) {
+  return `P1-${String(instId).replace(/[^A-Za-z0-9_-]/g, "")}`;
+}
+
+function buildUnpitchedXml(inst, notationMap) {
+  const { step, octave } = parseNotationKey(notationMap[inst.id]?.key);
+  return `<unpitched><display-step>${step}</display-step><display-octave>${octave}</display-octave></unpitched>`;
+}
+
+function buildNoteheadXml(inst, notationMap, ghost) {
+  const { notehead } = parseNotationKey(notationMap[inst.id]?.key);
+  if (!notehead && !ghost) return "";
+  return `<notehead${ghost ? ' parentheses="yes"' : ""}>${notehead || "normal"}</notehead>`;
+}
+
+function buildGraceNotesXml(graceInsts, type, count, notationMap) {
+  const out = [];
+  for (let g = 0; g < count; g++) {
+    graceInsts.forEach((inst, idx) => {
+      const beam =
+        count > 1 && idx === 0
+          ? `<beam number="1">${g === 0 ? "begin" : g === count - 1 ? "end" : "continue"}</beam>`
+          : "";
+      out.push(
+        `<note><grace${count === 1 ? ' slash="yes"' : ""}/>${idx > 0 ? "<chord/>" : ""}` +
+          buildUnpitchedXml(inst, notationMap) +
+          `<instrument id="${getInstrumentXmlId(inst.id)}"/><voice>1</voice><type>${type}</type><stem>up</stem>` +
+          buildNoteheadXml(inst, notationMap, false) +
+          beam +
+          "</note>"
+      );
+    });
+  }
+  return out;
+}
+
+function getBarTimeSig(notation, barIdx) {
+  const raw = notation.timeSigByBar?.[barIdx] || notation.timeSig;
+  return {
+    n: Math.max(1, Number(raw?.n) || 4),
+    d: Math.max(1, Number(raw?.d) || 4),
+  };
+}
+
+function buildMeasureXml(notation, barIdx, notationMap) {
+  const out = [];
+  const beatValue = getBarTimeSig(notation, barIdx).d;
+  const beatDuration = Math.round((DIVISIONS * 4) / beatValue);
+  const barStart = notation.barStepOffsets?.[barIdx] ?? 0;
+  const subdivisions = notation.quarterSubdivisionsByBar?.[barIdx] || [];
+  let localStep = 0;
+
+  subdivisions.forEach((subdivRaw) => {
+    const subdiv = Math.max(1, Number(subdivRaw) || 1);
+    const isTuplet = !isPowerOfTwo(subdiv);
+    const displayBase = isTuplet ? tupletDisplayBase(subdiv) : subdiv;
+    const type = TYPE_BY_DENOMINATOR[beatValue * displayBase] || "16th";
+    const stepDuration = Math.round(beatDuration / subdiv);
+    const timeModification = isTuplet
+      ? `<time-modification><actual-notes>${subdiv}</actual-notes><normal-notes>${displayBase}</normal-notes></time-modification>`
+      : "";
+    const steps = Array.from({ length: subdiv }, (_, sub) => {
+      const stepIdx = barStart + localStep + sub;
+      return (notation.instruments || [])
+        .map((inst) => ({ inst, val: notation.grid?.[inst.id]?.[stepIdx] ?? "off" }))
+        .filter((hit) => hit.val !== "off");
+    });
+    localStep += subdiv;
+
+    if (steps.every((hits) => hits.length === 0)) {
+      const beatType = TYPE_BY_DENOMINATOR[beatValue];
+      out.push(
+        `<note><rest/><duration>${beatDuration}</duration><voice>1</voice>${beatType ? `<type>${beatType}</type>` : ""}</note>`
+      );
+      return;
+    }
+
+    const noteCount = steps.filter((hits) => hits.length > 0).length;
+    const beamLevels = beatValue * displayBase >= 8 && noteCount > 1 ? Math.log2((beatValue * displayBase) / 4) : 0;
+    let noteOrdinal = 0;
+
+    steps.forEach((hits, sub) => {
+      const tupletMark = isTuplet
+        ? sub === 0
+          ? '<tuplet type="start" bracket="yes"/>'
+          : sub === subdiv - 1
+            ? '<tuplet type="stop"/>'
+            : ""
+        : "";
+      if (!hits.length) {
+        out.push(
+          `<note><rest/><duration>${stepDuration}</duration><voice>1</voice><type>${type}</type>${timeModification}` +
+            (tupletMark ? `<notations>${tupletMark}</notations>` : "") +
+            "</note>"
+        );
+        return;
+      }
+
+      const dragInsts = hits.filter((hit) => hit.val === "drag").map((hit) => hit.inst);
+      const flamInsts = hits.filter((hit) => hit.val === "flam").map((hit) => hit.inst);
+      if (dragInsts.length) out.push(...buildGraceNotesXml(dragInsts, "16th", 2, notationMap));
+      else if (flamInsts.length) out.push(...buildGraceNotesXml(flamInsts, "eighth", 1, notationMap));
+
+      let beamXml = "";
+      if (beamLevels > 0) {
+        const status = noteOrdinal === 0 ? "begin" : noteOrdinal === noteCount - 1 ? "end" : "continue";
+        for (let level = 1; level <= beamLevels; level++) beamXml += `<beam number="${level}">${status}</beam>`;
+      }
+      noteOrdinal += 1;
+
+      hits.forEach(({ inst, val }, idx) => {
+        const articulations = val === "accent" ? "<articulations><accent/></articulations>" : "";
+        const ornaments = val === "buzz" ? '<ornaments><tremolo type="single">3</tremolo></ornaments>' : "";
+        const notations = `${idx === 0 ? tupletMark : ""}${articulations}${ornaments}`;
+        out.push(
+          `<note>${idx > 0 ? "<chord/>" : ""}` +
+            buildUnpitchedXml(inst, notationMap) +
+            `<duration>${stepDuration}</duration><instrument id="${getInstrumentXmlId(inst.id)}"/><voice>1</voice>` +
+            `<type>${type}</type>${timeModification}<stem>up</stem>` +
+            buildNoteheadXml(inst, notationMap, val === "ghost") +
+            (idx === 0 ? beamXml : "") +
+            (notations ? `<notations>${notations}</notations>` : "") +
+            "</note>"
+        );
+      });
+    });
+  });
+  return out;
+}
+
+function buildDirectionXml(swingText, { rehearsal = "", bpm = null } = {}) {
+  const out = [];
+  if (rehearsal) {
+    out.push(
+      `<direction placement="above"><direction-type><rehearsal>${escapeXml(rehearsal)}</rehearsal></direction-type></direction>`
+    );
+  }
+  if (bpm != null) {
+    out.push(
+      '<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit>' +
+        `<per-minute>${bpm}</per-minute></metronome></direction-type><sound tempo="${bpm}"/></direction>`
+    );
+  }
+  if (swingText) {
+    out.push(
+      `<direction placement="above"><direction-type><words font-style="italic">${escapeXml(swingText)}</words></direction-type></direction>`
+    );
+  }
+  return out;
+}
+
+/**
+ * sections: [{ notation, label, bpm, tempoRamp, swingText }] where notation is a notation state
+ * (instruments, grid, bars, timeSig, optional timeSigByBar, quarterSubdivisionsByBar, barStepOffsets).
+ */
+function buildDrumMusicXml({ sections, notationMap, title = "", composer = "" }) {
+  const safeSections = (Array.isArray(sections) ? sections : []).filter((s) => s?.notation);
+  if (!safeSections.length) throw new Error("No notation to export.");
+
+  const instrumentsById = new Map();
+  safeSections.forEach((section) => {
+    (section.notation.instruments || []).forEach((inst) => {
+      if (inst?.id && !instrumentsById.has(inst.id)) instrumentsById.set(inst.id, inst);
+    });
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+  ];
+  if (title) lines.push(`<work><work-title>${escapeXml(title)}</work-title></work>`);
+  lines.push("<identification>");
+  if (composer) lines.push(`<creator type="composer">${escapeXml(composer)}</creator>`);
+  lines.push("<encoding><software>Drum Notation</software></encoding>", "</identification>");
+  lines.push("<part-list>", '<score-part id="P1">', "<part-name>Drumset</part-name>");
+  instrumentsById.forEach((inst) => {
+    lines.push(
+      `<score-instrument id="${getInstrumentXmlId(inst.id)}"><instrument-name>${escapeXml(inst.label || inst.id)}</instrument-name></score-instrument>`
+    );
+  });
+  instrumentsById.forEach((inst) => {
+    if (!Number.isFinite(inst.midi)) return;
+    lines.push(
+      `<midi-instrument id="${getInstrumentXmlId(inst.id)}"><midi-channel>10</midi-channel><midi-unpitched>${inst.midi + 1}</midi-unpitched></midi-instrument>`
+    );
+  });
+  lines.push("</score-part>", "</part-list>", '<part id="P1">');
+
+  let measureNumber = 1;
+  let prevTimeSigKey = "";
+  let prevBpm = null;
+  let prevSwingText = "";
+  const totalBars = safeSections.reduce((sum, s) => sum + Math.max(1, Number(s.notation.bars) || 1), 0);
+  safeSections.forEach((section) => {
+    const notation = section.notation;
+    const bars = Math.max(1, Number(notation.bars) || 1);
+    const bpm = Number.isFinite(Number(section.bpm)) && Number(section.bpm) > 0 ? Math.round(Number(section.bpm)) : null;
+    const swingText = String(section.swingText || "");
+    for (let b = 0; b < bars; b++) {
+      const timeSig = getBarTimeSig(notation, b);
+      const timeSigKey = `${timeSig.n}/${timeSig.d}`;
+      lines.push(`<measure number="${measureNumber}">`);
+      if (measureNumber === 1 || timeSigKey !== prevTimeSigKey) {
+        lines.push(
+          "<attributes>" +
+            (measureNumber === 1 ? `<divisions>${DIVISIONS}</divisions><key><fifths>0</fifths></key>` : "") +
+            `<time><beats>${timeSig.n}</beats><beat-type>${timeSig.d}</beat-type></time>` +
+            (measureNumber === 1 ? "<clef><sign>percussion</sign><line>2</line></clef>" : "") +
+            "</attributes>"
+        );
+        prevTimeSigKey = timeSigKey;
+      }
+      if (b === 0) {
+        lines.push(
+          ...buildDirectionXml(swingText && swingText !== prevSwingText ? swingText : null, {
+            rehearsal: section.label || "",
+            bpm: bpm != null && bpm !== prevBpm ? bpm : null,
+          })
+        );
+        if (bpm != null) prevBpm = bpm;
+        prevSwingText = swingText === "Straight" ? "" : swingText;
+      }
+      if (section.tempoRamp?.text && b === section.tempoRamp.bar) {
+        // accel./rit. text; the next section restates its tempo.
+        lines.push(...buildDirectionXml(section.tempoRamp.text));
+        prevBpm = null;
+      }
+      lines.push(...buildMeasureXml(notation, b, notationMap));
+      if (measureNumber === totalBars) {
+        lines.push('<barline location="right"><bar-style>light-heavy</bar-style></barline>');
+      }
+      lines.push("</measure>");
+      measureNumber += 1;
+    }
+  });
+
+  lines.push("</part>", "</score-partwise>");
+  return lines.join("\n");
+}
+
+function downloadMusicXml(xml, filename) {
+  const blob = new Blob([xml], { type: "application/vnd.recordare.musicxml+xml" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${sanitizeFilename(filename)}.musicxml`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function exportDrumMusicXml({
+  notation,
+  notationMap,
+  bpm,
+  swingText = "",
+  title = "",
+  composer = "",
+  filename = "drum-grid",
+}) {
+  const xml = buildDrumMusicXml({
+    sections: [{ notation, bpm, swingText }],
+    notationMap,
+    title,
+    composer,
+  });
+  downloadMusicXml(xml, filename);
+}
+
+export function exportArrangementMusicXml({
+  sections,
+  notationMap,
+  title = "",
+  composer = "",
+  filename = "drum-arrangement",
+}) {
+  if (!Array.isArray(sections) || sections.length < 1) {
+    throw new Error("No arrangement data to export.");
+  }
+  const xml = buildDrumMusicXml({ sections, notationMap, title, composer });
+  downloadMusicXml(xml, filename);
+}
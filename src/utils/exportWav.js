@@ -0,0 +1,59 @@
+function sanitizeFilename(name) {
+  const base = String(name || "drum-grid")
+    .trim()
+    .replace(/[\\/:*?"<>|]+/g, "-")
+    .replace(/\s+/g, " ");
+  return base || "drum-grid";
+}
+
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+// Interleaved 16-bit PCM WAV from a rendered AudioBuffer.
+export function encodeWav(audioBuffer) {
+  const channels = Math.max(1, audioBuffer.numberOfChannels);
+  const frames = audioBuffer.length;
+  const sampleRate = audioBuffer.sampleRate;
+  const blockAlign = channels * 2;
+  const dataBytes = frames * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataBytes));
+
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataBytes, true);
+  writeAscii(view, 8, "WAVE");
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  writeAscii(view, 36, "data");
+  view.setUint32(40, dataBytes, true);
+
+  const data = Array.from({ length: channels }, (_, ch) => audioBuffer.getChannelData(ch));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const sample = Math.max(-1, Math.min(1, data[ch][i] || 0));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Uint8Array(view.buffer);
+}
+
+export function exportWav({ audioBuffer, filename = "Drum Notation" }) {
+  const bytes = encodeWav(audioBuffer);
+  const blob = new Blob([bytes], { type: "audio/wav" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${sanitizeFilename(filename)}.wav`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
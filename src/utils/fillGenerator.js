@@ -0,0 +1,135 @@
+import { createSeededRandom } from "./seededRandom";
+
+// Seeded tom fills for the end of a bar. `planFillRhythm` picks which columns of the bar
+// get a stroke; the caller works out the sticking for that rhythm and `orchestrateFill`
+// moves the leading hand down the toms while the other hand stays on the same drum or the
+// one above, so the hands never cross. Codes match beat payloads: 1 = on, 3 = accent.
+
+const CODE_ON = 1;
+const CODE_ACCENT = 3;
+const EPSILON = 1e-6;
+
+export const FILL_LENGTHS = [
+  { id: "beat", label: "1 beat", quarters: 1 },
+  { id: "half", label: "2 beats", quarters: 2 },
+  { id: "bar", label: "Full bar", quarters: Infinity },
+];
+
+// `spacing` is the distance between strokes in quarter notes.
+export const FILL_SUBDIVISIONS = [
+  { id: 8, label: "8ths", spacing: 1 / 2 },
+  { id: 12, label: "Triplets", spacing: 1 / 3 },
+  { id: 16, label: "16ths", spacing: 1 / 4 },
+  { id: 24, label: "Sextuplets", spacing: 1 / 6 },
+  { id: 32, label: "32nds", spacing: 1 / 8 },
+];
+
+export const FILL_GENERATOR_DEFAULTS = {
+  length: "half",
+  subdivision: 16,
+  density: 3,
+  seed: 1,
+};
+
+// Drums a fill moves across, highest first.
+const FILL_VOICE_IDS = ["snare", "tom1", "tom2", "floorTom"];
+export const FILL_CRASH_IDS = ["crash1", "crash2", "china", "splash"];
+
+export function normalizeFillGeneratorSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const num = (value, fallback, min, max) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, Math.round(n))) : fallback;
+  };
+  return {
+    length: FILL_LENGTHS.some((entry) => entry.id === src.length) ? src.length : FILL_GENERATOR_DEFAULTS.length,
+    subdivision: FILL_SUBDIVISIONS.some((entry) => entry.id === Number(src.subdivision))
+      ? Number(src.subdivision)
+      : FILL_GENERATOR_DEFAULTS.subdivision,
+    density: num(src.density, FILL_GENERATOR_DEFAULTS.density, 1, 5),
+    seed: num(src.seed, FILL_GENERATOR_DEFAULTS.seed, 1, 99999),
+  };
+}
+
+export function getFillVoiceIds(kitInstrumentIds) {
+  const kit = Array.isArray(kitInstrumentIds) ? kitInstrumentIds : [];
+  return FILL_VOICE_IDS.filter((id) => kit.includes(id));
+}
+
+/**
+ * Chooses the strokes of a fill. `stepTimes` are the start times (in quarter notes from the
+ * bar start) of every column in the bar and `barLength` the bar's length. Returns
+ * `{ startStep, slots: [{ step, groupIndex, groupStart }] }` with bar-relative steps, or null
+ * when the bar's columns can't hold the chosen subdivision.
+ */
+export function planFillRhythm(stepTimes, barLength, rawSettings) {
+  const settings = normalizeFillGeneratorSettings(rawSettings);
+  const { spacing } = FILL_SUBDIVISIONS.find((entry) => entry.id === settings.subdivision);
+  const { quarters } = FILL_LENGTHS.find((entry) => entry.id === settings.length);
+  const fillLength = Math.min(barLength, quarters);
+  const windowStart = barLength - fillLength;
+  const slotCount = Math.round(fillLength / spacing);
+  if (slotCount < 1 || Math.abs(slotCount * spacing - fillLength) > EPSILON) return null;
+
+  const slotSteps = [];
+  for (let i = 0; i < slotCount; i++) {
+    const time = windowStart + i * spacing;
+    const step = stepTimes.findIndex((t) => Math.abs(t - time) < EPSILON);
+    if (step < 0) return null;
+    slotSteps.push(step);
+  }
+  const startStep = stepTimes.findIndex((t) => t >= windowStart - EPSILON);
+
+  // Strokes are grouped by quarter note (or by the whole window when it is shorter).
+  const slotsPerGroup = Math.max(1, Math.round(Math.min(1, fillLength) / spacing));
+  const rand = createSeededRandom(`${settings.seed}:fill-rhythm:${settings.subdivision}:${settings.length}`);
+  const keepChance = [0.5, 0.65, 0.8, 0.9, 1][settings.density - 1];
+  const slots = [];
+  slotSteps.forEach((step, i) => {
+    const groupStart = i % slotsPerGroup === 0;
+    const keep = i === 0 || (groupStart ? rand() < Math.min(1, keepChance + 0.2) : rand() < keepChance);
+    if (keep) slots.push({ step, groupIndex: Math.floor(i / slotsPerGroup), groupStart });
+  });
+  return { startStep: Math.max(0, startStep), slots };
+}
+
+/**
+ * Puts each stroke of a planned fill on a drum. `hands[i]` is "R" or "L" for `slots[i]`;
+ * `leadHand` is the hand that travels down the toms (the right hand on a right-handed kit).
+ * Returns `{ [instId]: [[barStep, code], ...] }` including kick unisons.
+ */
+export function orchestrateFill(plan, hands, { voiceIds, leadHand = "R", kick = false, settings: rawSettings }) {
+  const settings = normalizeFillGeneratorSettings(rawSettings);
+  const rand = createSeededRandom(`${settings.seed}:fill-voices:${settings.subdivision}:${settings.length}`);
+  const rows = {};
+  const add = (instId, step, code) => {
+    if (!rows[instId]) rows[instId] = [];
+    rows[instId].push([step, code]);
+  };
+  if (!plan?.slots?.length || !voiceIds?.length) return rows;
+
+  const groupCount = Math.max(1, plan.slots[plan.slots.length - 1].groupIndex + 1);
+  const lastVoice = voiceIds.length - 1;
+  const accentChance = [0.1, 0.25, 0.4, 0.5, 0.6][settings.density - 1];
+  let leadVoice = 0;
+  plan.slots.forEach((slot, i) => {
+    const hand = hands[i] === "L" ? "L" : "R";
+    if (slot.groupStart || i === 0) {
+      // The lead hand walks from the top drum to the lowest one across the fill, sometimes
+      // lingering or skipping a drum.
+      const target = groupCount === 1 ? 0 : Math.round((slot.groupIndex / (groupCount - 1)) * lastVoice);
+      const wobble = rand() < 0.25 ? (rand() < 0.5 ? -1 : 1) : 0;
+      leadVoice = Math.max(leadVoice, Math.min(lastVoice, Math.max(0, target + wobble)));
+    }
+    // Within a group the lead hand can move one drum further down on later strokes.
+    if (!slot.groupStart && hand === leadHand && leadVoice < lastVoice && rand() < 0.2 * settings.density / 3) {
+      leadVoice += 1;
+    }
+    const voice = hand === leadHand ? leadVoice : Math.max(0, leadVoice - (rand() < 0.4 ? 1 : 0));
+    const isLast = i === plan.slots.length - 1;
+    const accent = slot.groupStart && rand() < accentChance;
+    add(voiceIds[voice], slot.step, accent || isLast ? CODE_ACCENT : CODE_ON);
+    if (kick && (isLast || (slot.groupStart && voice === lastVoice && rand() < 0.5))) add("kick", slot.step, CODE_ON);
+  });
+  return rows;
+}
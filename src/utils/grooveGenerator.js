@@ -0,0 +1,355 @@
+import { createSeededRandom } from "./seededRandom";
+
+// Seeded groove generator. Each style is a set of roles (time keeping, backbeat, kick, ...)
+// that map onto whichever instruments the current kit has; every role places hits with
+// per-position probabilities scaled by the chosen density. Output uses the beat payload grid
+// shape (`{ [instId]: [[step, code], ...] }`) with codes 1 = on, 2 = ghost, 3 = accent.
+
+const CODE_ON = 1;
+const CODE_GHOST = 2;
+const CODE_ACCENT = 3;
+// Same rule as the editor's playability warnings: at most two hand hits per step.
+export const MAX_HAND_HITS_PER_STEP = 2;
+
+export const GROOVE_DENSITY_LEVELS = [
+  { id: 1, label: "Sparse" },
+  { id: 2, label: "Simple" },
+  { id: 3, label: "Medium" },
+  { id: 4, label: "Busy" },
+  { id: 5, label: "Dense" },
+];
+
+export const GROOVE_GENERATOR_DEFAULTS = {
+  style: "Rock",
+  timeSig: { n: 4, d: 4 },
+  resolution: 16,
+  bars: 2,
+  density: 3,
+  seed: 1,
+};
+
+/**
+ * Position weights are keyed by where a step falls: `pulse` (start of a felt beat; every
+ * quarter in x/4, every group of 2 or 3 eighths in x/8), `quarter`, `eighth`, `sixteenth`,
+ * `fine` (anything smaller) and `trip1`/`trip2` (triplet partials). `anchors` are fixed
+ * positions in quarter notes from the start of the bar, placed regardless of density.
+ */
+const STYLE_TEMPLATES = {
+  Rock: {
+    timekeeper: { ids: ["hihat", "ride"], weights: { pulse: 1, quarter: 1, eighth: 1, sixteenth: 0.08 } },
+    openHat: { weights: { eighth: 0.06 } },
+    snare: { backbeat: true, ghost: { sixteenth: 0.04, eighth: 0.03 } },
+    kick: { downbeat: true, weights: { pulse: 0.45, quarter: 0.3, eighth: 0.35, sixteenth: 0.08 } },
+    crash: { firstDownbeat: 0.7 },
+  },
+  Funk: {
+    timekeeper: {
+      ids: ["hihat", "ride"],
+      weights: { pulse: 1, quarter: 1, eighth: 1, sixteenth: 0.85 },
+      accent: { pulse: 0.5 },
+    },
+    openHat: { weights: { eighth: 0.12, sixteenth: 0.06 } },
+    snare: { backbeat: true, ghost: { sixteenth: 0.3, eighth: 0.12 } },
+    kick: { downbeat: true, weights: { pulse: 0.35, quarter: 0.25, eighth: 0.35, sixteenth: 0.3 } },
+    crash: { firstDownbeat: 0.3 },
+  },
+  Jazz: {
+    triplets: true,
+    timekeeper: { ids: ["ride", "rideBell", "hihat"], weights: { pulse: 1, quarter: 1, trip2: 0.55, eighth: 0.4 } },
+    pedal: { backbeat: true },
+    snare: { backbeat: false, ghost: { trip2: 0.12, trip1: 0.05, quarter: 0.05 } },
+    kick: { downbeat: false, weights: { pulse: 0.1, trip2: 0.06 } },
+    crash: { firstDownbeat: 0.2 },
+  },
+  Hiphop: {
+    timekeeper: { ids: ["hihat", "ride"], weights: { pulse: 1, quarter: 1, eighth: 1, sixteenth: 0.2 } },
+    openHat: { weights: { eighth: 0.05 } },
+    snare: { backbeat: true, ghost: { sixteenth: 0.08 } },
+    kick: { downbeat: true, weights: { pulse: 0.2, quarter: 0.2, eighth: 0.35, sixteenth: 0.25 } },
+  },
+  DnB: {
+    timekeeper: { ids: ["hihat", "ride"], weights: { pulse: 1, quarter: 1, eighth: 1, sixteenth: 0.25 } },
+    openHat: { weights: { eighth: 0.08 } },
+    snare: { backbeat: true, ghost: { sixteenth: 0.12, eighth: 0.06 } },
+    kick: { downbeat: true, anchors: [2.5], weights: { eighth: 0.12, sixteenth: 0.15 } },
+    crash: { firstDownbeat: 0.4 },
+  },
+  Disco: {
+    timekeeper: { ids: ["hihat", "ride"], weights: { pulse: 1, quarter: 1, sixteenth: 0.2 } },
+    openHat: { weights: { eighth: 1 } },
+    snare: { backbeat: true, ghost: { sixteenth: 0.06 } },
+    kick: { downbeat: true, weights: { pulse: 1, quarter: 1, sixteenth: 0.04 } },
+    crash: { firstDownbeat: 0.5 },
+  },
+  "Latin & World": {
+    timekeeper: {
+      ids: ["cowbell", "rideBell", "ride", "hihat"],
+      weights: { pulse: 1, quarter: 1, eighth: 0.45, sixteenth: 0.1 },
+      accent: { pulse: 0.6 },
+    },
+    // Son clave (3-2) on the rim, one full clave per 4/4 bar.
+    clave: { ids: ["sideStick", "snare"], anchors: [0, 0.75, 1.5, 2.5, 3] },
+    snare: { backbeat: false, ghost: { sixteenth: 0.05 } },
+    // Tumbao: the "and" of 2 and beat 4.
+    kick: { downbeat: false, anchors: [1.5, 3], weights: { pulse: 0.1, eighth: 0.08 } },
+    toms: { ids: ["floorTom", "tom2", "tom1"], weights: { eighth: 0.1, sixteenth: 0.06 } },
+  },
+};
+
+export const GROOVE_STYLES = Object.keys(STYLE_TEMPLATES);
+
+// Instruments whose generated rows depend on each other and are always regenerated together.
+const LINKED_ROWS = [["hihat", "hihatOpen"]];
+const CRASH_IDS = ["crash1", "crash2", "china", "splash"];
+
+export function normalizeGrooveGeneratorSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const num = (value, fallback, min, max) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, Math.round(n))) : fallback;
+  };
+  const d = [4, 8].includes(Number(src.timeSig?.d)) ? Number(src.timeSig.d) : GROOVE_GENERATOR_DEFAULTS.timeSig.d;
+  return {
+    style: GROOVE_STYLES.includes(src.style) ? src.style : GROOVE_GENERATOR_DEFAULTS.style,
+    timeSig: { n: num(src.timeSig?.n, GROOVE_GENERATOR_DEFAULTS.timeSig.n, 2, 15), d },
+    resolution: [4, 8, 16, 32].includes(Number(src.resolution))
+      ? Number(src.resolution)
+      : GROOVE_GENERATOR_DEFAULTS.resolution,
+    bars: num(src.bars, GROOVE_GENERATOR_DEFAULTS.bars, 1, 8),
+    density: num(src.density, GROOVE_GENERATOR_DEFAULTS.density, 1, 5),
+    seed: num(src.seed, GROOVE_GENERATOR_DEFAULTS.seed, 1, 99999),
+  };
+}
+
+// Per-beat tuplet overrides for a full generate: triplet styles play every x/4 beat as a triplet.
+export function getGrooveTupletsByBar(settings) {
+  const template = STYLE_TEMPLATES[settings.style] || STYLE_TEMPLATES.Rock;
+  const useTriplets = template.triplets && settings.timeSig.d === 4;
+  return Array.from({ length: settings.bars }, () =>
+    Array.from({ length: settings.timeSig.n }, () => (useTriplets ? 3 : null))
+  );
+}
+
+// Beat indices that start a felt pulse: every beat in x/4, groups of three (or twos with a
+// closing three for odd counts) in x/8.
+function getPulseStarts(timeSig) {
+  const n = Math.max(1, Number(timeSig?.n) || 4);
+  if (Number(timeSig?.d) !== 8) return Array.from({ length: n }, (_, i) => i);
+  if (n % 3 === 0) return Array.from({ length: n / 3 }, (_, i) => i * 3);
+  const starts = [];
+  let beat = 0;
+  while (beat < n) {
+    starts.push(beat);
+    beat += n - beat === 3 ? 3 : 2;
+  }
+  return starts;
+}
+
+function getBackbeatPulses(pulseCount) {
+  if (pulseCount <= 1) return [];
+  if (pulseCount === 3) return [2];
+  return Array.from({ length: pulseCount }, (_, i) => i).filter((i) => i % 2 === 1);
+}
+
+function classifyQuarterTime(time) {
+  const frac = time - Math.floor(time);
+  const near = (value) => Math.abs(frac - value) < 1e-6;
+  if (near(0) || near(1)) return "quarter";
+  if (near(0.5)) return "eighth";
+  if (near(0.25) || near(0.75)) return "sixteenth";
+  if (near(1 / 3)) return "trip1";
+  if (near(2 / 3)) return "trip2";
+  return "fine";
+}
+
+/**
+ * Flattens the editor layout into one entry per grid column: bar, quarter-note time within
+ * the bar, position class, and whether it is the bar's downbeat or a backbeat.
+ */
+export function buildGrooveSteps(timeSigByBar, subdivisionsByBar) {
+  const steps = [];
+  subdivisionsByBar.forEach((subs, barIdx) => {
+    const timeSig = timeSigByBar[barIdx] || { n: subs.length, d: 4 };
+    const beatLength = 4 / Math.max(1, Number(timeSig.d) || 4);
+    const pulseStarts = getPulseStarts(timeSig);
+    const backbeatBeats = new Set(getBackbeatPulses(pulseStarts.length).map((i) => pulseStarts[i]));
+    subs.forEach((subdiv, beat) => {
+      const s = Math.max(1, Number(subdiv) || 1);
+      for (let sub = 0; sub < s; sub++) {
+        const time = beat * beatLength + (sub / s) * beatLength;
+        const onPulse = sub === 0 && pulseStarts.includes(beat);
+        steps.push({
+          bar: barIdx,
+          time,
+          kind: onPulse ? "pulse" : classifyQuarterTime(time),
+          downbeat: beat === 0 && sub === 0,
+          backbeat: sub === 0 && backbeatBeats.has(beat),
+        });
+      }
+    });
+  });
+  return steps;
+}
+
+function getDensityScale(density) {
+  return 0.4 + 0.3 * (Math.max(1, Math.min(5, Number(density) || 3)) - 1);
+}
+
+function pickInstrument(ids, kitIds) {
+  return (ids || []).find((id) => kitIds.includes(id)) || null;
+}
+
+/**
+ * Which kit instrument plays each role of a style, in the order rows are generated. Earlier
+ * rows claim hands first, so the time keeper and backbeat win over ghost notes and toms.
+ */
+function resolveRoles(template, kitIds) {
+  const roles = [];
+  const crashId = pickInstrument(CRASH_IDS, kitIds);
+  if (template.crash && crashId) roles.push({ role: "crash", instId: crashId });
+  const timekeeperId = pickInstrument(template.timekeeper?.ids, kitIds);
+  if (template.openHat && timekeeperId === "hihat" && kitIds.includes("hihatOpen")) {
+    roles.push({ role: "openHat", instId: "hihatOpen" });
+  }
+  if (timekeeperId) roles.push({ role: "timekeeper", instId: timekeeperId });
+  if (template.clave) {
+    const claveId = pickInstrument(template.clave.ids, kitIds);
+    if (claveId) roles.push({ role: "clave", instId: claveId });
+  }
+  if (template.snare && kitIds.includes("snare")) roles.push({ role: "snare", instId: "snare" });
+  if (template.kick && kitIds.includes("kick")) roles.push({ role: "kick", instId: "kick" });
+  if (template.pedal && kitIds.includes("hihatFoot") && timekeeperId !== "hihat") {
+    roles.push({ role: "pedal", instId: "hihatFoot" });
+  }
+  if (template.toms) {
+    const tomId = pickInstrument(template.toms.ids, kitIds);
+    if (tomId) roles.push({ role: "toms", instId: tomId });
+  }
+  return roles;
+}
+
+// Kit instruments the style writes to; the other rows are left empty by a full generate.
+export function getGrooveInstrumentIds(style, kitInstrumentIds) {
+  const template = STYLE_TEMPLATES[style] || STYLE_TEMPLATES.Rock;
+  return resolveRoles(template, Array.isArray(kitInstrumentIds) ? kitInstrumentIds : []).map((role) => role.instId);
+}
+
+function isAnchorStep(step, anchors) {
+  return (anchors || []).some((anchor) => Math.abs(step.time - anchor) < 1e-6);
+}
+
+// One role's row: returns the code for a step, or 0 for no hit. `rand` is the row's own stream.
+// Weights of 1 are structural (the hat pulse, four on the floor) and ignore density.
+function generateRoleCode(role, template, step, idx, rand, scale, context) {
+  const chance = (weights) => {
+    const weight = weights?.[step.kind] || 0;
+    return weight >= 1 || rand() < weight * scale;
+  };
+  if (role === "crash") {
+    return step.downbeat && step.bar === 0 && rand() < template.crash.firstDownbeat ? CODE_ON : 0;
+  }
+  if (role === "openHat") {
+    if (step.downbeat) return 0;
+    return chance(template.openHat.weights) ? CODE_ON : 0;
+  }
+  if (role === "timekeeper") {
+    if (context.openHatAt(idx)) return 0;
+    if (!chance(template.timekeeper.weights)) return 0;
+    return rand() < (template.timekeeper.accent?.[step.kind] || 0) ? CODE_ACCENT : CODE_ON;
+  }
+  if (role === "clave") {
+    return isAnchorStep(step, template.clave.anchors) ? CODE_ON : 0;
+  }
+  if (role === "snare") {
+    if (template.snare.backbeat && step.backbeat) return CODE_ON;
+    if (template.snare.backbeat && step.kind === "pulse") return 0;
+    return chance(template.snare.ghost) ? CODE_GHOST : 0;
+  }
+  if (role === "kick") {
+    const kick = template.kick;
+    if (step.downbeat && kick.downbeat) return CODE_ON;
+    if (isAnchorStep(step, kick.anchors)) return CODE_ON;
+    // Leave the backbeat to the snare unless the style always plays it (four on the floor).
+    if (step.backbeat && context.hasBackbeat && (kick.weights?.[step.kind] || 0) < 1) return 0;
+    return chance(kick.weights) ? CODE_ON : 0;
+  }
+  if (role === "pedal") {
+    return step.backbeat ? CODE_ON : 0;
+  }
+  if (role === "toms") {
+    return chance(template.toms.weights) ? CODE_ON : 0;
+  }
+  return 0;
+}
+
+/**
+ * Generates rows for the current kit. `settings` supplies style, density and seed;
+ * `timeSigByBar` and `subdivisionsByBar` describe the grid columns. Pass `onlyInstrumentIds`
+ * with the existing `contextGrid` (payload grid shape) to regenerate some rows while other
+ * rows keep their hits and still count towards the hand limit. `rowVariants` bumps the seed
+ * of individual rows so one row can be rerolled without touching the others.
+ */
+export function generateGroove({
+  settings,
+  kitInstrumentIds,
+  timeSigByBar,
+  subdivisionsByBar,
+  footInstrumentIds,
+  onlyInstrumentIds = null,
+  contextGrid = null,
+  rowVariants = {},
+}) {
+  const normalized = normalizeGrooveGeneratorSettings(settings);
+  const template = STYLE_TEMPLATES[normalized.style];
+  const kitIds = Array.isArray(kitInstrumentIds) ? kitInstrumentIds : [];
+  const steps = buildGrooveSteps(timeSigByBar, subdivisionsByBar);
+  const scale = getDensityScale(normalized.density);
+  const feet = footInstrumentIds instanceof Set ? footInstrumentIds : new Set(footInstrumentIds || []);
+  const roles = resolveRoles(template, kitIds);
+
+  const regenerate = new Set(onlyInstrumentIds || kitIds);
+  LINKED_ROWS.forEach((group) => {
+    if (group.some((id) => regenerate.has(id))) group.forEach((id) => regenerate.add(id));
+  });
+
+  // Hits that stay: every kept row of the context grid.
+  const handHits = new Array(steps.length).fill(0);
+  const rows = {};
+  Object.entries(contextGrid || {}).forEach(([instId, events]) => {
+    if (regenerate.has(instId) || !kitIds.includes(instId) || !Array.isArray(events)) return;
+    rows[instId] = new Array(steps.length).fill(0);
+    events.forEach(([idx, code]) => {
+      if (idx < 0 || idx >= steps.length || !code) return;
+      rows[instId][idx] = code;
+      if (!feet.has(instId)) handHits[idx] += 1;
+    });
+  });
+
+  const context = {
+    hasBackbeat: Boolean(template.snare?.backbeat && kitIds.includes("snare")),
+    openHatAt: (idx) => Boolean(rows.hihatOpen?.[idx]),
+  };
+  roles.forEach(({ role, instId }) => {
+    if (!regenerate.has(instId) || rows[instId]) return;
+    const rand = createSeededRandom(`${normalized.seed}:${normalized.style}:${instId}:${rowVariants[instId] || 0}`);
+    const row = new Array(steps.length).fill(0);
+    steps.forEach((step, idx) => {
+      const code = generateRoleCode(role, template, step, idx, rand, scale, context);
+      if (!code) return;
+      if (!feet.has(instId)) {
+        if (handHits[idx] >= MAX_HAND_HITS_PER_STEP) return;
+        handHits[idx] += 1;
+      }
+      row[idx] = code;
+    });
+    rows[instId] = row;
+  });
+
+  const grid = {};
+  kitIds.forEach((instId) => {
+    if (!regenerate.has(instId)) return;
+    const row = rows[instId] || [];
+    grid[instId] = row.map((code, idx) => [idx, code]).filter(([, code]) => code);
+  });
+  return grid;
+}
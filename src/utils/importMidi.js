@@ -1,3 +1,5 @@
+import { BEAT_PAYLOAD_VERSION, migrateBeatPayload } from "./payloadSchema";
+
 function readU16BE(bytes, offset) {
   return ((bytes[offset] || 0) << 8) | (bytes[offset + 1] || 0);
 }
@@ -42,7 +44,8 @@ function decodePayloadMeta(text) {
         .map((ch) => `%${ch.charCodeAt(0).toString(16).padStart(2, "0")}`)
         .join("")
     );
-    return JSON.parse(json);
+    // Files exported by older app versions carry older payload versions.
+    return migrateBeatPayload(JSON.parse(json));
   } catch (_) {
     return null;
   }
@@ -80,12 +83,6 @@ const GM_NOTE_ALIASES = {
   59: "ride",
 };
 
-function buildTupletsByBar(barCount, quarterCount) {
-  return Array.from({ length: Math.max(1, barCount) }, () =>
-    Array.from({ length: Math.max(1, quarterCount) }, () => null)
-  );
-}
-
 function getQuarterBeatsPerBar(ts) {
   return Math.max(1, Math.round(Number(ts?.n) || 1));
 }
@@ -154,13 +151,15 @@ function hasNoteAssignment(noteAssignments, note) {
   );
 }
 
-function getImportedInstrumentForNote(note, lookups, noteAssignments) {
+function getImportedInstrumentForNote(note, lookups, noteAssignments, fallbackAssignments = null) {
   if (hasNoteAssignment(noteAssignments, note)) {
     const assignedId = String(noteAssignments[String(note)] || "").trim();
     if (!assignedId || assignedId === "ignore") return null;
     if (lookups.byId.has(assignedId)) return lookups.byId.get(assignedId);
   }
   if (lookups.byMidi.has(note)) return lookups.byMidi.get(note);
+  const fallbackId = fallbackAssignments?.[String(note)];
+  if (fallbackId && lookups.byId.has(fallbackId)) return lookups.byId.get(fallbackId);
   const aliasId = GM_NOTE_ALIASES[note];
   if (aliasId && lookups.byId.has(aliasId)) return lookups.byId.get(aliasId);
   return null;
@@ -233,18 +232,85 @@ function buildVelocityRanges(events) {
   return ranges;
 }
 
+const RUDIMENT_INSTRUMENT_IDS = new Set(["snare", "tom1", "tom2", "floorTom"]);
+const RUDIMENT_CODES = { flam: 4, drag: 5, buzz: 6 };
+const GRACE_WINDOW_SEC = 0.075;
+const GRACE_VELOCITY_MARGIN = 20;
+const BUZZ_STROKE_MAX_GAP_SEC = 0.035;
+const BUZZ_MIN_STROKES = 2;
+
+/**
+ * Folds quiet pre-hits (flam/drag grace notes) and rapid repeated strokes (buzz rolls)
+ * into their main note so they don't force a tiny grid resolution. Main notes get a
+ * `rudiment` tag that becomes the matching cell code.
+ */
+function collapseRudimentEvents(events, ppq, bpm) {
+  const ticksPerSec = (Math.max(1, Number(bpm) || 120) / 60) * ppq;
+  const graceWindow = GRACE_WINDOW_SEC * ticksPerSec;
+  const buzzGap = BUZZ_STROKE_MAX_GAP_SEC * ticksPerSec;
+  const consumed = new Set();
+  const rudimentByEvent = new Map();
+  const byInstrument = new Map();
+  events.forEach((event) => {
+    const id = String(event.instrument?.id || "");
+    if (!RUDIMENT_INSTRUMENT_IDS.has(id)) return;
+    const list = byInstrument.get(id) || [];
+    list.push(event);
+    byInstrument.set(id, list);
+  });
+
+  byInstrument.forEach((list) => {
+    list.sort((a, b) => a.tick - b.tick);
+    for (let i = 0; i < list.length; i++) {
+      const main = list[i];
+      if (consumed.has(main)) continue;
+      let strokeEnd = i;
+      while (
+        strokeEnd + 1 < list.length &&
+        list[strokeEnd + 1].tick - list[strokeEnd].tick <= buzzGap &&
+        list[strokeEnd + 1].velocity <= main.velocity
+      ) {
+        strokeEnd += 1;
+      }
+      if (strokeEnd - i >= BUZZ_MIN_STROKES) {
+        for (let k = i + 1; k <= strokeEnd; k++) consumed.add(list[k]);
+        rudimentByEvent.set(main, "buzz");
+        i = strokeEnd;
+        continue;
+      }
+      const graces = [];
+      for (let k = i - 1; k >= 0; k--) {
+        const prev = list[k];
+        if (main.tick - prev.tick > graceWindow) break;
+        if (consumed.has(prev) || rudimentByEvent.has(prev)) break;
+        if (prev.velocity > main.velocity - GRACE_VELOCITY_MARGIN) break;
+        graces.push(prev);
+      }
+      if (!graces.length) continue;
+      graces.forEach((grace) => consumed.add(grace));
+      rudimentByEvent.set(main, graces.length > 1 ? "drag" : "flam");
+    }
+  });
+
+  return events
+    .filter((event) => !consumed.has(event))
+    .map((event) => (rudimentByEvent.has(event) ? { ...event, rudiment: rudimentByEvent.get(event) } : event));
+}
+
 function quantizeEventsToPayload({
   events,
   instruments,
   timeSig,
+  timeSigByBar = null,
   bpm,
   bars,
   ppq,
   noteAssignments,
   velocityThresholds,
+  collapseRudiments = true,
 }) {
   const instrumentLookups = buildInstrumentLookup(instruments);
-  const filteredEvents = events
+  const mappedEvents = events
     .map((event) =>
       event.instrument
         ? event
@@ -254,16 +320,32 @@ function quantizeEventsToPayload({
           }
     )
     .filter((event) => event.instrument);
+  const filteredEvents = collapseRudiments ? collapseRudimentEvents(mappedEvents, ppq, bpm) : mappedEvents;
+  const safeBars = Math.max(1, bars);
+  // Bars are laid out back to back from tick 0; each one keeps its own meter.
+  const barTimeSigs = Array.from({ length: safeBars }, (_, barIdx) => timeSigByBar?.[barIdx] || timeSig);
+  const hasMeterChanges = barTimeSigs.some((barTs) => barTs.n !== timeSig.n || barTs.d !== timeSig.d);
+  const quarterCountByBar = barTimeSigs.map((barTs) => getQuarterBeatsPerBar(barTs));
+  const segmentTicksByBar = barTimeSigs.map((barTs) => ppq * (4 / Math.max(1, barTs.d)));
+  const barStartTicks = [];
+  let runningTick = 0;
+  for (let barIdx = 0; barIdx < safeBars; barIdx++) {
+    barStartTicks[barIdx] = runningTick;
+    runningTick += quarterCountByBar[barIdx] * segmentTicksByBar[barIdx];
+  }
+  const meterFields = hasMeterChanges ? { timeSigByBar: barTimeSigs.map((barTs) => ({ ...barTs })) } : {};
+  const buildTuplets = () => quarterCountByBar.map((quarterCount) => Array.from({ length: quarterCount }, () => null));
   if (!filteredEvents.length) {
     return {
       payload: {
-        v: 1,
+        v: BEAT_PAYLOAD_VERSION,
         kitInstrumentIds: ["hihat", "snare", "kick"],
-        bars: Math.max(1, bars),
+        bars: safeBars,
         resolution: 8,
         timeSig,
+        ...meterFields,
         bpm,
-        tupletsByBar: buildTupletsByBar(Math.max(1, bars), getQuarterBeatsPerBar(timeSig)),
+        tupletsByBar: buildTuplets(),
         grid: {},
       },
     };
@@ -271,21 +353,21 @@ function quantizeEventsToPayload({
 
   const inferred = inferResolution(ppq, filteredEvents);
   const resolution = inferred.resolution;
-  const quarterCount = getQuarterBeatsPerBar(timeSig);
-  const baseSubdiv = inferred.ticksPerStep > 0
-    ? Math.max(1, Math.round((ppq * (4 / Math.max(1, timeSig.d))) / inferred.ticksPerStep))
-    : Math.max(1, Math.round(resolution / Math.max(1, timeSig.d)));
-  const segmentTicks = ppq * (4 / Math.max(1, timeSig.d));
-  const ticksPerBar = quarterCount * segmentTicks;
-  const safeBars = Math.max(1, bars);
-  const tupletsByBar = buildTupletsByBar(safeBars, quarterCount);
-  const subdivisionsByBar = Array.from({ length: safeBars }, () =>
-    Array.from({ length: quarterCount }, () => baseSubdiv)
+  const baseSubdivByBar = barTimeSigs.map((barTs) =>
+    inferred.ticksPerStep > 0
+      ? Math.max(1, Math.round((ppq * (4 / Math.max(1, barTs.d))) / inferred.ticksPerStep))
+      : Math.max(1, Math.round(resolution / Math.max(1, barTs.d)))
+  );
+  const tupletsByBar = buildTuplets();
+  const subdivisionsByBar = quarterCountByBar.map((quarterCount, barIdx) =>
+    Array.from({ length: quarterCount }, () => baseSubdivByBar[barIdx])
   );
 
   for (let barIdx = 0; barIdx < safeBars; barIdx++) {
-    for (let qIdx = 0; qIdx < quarterCount; qIdx++) {
-      const segmentStartTick = barIdx * ticksPerBar + qIdx * segmentTicks;
+    const segmentTicks = segmentTicksByBar[barIdx];
+    const baseSubdiv = baseSubdivByBar[barIdx];
+    for (let qIdx = 0; qIdx < quarterCountByBar[barIdx]; qIdx++) {
+      const segmentStartTick = barStartTicks[barIdx] + qIdx * segmentTicks;
       const segmentEvents = filteredEvents.filter(
         (event) => event.tick >= segmentStartTick && event.tick < segmentStartTick + segmentTicks
       );
@@ -300,17 +382,20 @@ function quantizeEventsToPayload({
   let runningStepOffset = 0;
   for (let barIdx = 0; barIdx < safeBars; barIdx++) {
     stepOffsetsByBar[barIdx] = [];
-    for (let qIdx = 0; qIdx < quarterCount; qIdx++) {
+    for (let qIdx = 0; qIdx < quarterCountByBar[barIdx]; qIdx++) {
       stepOffsetsByBar[barIdx][qIdx] = runningStepOffset;
       runningStepOffset += subdivisionsByBar[barIdx][qIdx];
     }
   }
 
   filteredEvents.forEach((event) => {
-    const barIdx = Math.max(0, Math.min(safeBars - 1, Math.floor(event.tick / Math.max(1, ticksPerBar))));
-    const tickInBar = event.tick - barIdx * ticksPerBar;
+    let barIdx = 0;
+    while (barIdx + 1 < safeBars && event.tick >= barStartTicks[barIdx + 1]) barIdx += 1;
+    const segmentTicks = segmentTicksByBar[barIdx];
+    const quarterCount = quarterCountByBar[barIdx];
+    const tickInBar = event.tick - barStartTicks[barIdx];
     const qIdx = Math.max(0, Math.min(quarterCount - 1, Math.floor(tickInBar / Math.max(1, segmentTicks))));
-    const segmentStartTick = barIdx * ticksPerBar + qIdx * segmentTicks;
+    const segmentStartTick = barStartTicks[barIdx] + qIdx * segmentTicks;
     const subdiv = subdivisionsByBar[barIdx][qIdx];
     const localStepTicks = segmentTicks / Math.max(1, subdiv);
     const localStep = Math.max(
@@ -319,7 +404,11 @@ function quantizeEventsToPayload({
     );
     const step = stepOffsetsByBar[barIdx][qIdx] + localStep;
     const ghostMax = getVelocityThresholdForInstrument(event.instrument?.id, velocityThresholds);
-    const cellValue = event.velocity <= ghostMax ? 2 : 1;
+    const cellValue = event.cellCode
+      ? event.cellCode
+      : event.rudiment
+        ? RUDIMENT_CODES[event.rudiment]
+        : event.velocity <= ghostMax ? 2 : 1;
     const inst = event.instrument;
     const row = gridMap.get(inst.id) || new Map();
     row.set(step, Math.max(cellValue, row.get(step) || 0));
@@ -337,11 +426,12 @@ function quantizeEventsToPayload({
 
   return {
     payload: {
-      v: 1,
+      v: BEAT_PAYLOAD_VERSION,
       kitInstrumentIds: usedInstrumentIds.length ? usedInstrumentIds : ["hihat", "snare", "kick"],
       bars: safeBars,
       resolution,
       timeSig,
+      ...meterFields,
       bpm,
       tupletsByBar,
       grid,
@@ -535,12 +625,48 @@ export function importDrumMidi({
   }
 
   if (!noteEvents.length) throw new Error("No drum notes found in MIDI file.");
+  return buildDrumImportResult({
+    noteEvents,
+    tempos,
+    timeSigs,
+    ppq,
+    title,
+    composer,
+    instruments,
+    arrangementSplitBars,
+    noteAssignments,
+    velocityThresholds,
+  });
+}
+
+/**
+ * Shared back half of the drum importers: maps parsed note events onto instruments
+ * (or reports the notes that still need mapping), then quantizes them into a single
+ * beat or an arrangement split at tempo changes. Meter changes stay inside a beat via
+ * `timeSigByBar`.
+ * Note keys are MIDI numbers, or strings for formats without one (see importMusicXml).
+ */
+export function buildDrumImportResult({
+  noteEvents,
+  tempos,
+  timeSigs,
+  ppq,
+  title = "",
+  composer = "",
+  instruments,
+  arrangementSplitBars = 1,
+  noteAssignments = {},
+  velocityThresholds = null,
+  fallbackAssignments = null,
+  noteLabels = null,
+  collapseRudiments = true,
+}) {
   const instrumentLookups = buildInstrumentLookup(instruments);
   const mappedEvents = noteEvents
     .map((event) => ({
       ...event,
       hasExplicitAssignment: hasNoteAssignment(noteAssignments, event.note),
-      instrument: getImportedInstrumentForNote(event.note, instrumentLookups, noteAssignments),
+      instrument: getImportedInstrumentForNote(event.note, instrumentLookups, noteAssignments, fallbackAssignments),
     }));
   const usedMappedInstrumentIds = Array.from(
     new Set(
@@ -567,8 +693,16 @@ export function importDrumMidi({
       usedInstrumentIds: usedMappedInstrumentIds,
       velocityRanges,
       unmappedNotes: Array.from(unmappedCounts.entries())
-        .map(([note, count]) => ({ note: Number(note), count }))
-        .sort((a, b) => a.note - b.note),
+        .map(([note, count]) => ({
+          note,
+          count,
+          ...(noteLabels?.[String(note)] ? { label: noteLabels[String(note)] } : {}),
+        }))
+        .sort((a, b) =>
+          typeof a.note === "number" && typeof b.note === "number"
+            ? a.note - b.note
+            : String(a.note).localeCompare(String(b.note))
+        ),
     };
   }
   const filteredEvents = mappedEvents
@@ -576,7 +710,7 @@ export function importDrumMidi({
   if (!filteredEvents.length) throw new Error("No mapped drum notes remain after import mapping.");
   const maxTick = filteredEvents.reduce((max, event) => Math.max(max, event.tick), 0);
   const barsTimeline = buildBarsFromTimeline(maxTick, ppq, tempos, timeSigs);
-  const hasTimelineChanges = tempos.length > 1 || timeSigs.length > 1;
+  const hasTimelineChanges = tempos.length > 1;
   const totalBars = barsTimeline.length;
   if (hasTimelineChanges || totalBars > 8) {
     const splitBars = Math.max(1, Math.min(8, Math.round(Number(arrangementSplitBars) || 1)));
@@ -589,9 +723,7 @@ export function importDrumMidi({
       while (
         endIdx + 1 < barsTimeline.length &&
         endIdx - idx + 1 < splitBars &&
-        barsTimeline[endIdx + 1].bpm === startBar.bpm &&
-        barsTimeline[endIdx + 1].timeSig.n === startBar.timeSig.n &&
-        barsTimeline[endIdx + 1].timeSig.d === startBar.timeSig.d
+        barsTimeline[endIdx + 1].bpm === startBar.bpm
       ) {
         endIdx += 1;
       }
@@ -604,11 +736,13 @@ export function importDrumMidi({
         events: sectionEvents,
         instruments,
         timeSig: startBar.timeSig,
+        timeSigByBar: barsTimeline.slice(idx, endIdx + 1).map((bar) => bar.timeSig),
         bpm: startBar.bpm,
         bars: endIdx - idx + 1,
         ppq,
         noteAssignments,
         velocityThresholds,
+        collapseRudiments,
       });
       sections.push({
         name: `${title || "Imported"} ${sectionIndex}`,
@@ -636,11 +770,13 @@ export function importDrumMidi({
     events: filteredEvents,
     instruments,
     timeSig,
+    timeSigByBar: barsTimeline.map((bar) => bar.timeSig),
     bpm,
     bars: totalBars,
     ppq,
     noteAssignments,
     velocityThresholds,
+    collapseRudiments,
   });
   return {
     kind: "beat",
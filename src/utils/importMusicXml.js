@@ -0,0 +1,368 @@
+import { buildDrumImportResult } from "./importMidi";
+import { parseNotationKey } from "./exportMusicXml";
+
+// 480 x 7 so eighth/sixteenth triplets, quintuplets and septuplets land on whole ticks.
+const PPQ = 3360;
+
+const CELL_CODES = {
+  on: 1,
+  ghost: 2,
+  accent: 3,
+  flam: 4,
+  drag: 5,
+  buzz: 6,
+};
+
+const BEAT_UNIT_QUARTERS = {
+  whole: 4,
+  half: 2,
+  quarter: 1,
+  eighth: 0.5,
+  "16th": 0.25,
+};
+
+function childrenByTag(el, tag) {
+  return Array.from(el?.children || []).filter((child) => child.localName === tag);
+}
+
+function firstChild(el, tag) {
+  return childrenByTag(el, tag)[0] || null;
+}
+
+function childText(el, tag) {
+  return String(firstChild(el, tag)?.textContent || "").trim();
+}
+
+function readU16LE(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readU32LE(bytes, offset) {
+  return (readU16LE(bytes, offset) | (readU16LE(bytes, offset + 2) << 16)) >>> 0;
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream !== "function") {
+    throw new Error("Compressed MusicXML (.mxl) is not supported in this browser.");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Reads the zip central directory; sizes there are reliable even when local headers use data descriptors.
+function readZipEntries(bytes) {
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (readU32LE(bytes, i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Invalid MusicXML archive.");
+  const count = readU16LE(bytes, eocd + 10);
+  let offset = readU32LE(bytes, eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (readU32LE(bytes, offset) !== 0x02014b50) break;
+    const nameLength = readU16LE(bytes, offset + 28);
+    const extraLength = readU16LE(bytes, offset + 30);
+    const commentLength = readU16LE(bytes, offset + 32);
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      method: readU16LE(bytes, offset + 10),
+      compressedSize: readU32LE(bytes, offset + 20),
+      localOffset: readU32LE(bytes, offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipEntry(bytes, entry) {
+  const headerNameLength = readU16LE(bytes, entry.localOffset + 26);
+  const headerExtraLength = readU16LE(bytes, entry.localOffset + 28);
+  const start = entry.localOffset + 30 + headerNameLength + headerExtraLength;
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateRaw(data);
+  throw new Error("Unsupported compression in MusicXML archive.");
+}
+
+function decodeXmlBytes(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes);
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Returns the score XML for a .musicxml/.xml file, or for a compressed .mxl archive
+ * (resolved through META-INF/container.xml).
+ */
+export async function readMusicXmlText(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+  if (!isZip) return decodeXmlBytes(bytes);
+  const entries = readZipEntries(bytes);
+  const container = entries.find((entry) => entry.name === "META-INF/container.xml");
+  let rootPath = "";
+  if (container) {
+    const containerXml = decodeXmlBytes(await readZipEntry(bytes, container));
+    const doc = new DOMParser().parseFromString(containerXml, "application/xml");
+    rootPath = doc.getElementsByTagName("rootfile")[0]?.getAttribute("full-path") || "";
+  }
+  const scoreEntry =
+    entries.find((entry) => rootPath && entry.name === rootPath) ||
+    entries.find((entry) => !entry.name.startsWith("META-INF/") && /\.(musicxml|xml)$/i.test(entry.name));
+  if (!scoreEntry) throw new Error("No score found in MusicXML archive.");
+  return decodeXmlBytes(await readZipEntry(bytes, scoreEntry));
+}
+
+export function getMusicXmlPositionKey(step, octave, notehead) {
+  const head = notehead && notehead !== "normal" ? `/${notehead}` : "";
+  return `${String(step || "").toUpperCase()}${octave}${head}`;
+}
+
+// Staff position + notehead -> instrument id, so files written with our own layout map without prompting.
+function buildPositionAssignments(notationMap) {
+  const out = {};
+  Object.entries(notationMap || {}).forEach(([instId, entry]) => {
+    const { step, octave, notehead } = parseNotationKey(entry?.key);
+    const key = getMusicXmlPositionKey(step, octave, notehead);
+    if (!out[key]) out[key] = instId;
+  });
+  return out;
+}
+
+function readPartInstruments(root) {
+  const byPart = new Map();
+  const partList = firstChild(root, "part-list");
+  childrenByTag(partList, "score-part").forEach((scorePart) => {
+    const names = new Map();
+    const midiByInstrument = new Map();
+    childrenByTag(scorePart, "score-instrument").forEach((inst) => {
+      names.set(inst.getAttribute("id"), childText(inst, "instrument-name"));
+    });
+    childrenByTag(scorePart, "midi-instrument").forEach((inst) => {
+      const unpitched = Number(childText(inst, "midi-unpitched"));
+      if (Number.isFinite(unpitched) && unpitched >= 1) {
+        midiByInstrument.set(inst.getAttribute("id"), unpitched - 1);
+      }
+    });
+    byPart.set(scorePart.getAttribute("id"), { names, midiByInstrument });
+  });
+  return byPart;
+}
+
+function isDrumPart(part) {
+  if (part.getElementsByTagName("unpitched").length > 0) return true;
+  return Array.from(part.getElementsByTagName("clef")).some((clef) => childText(clef, "sign") === "percussion");
+}
+
+function readTempo(el) {
+  const sound = el.localName === "sound" ? el : firstChild(el, "sound");
+  const soundTempo = Number(sound?.getAttribute("tempo"));
+  if (Number.isFinite(soundTempo) && soundTempo > 0) return soundTempo;
+  for (const directionType of childrenByTag(el, "direction-type")) {
+    const metronome = firstChild(directionType, "metronome");
+    const perMinute = Number(childText(metronome, "per-minute"));
+    if (!metronome || !Number.isFinite(perMinute) || perMinute <= 0) continue;
+    const unitQuarters = BEAT_UNIT_QUARTERS[childText(metronome, "beat-unit")] || 1;
+    const dotted = childrenByTag(metronome, "beat-unit-dot").length > 0;
+    return perMinute * unitQuarters * (dotted ? 1.5 : 1);
+  }
+  return null;
+}
+
+function readNoteState(note, graceCount) {
+  const notations = childrenByTag(note, "notations");
+  const hasTag = (parentTag, tags) =>
+    notations.some((n) =>
+      childrenByTag(n, parentTag).some((parent) => tags.some((tag) => firstChild(parent, tag)))
+    );
+  const hasBuzz = notations.some((n) =>
+    childrenByTag(n, "ornaments").some((ornaments) =>
+      childrenByTag(ornaments, "tremolo").some((tremolo) => {
+        const type = tremolo.getAttribute("type") || "single";
+        return type === "single" || type === "unmeasured";
+      })
+    )
+  );
+  if (hasBuzz) return "buzz";
+  if (graceCount >= 2) return "drag";
+  if (graceCount === 1) return "flam";
+  if (hasTag("articulations", ["accent", "strong-accent"])) return "accent";
+  if (firstChild(note, "notehead")?.getAttribute("parentheses") === "yes") return "ghost";
+  return "on";
+}
+
+/**
+ * Mirror of importDrumMidi for partwise MusicXML. Notes are keyed by their part's
+ * <midi-unpitched> number when present, otherwise by staff position + notehead
+ * (e.g. "G5/x"), and both kinds go through the same mapping prompt.
+ */
+export function importDrumMusicXml({
+  arrayBuffer,
+  instruments,
+  notationMap,
+  arrangementSplitBars = 1,
+  noteAssignments = {},
+}) {
+  const doc = new DOMParser().parseFromString(decodeXmlBytes(new Uint8Array(arrayBuffer)), "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Invalid MusicXML file.");
+  const root = doc.documentElement;
+  if (root?.localName === "score-timewise") {
+    throw new Error("Timewise MusicXML is not supported. Export the score as partwise MusicXML.");
+  }
+  if (root?.localName !== "score-partwise") throw new Error("Invalid MusicXML file.");
+
+  const title = childText(firstChild(root, "work"), "work-title") || childText(root, "movement-title");
+  const composerEl = childrenByTag(firstChild(root, "identification"), "creator").find(
+    (creator) => creator.getAttribute("type") === "composer"
+  );
+  const composer = String(composerEl?.textContent || "").trim();
+
+  const partInstruments = readPartInstruments(root);
+  const allParts = childrenByTag(root, "part");
+  const drumParts = allParts.filter(isDrumPart);
+  const parts = drumParts.length ? drumParts : allParts;
+  const positionAssignments = buildPositionAssignments(notationMap);
+  const fallbackAssignments = { ...positionAssignments };
+  const noteLabels = {};
+  const noteEvents = [];
+  const tempos = [];
+  const timeSigs = [];
+
+  parts.forEach((part, partIdx) => {
+    const info = partInstruments.get(part.getAttribute("id"));
+    let divisions = 1;
+    let timeSig = { n: 4, d: 4 };
+    let measureStartTick = 0;
+    const pushTimeline = (list, entry, same) => {
+      if (partIdx !== 0) return;
+      const prev = list[list.length - 1];
+      if (prev && same(prev)) return;
+      list.push(entry);
+    };
+
+    childrenByTag(part, "measure").forEach((measure) => {
+      let cursor = 0;
+      let maxCursor = 0;
+      let lastNoteStart = 0;
+      const pendingGraces = new Map();
+      const measureEvents = [];
+      const toTicks = (duration) => (Number(duration) || 0) * (PPQ / Math.max(1, divisions));
+
+      Array.from(measure.children).forEach((child) => {
+        const tag = child.localName;
+        if (tag === "attributes") {
+          const nextDivisions = Number(childText(child, "divisions"));
+          if (Number.isFinite(nextDivisions) && nextDivisions > 0) divisions = nextDivisions;
+          const time = firstChild(child, "time");
+          if (time) {
+            const beats = childText(time, "beats")
+              .split("+")
+              .reduce((sum, value) => sum + (Number(value) || 0), 0);
+            const beatType = Number(childText(time, "beat-type"));
+            timeSig = {
+              n: Math.max(1, Math.min(32, Math.round(beats) || 4)),
+              d: [1, 2, 4, 8, 16, 32].includes(beatType) ? beatType : 4,
+            };
+            pushTimeline(
+              timeSigs,
+              { tick: measureStartTick, ...timeSig },
+              (prev) => prev.n === timeSig.n && prev.d === timeSig.d
+            );
+          }
+          return;
+        }
+        if (tag === "direction" || tag === "sound") {
+          const tempo = readTempo(child);
+          if (tempo != null) {
+            const bpm = Math.round(tempo);
+            pushTimeline(tempos, { tick: measureStartTick + cursor, bpm }, (prev) => prev.bpm === bpm);
+          }
+          return;
+        }
+        if (tag === "backup") {
+          cursor = Math.max(0, cursor - toTicks(childText(child, "duration")));
+          return;
+        }
+        if (tag === "forward") {
+          cursor += toTicks(childText(child, "duration"));
+          maxCursor = Math.max(maxCursor, cursor);
+          return;
+        }
+        if (tag !== "note") return;
+
+        const isChord = !!firstChild(child, "chord");
+        const isGrace = !!firstChild(child, "grace");
+        const durationTicks = toTicks(childText(child, "duration"));
+        if (!isChord) lastNoteStart = cursor;
+        const start = lastNoteStart;
+        if (!isChord && !isGrace) {
+          cursor += durationTicks;
+          maxCursor = Math.max(maxCursor, cursor);
+        }
+        if (firstChild(child, "rest") || firstChild(child, "cue")) return;
+        if (childrenByTag(child, "tie").some((tie) => tie.getAttribute("type") === "stop")) return;
+
+        const position = firstChild(child, "unpitched") || firstChild(child, "pitch");
+        const step = childText(position, position?.localName === "pitch" ? "step" : "display-step");
+        const octave = childText(position, position?.localName === "pitch" ? "octave" : "display-octave");
+        if (!step || !octave) return;
+        const notehead = childText(child, "notehead");
+        const positionKey = getMusicXmlPositionKey(step, octave, notehead);
+        const instrumentId = firstChild(child, "instrument")?.getAttribute("id");
+        const midi = info?.midiByInstrument.get(instrumentId);
+        const key = Number.isFinite(midi) ? midi : positionKey;
+        if (!noteLabels[String(key)]) {
+          const instrumentName = info?.names.get(instrumentId);
+          noteLabels[String(key)] = Number.isFinite(midi)
+            ? `${instrumentName || "MIDI"} ${midi}`
+            : `${step.toUpperCase()}${octave}${notehead && notehead !== "normal" ? ` ${notehead}` : ""}`;
+        }
+        if (Number.isFinite(midi) && positionAssignments[positionKey] && !fallbackAssignments[String(midi)]) {
+          fallbackAssignments[String(midi)] = positionAssignments[positionKey];
+        }
+
+        if (isGrace) {
+          pendingGraces.set(key, (pendingGraces.get(key) || 0) + 1);
+          return;
+        }
+        const state = readNoteState(child, pendingGraces.get(key) || 0);
+        pendingGraces.delete(key);
+        measureEvents.push({
+          tick: start,
+          durationTicks: Math.max(1, Math.round(durationTicks)),
+          note: key,
+          velocity: state === "ghost" ? 40 : state === "accent" ? 120 : 100,
+          cellCode: CELL_CODES[state],
+        });
+      });
+
+      const barTicks = timeSig.n * (4 / timeSig.d) * PPQ;
+      // Pickup bars are right-aligned so their notes lead into the next downbeat.
+      const pickupOffset = measure.getAttribute("implicit") === "yes" ? Math.max(0, barTicks - maxCursor) : 0;
+      measureEvents.forEach((event) => {
+        noteEvents.push({ ...event, tick: Math.round(measureStartTick + pickupOffset + event.tick) });
+      });
+      measureStartTick += barTicks;
+    });
+  });
+
+  if (!noteEvents.length) throw new Error("No drum notes found in MusicXML file.");
+  return buildDrumImportResult({
+    noteEvents,
+    tempos,
+    timeSigs,
+    ppq: PPQ,
+    title,
+    composer,
+    instruments,
+    arrangementSplitBars,
+    noteAssignments,
+    fallbackAssignments,
+    noteLabels,
+    collapseRudiments: false,
+  });
+}
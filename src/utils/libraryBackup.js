@@ -0,0 +1,261 @@
+import { KNOWN_INSTRUMENT_IDS } from "./payloadSchema";
+
+// Single-file backup of everything the app keeps in localStorage: local beats, saved
+// arrangements (plus the working arrangement), user kit presets and preference keys.
+export const LIBRARY_BACKUP_FORMAT = "drum-grid-library-backup";
+export const LIBRARY_BACKUP_VERSION = 1;
+export const LOCAL_BEAT_LIBRARY_LIMIT = 500;
+
+export const BACKUP_CONFLICT_MODES = [
+  { id: "keep-mine", label: "Keep mine" },
+  { id: "use-backup", label: "Use backup" },
+  { id: "keep-both", label: "Keep both" },
+];
+
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function sanitizeLocalBeats(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(
+    (beat) => beat && typeof beat === "object" && String(beat.id || "") && beat.payload && typeof beat.payload === "object"
+  );
+}
+
+function sanitizeSavedArrangements(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(
+    (entry) =>
+      entry && typeof entry === "object" && String(entry.id || "") && String(entry.name || "").trim() && Array.isArray(entry.items)
+  );
+}
+
+function sanitizePresets(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((preset) => ({
+      id: String(preset?.id || ""),
+      label: String(preset?.label || ""),
+      ids: Array.isArray(preset?.ids) ? preset.ids.filter((id) => KNOWN_INSTRUMENT_IDS.has(id)) : [],
+    }))
+    .filter((preset) => preset.id && preset.label && preset.ids.length > 0);
+}
+
+function sanitizePreferences(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+  return Object.fromEntries(
+    Object.entries(raw).filter(([key, value]) => key.startsWith("drum-grid-") && typeof value === "string")
+  );
+}
+
+export function buildLibraryBackup({ library, presets, preferences }) {
+  return {
+    format: LIBRARY_BACKUP_FORMAT,
+    v: LIBRARY_BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    library: cloneJson({
+      localBeats: library?.localBeats || [],
+      savedArrangements: library?.savedArrangements || [],
+      arrangementItems: library?.arrangementItems || [],
+      arrangementNameDraft: library?.arrangementNameDraft || "",
+      arrangementTitleLine1Draft: library?.arrangementTitleLine1Draft || "",
+      arrangementTitleLine2Draft: library?.arrangementTitleLine2Draft || "",
+      arrangementComposerDraft: library?.arrangementComposerDraft || "",
+    }),
+    presets: cloneJson(presets || []),
+    preferences: sanitizePreferences(preferences),
+  };
+}
+
+/** Parses a backup file's text. Throws with a user-facing message when it isn't one. */
+export function parseLibraryBackup(text) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(text || ""));
+  } catch (_) {
+    throw new Error("Backup file is not valid JSON.");
+  }
+  if (!parsed || parsed.format !== LIBRARY_BACKUP_FORMAT) {
+    throw new Error("This file is not a Drum Notation library backup.");
+  }
+  if (Number(parsed.v) > LIBRARY_BACKUP_VERSION) {
+    throw new Error("This backup was made by a newer version of the app.");
+  }
+  const library = parsed.library && typeof parsed.library === "object" ? parsed.library : {};
+  return {
+    exportedAt: String(parsed.exportedAt || ""),
+    library: {
+      ...library,
+      localBeats: sanitizeLocalBeats(library.localBeats),
+      savedArrangements: sanitizeSavedArrangements(library.savedArrangements),
+      arrangementItems: Array.isArray(library.arrangementItems) ? library.arrangementItems : [],
+    },
+    presets: sanitizePresets(parsed.presets),
+    preferences: sanitizePreferences(parsed.preferences),
+  };
+}
+
+function isSameEntry(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Entries that exist on both sides with the same id but different content.
+export function countBackupConflicts(current, backup) {
+  const countFor = (mine, theirs) => {
+    const byId = new Map((mine || []).map((entry) => [String(entry.id), entry]));
+    return (theirs || []).filter((entry) => byId.has(String(entry.id)) && !isSameEntry(byId.get(String(entry.id)), entry))
+      .length;
+  };
+  return (
+    countFor(current.localBeats, backup.library.localBeats) +
+    countFor(current.savedArrangements, backup.library.savedArrangements) +
+    countFor(current.presets, backup.presets)
+  );
+}
+
+function makeRestoredId(prefix, takenIds) {
+  let id = "";
+  do {
+    id = `${prefix}-${Math.random().toString(36).slice(2, 10)}`;
+  } while (takenIds.has(id));
+  takenIds.add(id);
+  return id;
+}
+
+/**
+ * Merges one list by id. Identical entries are skipped; conflicting ones follow `conflict`:
+ * keep the current entry, overwrite it in place, or add the backup copy under a new id.
+ * Returns the merged list, the id remap for "keep both" and counts for the summary.
+ */
+function mergeById(mine, theirs, { conflict, idPrefix, renameEntry }) {
+  const merged = [...mine];
+  const indexById = new Map(merged.map((entry, index) => [String(entry.id), index]));
+  const takenIds = new Set(indexById.keys());
+  const idMap = new Map();
+  const stats = { added: 0, replaced: 0, skipped: 0 };
+  theirs.forEach((entry) => {
+    const id = String(entry.id);
+    if (!indexById.has(id)) {
+      indexById.set(id, merged.length);
+      takenIds.add(id);
+      merged.push(entry);
+      stats.added += 1;
+      return;
+    }
+    const existingIndex = indexById.get(id);
+    if (isSameEntry(merged[existingIndex], entry) || conflict === "keep-mine") {
+      stats.skipped += 1;
+      return;
+    }
+    if (conflict === "use-backup") {
+      merged[existingIndex] = entry;
+      stats.replaced += 1;
+      return;
+    }
+    const nextId = makeRestoredId(idPrefix, takenIds);
+    idMap.set(id, nextId);
+    merged.push(renameEntry({ ...entry, id: nextId }));
+    stats.added += 1;
+  });
+  return { list: merged, idMap, stats };
+}
+
+function parsePreferenceJson(value, fallback) {
+  try {
+    return JSON.parse(String(value ?? ""));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * Edit tokens for public beats only exist in this browser, so a backup's token map is merged
+ * into the current one by beat id instead of replacing it. A beat with a different token on
+ * each side keeps the current one unless `conflict` is "use-backup".
+ */
+export function mergePublicBeatEditTokens(mine, backupValue, conflict = "keep-mine") {
+  const parsed = parsePreferenceJson(backupValue, null);
+  const theirs = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  const merged = { ...mine };
+  Object.entries(theirs).forEach(([id, token]) => {
+    if (!id || typeof token !== "string" || !token) return;
+    if (!merged[id] || conflict === "use-backup") merged[id] = token;
+  });
+  return merged;
+}
+
+// Favorite public beat ids from a backup, added to the current ones.
+export function mergeFavoritePublicBeatIds(mine, backupValue) {
+  const parsed = parsePreferenceJson(backupValue, null);
+  const theirs = Array.isArray(parsed) ? parsed.map((id) => String(id || "")).filter(Boolean) : [];
+  return Array.from(new Set([...mine, ...theirs]));
+}
+
+function assertBeatLimit(count, advice = "") {
+  if (count > LOCAL_BEAT_LIBRARY_LIMIT) {
+    throw new Error(
+      `The restored library would have ${count} beats; the limit is ${LOCAL_BEAT_LIBRARY_LIMIT}.${advice ? ` ${advice}` : ""}`
+    );
+  }
+}
+
+/**
+ * Combines the current library with a parsed backup. `mode: "replace"` returns the backup's
+ * lists as they are; `mode: "merge"` merges beats, arrangements and presets by id. Throws with
+ * a user-facing message, before anything is applied, when the result would hold more local
+ * beats than LOCAL_BEAT_LIBRARY_LIMIT.
+ */
+export function mergeLibraryBackup(current, backup, { mode = "merge", conflict = "keep-mine" } = {}) {
+  if (mode === "replace") {
+    assertBeatLimit(backup.library.localBeats.length);
+    return {
+      localBeats: backup.library.localBeats,
+      savedArrangements: backup.library.savedArrangements,
+      presets: backup.presets,
+      stats: {
+        added: backup.library.localBeats.length + backup.library.savedArrangements.length + backup.presets.length,
+        replaced: 0,
+        skipped: 0,
+      },
+    };
+  }
+  const withSuffix = (key) => (entry) => ({ ...entry, [key]: `${String(entry[key] || "").trim()} (restored)` });
+  const beats = mergeById(current.localBeats || [], backup.library.localBeats, {
+    conflict,
+    idPrefix: "local",
+    renameEntry: withSuffix("name"),
+  });
+  assertBeatLimit(beats.list.length, 'Delete some local beats first, or use "Keep mine" for conflicts.');
+  // Arrangements copied under "keep both" must point at the renamed copies of their beats.
+  const backupArrangements = backup.library.savedArrangements.map((entry) => ({
+    ...entry,
+    items: entry.items.map((item) =>
+      item?.source === "local" && beats.idMap.has(String(item.beatId))
+        ? { ...item, beatId: beats.idMap.get(String(item.beatId)) }
+        : item
+    ),
+  }));
+  const arrangements = mergeById(current.savedArrangements || [], backupArrangements, {
+    conflict,
+    idPrefix: "arrlib",
+    renameEntry: withSuffix("name"),
+  });
+  const presets = mergeById(current.presets || [], backup.presets, {
+    conflict,
+    idPrefix: "user",
+    renameEntry: withSuffix("label"),
+  });
+  const stats = { added: 0, replaced: 0, skipped: 0 };
+  [beats, arrangements, presets].forEach((result) => {
+    stats.added += result.stats.added;
+    stats.replaced += result.stats.replaced;
+    stats.skipped += result.stats.skipped;
+  });
+  return {
+    localBeats: beats.list,
+    savedArrangements: arrangements.list,
+    presets: presets.list,
+    stats,
+  };
+}
@@ -0,0 +1,25 @@
+// Staff position and notehead per instrument, as VexFlow keys. Shared by the editor and the
+// server-rendered share previews (`api/share-preview.js`).
+// NOTE: mapping is a starting point; we'll refine staff positions later.
+export const NOTATION_MAP = {
+  kick: { key: "f/4" },
+  snare: { key: "c/5" },
+  sideStick: { key: "c/5/x2", x: true },
+
+  // Cymbals / hats use X noteheads
+  hihat: { key: "g/5/x2", x: true },
+  hihatOpen: { key: "g/5/x3", x: true, open: true },
+  hihatFoot: { key: "d/4/x2", x: true },
+  ride: { key: "f/5/x2", x: true },
+  rideBell: { key: "f/5/d2", diamond: true },
+  crash1: { key: "a/5/x2", x: true },
+  crash2: { key: "b/5/x2", x: true },
+  china: { key: "a/5/x3", x: true },
+  splash: { key: "c/6/x2", x: true },
+  cowbell: { key: "e/5/t2", triangle: true },
+
+  // Toms
+  tom2: { key: "d/5" },
+  tom1: { key: "e/5" },
+  floorTom: { key: "a/4" },
+};
@@ -0,0 +1,76 @@
+// Row transforms for grid selections. Each takes one instrument row's cells (the selected
+// columns only) and returns a new array of the same length. Cell values are opaque here;
+// callers pass their "off"/"on" values and a rank for merging hits that land together.
+
+export const SELECTION_TRANSFORMS = [
+  { id: "reverse", label: "Reverse", title: "Play the selection backwards (retrograde)" },
+  { id: "invert", label: "Invert", title: "Turn hits into rests and rests into plain hits" },
+  { id: "double", label: "×2", title: "Double time: squeeze the selection into half its length and repeat it" },
+  { id: "half", label: "÷2", title: "Half time: stretch the selection to twice its length and cut the overflow" },
+];
+
+export function reverseRow(values) {
+  return [...values].reverse();
+}
+
+// Positive steps move hits later; hits pushed past either edge wrap around.
+export function rotateRow(values, steps) {
+  const length = values.length;
+  if (!length) return [];
+  const shift = ((Math.round(Number(steps) || 0) % length) + length) % length;
+  return values.map((_, i) => values[(i - shift + length) % length]);
+}
+
+export function invertRow(values, { cellOff, cellOn }) {
+  return values.map((v) => (v === cellOff ? cellOn : cellOff));
+}
+
+// Keeps the 1st, (n+1)th, (2n+1)th... hit of the row and clears the others.
+export function thinRow(values, every, { cellOff }) {
+  const n = Math.max(1, Math.round(Number(every) || 1));
+  let hitIndex = 0;
+  return values.map((v) => {
+    if (v === cellOff) return v;
+    const keep = hitIndex % n === 0;
+    hitIndex += 1;
+    return keep ? v : cellOff;
+  });
+}
+
+function findNearestColumn(positions, target) {
+  let best = 0;
+  for (let i = 1; i < positions.length; i++) {
+    if (Math.abs(positions[i] - target) < Math.abs(positions[best] - target)) best = i;
+  }
+  return best;
+}
+
+/**
+ * Scales hit times by `1 / factor` around the start of the selection. `positions` holds the
+ * start time of every selected column and `spanEnd` the time where the selection ends, in
+ * any unit (the editor passes quarter notes), so tuplets and mixed meters snap to whatever
+ * column is nearest. Double time (factor 2) repeats the compressed pattern to fill the span;
+ * half time (factor 0.5) drops hits that land past the end.
+ */
+export function retimeRow(values, positions, spanEnd, factor, { cellOff, rankFn }) {
+  const out = values.map(() => cellOff);
+  if (!values.length || positions.length !== values.length) return out;
+  const start = positions[0];
+  const span = spanEnd - start;
+  const scale = 1 / Math.max(0.0001, Number(factor) || 1);
+  if (!(span > 0)) return [...values];
+  const period = span * scale;
+  const copies = scale < 1 ? Math.max(1, Math.ceil(1 / scale)) : 1;
+  const epsilon = span * 1e-6;
+  values.forEach((v, i) => {
+    if (v === cellOff) return;
+    const rel = (positions[i] - start) * scale;
+    for (let copy = 0; copy < copies; copy++) {
+      const time = rel + copy * period;
+      if (time >= span - epsilon) break;
+      const target = findNearestColumn(positions, start + time);
+      if (rankFn(v) > rankFn(out[target])) out[target] = v;
+    }
+  });
+  return out;
+}
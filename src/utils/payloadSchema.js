@@ -0,0 +1,226 @@
+// Versions, validators and migrations for beat and arrangement payloads. Shared by the app
+// (share links, MIDI `DG_PAYLOAD` meta, library loads) and the API handlers, so keep it free of
+// browser- and Node-only APIs.
+
+export const BEAT_PAYLOAD_VERSION = 1;
+export const ARRANGEMENT_PAYLOAD_VERSION = 1;
+// Version of the `{ v, payload, createdAt }` records stored by `api/share.js`.
+export const SHARE_RECORD_VERSION = 1;
+
+export const MAX_PAYLOAD_BYTES = 120000;
+export const MAX_BARS = 64;
+
+// Kit order; free to change. Compact share links keep their own fixed dictionary in shareEncoding.js.
+export const KNOWN_INSTRUMENT_IDS = new Set([
+  "splash",
+  "china",
+  "crash2",
+  "crash1",
+  "ride",
+  "rideBell",
+  "hihatOpen",
+  "hihat",
+  "hihatFoot",
+  "cowbell",
+  "tom1",
+  "tom2",
+  "floorTom",
+  "sideStick",
+  "snare",
+  "kick",
+]);
+
+const RESOLUTIONS = [4, 8, 16, 32];
+const TIME_SIG_DENOMINATORS = [1, 2, 4, 8, 16, 32];
+const MAX_TIME_SIG_NUMERATOR = 32;
+// Generous upper bound on grid columns per bar (32/1 with 12-step tuplets on every quarter).
+const MAX_STEPS_PER_BAR = 1536;
+// [idx, code] tuples use the cell codes 1 (on) to 6 (buzz).
+const MAX_CELL_CODE = 6;
+
+function isValidTimeSig(ts) {
+  const n = Number(ts?.n);
+  const d = Number(ts?.d);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_TIME_SIG_NUMERATOR && TIME_SIG_DENOMINATORS.includes(d);
+}
+
+/**
+ * Sanity checks for a submitted beat payload. Returns `{ status, error }` describing the
+ * first problem found, or null when the payload looks like something the editor produced.
+ */
+export function validateBeatPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { status: 400, error: "Missing beat payload" };
+  }
+  if (JSON.stringify(payload).length > MAX_PAYLOAD_BYTES) {
+    return { status: 413, error: "Payload too large" };
+  }
+  const bars = Number(payload.bars);
+  if (!Number.isInteger(bars) || bars < 1 || bars > MAX_BARS) {
+    return { status: 400, error: `Beat must have between 1 and ${MAX_BARS} bars` };
+  }
+  if (!RESOLUTIONS.includes(Number(payload.resolution))) {
+    return { status: 400, error: "Unsupported resolution" };
+  }
+  if (payload.timeSig != null && !isValidTimeSig(payload.timeSig)) {
+    return { status: 400, error: "Invalid time signature" };
+  }
+  if (payload.timeSigByBar != null) {
+    if (!Array.isArray(payload.timeSigByBar) || payload.timeSigByBar.length > bars) {
+      return { status: 400, error: "Invalid per-bar time signatures" };
+    }
+    if (!payload.timeSigByBar.every((ts) => ts == null || isValidTimeSig(ts))) {
+      return { status: 400, error: "Invalid per-bar time signatures" };
+    }
+  }
+  const kitIds = payload.kitInstrumentIds;
+  if (!Array.isArray(kitIds) || !kitIds.length) {
+    return { status: 400, error: "Beat has no instruments" };
+  }
+  const unknownKitId = kitIds.find((id) => !KNOWN_INSTRUMENT_IDS.has(id));
+  if (unknownKitId !== undefined) {
+    return { status: 400, error: `Unknown instrument: ${String(unknownKitId).slice(0, 40)}` };
+  }
+  const grid = payload.grid;
+  if (!grid || typeof grid !== "object" || Array.isArray(grid)) {
+    return { status: 400, error: "Missing beat grid" };
+  }
+  const maxSteps = bars * MAX_STEPS_PER_BAR;
+  for (const [instId, events] of Object.entries(grid)) {
+    if (!KNOWN_INSTRUMENT_IDS.has(instId)) {
+      return { status: 400, error: `Unknown instrument: ${instId.slice(0, 40)}` };
+    }
+    if (!Array.isArray(events)) return { status: 400, error: "Invalid beat grid" };
+    const validEvents = events.every(
+      (event) =>
+        Array.isArray(event) &&
+        Number.isInteger(event[0]) &&
+        event[0] >= 0 &&
+        event[0] < maxSteps &&
+        Number.isInteger(event[1]) &&
+        event[1] >= 1 &&
+        event[1] <= MAX_CELL_CODE
+    );
+    if (!validEvents) return { status: 400, error: "Invalid beat grid" };
+  }
+  return null;
+}
+
+export const MAX_SONG_BEATS = 64;
+export const MAX_SONG_ITEMS = 256;
+
+/**
+ * Same idea for a published arrangement (the `kind: "arrangement"` share payload): every
+ * embedded beat must pass `validateBeatPayload` and every row must point at one of them.
+ */
+export function validateArrangementPayload(payload) {
+  if (!payload || typeof payload !== "object" || payload.kind !== "arrangement") {
+    return { status: 400, error: "Missing arrangement payload" };
+  }
+  if (JSON.stringify(payload).length > MAX_PAYLOAD_BYTES) {
+    return { status: 413, error: "Payload too large" };
+  }
+  const beats = payload.beats;
+  if (!Array.isArray(beats) || !beats.length || beats.length > MAX_SONG_BEATS) {
+    return { status: 400, error: `Arrangement must embed between 1 and ${MAX_SONG_BEATS} beats` };
+  }
+  const beatIds = new Set();
+  for (const beat of beats) {
+    const id = typeof beat?.id === "string" ? beat.id : "";
+    if (!id || beatIds.has(id)) return { status: 400, error: "Invalid arrangement beat id" };
+    beatIds.add(id);
+    const invalid = validateBeatPayload(beat.payload);
+    if (invalid) return { status: invalid.status, error: `${beat.name || id}: ${invalid.error}` };
+  }
+  const items = payload.items;
+  if (!Array.isArray(items) || !items.length || items.length > MAX_SONG_ITEMS) {
+    return { status: 400, error: `Arrangement must have between 1 and ${MAX_SONG_ITEMS} rows` };
+  }
+  if (!items.every((item) => beatIds.has(item?.beatId))) {
+    return { status: 400, error: "Arrangement row points at a missing beat" };
+  }
+  return null;
+}
+
+// Headline numbers for a validated arrangement (song listings, share link previews).
+export function summarizeArrangementPayload(payload) {
+  const beatsById = new Map(payload.beats.map((beat) => [beat.id, beat]));
+  const totalBars = payload.items.reduce((sum, item) => {
+    const bars = Math.max(1, Number(beatsById.get(item.beatId)?.payload?.bars) || 1);
+    return sum + bars * Math.max(1, Math.min(64, Number(item.repeats) || 1));
+  }, 0);
+  const firstBeat = beatsById.get(payload.items[0]?.beatId);
+  const bpm = Number(firstBeat?.bpm ?? firstBeat?.payload?.bpm);
+  return {
+    beatCount: payload.beats.length,
+    sectionCount: payload.items.length,
+    totalBars,
+    bpm: Number.isFinite(bpm) ? Math.round(bpm) : null,
+  };
+}
+
+/**
+ * Ordered migration chains: entry `n` upgrades a version `n` payload to version `n + 1`.
+ * Payloads without a `v` count as version 0. Append a step here (and bump the version
+ * constant above) whenever a payload field changes shape; never edit an existing step.
+ */
+const BEAT_PAYLOAD_MIGRATIONS = [
+  // 0 → 1: beats written before `v` was added already have the version 1 shape.
+  (payload) => ({ ...payload, v: 1 }),
+];
+
+const ARRANGEMENT_PAYLOAD_MIGRATIONS = [
+  // 0 → 1: same as beats; only the version field was missing.
+  (payload) => ({ ...payload, kind: "arrangement", v: 1 }),
+];
+
+export function getPayloadVersion(payload) {
+  const v = Number(payload?.v);
+  return Number.isInteger(v) && v > 0 ? v : 0;
+}
+
+export function isArrangementPayload(payload) {
+  return payload?.kind === "arrangement";
+}
+
+// Returns null for payloads from a newer app version, which cannot be read safely.
+function runMigrations(payload, migrations, currentVersion) {
+  let version = getPayloadVersion(payload);
+  if (version > currentVersion) return null;
+  let next = payload;
+  while (version < currentVersion) {
+    next = migrations[version](next);
+    version += 1;
+  }
+  return next;
+}
+
+export function migrateBeatPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return null;
+  return runMigrations(payload, BEAT_PAYLOAD_MIGRATIONS, BEAT_PAYLOAD_VERSION);
+}
+
+// Also migrates every embedded beat; beats that cannot be read are dropped.
+export function migrateArrangementPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return null;
+  const next = runMigrations(payload, ARRANGEMENT_PAYLOAD_MIGRATIONS, ARRANGEMENT_PAYLOAD_VERSION);
+  if (!next) return null;
+  const beats = Array.isArray(next.beats)
+    ? next.beats
+        .map((beat) => {
+          const beatPayload = migrateBeatPayload(beat?.payload);
+          return beatPayload ? { ...beat, payload: beatPayload } : null;
+        })
+        .filter(Boolean)
+    : [];
+  return { ...next, beats };
+}
+
+// Share links and stored shares carry either kind of payload.
+export function migrateSharePayload(payload) {
+  return isArrangementPayload(payload) ? migrateArrangementPayload(payload) : migrateBeatPayload(payload);
+}
+
+export function validateSharePayload(payload) {
+  return isArrangementPayload(payload) ? validateArrangementPayload(payload) : validateBeatPayload(payload);
+}
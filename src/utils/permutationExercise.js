@@ -0,0 +1,104 @@
+// Permutation exercises: a figure taken from a grid selection is moved through every position
+// of its span, one bar per variation. A figure is one entry per selected column, either null
+// (rest) or `{ [instId]: cellValue }` for the hits in that column. Cell values are opaque here.
+
+export const PERMUTATION_MODES = [
+  { id: "displace", label: "Displace", title: "Shift the whole figure one step further in each bar" },
+  {
+    id: "placements",
+    label: "All placements",
+    title: "Put the figure's hits on every combination of positions, keeping their order",
+  },
+];
+
+export const PERMUTATION_OUTPUTS = [
+  { id: "beat", label: "Multi-bar beat" },
+  { id: "arrangement", label: "Arrangement" },
+];
+
+export const MAX_PERMUTATION_VARIATIONS = 64;
+
+export const PERMUTATION_EXERCISE_DEFAULTS = {
+  mode: "displace",
+  output: "arrangement",
+  fillBar: false,
+};
+
+export function normalizePermutationSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return {
+    mode: PERMUTATION_MODES.some((entry) => entry.id === src.mode) ? src.mode : PERMUTATION_EXERCISE_DEFAULTS.mode,
+    output: PERMUTATION_OUTPUTS.some((entry) => entry.id === src.output) ? src.output : PERMUTATION_EXERCISE_DEFAULTS.output,
+    fillBar: typeof src.fillBar === "boolean" ? src.fillBar : PERMUTATION_EXERCISE_DEFAULTS.fillBar,
+  };
+}
+
+// Calls `visit` with each k-subset of 0..n-1 in lexicographic order until it returns false.
+function forEachCombination(n, k, visit) {
+  const picks = Array.from({ length: k }, (_, i) => i);
+  while (true) {
+    if (visit(picks) === false) return;
+    let i = k - 1;
+    while (i >= 0 && picks[i] === n - k + i) i--;
+    if (i < 0) return;
+    picks[i] += 1;
+    for (let j = i + 1; j < k; j++) picks[j] = picks[j - 1] + 1;
+  }
+}
+
+/**
+ * Every distinct variation of `figure`, starting with the figure as it is. "displace" rotates
+ * it step by step (hits pushed past the end wrap to the start); "placements" puts its hits, in
+ * order, on every combination of positions. Returns `{ variations, truncated }`; at most
+ * MAX_PERMUTATION_VARIATIONS are kept and `truncated` says whether more exist.
+ */
+export function buildPermutationVariations(figure, mode) {
+  const length = figure.length;
+  const hits = figure.filter(Boolean);
+  if (!length || !hits.length) return { variations: [], truncated: false };
+  const seen = new Set();
+  const variations = [];
+  const add = (variation) => {
+    const key = JSON.stringify(variation);
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (variations.length < MAX_PERMUTATION_VARIATIONS) variations.push(variation);
+  };
+  add(figure);
+  if (mode === "placements") {
+    forEachCombination(length, hits.length, (picks) => {
+      const variation = Array(length).fill(null);
+      picks.forEach((position, i) => {
+        variation[position] = hits[i];
+      });
+      add(variation);
+      return seen.size <= MAX_PERMUTATION_VARIATIONS;
+    });
+  } else {
+    for (let shift = 1; shift < length; shift++) {
+      add(figure.map((_, i) => figure[(i - shift + length) % length]));
+    }
+  }
+  return { variations, truncated: seen.size > MAX_PERMUTATION_VARIATIONS };
+}
+
+/**
+ * One exercise bar: `barRows` (`{ [instId]: cellValues }` for the whole bar) with the figure's
+ * rows replaced by `variation`. `figureStart` is the bar step the figure starts on; with
+ * `fillBar` the variation repeats across the whole bar instead of covering only its own span.
+ */
+export function renderVariationBar(barRows, variation, { rowIds, figureStart, fillBar = false, cellOff }) {
+  const out = Object.fromEntries(Object.entries(barRows).map(([instId, values]) => [instId, [...values]]));
+  const stepCount = Math.max(0, ...Object.values(out).map((values) => values.length));
+  const length = variation.length;
+  const firstStep = fillBar ? 0 : figureStart;
+  const endStep = fillBar ? stepCount : Math.min(stepCount, figureStart + length);
+  for (let step = firstStep; step < endStep; step++) {
+    const slice = variation[(((step - figureStart) % length) + length) % length];
+    rowIds.forEach((instId) => {
+      if (!out[instId]) return;
+      out[instId][step] = slice?.[instId] ?? cellOff;
+    });
+  }
+  return out;
+}
@@ -0,0 +1,144 @@
+// The 40 PAS international drum rudiments as one-bar snare exercises, plus the parser for
+// the sticking drill. Rudiment patterns list one token per grid step: "R"/"L" for the hand,
+// prefixed with ">" (accent), "f" (flam), "d" (drag) or "z" (buzz), and "-" for a rest.
+// Rolls are written in their open form, with each roll resolving onto an accented beat.
+// Codes match beat payloads: 1 = on, 3 = accent, 4 = flam, 5 = drag, 6 = buzz.
+
+const STROKE_CODES = { "": 1, ">": 3, f: 4, d: 5, z: 6 };
+
+export const RUDIMENT_FAMILIES = ["Roll", "Diddle", "Flam", "Drag"];
+
+const T44 = { n: 4, d: 4 };
+
+// `tuplet` overrides every beat's subdivision (3 = 8th-note triplets, 6 = 16th sextuplets).
+export const PAS_RUDIMENTS = [
+  { number: 1, name: "Single Stroke Roll", family: "Roll", resolution: 16, bpm: 100, pattern: "R L R L R L R L R L R L R L R L" },
+  { number: 2, name: "Single Stroke Four", family: "Roll", resolution: 16, tuplet: 6, bpm: 80, pattern: "R L R >L - - L R L >R - - R L R >L - - L R L >R - -" },
+  { number: 3, name: "Single Stroke Seven", family: "Roll", resolution: 16, tuplet: 6, bpm: 80, pattern: "R L R L R L >R - - - - - L R L R L R >L - - - - -" },
+  { number: 4, name: "Multiple Bounce Roll", family: "Roll", resolution: 16, bpm: 70, pattern: "zR zL zR zL zR zL zR zL zR zL zR zL zR zL zR zL" },
+  { number: 5, name: "Triple Stroke Roll", family: "Roll", resolution: 16, tuplet: 6, bpm: 70, pattern: "R R R L L L R R R L L L R R R L L L R R R L L L" },
+  { number: 6, name: "Double Stroke Open Roll", family: "Roll", resolution: 16, bpm: 90, pattern: "R R L L R R L L R R L L R R L L" },
+  { number: 7, name: "Five Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">L - - - R R L L >R - - - L L R R >L - - - R R L L >R - - - L L R R" },
+  { number: 8, name: "Six Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">R - L L R R >L - >R - L L R R >L - >R - L L R R >L - >R - L L R R >L -" },
+  { number: 9, name: "Seven Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">R - R R L L R R >L - L L R R L L >R - R R L L R R >L - L L R R L L" },
+  { number: 10, name: "Nine Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">L - - - - - - - R R L L R R L L >R - - - - - - - L L R R L L R R" },
+  { number: 11, name: "Ten Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">R - - - >L - - - R R L L R R L L >R - - - >L - - - R R L L R R L L" },
+  { number: 12, name: "Eleven Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">R - - - - - R R L L R R L L R R >L - - - - - L L R R L L R R L L" },
+  { number: 13, name: "Thirteen Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">R - - - R R L L R R L L R R L L >R - - - R R L L R R L L R R L L" },
+  { number: 14, name: "Fifteen Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: ">R - R R L L R R L L R R L L R R >L - L L R R L L R R L L R R L L" },
+  { number: 15, name: "Seventeen Stroke Roll", family: "Roll", resolution: 32, bpm: 70, pattern: "R R L L R R L L R R L L R R L L >R - - - - - - - - - - - - - - -" },
+  { number: 16, name: "Single Paradiddle", family: "Diddle", resolution: 16, bpm: 90, pattern: ">R L R R >L R L L >R L R R >L R L L" },
+  { number: 17, name: "Double Paradiddle", family: "Diddle", resolution: 16, tuplet: 6, bpm: 80, pattern: ">R L R L R R >L R L R L L >R L R L R R >L R L R L L" },
+  { number: 18, name: "Triple Paradiddle", family: "Diddle", resolution: 16, bpm: 90, pattern: ">R L R L R L R R >L R L R L R L L" },
+  { number: 19, name: "Single Paradiddle-Diddle", family: "Diddle", resolution: 16, tuplet: 6, bpm: 80, pattern: ">R L R R L L >R L R R L L >R L R R L L >R L R R L L" },
+  { number: 20, name: "Flam", family: "Flam", resolution: 8, bpm: 80, pattern: "fR fL fR fL fR fL fR fL" },
+  { number: 21, name: "Flam Accent", family: "Flam", resolution: 8, tuplet: 3, bpm: 80, pattern: "fR L R fL R L fR L R fL R L" },
+  { number: 22, name: "Flam Tap", family: "Flam", resolution: 16, bpm: 80, pattern: "fR R fL L fR R fL L fR R fL L fR R fL L" },
+  { number: 23, name: "Flamacue", family: "Flam", resolution: 16, bpm: 80, pattern: "fR >L R L fR - - - fR >L R L fR - - -" },
+  { number: 24, name: "Flam Paradiddle", family: "Flam", resolution: 16, bpm: 80, pattern: "fR L R R fL R L L fR L R R fL R L L" },
+  { number: 25, name: "Single Flammed Mill", family: "Flam", resolution: 16, bpm: 80, pattern: "fR R L R fL L R L fR R L R fL L R L" },
+  { number: 26, name: "Flam Paradiddle-Diddle", family: "Flam", resolution: 16, tuplet: 6, bpm: 70, pattern: "fR L R R L L fR L R R L L fR L R R L L fR L R R L L" },
+  { number: 27, name: "Pataflafla", family: "Flam", resolution: 16, bpm: 70, pattern: "fR L R fL fR L R fL fR L R fL fR L R fL" },
+  { number: 28, name: "Swiss Army Triplet", family: "Flam", resolution: 8, tuplet: 3, bpm: 80, pattern: "fR R L fR R L fR R L fR R L" },
+  { number: 29, name: "Inverted Flam Tap", family: "Flam", resolution: 16, bpm: 80, pattern: "fR L fL R fR L fL R fR L fL R fR L fL R" },
+  { number: 30, name: "Flam Drag", family: "Flam", resolution: 8, tuplet: 3, bpm: 70, pattern: "fR dR L fL dL R fR dR L fL dL R" },
+  { number: 31, name: "Drag", family: "Drag", resolution: 8, bpm: 80, pattern: "dR dL dR dL dR dL dR dL" },
+  { number: 32, name: "Single Drag Tap", family: "Drag", resolution: 8, bpm: 80, pattern: "dR >L dL >R dR >L dL >R" },
+  { number: 33, name: "Double Drag Tap", family: "Drag", resolution: 8, tuplet: 3, bpm: 70, pattern: "dR dR >L dL dL >R dR dR >L dL dL >R" },
+  { number: 34, name: "Lesson 25", family: "Drag", resolution: 16, bpm: 80, pattern: "dR L >R - dL R >L - dR L >R - dL R >L -" },
+  { number: 35, name: "Single Dragadiddle", family: "Drag", resolution: 16, bpm: 80, pattern: "dR L R R dL R L L dR L R R dL R L L" },
+  { number: 36, name: "Drag Paradiddle #1", family: "Drag", resolution: 16, timeSig: { n: 3, d: 4 }, bpm: 80, pattern: ">R - dR L R R >L - dL R L L" },
+  { number: 37, name: "Drag Paradiddle #2", family: "Drag", resolution: 16, bpm: 70, pattern: ">R dR >R dR L R R - >L dL >L dL R L L -" },
+  { number: 38, name: "Single Ratamacue", family: "Drag", resolution: 16, tuplet: 6, bpm: 70, pattern: "dR L R >L - - dL R L >R - - dR L R >L - - dL R L >R - -" },
+  { number: 39, name: "Double Ratamacue", family: "Drag", resolution: 16, tuplet: 6, bpm: 70, pattern: "dR - - dR L R >L - - - - - dL - - dL R L >R - - - - -" },
+  { number: 40, name: "Triple Ratamacue", family: "Drag", resolution: 16, tuplet: 6, bpm: 70, pattern: "dR - - dR - - dR L R >L - - dL - - dL - - dL R L >R - -" },
+].map((rudiment) => ({
+  ...rudiment,
+  id: `pas-${String(rudiment.number).padStart(2, "0")}`,
+  timeSig: rudiment.timeSig || T44,
+  tuplet: rudiment.tuplet ?? null,
+}));
+
+export const RUDIMENT_BY_ID = Object.fromEntries(PAS_RUDIMENTS.map((rudiment) => [rudiment.id, rudiment]));
+
+function parseRudimentToken(token) {
+  if (token === "-") return null;
+  const match = /^([>fdz]?)([RL])$/.exec(token);
+  if (!match) throw new Error(`Unknown rudiment token "${token}"`);
+  return { hand: match[2], code: STROKE_CODES[match[1]] };
+}
+
+/**
+ * One-bar beat payload fields for a rudiment, played on `instId`. `sticking` maps the
+ * editor's sticking-override keys (`instId:step`) to the hand that plays each stroke.
+ */
+export function buildRudimentBeat(rudiment, { instId = "snare" } = {}) {
+  const beats = rudiment.timeSig.n;
+  const events = [];
+  const sticking = {};
+  rudiment.pattern.split(/\s+/).forEach((token, step) => {
+    const stroke = parseRudimentToken(token);
+    if (!stroke) return;
+    events.push([step, stroke.code]);
+    sticking[`${instId}:${step}`] = stroke.hand;
+  });
+  return {
+    bars: 1,
+    resolution: rudiment.resolution,
+    timeSig: { ...rudiment.timeSig },
+    tupletsByBar: [Array.from({ length: beats }, () => rudiment.tuplet)],
+    bpm: rudiment.bpm,
+    grid: { [instId]: events },
+    sticking,
+  };
+}
+
+// Sticking as drummers write it: grace notes in lower case before the stroke ("lR" flam,
+// "llR" drag), ">" for accents and "z" after buzz strokes. Rests are left out.
+export function formatRudimentSticking(rudiment) {
+  return rudiment.pattern
+    .split(/\s+/)
+    .map((token) => {
+      const stroke = parseRudimentToken(token);
+      if (!stroke) return "";
+      const grace = (stroke.hand === "R" ? "l" : "r").repeat(stroke.code === 4 ? 1 : stroke.code === 5 ? 2 : 0);
+      return `${stroke.code === 3 ? ">" : ""}${grace}${stroke.hand}${stroke.code === 6 ? "z" : ""}`;
+    })
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Strokes of a drill pattern such as "RLRR LRLL" or ">RLL -RL": R/L per step, ">" accents the
+// next stroke, "-" is a rest; spaces and bar lines are ignored. Returns null when unreadable.
+export function parseStickingPattern(text) {
+  const strokes = [];
+  let accent = false;
+  for (const ch of String(text || "").toUpperCase()) {
+    if (/[\s|]/.test(ch)) continue;
+    if (ch === ">") {
+      accent = true;
+      continue;
+    }
+    if (ch === "R" || ch === "L") strokes.push({ hand: ch, accent });
+    else if (ch === "-") strokes.push(null);
+    else return null;
+    accent = false;
+  }
+  return strokes.length && strokes.some(Boolean) ? strokes : null;
+}
+
+export const STICKING_DRILL_DEFAULTS = {
+  pattern: "RLRR LRLL",
+  rightInstId: "snare",
+  leftInstId: "snare",
+};
+
+export function normalizeStickingDrillSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const id = (value, fallback) => (typeof value === "string" && value ? value : fallback);
+  return {
+    pattern: typeof src.pattern === "string" ? src.pattern.slice(0, 64) : STICKING_DRILL_DEFAULTS.pattern,
+    rightInstId: id(src.rightInstId, STICKING_DRILL_DEFAULTS.rightInstId),
+    leftInstId: id(src.leftInstId, STICKING_DRILL_DEFAULTS.leftInstId),
+  };
+}
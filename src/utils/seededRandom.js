@@ -0,0 +1,25 @@
+// Small deterministic PRNG helpers: the same seed string always produces the same sequence,
+// so humanized playback and generated patterns are reproducible.
+
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function mulberry32(a) {
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Returns a `() => number in [0, 1)` seeded from any string key.
+export function createSeededRandom(key) {
+  return mulberry32(hashString(String(key)));
+}
@@ -0,0 +1,278 @@
+// `?s=` share state. Compact links are `c1.` + base64url of a flags byte followed by the
+// (optionally deflated) packed body; anything without a version prefix is the original
+// base64url JSON and still decodes.
+const COMPACT_PREFIX = "c1.";
+const FLAG_DEFLATED = 1;
+const KIND_BEAT = 0;
+const KIND_ARRANGEMENT = 1;
+// Grid codes are 1..6, so every cell fits in three bits with 0 meaning "off".
+const BITS_PER_CELL = 3;
+const MAX_CELL_CODE = (1 << BITS_PER_CELL) - 1;
+const MAX_ROW_STEPS = 4096;
+
+// Wire dictionary for `c1.` links: instrument ids are written as their index in this list.
+// APPEND ONLY. Reordering, removing or inserting entries remaps every link already shared;
+// a change that cannot append needs a new version prefix. Ids missing here fall back to the
+// JSON form, so a new instrument works before it is added.
+const INSTRUMENT_DICTIONARY = Object.freeze([
+  "splash",
+  "china",
+  "crash2",
+  "crash1",
+  "ride",
+  "rideBell",
+  "hihatOpen",
+  "hihat",
+  "hihatFoot",
+  "cowbell",
+  "tom1",
+  "tom2",
+  "floorTom",
+  "sideStick",
+  "snare",
+  "kick",
+]);
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function base64UrlToBytes(input) {
+  const padded = `${input}`.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(padded + "===".slice((padded.length + 3) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function deflateBytes(bytes) {
+  if (typeof CompressionStream !== "function") return null;
+  try {
+    return await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+  } catch (_) {
+    return null;
+  }
+}
+
+async function inflateBytes(bytes) {
+  if (typeof DecompressionStream !== "function") return null;
+  try {
+    return await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function createWriter() {
+  const out = [];
+  return {
+    byte(value) {
+      out.push(value & 0xff);
+    },
+    varint(value) {
+      let n = Math.max(0, Math.floor(Number(value) || 0));
+      while (n >= 0x80) {
+        out.push((n & 0x7f) | 0x80);
+        n = Math.floor(n / 0x80);
+      }
+      out.push(n);
+    },
+    bytes(values) {
+      for (let i = 0; i < values.length; i++) out.push(values[i]);
+    },
+    toBytes() {
+      return Uint8Array.from(out);
+    },
+  };
+}
+
+function createReader(bytes) {
+  let offset = 0;
+  const need = (count) => {
+    if (offset + count > bytes.length) throw new Error("Truncated share state");
+  };
+  return {
+    byte() {
+      need(1);
+      return bytes[offset++];
+    },
+    varint() {
+      let result = 0;
+      let scale = 1;
+      for (let i = 0; i < 5; i++) {
+        need(1);
+        const b = bytes[offset++];
+        result += (b & 0x7f) * scale;
+        if (b < 0x80) return result;
+        scale *= 0x80;
+      }
+      throw new Error("Invalid varint");
+    },
+    bytes(count) {
+      need(count);
+      const slice = bytes.subarray(offset, offset + count);
+      offset += count;
+      return slice;
+    },
+  };
+}
+
+// Kit ids as dictionary indices, then one bit-packed row per instrument with hits. Row length
+// is the last hit + 1, so empty tails cost nothing.
+function writeBeatGrid(writer, payload) {
+  const kitIds = Array.isArray(payload?.kitInstrumentIds) ? payload.kitInstrumentIds : [];
+  const grid = payload?.grid && typeof payload.grid === "object" ? payload.grid : {};
+  const kitIndices = kitIds.map((id) => INSTRUMENT_DICTIONARY.indexOf(id));
+  if (kitIndices.some((index) => index < 0)) return false;
+  const rows = [];
+  for (const [instId, events] of Object.entries(grid)) {
+    const instIndex = INSTRUMENT_DICTIONARY.indexOf(instId);
+    if (instIndex < 0 || !Array.isArray(events)) return false;
+    const cells = new Map();
+    for (const event of events) {
+      const step = Number(event?.[0]);
+      const code = Number(event?.[1]);
+      if (!Number.isInteger(step) || step < 0 || step >= MAX_ROW_STEPS) return false;
+      if (!Number.isInteger(code) || code < 1 || code > MAX_CELL_CODE) return false;
+      cells.set(step, code);
+    }
+    rows.push({ instIndex, cells });
+  }
+
+  writer.varint(kitIndices.length);
+  writer.bytes(kitIndices);
+  writer.varint(rows.length);
+  rows.forEach(({ instIndex, cells }) => {
+    const length = cells.size ? Math.max(...cells.keys()) + 1 : 0;
+    const packed = new Uint8Array(Math.ceil((length * BITS_PER_CELL) / 8));
+    cells.forEach((code, step) => {
+      for (let bit = 0; bit < BITS_PER_CELL; bit++) {
+        if (!(code & (1 << bit))) continue;
+        const pos = step * BITS_PER_CELL + bit;
+        packed[pos >> 3] |= 1 << (pos & 7);
+      }
+    });
+    writer.byte(instIndex);
+    writer.varint(length);
+    writer.bytes(packed);
+  });
+  return true;
+}
+
+function readBeatGrid(reader) {
+  const kitCount = reader.varint();
+  const kitInstrumentIds = Array.from(reader.bytes(kitCount), (index) => INSTRUMENT_DICTIONARY[index]);
+  if (kitInstrumentIds.some((id) => !id)) throw new Error("Unknown instrument");
+  const grid = {};
+  const rowCount = reader.varint();
+  for (let r = 0; r < rowCount; r++) {
+    const instId = INSTRUMENT_DICTIONARY[reader.byte()];
+    const length = reader.varint();
+    if (!instId || length > MAX_ROW_STEPS) throw new Error("Invalid grid row");
+    const packed = reader.bytes(Math.ceil((length * BITS_PER_CELL) / 8));
+    const events = [];
+    for (let step = 0; step < length; step++) {
+      let code = 0;
+      for (let bit = 0; bit < BITS_PER_CELL; bit++) {
+        const pos = step * BITS_PER_CELL + bit;
+        if (packed[pos >> 3] & (1 << (pos & 7))) code |= 1 << bit;
+      }
+      if (code) events.push([step, code]);
+    }
+    grid[instId] = events;
+  }
+  return { kitInstrumentIds, grid };
+}
+
+function stripBeatGrid(payload) {
+  const { grid: _grid, kitInstrumentIds: _kitInstrumentIds, ...rest } = payload || {};
+  return rest;
+}
+
+// Layout: kind byte, JSON of everything except grids and kit ids, then one packed grid block
+// per beat (the beat itself, or each arrangement beat in order).
+function packShareState(state) {
+  const isArrangement = state?.kind === "arrangement";
+  const beats = isArrangement ? (Array.isArray(state.beats) ? state.beats : []) : [state];
+  const meta = isArrangement
+    ? { ...state, beats: beats.map((beat) => ({ ...beat, payload: stripBeatGrid(beat?.payload) })) }
+    : stripBeatGrid(state);
+  const writer = createWriter();
+  writer.byte(isArrangement ? KIND_ARRANGEMENT : KIND_BEAT);
+  const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+  writer.varint(metaBytes.length);
+  writer.bytes(metaBytes);
+  for (const beat of beats) {
+    if (!writeBeatGrid(writer, isArrangement ? beat?.payload : beat)) return null;
+  }
+  return writer.toBytes();
+}
+
+function unpackShareState(bytes) {
+  const reader = createReader(bytes);
+  const kind = reader.byte();
+  if (kind !== KIND_BEAT && kind !== KIND_ARRANGEMENT) throw new Error("Unknown share kind");
+  const meta = JSON.parse(new TextDecoder().decode(reader.bytes(reader.varint())));
+  if (kind === KIND_BEAT) return { ...meta, ...readBeatGrid(reader) };
+  const beats = (Array.isArray(meta?.beats) ? meta.beats : []).map((beat) => ({
+    ...beat,
+    payload: { ...(beat?.payload || {}), ...readBeatGrid(reader) },
+  }));
+  return { ...meta, beats };
+}
+
+function encodeLegacyShareState(state) {
+  try {
+    return bytesToBase64Url(new TextEncoder().encode(JSON.stringify(state)));
+  } catch (_) {
+    return "";
+  }
+}
+
+function decodeLegacyShareState(raw) {
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(raw)));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Falls back to the legacy JSON form when the state holds something the packer can't represent.
+export async function encodeShareState(state) {
+  let packed = null;
+  try {
+    packed = packShareState(state);
+  } catch (_) {
+    packed = null;
+  }
+  if (!packed) return encodeLegacyShareState(state);
+  const deflated = await deflateBytes(packed);
+  const useDeflated = Boolean(deflated) && deflated.length < packed.length;
+  const body = useDeflated ? deflated : packed;
+  const bytes = new Uint8Array(body.length + 1);
+  bytes[0] = useDeflated ? FLAG_DEFLATED : 0;
+  bytes.set(body, 1);
+  return `${COMPACT_PREFIX}${bytesToBase64Url(bytes)}`;
+}
+
+export async function decodeShareState(raw) {
+  if (!raw) return null;
+  const input = String(raw);
+  if (!input.startsWith(COMPACT_PREFIX)) return decodeLegacyShareState(input);
+  try {
+    const bytes = base64UrlToBytes(input.slice(COMPACT_PREFIX.length));
+    if (!bytes.length) return null;
+    const body = bytes.subarray(1);
+    const packed = bytes[0] & FLAG_DEFLATED ? await inflateBytes(body) : body;
+    return packed ? unpackShareState(packed) : null;
+  } catch (_) {
+    return null;
+  }
+}